@@ -98,6 +98,18 @@ app.MapBotDetectionEndpoints();
 // Map the fingerprint endpoint for client-side JS to POST data to
 app.MapBotDetectionFingerprintEndpoint();
 
+// Serve the fingerprint script as a cacheable file (used by <bot-detection-script inline="false" />)
+app.MapBotDetectionClientScript();
+
+// Accept proof-of-work solutions from the script (only used when ClientSide.ProofOfWork.Enabled)
+app.MapBotDetectionChallengeEndpoint();
+
+// Accept activity heartbeats (only used when ClientSide.HeartbeatIntervalMs or TrackNavigation is set)
+app.MapBotDetectionHeartbeatEndpoint();
+
+// Record bot-trap hits (only used when ClientSide.Traps.Enabled)
+app.MapBotDetectionTrapEndpoint();
+
 // Map MockLLMApi endpoints - this is where the holodeck redirects bots
 // Generates LLM-powered fake API responses that look real but contain useless data
 app.MapLLMockApi();
@@ -1,5 +1,6 @@
 using Microsoft.Extensions.Logging.Abstractions;
 using Mostlylucid.BotDetection.ClientSide;
+using Mostlylucid.BotDetection.Models;
 
 namespace Mostlylucid.BotDetection.Orchestration.Tests.Unit;
 
@@ -710,4 +711,587 @@ public class BrowserFingerprintAnalyzerTests
     }
 
     #endregion
-}
\ No newline at end of file
+
+    #region Behavioral Biometrics
+
+    private static BehavioralBiometricsData CreateHumanBehavior()
+    {
+        return new BehavioralBiometricsData
+        {
+            WindowMs = 5000,
+            MouseMoves = 180,
+            MouseCurvature = 0.42,
+            MouseStraightRatio = 0.35,
+            MouseVelocityCv = 0.85,
+            Clicks = 2,
+            ClicksWithoutMove = 0,
+            ClickLatencyMs = 140,
+            Keystrokes = 12,
+            KeyIntervalBuckets = [0, 2, 6, 3, 1],
+            ScrollBursts = 3,
+            ScrollIntervalMs = 900,
+            ScrollCv = 0.6,
+            WheelEvents = 14
+        };
+    }
+
+    [Fact]
+    public void Analyze_HumanBehavior_NoBehaviorReasons()
+    {
+        // Arrange
+        var data = CreateRealChromeBrowserData();
+        data.PointerType = "fine";
+        data.Behavior = CreateHumanBehavior();
+
+        // Act
+        var result = _analyzer.Analyze(data, "bio-human");
+
+        // Assert
+        Assert.False(result.IsHeadless);
+        Assert.Empty(result.Reasons);
+    }
+
+    [Fact]
+    public void Analyze_UntrustedEvents_Flagged()
+    {
+        // Arrange - events fired with dispatchEvent()
+        var data = CreateRealChromeBrowserData();
+        data.Behavior = CreateHumanBehavior();
+        data.Behavior.UntrustedEvents = 3;
+
+        // Act
+        var result = _analyzer.Analyze(data, "bio-untrusted");
+
+        // Assert
+        Assert.True(result.HeadlessLikelihood >= 0.4);
+        Assert.Contains(result.Reasons, r => r.Contains("Synthetic input events"));
+    }
+
+    [Fact]
+    public void Analyze_LinearConstantSpeedMouse_Flagged()
+    {
+        // Arrange - Puppeteer mouse.move(x, y, { steps })
+        var data = CreateRealChromeBrowserData();
+        data.Behavior = CreateHumanBehavior();
+        data.Behavior.MouseStraightRatio = 1.0;
+        data.Behavior.MouseVelocityCv = 0.02;
+        data.Behavior.ClickLatencyMs = 1;
+
+        // Act
+        var result = _analyzer.Analyze(data, "bio-linear");
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.Contains("linear with constant velocity"));
+        Assert.Contains(result.Reasons, r => r.Contains("after pointer arrived"));
+        Assert.True(result.BrowserIntegrityScore <= 70);
+    }
+
+    [Fact]
+    public void Analyze_ClicksWithoutMovementOnDesktop_Flagged()
+    {
+        // Arrange - element.click() with a fine pointer
+        var data = CreateRealChromeBrowserData();
+        data.PointerType = "fine";
+        data.Behavior = new BehavioralBiometricsData { Clicks = 2, ClicksWithoutMove = 2 };
+
+        // Act
+        var result = _analyzer.Analyze(data, "bio-click");
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.Contains("without any pointer movement"));
+    }
+
+    [Fact]
+    public void Analyze_ClicksWithoutMovementOnTouchDevice_NotFlagged()
+    {
+        // Arrange - taps don't produce mousemove
+        var data = CreateRealChromeBrowserData();
+        data.PointerType = "coarse";
+        data.Behavior = new BehavioralBiometricsData { Clicks = 2, ClicksWithoutMove = 2 };
+
+        // Act
+        var result = _analyzer.Analyze(data, "bio-tap");
+
+        // Assert
+        Assert.DoesNotContain(result.Reasons, r => r.Contains("without any pointer movement"));
+    }
+
+    [Fact]
+    public void Analyze_MachineSpeedTyping_Flagged()
+    {
+        // Arrange - page.type() with no delay
+        var data = CreateRealChromeBrowserData();
+        data.Behavior = CreateHumanBehavior();
+        data.Behavior.Keystrokes = 20;
+        data.Behavior.KeyIntervalBuckets = [19, 1, 0, 0, 0];
+
+        // Act
+        var result = _analyzer.Analyze(data, "bio-typing");
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.Contains("faster than human typing"));
+    }
+
+    [Fact]
+    public void Analyze_ConstantTouchPressure_Flagged()
+    {
+        // Arrange - emulated touch
+        var data = CreateRealChromeBrowserData();
+        data.Behavior = new BehavioralBiometricsData { Touches = 8 };
+
+        // Act
+        var result = _analyzer.Analyze(data, "bio-touch");
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.Contains("Touch pressure"));
+    }
+
+    [Fact]
+    public void Analyze_ScrollWithoutInput_Flagged()
+    {
+        // Arrange - window.scrollTo() loop
+        var data = CreateRealChromeBrowserData();
+        data.Behavior = new BehavioralBiometricsData { ScrollBursts = 6, ScrollIntervalMs = 500, ScrollCv = 0.01 };
+
+        // Act
+        var result = _analyzer.Analyze(data, "bio-scroll");
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.Contains("without wheel, touch or key input"));
+    }
+
+    #endregion
+
+    #region Client Score
+
+    [Fact]
+    public void Analyze_RecordsClientScoreAndRuleVersion()
+    {
+        // Arrange
+        var data = CreateRealChromeBrowserData();
+        data.ClientScore = 85;
+        data.RuleVersion = "tuned-1";
+
+        // Act
+        var result = _analyzer.Analyze(data, "client-score");
+
+        // Assert
+        Assert.Equal(85, result.ClientScore);
+        Assert.Equal("tuned-1", result.ClientRuleVersion);
+    }
+
+    #endregion
+
+    #region Lie Detection
+
+    [Fact]
+    public void Analyze_LieReasons_ReportedAndReduceIntegrity()
+    {
+        // Arrange - anti-detect browser: spoofed platform and time zone
+        var data = CreateRealChromeBrowserData();
+        data.ClientScoreReasons = "lie-platform,lie-timezone";
+
+        // Act
+        var result = _analyzer.Analyze(data, "lie-spoofed");
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.Contains("navigator.platform contradicts"));
+        Assert.Contains(result.Reasons, r => r.Contains("time zone"));
+        Assert.True(result.BrowserIntegrityScore <= 70);
+    }
+
+    [Fact]
+    public void Analyze_NavigatorGetterLie_RaisesHeadlessLikelihood()
+    {
+        // Arrange
+        var data = CreateRealChromeBrowserData();
+        data.ClientScoreReasons = "lie-navigator,lie-cores";
+
+        // Act
+        var result = _analyzer.Analyze(data, "lie-navigator");
+
+        // Assert
+        Assert.True(result.HeadlessLikelihood >= 0.4);
+        Assert.Equal(2, result.Reasons.Count);
+    }
+
+    [Fact]
+    public void Analyze_NonLieScoreReasons_Ignored()
+    {
+        // Arrange - client-only reasons are already covered by the raw signals
+        var data = CreateRealChromeBrowserData();
+        data.ClientScoreReasons = "no-chrome-ui,lie-unknown";
+
+        // Act
+        var result = _analyzer.Analyze(data, "lie-none");
+
+        // Assert
+        Assert.Empty(result.Reasons);
+    }
+
+    #endregion
+
+    #region Context Comparison
+
+    [Fact]
+    public void Analyze_ContextsAgree_NoReasons()
+    {
+        // Arrange
+        var data = CreateRealChromeBrowserData();
+        data.Contexts = new ContextComparisonData { Iframe = "", Worker = "" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "ctx-agree");
+
+        // Assert
+        Assert.Empty(result.Reasons);
+        Assert.Null(result.DetectedAutomation);
+    }
+
+    [Fact]
+    public void Analyze_WorkerDisagrees_DetectsAsHeadless()
+    {
+        // Arrange - stealth patched navigator.webdriver and the UA in the page only
+        var data = CreateRealChromeBrowserData();
+        data.Contexts = new ContextComparisonData { Iframe = "", Worker = "ua,webdriver" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "ctx-worker");
+
+        // Assert
+        Assert.True(result.IsHeadless);
+        Assert.Contains(result.Reasons, r => r.Contains("Worker context disagrees with page: ua,webdriver"));
+        Assert.NotNull(result.DetectedAutomation);
+    }
+
+    [Fact]
+    public void Analyze_IframeDisagrees_Flagged()
+    {
+        // Arrange - no Worker result; the iframe shows the real webdriver flag
+        var data = CreateRealChromeBrowserData();
+        data.Contexts = new ContextComparisonData { Iframe = "webdriver" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "ctx-iframe");
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.StartsWith("iframe context disagrees"));
+        Assert.True(result.BrowserIntegrityScore <= 70);
+    }
+
+    #endregion
+
+    #region Client Hints
+
+    private const string ChromeUserAgent =
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36";
+
+    private static ClientHintsData CreateChromeClientHints()
+    {
+        return new ClientHintsData
+        {
+            Brands = ["Chromium/124.0.6367.60", "Google Chrome/124.0.6367.60", "Not-A.Brand/99.0.0.0"],
+            Platform = "Windows",
+            PlatformVersion = "15.0.0",
+            Architecture = "x86",
+            Bitness = "64",
+            Model = ""
+        };
+    }
+
+    private static ClientHintHeaders CreateChromeHeaders()
+    {
+        return new ClientHintHeaders
+        {
+            UserAgent = ChromeUserAgent,
+            Brands = "\"Chromium\";v=\"124\", \"Google Chrome\";v=\"124\", \"Not-A.Brand\";v=\"99\"",
+            Mobile = "?0",
+            Platform = "\"Windows\""
+        };
+    }
+
+    [Fact]
+    public void Analyze_ClientHintsMatchHeaders_NoReasons()
+    {
+        // Arrange
+        var data = CreateRealChromeBrowserData();
+        data.ClientHints = CreateChromeClientHints();
+
+        // Act
+        var result = _analyzer.Analyze(data, "uach-match", CreateChromeHeaders());
+
+        // Assert
+        Assert.Empty(result.Reasons);
+        Assert.Null(result.DetectedAutomation);
+    }
+
+    [Fact]
+    public void Analyze_HeadlessChromeBrand_DetectsAsHeadless()
+    {
+        // Arrange - UA string spoofed, brand list still says HeadlessChrome
+        var data = CreateRealChromeBrowserData();
+        data.ClientHints = CreateChromeClientHints();
+        data.ClientHints.Brands = ["Chromium/124.0.6367.60", "HeadlessChrome/124.0.6367.60", "Not-A.Brand/99.0.0.0"];
+
+        // Act
+        var result = _analyzer.Analyze(data, "uach-headless");
+
+        // Assert
+        Assert.True(result.IsHeadless);
+        Assert.Equal("HeadlessChrome", result.DetectedAutomation);
+    }
+
+    [Fact]
+    public void Analyze_UserAgentVersionContradictsClientHints_Flagged()
+    {
+        // Arrange - UA claims Chrome 120, the engine is Chromium 124
+        var data = CreateRealChromeBrowserData();
+        data.ClientHints = CreateChromeClientHints();
+        var headers = new ClientHintHeaders { UserAgent = ChromeUserAgent.Replace("Chrome/124", "Chrome/120") };
+
+        // Act
+        var result = _analyzer.Analyze(data, "uach-version", headers);
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.Contains("Chrome/120 contradicts Client Hints Chromium 124"));
+        Assert.True(result.BrowserIntegrityScore <= 80);
+    }
+
+    [Fact]
+    public void Analyze_NonChromiumUserAgentWithClientHints_Flagged()
+    {
+        // Arrange - Chromium pretending to be Firefox
+        var data = CreateRealChromeBrowserData();
+        data.ClientHints = CreateChromeClientHints();
+        var headers = new ClientHintHeaders
+        {
+            UserAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0"
+        };
+
+        // Act
+        var result = _analyzer.Analyze(data, "uach-firefox", headers);
+
+        // Assert
+        Assert.Contains(result.Reasons, r => r.Contains("non-Chromium browser"));
+    }
+
+    [Fact]
+    public void Analyze_HeadersContradictClientHints_ListsMismatchedHints()
+    {
+        // Arrange - headers rewritten by a proxy; page values untouched
+        var data = CreateRealChromeBrowserData();
+        data.ClientHints = CreateChromeClientHints();
+        var headers = new ClientHintHeaders
+        {
+            UserAgent = ChromeUserAgent,
+            Brands = "\"Chromium\";v=\"124\", \"Microsoft Edge\";v=\"124\", \"Not:A-Brand\";v=\"8\"",
+            Mobile = "?1",
+            Platform = "\"macOS\"",
+            Architecture = "\"x86\""
+        };
+
+        // Act
+        var result = _analyzer.Analyze(data, "uach-headers", headers);
+
+        // Assert
+        var reason = Assert.Single(result.Reasons.Where(r => r.StartsWith("Sec-CH-UA headers contradict")));
+        Assert.Contains("brands", reason);
+        Assert.Contains("mobile", reason);
+        Assert.Contains("platform", reason);
+        Assert.DoesNotContain("architecture", reason);
+    }
+
+    [Fact]
+    public void Analyze_GreaseBrandDiffers_Ignored()
+    {
+        // Arrange - GREASE entries vary by version and aren't meant to be compared
+        var data = CreateRealChromeBrowserData();
+        data.ClientHints = CreateChromeClientHints();
+        data.ClientHints.Brands = ["Chromium/124.0.6367.60", "Google Chrome/124.0.6367.60", "Not/A)Brand/8.0.0.0"];
+
+        // Act
+        var result = _analyzer.Analyze(data, "uach-grease", CreateChromeHeaders());
+
+        // Assert
+        Assert.Empty(result.Reasons);
+    }
+
+    #endregion
+
+    #region Consent Tiers
+
+    [Fact]
+    public void Analyze_EssentialTier_MissingDeviceSignalsNotPenalised()
+    {
+        // Arrange - only automation markers were collected
+        var data = new BrowserFingerprintData
+        {
+            ConsentTier = "essential",
+            WebDriver = 0,
+            PluginCount = 5,
+            HasChromeObject = true,
+            OuterWidth = 1920,
+            OuterHeight = 1080,
+            InnerWidth = 1920,
+            InnerHeight = 969,
+            BindIsNative = 1,
+            EvalLength = 33
+        };
+
+        // Act
+        var result = _analyzer.Analyze(data, "tier-essential");
+
+        // Assert
+        Assert.Equal(FingerprintConsentTier.Essential, result.ConsentTier);
+        Assert.Empty(result.Reasons);
+        Assert.Equal(100, result.BrowserIntegrityScore);
+        Assert.Equal(100, result.FingerprintConsistencyScore);
+        Assert.False(result.IsHeadless);
+    }
+
+    [Fact]
+    public void Analyze_EssentialTier_StillDetectsAutomationMarkers()
+    {
+        // Arrange
+        var data = new BrowserFingerprintData { ConsentTier = "essential", WebDriver = 1, OuterWidth = 0 };
+
+        // Act
+        var result = _analyzer.Analyze(data, "tier-essential-bot");
+
+        // Assert
+        Assert.True(result.IsHeadless);
+        Assert.Equal("WebDriver", result.DetectedAutomation);
+    }
+
+    [Fact]
+    public void Analyze_NoTier_TreatedAsFull()
+    {
+        // Arrange - payloads before v7 always collected everything
+        var data = CreateRealChromeBrowserData();
+        data.HardwareConcurrency = 0;
+
+        // Act
+        var result = _analyzer.Analyze(data, "tier-none");
+
+        // Assert
+        Assert.Equal(FingerprintConsentTier.Full, result.ConsentTier);
+        Assert.Contains("Hardware concurrency not reported", result.Reasons);
+    }
+
+    #endregion
+
+    #region Font Probe
+
+    [Fact]
+    public void Analyze_WindowsWithFullFontSet_NoReasons()
+    {
+        // Arrange
+        var data = CreateRealChromeBrowserData();
+        data.Fonts = new FontProbeData { CountBucket = "11+", ColourEmoji = true, Hash = "abc" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "fonts-windows");
+
+        // Assert
+        Assert.Empty(result.Reasons);
+    }
+
+    [Fact]
+    public void Analyze_WindowsRenderingLikeContainer_Flagged()
+    {
+        // Arrange - claims Win32, but one font and no colour emoji
+        var data = CreateRealChromeBrowserData();
+        data.Fonts = new FontProbeData { CountBucket = "1-2", ColourEmoji = false, Hash = "abc" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "fonts-docker");
+
+        // Assert
+        var reason = Assert.Single(result.Reasons);
+        Assert.StartsWith("Claims Windows but renders like a bare container", reason);
+        Assert.Contains("no colour emoji", reason);
+        Assert.Equal(80, result.BrowserIntegrityScore);
+    }
+
+    [Fact]
+    public void Analyze_LinuxWithFewFonts_NotFlagged()
+    {
+        // Arrange - minimal Linux desktops legitimately have few of the probed fonts
+        var data = CreateRealChromeBrowserData();
+        data.Platform = "Linux x86_64";
+        data.Fonts = new FontProbeData { CountBucket = "1-2", ColourEmoji = false };
+
+        // Act
+        var result = _analyzer.Analyze(data, "fonts-linux");
+
+        // Assert
+        Assert.DoesNotContain(result.Reasons, r => r.Contains("bare container"));
+    }
+
+    #endregion
+
+    #region Timing Probes
+
+    [Fact]
+    public void Analyze_NormalTiming_NoReasons()
+    {
+        // Arrange - 60Hz frames, Chromium timer resolution, timers a little late
+        var data = CreateRealChromeBrowserData();
+        data.Timing = new TimingProbeData
+            { AnimationFrame = "12-25", Resolution = "<0.2", CanvasFrame = "2-8", TimerDrift = "<2" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "timing-normal");
+
+        // Assert
+        Assert.Empty(result.Reasons);
+        Assert.Equal(100, result.BrowserIntegrityScore);
+    }
+
+    [Fact]
+    public void Analyze_VisiblePageWithoutAnimationFrames_Flagged()
+    {
+        // Arrange
+        var data = CreateRealChromeBrowserData();
+        data.Timing = new TimingProbeData { AnimationFrame = "none", TimerDrift = "<2" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "timing-no-raf");
+
+        // Assert
+        Assert.Contains("Page reports visible but requestAnimationFrame never fired", result.Reasons);
+        Assert.Equal(80, result.BrowserIntegrityScore);
+    }
+
+    [Fact]
+    public void Analyze_HiddenPage_FramesNotJudged()
+    {
+        // Arrange - background tabs legitimately get no frames
+        var data = CreateRealChromeBrowserData();
+        data.Timing = new TimingProbeData { AnimationFrame = "hidden", TimerDrift = "32+" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "timing-hidden");
+
+        // Assert
+        Assert.Empty(result.Reasons);
+    }
+
+    [Fact]
+    public void Analyze_TimersFiringEarly_Flagged()
+    {
+        // Arrange
+        var data = CreateRealChromeBrowserData();
+        data.Timing = new TimingProbeData { AnimationFrame = "50+", TimerDrift = "early" };
+
+        // Act
+        var result = _analyzer.Analyze(data, "timing-virtual");
+
+        // Assert
+        Assert.Contains("Animation frames throttled below 20fps on a visible page", result.Reasons);
+        Assert.Contains("Timers fire before their deadline (virtual or mocked clock)", result.Reasons);
+        Assert.Equal(75, result.BrowserIntegrityScore);
+    }
+
+    #endregion
+}
@@ -0,0 +1,356 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Razor.TagHelpers;
+using Microsoft.Extensions.Options;
+using Mostlylucid.BotDetection.ClientSide;
+using Mostlylucid.BotDetection.Models;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class BotDetectionTagHelperTests
+{
+    private readonly BotDetectionOptions _options = new() { ClientSide = new ClientSideOptions { Enabled = true } };
+
+    private BotDetectionTagHelper CreateTagHelper(ProofOfWorkChallenge? challenge = null)
+    {
+        var accessor = new Mock<IHttpContextAccessor>();
+        accessor.Setup(a => a.HttpContext).Returns(new DefaultHttpContext());
+
+        var tokenService = new Mock<IBrowserTokenService>();
+        tokenService.Setup(t => t.GenerateToken(It.IsAny<HttpContext>())).Returns("payload.signature");
+
+        var challenges = new Mock<IProofOfWorkChallengeService>();
+        challenges.Setup(c => c.CreateChallenge(It.IsAny<HttpContext>(), It.IsAny<string>())).Returns(challenge);
+
+        return new BotDetectionTagHelper(Options.Create(_options), accessor.Object, tokenService.Object,
+            challenges.Object);
+    }
+
+    private static (TagHelperContext, TagHelperOutput) CreateTag()
+    {
+        var context = new TagHelperContext(
+            new TagHelperAttributeList(),
+            new Dictionary<object, object>(),
+            Guid.NewGuid().ToString("N"));
+
+        var output = new TagHelperOutput(
+            "bot-detection-script",
+            new TagHelperAttributeList(),
+            (_, _) => Task.FromResult<TagHelperContent>(new DefaultTagHelperContent()));
+
+        return (context, output);
+    }
+
+    [Fact]
+    public void Source_IsEmbeddedAndFreeOfPlaceholders()
+    {
+        var source = BotDetectionScript.Source;
+
+        Assert.Contains($"version: '{BotDetectionScript.Version}'", source);
+        Assert.DoesNotContain("%%", source);
+        Assert.DoesNotContain("</script", source, StringComparison.OrdinalIgnoreCase);
+    }
+
+    [Fact]
+    public void BuildConfigJson_ReflectsClientSideOptions()
+    {
+        var options = new ClientSideOptions
+        {
+            CollectWebGL = false,
+            CollectAudio = true,
+            CollectFonts = true,
+            CollectTiming = true,
+            CollectInteraction = false,
+            HeartbeatIntervalMs = 15000,
+            TrackNavigation = true,
+            CheckConsistency = false,
+            CompareContexts = false,
+            CollectClientHints = false,
+            CollectionTimeoutMs = 1234,
+            ReturnVerdict = true
+        };
+
+        using var doc = JsonDocument.Parse(BotDetectionScript.BuildConfigJson("tok", "/fp", options));
+        var root = doc.RootElement;
+
+        Assert.Equal("tok", root.GetProperty("token").GetString());
+        Assert.Equal("/fp", root.GetProperty("endpoint").GetString());
+        Assert.False(root.GetProperty("collectWebGL").GetBoolean());
+        Assert.True(root.GetProperty("collectCanvas").GetBoolean());
+        Assert.True(root.GetProperty("collectAudio").GetBoolean());
+        Assert.True(root.GetProperty("collectFonts").GetBoolean());
+        Assert.True(root.GetProperty("collectTiming").GetBoolean());
+        Assert.False(root.GetProperty("collectInteraction").GetBoolean());
+        Assert.Equal(15000, root.GetProperty("heartbeatMs").GetInt32());
+        Assert.True(root.GetProperty("trackNavigation").GetBoolean());
+        Assert.False(root.GetProperty("checkConsistency").GetBoolean());
+        Assert.False(root.GetProperty("compareContexts").GetBoolean());
+        Assert.False(root.GetProperty("collectClientHints").GetBoolean());
+        Assert.Equal("/bot-detection/heartbeat", root.GetProperty("heartbeatEndpoint").GetString());
+        Assert.Equal(1234, root.GetProperty("timeout").GetInt32());
+        Assert.True(root.GetProperty("verdict").GetBoolean());
+    }
+
+    [Fact]
+    public void BuildConfigJson_EscapesHtml()
+    {
+        var json = BotDetectionScript.BuildConfigJson("tok", "/fp?</script><b>", new ClientSideOptions());
+
+        Assert.DoesNotContain("</script", json);
+        Assert.DoesNotContain("<b>", json);
+    }
+
+    [Fact]
+    public void BuildConfigJson_NoScoringOverrides_ScriptUsesBuiltInRules()
+    {
+        using var doc = JsonDocument.Parse(BotDetectionScript.BuildConfigJson("tok", "/fp", new ClientSideOptions()));
+
+        Assert.Equal(JsonValueKind.Null, doc.RootElement.GetProperty("scoring").ValueKind);
+        Assert.Equal(BotDetectionScript.BuiltInRuleVersion,
+            BotDetectionScript.GetRuleVersion(new ClientScoringOptions()));
+    }
+
+    [Fact]
+    public void BuildConfigJson_ScoringOverrides_InjectedWithVersion()
+    {
+        var options = new ClientSideOptions
+        {
+            Scoring = new ClientScoringOptions
+            {
+                Version = "tuned-1",
+                Rules =
+                {
+                    ["chrome-no-plugins"] = new ClientScoringRule { Weight = 5 },
+                    ["no-chrome-ui"] = new ClientScoringRule { Enabled = false },
+                    ["huge-core-count"] = new ClientScoringRule { Field = "cores", Op = "gt", Value = "64", Weight = 10 }
+                }
+            }
+        };
+
+        using var doc = JsonDocument.Parse(BotDetectionScript.BuildConfigJson("tok", "/fp", options));
+        var scoring = doc.RootElement.GetProperty("scoring");
+        var rules = scoring.GetProperty("rules").EnumerateArray().ToList();
+
+        Assert.Equal("tuned-1", scoring.GetProperty("version").GetString());
+        Assert.Equal(3, rules.Count);
+        Assert.Contains(rules, r => r.GetProperty("id").GetString() == "chrome-no-plugins" &&
+                                    r.GetProperty("weight").GetInt32() == 5);
+        Assert.Contains(rules, r => r.GetProperty("id").GetString() == "no-chrome-ui" &&
+                                    !r.GetProperty("enabled").GetBoolean());
+        Assert.Contains(rules, r => r.GetProperty("id").GetString() == "huge-core-count" &&
+                                    r.GetProperty("op").GetString() == "gt");
+    }
+
+    [Fact]
+    public void BuildConfigJson_ConsentDisabled_OmitsConsent()
+    {
+        using var doc = JsonDocument.Parse(BotDetectionScript.BuildConfigJson("tok", "/fp", new ClientSideOptions()));
+
+        Assert.Equal(JsonValueKind.Null, doc.RootElement.GetProperty("consent").ValueKind);
+    }
+
+    [Fact]
+    public void BuildConfigJson_ConsentEnabled_EmitsSourcesAndDefaultTier()
+    {
+        var options = new ClientSideOptions
+        {
+            Consent = new FingerprintConsentOptions
+            {
+                Enabled = true,
+                DefaultTier = FingerprintConsentTier.Standard,
+                Callback = "getConsent",
+                UseGpp = false,
+                CookieName = "cc",
+                TimeoutMs = 250
+            }
+        };
+
+        using var doc = JsonDocument.Parse(BotDetectionScript.BuildConfigJson("tok", "/fp", options));
+        var consent = doc.RootElement.GetProperty("consent");
+
+        Assert.Equal("standard", consent.GetProperty("tier").GetString());
+        Assert.Equal("getConsent", consent.GetProperty("callback").GetString());
+        Assert.True(consent.GetProperty("tcf").GetBoolean());
+        Assert.False(consent.GetProperty("gpp").GetBoolean());
+        Assert.Equal("cc", consent.GetProperty("cookie").GetString());
+        Assert.Equal(250, consent.GetProperty("timeout").GetInt32());
+    }
+
+    [Fact]
+    public void BuildConfigJson_TrapsEnabled_EmitsTrapSettings()
+    {
+        var options = new ClientSideOptions
+        {
+            Traps = new BotTrapOptions { Enabled = true, Endpoint = "/trap", Links = 2, Fields = false }
+        };
+
+        using var doc = JsonDocument.Parse(BotDetectionScript.BuildConfigJson("tok", "/fp", options));
+        var traps = doc.RootElement.GetProperty("traps");
+
+        Assert.Equal("/trap", traps.GetProperty("endpoint").GetString());
+        Assert.Equal(2, traps.GetProperty("links").GetInt32());
+        Assert.False(traps.GetProperty("fields").GetBoolean());
+    }
+
+    [Fact]
+    public void BuildConfigJson_TrapsDisabled_OmitsTraps()
+    {
+        using var doc = JsonDocument.Parse(BotDetectionScript.BuildConfigJson("tok", "/fp", new ClientSideOptions()));
+
+        Assert.Equal(JsonValueKind.Null, doc.RootElement.GetProperty("traps").ValueKind);
+    }
+
+    [Fact]
+    public void BuildConfigJson_WithNonce_EmitsSealedNonce()
+    {
+        const string nonce = "00112233445566778899aabbccddeeff";
+
+        using var doc = JsonDocument.Parse(
+            BotDetectionScript.BuildConfigJson("tok", "/fp", new ClientSideOptions(), nonce: nonce));
+        var seal = doc.RootElement.GetProperty("seal").GetString()!;
+
+        Assert.DoesNotContain(nonce, doc.RootElement.GetRawText());
+        Assert.Equal(nonce.Length, seal.Length);
+        Assert.Equal(nonce, BotDetectionScript.Seal(seal));
+    }
+
+    [Fact]
+    public void GetRuleVersion_WithoutExplicitVersion_HashesRules()
+    {
+        ClientScoringOptions Create(int weight) => new()
+        {
+            Rules = { ["webdriver"] = new ClientScoringRule { Weight = weight } }
+        };
+
+        var version = BotDetectionScript.GetRuleVersion(Create(30));
+
+        Assert.StartsWith("cfg-", version);
+        Assert.Equal(version, BotDetectionScript.GetRuleVersion(Create(30)));
+        Assert.NotEqual(version, BotDetectionScript.GetRuleVersion(Create(40)));
+    }
+
+    [Theory]
+    [InlineData(64, true)]
+    [InlineData(65, false)]
+    public void Validate_ScoringVersion_IsCappedAtSchemaLength(int length, bool valid)
+    {
+        var options = new BotDetectionOptions
+        {
+            ClientSide = new ClientSideOptions
+            {
+                Enabled = true,
+                Scoring = new ClientScoringOptions { Version = new string('v', length) }
+            }
+        };
+
+        var result = new BotDetectionOptionsValidator().Validate(null, options);
+
+        Assert.Equal(!valid, result.Failures?.Any(f => f.Contains("Scoring.Version")) == true);
+    }
+
+    [Fact]
+    public void BuildBootstrap_QueuesInitWithConfig()
+    {
+        var config = BotDetectionScript.BuildConfigJson("tok", "/fp", new ClientSideOptions());
+
+        var bootstrap = BotDetectionScript.BuildBootstrap(config);
+
+        Assert.Equal($"(window.MLBotDQueue=window.MLBotDQueue||[]).push([\"init\",{config}]);", bootstrap);
+        Assert.Contains("window.MLBotDQueue", BotDetectionScript.Source);
+    }
+
+    [Fact]
+    public void Process_Inline_EmitsBootstrapAndScriptSource()
+    {
+        var tagHelper = CreateTagHelper();
+        var (context, output) = CreateTag();
+
+        tagHelper.Process(context, output);
+
+        Assert.Equal("script", output.TagName);
+        Assert.StartsWith("<script>(window.MLBotDQueue", output.PreElement.GetContent());
+        Assert.Contains("payload.signature", output.PreElement.GetContent());
+        Assert.Equal(BotDetectionScript.Source, output.Content.GetContent());
+        Assert.False(output.Attributes.ContainsName("src"));
+    }
+
+    [Fact]
+    public void Process_External_EmitsVersionedSrc()
+    {
+        var tagHelper = CreateTagHelper();
+        tagHelper.Inline = false;
+        var (context, output) = CreateTag();
+
+        tagHelper.Process(context, output);
+
+        Assert.Equal(
+            $"/bot-detection/botdetection.js?v={BotDetectionScript.Version}",
+            output.Attributes["src"].Value);
+        Assert.True(output.Content.IsEmptyOrWhiteSpace);
+        Assert.Contains("[\"init\",", output.PreElement.GetContent());
+    }
+
+    [Fact]
+    public void Process_WithNonce_AppliesItToBootstrapAndScript()
+    {
+        var tagHelper = CreateTagHelper();
+        tagHelper.Nonce = "r4nd\"om";
+        var (context, output) = CreateTag();
+
+        tagHelper.Process(context, output);
+
+        Assert.StartsWith("<script nonce=\"r4nd&quot;om\">", output.PreElement.GetContent());
+        Assert.Equal("r4nd\"om", output.Attributes["nonce"].Value);
+    }
+
+    [Fact]
+    public void Process_BorderlineRequest_EmitsProofOfWorkChallenge()
+    {
+        var tagHelper = CreateTagHelper(new ProofOfWorkChallenge { Challenge = "abc123", Difficulty = 16 });
+        var (context, output) = CreateTag();
+
+        tagHelper.Process(context, output);
+
+        var bootstrap = output.PreElement.GetContent();
+        var json = bootstrap[bootstrap.IndexOf('{')..(bootstrap.LastIndexOf('}') + 1)];
+        using var doc = JsonDocument.Parse(json);
+        var pow = doc.RootElement.GetProperty("pow");
+        Assert.Equal("abc123", pow.GetProperty("challenge").GetString());
+        Assert.Equal(16, pow.GetProperty("difficulty").GetInt32());
+        Assert.Equal(_options.ClientSide.ProofOfWork.Endpoint, pow.GetProperty("endpoint").GetString());
+    }
+
+    [Fact]
+    public void BuildConfigJson_WithoutChallenge_HasNullPow()
+    {
+        using var doc = JsonDocument.Parse(BotDetectionScript.BuildConfigJson("tok", "/fp", new ClientSideOptions()));
+
+        Assert.Equal(JsonValueKind.Null, doc.RootElement.GetProperty("pow").ValueKind);
+    }
+
+    [Fact]
+    public void Process_Disabled_SuppressesOutput()
+    {
+        _options.ClientSide.Enabled = false;
+        var tagHelper = CreateTagHelper();
+        var (context, output) = CreateTag();
+
+        tagHelper.Process(context, output);
+
+        Assert.Null(output.TagName);
+    }
+
+    [Fact]
+    public void FingerprintData_AcceptsNumericFlagsFromScript()
+    {
+        const string json = """{"nightmare":0,"selenium":1,"chrome":1,"scoreReasons":"cdp","interacted":1}""";
+
+        var data = JsonSerializer.Deserialize<BrowserFingerprintData>(json)!;
+
+        Assert.False(data.Nightmare);
+        Assert.True(data.Selenium);
+        Assert.True(data.HasChromeObject);
+        Assert.Equal("cdp", data.ClientScoreReasons);
+        Assert.Equal(1, data.Interacted);
+    }
+}
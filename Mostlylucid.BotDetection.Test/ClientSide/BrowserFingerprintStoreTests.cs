@@ -0,0 +1,110 @@
+using System.Text.Json;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Options;
+using Mostlylucid.BotDetection.ClientSide;
+using Mostlylucid.BotDetection.Models;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class BrowserFingerprintStoreTests
+{
+    private readonly BrowserFingerprintStore _store = new(
+        new MemoryCache(new MemoryCacheOptions()),
+        Options.Create(new BotDetectionOptions { ClientSide = new ClientSideOptions { MaxHeartbeatsPerSession = 3 } }));
+
+    private static BrowserHeartbeat Beat(int seq, string trigger = "beat")
+    {
+        return new BrowserHeartbeat { Sequence = seq, Trigger = trigger };
+    }
+
+    [Fact]
+    public void AppendHeartbeat_BuildsOrderedTimeline()
+    {
+        Assert.True(_store.AppendHeartbeat("s1", "ip", Beat(1, "nav")));
+        Assert.True(_store.AppendHeartbeat("s1", "ip", Beat(2)));
+
+        var timeline = _store.GetTimeline("s1");
+
+        Assert.NotNull(timeline);
+        Assert.Equal("ip", timeline.IpHash);
+        Assert.Equal(2, timeline.LastSequence);
+        Assert.Equal(new[] { "nav", "beat" }, timeline.Heartbeats.Select(h => h.Trigger));
+    }
+
+    [Fact]
+    public void AppendHeartbeat_ReplayedOrStaleSequence_IsRejected()
+    {
+        _store.AppendHeartbeat("s1", "ip", Beat(1));
+        _store.AppendHeartbeat("s1", "ip", Beat(2));
+
+        Assert.False(_store.AppendHeartbeat("s1", "ip", Beat(2)));
+        Assert.False(_store.AppendHeartbeat("s1", "ip", Beat(1)));
+        Assert.Equal(2, _store.GetTimeline("s1")!.Heartbeats.Count);
+    }
+
+    [Fact]
+    public void AppendHeartbeat_CountsGaps()
+    {
+        _store.AppendHeartbeat("s1", "ip", Beat(1));
+        _store.AppendHeartbeat("s1", "ip", Beat(4));
+
+        Assert.Equal(2, _store.GetTimeline("s1")!.MissedHeartbeats);
+    }
+
+    [Fact]
+    public void AppendHeartbeat_DropsOldestBeyondLimit()
+    {
+        for (var seq = 1; seq <= 5; seq++) _store.AppendHeartbeat("s1", "ip", Beat(seq));
+
+        var timeline = _store.GetTimeline("s1")!;
+
+        Assert.Equal(new[] { 3, 4, 5 }, timeline.Heartbeats.Select(h => h.Sequence));
+    }
+
+    [Fact]
+    public void AppendHeartbeat_SessionsAreIndependent()
+    {
+        _store.AppendHeartbeat("s1", "ip", Beat(1));
+
+        Assert.True(_store.AppendHeartbeat("s2", "ip", Beat(1)));
+        Assert.Null(_store.GetTimeline("s3"));
+    }
+
+    [Fact]
+    public void RecordTrapHit_CountsHitsAndKeepsLatest()
+    {
+        _store.RecordTrapHit("ip", new BrowserTrapHit { Kind = BrowserTrapHit.LinkKind, SessionId = "s1" });
+        _store.RecordTrapHit("ip", new BrowserTrapHit { Kind = BrowserTrapHit.FillKind, SessionId = "s2" });
+
+        var record = _store.GetTrapRecord("ip");
+
+        Assert.NotNull(record);
+        Assert.Equal(2, record.Hits);
+        Assert.Equal(BrowserTrapHit.FillKind, record.LastHit.Kind);
+        Assert.Null(_store.GetTrapRecord("other"));
+    }
+
+    [Theory]
+    [InlineData("""{"k":"click","id":"l0"}""", true)]
+    [InlineData("""{"k":"fill","id":"f1"}""", true)]
+    [InlineData("""{"k":"link","id":"l0"}""", false)]
+    [InlineData("""{"k":"click"}""", false)]
+    [InlineData("""{"k":"fill","id":"an-overly-long-trap-id"}""", false)]
+    public void TrapReport_IsWellFormed(string json, bool expected)
+    {
+        var report = JsonSerializer.Deserialize<BrowserTrapReport>(json)!;
+
+        Assert.Equal(expected, report.IsWellFormed);
+    }
+
+    [Theory]
+    [InlineData("""{"seq":1,"t":"beat","dt":1000,"moves":3}""", true)]
+    [InlineData("""{"seq":0,"t":"beat"}""", false)]
+    [InlineData("""{"seq":2,"clicks":-1}""", false)]
+    public void Heartbeat_IsWellFormed(string json, bool expected)
+    {
+        var heartbeat = JsonSerializer.Deserialize<BrowserHeartbeat>(json)!;
+
+        Assert.Equal(expected, heartbeat.IsWellFormed);
+    }
+}
@@ -0,0 +1,97 @@
+using System.Net;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using Mostlylucid.BotDetection.ClientSide;
+using Mostlylucid.BotDetection.Models;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class BrowserTokenServiceTests
+{
+    private static BrowserTokenService CreateService(string? secret, string? salt = null)
+    {
+        var options = Options.Create(new BotDetectionOptions
+        {
+            ClientSide = new ClientSideOptions { Enabled = true, TokenSecret = secret, FingerprintSalt = salt }
+        });
+        return new BrowserTokenService(options, NullLogger<BrowserTokenService>.Instance,
+            new MemoryCache(new MemoryCacheOptions()));
+    }
+
+    private static HttpContext CreateContext()
+    {
+        var context = new DefaultHttpContext();
+        context.Connection.RemoteIpAddress = IPAddress.Parse("203.0.113.7");
+        return context;
+    }
+
+    private static string SaltOf(BrowserTokenService service)
+    {
+        var context = CreateContext();
+        return service.ReadToken(context, service.GenerateToken(context))!.Salt;
+    }
+
+    [Fact]
+    public void GenerateToken_CarriesSameSaltForEveryToken()
+    {
+        var service = CreateService("test-secret-that-is-long-enough");
+
+        var first = SaltOf(service);
+
+        Assert.Equal(32, first.Length);
+        Assert.Equal(first, SaltOf(service));
+    }
+
+    [Fact]
+    public void GenerateToken_SaltIsStableForSecretAndDiffersBetweenSecrets()
+    {
+        var salt = SaltOf(CreateService("test-secret-that-is-long-enough"));
+
+        Assert.Equal(salt, SaltOf(CreateService("test-secret-that-is-long-enough")));
+        Assert.NotEqual(salt, SaltOf(CreateService("another-secret-that-is-long-enough")));
+    }
+
+    [Fact]
+    public void GetPageNonce_StablePerTokenAndDifferentAcrossTokens()
+    {
+        var service = CreateService("test-secret-that-is-long-enough");
+        var context = CreateContext();
+        var first = service.ReadToken(context, service.GenerateToken(context))!;
+        var second = service.ReadToken(context, service.GenerateToken(context))!;
+
+        Assert.Equal(32, service.GetPageNonce(first).Length);
+        Assert.Equal(service.GetPageNonce(first), service.GetPageNonce(first));
+        Assert.NotEqual(service.GetPageNonce(first), service.GetPageNonce(second));
+    }
+
+    [Fact]
+    public void VerifySubmission_AcceptsOnlyThePagesSignatureOverTheExactBody()
+    {
+        var service = CreateService("test-secret-that-is-long-enough");
+        var context = CreateContext();
+        var page = service.ReadToken(context, service.GenerateToken(context))!;
+        var other = service.ReadToken(context, service.GenerateToken(context))!;
+        const string body = """{"v":5,"webdriver":0}""";
+
+        string Sign(BrowserTokenPayload payload, string message) => Convert.ToHexString(
+            HMACSHA256.HashData(Convert.FromHexString(service.GetPageNonce(payload)),
+                Encoding.UTF8.GetBytes(message))).ToLowerInvariant();
+
+        Assert.True(service.VerifySubmission(page, body, Sign(page, body)));
+        Assert.False(service.VerifySubmission(page, """{"v":5,"webdriver":1}""", Sign(page, body)));
+        Assert.False(service.VerifySubmission(page, body, Sign(other, body)));
+        Assert.False(service.VerifySubmission(page, body, "not-hex"));
+    }
+
+    [Fact]
+    public void GenerateToken_UsesConfiguredFingerprintSalt()
+    {
+        var service = CreateService("test-secret-that-is-long-enough", "site-a");
+
+        Assert.Equal("site-a", SaltOf(service));
+    }
+}
@@ -0,0 +1,55 @@
+using Microsoft.AspNetCore.Http;
+using Mostlylucid.BotDetection.ClientSide;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class ClientHintHeadersTests
+{
+    [Fact]
+    public void ParseBrandList_ReadsBrandsAndVersions()
+    {
+        var brands = ClientHintHeaders.ParseBrandList(
+            "\"Chromium\";v=\"124.0.6367.60\", \"Google Chrome\";v=\"124.0.6367.60\", \"Not/A)Brand\";v=\"8.0.0.0\"");
+
+        Assert.Equal(3, brands.Count);
+        Assert.Equal(("Chromium", "124.0.6367.60"), brands[0]);
+        Assert.Equal(("Not/A)Brand", "8.0.0.0"), brands[2]);
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("garbage")]
+    public void ParseBrandList_MissingOrMalformed_ReturnsEmpty(string? header)
+    {
+        Assert.Empty(ClientHintHeaders.ParseBrandList(header));
+    }
+
+    [Theory]
+    [InlineData("Not-A.Brand", true)]
+    [InlineData("Not A(Brand", true)]
+    [InlineData("Not/A)Brand", true)]
+    [InlineData("Google Chrome", false)]
+    [InlineData("Chromium", false)]
+    public void IsGrease_RecognisesGreaseBrands(string brand, bool expected)
+    {
+        Assert.Equal(expected, ClientHintHeaders.IsGrease(brand));
+    }
+
+    [Fact]
+    public void FromRequest_ReadsHeadersAndLeavesMissingOnesNull()
+    {
+        var context = new DefaultHttpContext();
+        context.Request.Headers["User-Agent"] = "Mozilla/5.0 Chrome/124.0.0.0";
+        context.Request.Headers["Sec-CH-UA-Platform"] = "\"Windows\"";
+        context.Request.Headers["Sec-CH-UA-Mobile"] = "?0";
+
+        var headers = ClientHintHeaders.FromRequest(context.Request);
+
+        Assert.Equal("Mozilla/5.0 Chrome/124.0.0.0", headers.UserAgent);
+        Assert.Equal("Windows", ClientHintHeaders.Unquote(headers.Platform));
+        Assert.Equal("?0", headers.Mobile);
+        Assert.Null(headers.FullVersionList);
+        Assert.Null(headers.Architecture);
+    }
+}
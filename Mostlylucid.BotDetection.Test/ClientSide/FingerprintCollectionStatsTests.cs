@@ -0,0 +1,76 @@
+using Mostlylucid.BotDetection.ClientSide;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class FingerprintCollectionStatsTests
+{
+    [Theory]
+    [InlineData(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+        "Chrome")]
+    [InlineData(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0",
+        "Edge")]
+    [InlineData(
+        "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/124.0.0.0 Safari/537.36",
+        "HeadlessChrome")]
+    [InlineData("Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0", "Firefox")]
+    [InlineData(
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/124.0.0.0 Mobile/15E148 Safari/604.1",
+        "Chrome")]
+    [InlineData(
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_4) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15",
+        "Safari")]
+    [InlineData("curl/8.5.0", "Other")]
+    [InlineData("", "Unknown")]
+    public void GetBrowserFamily_ClassifiesUserAgent(string userAgent, string expected)
+    {
+        Assert.Equal(expected, FingerprintCollectionStats.GetBrowserFamily(userAgent));
+    }
+
+    [Fact]
+    public void GetOutcome_ErrorWinsOverTimeouts()
+    {
+        var timedOut = new BrowserFingerprintData { Diagnostics = new CollectionDiagnosticsData { TimedOut = ["audio"] } };
+        var failed = new BrowserFingerprintData
+            { Error = "boom", Diagnostics = new CollectionDiagnosticsData { TimedOut = ["audio"] } };
+
+        Assert.Equal(FingerprintCollectionOutcome.Complete,
+            FingerprintCollectionStats.GetOutcome(new BrowserFingerprintData()));
+        Assert.Equal(FingerprintCollectionOutcome.TimedOut, FingerprintCollectionStats.GetOutcome(timedOut));
+        Assert.Equal(FingerprintCollectionOutcome.Error, FingerprintCollectionStats.GetOutcome(failed));
+    }
+
+    [Fact]
+    public void Record_AggregatesPerFamily()
+    {
+        var stats = new FingerprintCollectionStats();
+
+        stats.Record("Chrome", FingerprintCollectionOutcome.Complete, new CollectionDiagnosticsData
+        {
+            Durations = new Dictionary<string, int> { ["total"] = 100 }, Transport = "beacon", PayloadBytes = 1000
+        });
+        stats.Record("Chrome", FingerprintCollectionOutcome.TimedOut, new CollectionDiagnosticsData
+        {
+            Durations = new Dictionary<string, int> { ["total"] = 1100 }, TimedOut = ["audio"],
+            Transport = "xhr-fallback", PayloadBytes = 2000
+        });
+        stats.Record("Chrome", FingerprintCollectionOutcome.Error, new CollectionDiagnosticsData { FailedStage = "webgl" });
+        stats.Record("Firefox", FingerprintCollectionOutcome.Rejected, null);
+
+        var snapshot = stats.GetSnapshot();
+
+        Assert.Equal(["Chrome", "Firefox"], snapshot.Select(s => s.Family));
+        var chrome = snapshot[0];
+        Assert.Equal(3, chrome.Submissions);
+        Assert.Equal(1, chrome.Complete);
+        Assert.Equal(1, chrome.TimedOut);
+        Assert.Equal(1, chrome.Errors);
+        Assert.Equal(1, chrome.BeaconFallbacks);
+        Assert.Equal(600, chrome.AverageCollectionMs);
+        Assert.Equal(1500, chrome.AveragePayloadBytes);
+        Assert.Equal(1, chrome.TimedOutProbes["audio"]);
+        Assert.Equal(1, chrome.FailedStages["webgl"]);
+        Assert.Equal(1, snapshot[1].Rejected);
+    }
+}
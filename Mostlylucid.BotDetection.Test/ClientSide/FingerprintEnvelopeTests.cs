@@ -0,0 +1,33 @@
+using System.Text.Json;
+using Mostlylucid.BotDetection.ClientSide;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class FingerprintEnvelopeTests
+{
+    private static FingerprintEnvelope? Read(string json)
+    {
+        using var doc = JsonDocument.Parse(json);
+        return FingerprintEnvelope.Read(doc.RootElement);
+    }
+
+    [Fact]
+    public void Read_SignedEnvelope_ReturnsTokenPayloadAndSignature()
+    {
+        var envelope = Read("""{"t":"payload.sig","p":"{\"v\":5,\"cores\":8}","s":"abc123"}""");
+
+        Assert.NotNull(envelope);
+        Assert.Equal("payload.sig", envelope.Token);
+        Assert.Equal("""{"v":5,"cores":8}""", envelope.Payload);
+        Assert.Equal("abc123", envelope.Signature);
+    }
+
+    [Theory]
+    [InlineData("""{"v":5,"cores":8}""")]
+    [InlineData("""{"p":{"v":5}}""")]
+    [InlineData("""[1,2]""")]
+    public void Read_BarePayload_ReturnsNull(string json)
+    {
+        Assert.Null(Read(json));
+    }
+}
@@ -0,0 +1,242 @@
+using System.Text.Json;
+using Microsoft.Extensions.Options;
+using Mostlylucid.BotDetection.ClientSide;
+using Mostlylucid.BotDetection.Models;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class FingerprintPayloadValidatorTests
+{
+    private static FingerprintPayloadValidation Validate(string json, bool rejectUnknownVersions = false)
+    {
+        var options = new BotDetectionOptions
+        {
+            ClientSide = new ClientSideOptions { RejectUnknownPayloadVersions = rejectUnknownVersions }
+        };
+        var validator = new FingerprintPayloadValidator(Options.Create(options));
+
+        using var doc = JsonDocument.Parse(json);
+        return validator.Validate(doc.RootElement);
+    }
+
+    [Fact]
+    public void Validate_CurrentVersionPayload_IsValid()
+    {
+        var result = Validate($$"""
+            {"v":{{BotDetectionScript.PayloadVersion}},"sv":"1.0.0","ts":1700000000000,"tz":"Europe/London",
+             "cores":8,"dpr":1.25,"webdriver":0,"nightmare":false,"chrome":1,"pointer":"fine",
+             "permissions":"default","isIframe":-1,"score":90,"scoreReasons":""}
+            """);
+
+        Assert.Equal(FingerprintPayloadStatus.Valid, result.Status);
+        Assert.Equal(BotDetectionScript.PayloadVersion, result.Version);
+        Assert.Empty(result.Errors);
+    }
+
+    [Fact]
+    public void Validate_ErrorReport_IsValid()
+    {
+        var result = Validate($$"""{"v":{{BotDetectionScript.PayloadVersion}},"error":"boom","ts":1}""");
+
+        Assert.True(result.IsAccepted);
+    }
+
+    [Theory]
+    [InlineData("""{"tz":"UTC"}""")]
+    [InlineData("""{"v":"1"}""")]
+    [InlineData("""{"v":0}""")]
+    [InlineData("""[1,2,3]""")]
+    public void Validate_MissingOrInvalidVersion_IsRejected(string json)
+    {
+        var result = Validate(json);
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+        Assert.NotEmpty(result.Errors);
+    }
+
+    [Theory]
+    [InlineData("""{"v":1,"cores":"eight"}""", "$.cores")]
+    [InlineData("""{"v":1,"webdriver":2}""", "$.webdriver")]
+    [InlineData("""{"v":1,"cores":1.5}""", "$.cores")]
+    [InlineData("""{"v":1,"pointer":"stylus"}""", "$.pointer")]
+    [InlineData("""{"v":1,"score":101}""", "$.score")]
+    [InlineData("""{"v":1,"injected":true}""", "$.injected")]
+    public void Validate_SchemaViolation_IsRejected(string json, string path)
+    {
+        var result = Validate(json);
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+        Assert.Contains(result.Errors, e => e.StartsWith(path));
+    }
+
+    [Fact]
+    public void Validate_BehaviorSummary_IsValid()
+    {
+        var result = Validate("""
+            {"v":2,"bio":{"window":5000,"moves":40,"curvature":0.4,"straightRatio":0.3,"velocityCv":0.8,
+             "clicks":1,"clicksWithoutMove":0,"clickLatency":120,"keys":4,"keyIntervals":[0,1,2,1,0],
+             "scrolls":2,"scrollInterval":800,"scrollCv":0.2,"wheels":9,"touches":0,"touchForceVar":0,
+             "touchAreaVar":0,"untrusted":0}}
+            """);
+
+        Assert.Equal(FingerprintPayloadStatus.Valid, result.Status);
+    }
+
+    [Fact]
+    public void Validate_CurvatureOfPi_IsValid()
+    {
+        // A 1px back-and-forth jitter turns by exactly pi, which the script rounds to 3.142
+        var result = Validate("""{"v":2,"bio":{"moves":3,"curvature":3.142}}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Valid, result.Status);
+    }
+
+    [Theory]
+    [InlineData("""{"v":2,"bio":{"moves":-1}}""", "$.bio.moves")]
+    [InlineData("""{"v":2,"bio":{"keyIntervals":[1,2,3,4,5,6]}}""", "$.bio.keyIntervals")]
+    [InlineData("""{"v":2,"bio":{"keyIntervals":[1,"a"]}}""", "$.bio.keyIntervals[1]")]
+    [InlineData("""{"v":2,"bio":{"x":1,"y":2}}""", "$.bio.x")]
+    public void Validate_InvalidBehaviorSummary_IsRejected(string json, string path)
+    {
+        var result = Validate(json);
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+        Assert.Contains(result.Errors, e => e.StartsWith(path));
+    }
+
+    [Fact]
+    public void Validate_ContextComparison_IsValid()
+    {
+        var result = Validate("""{"v":4,"ctx":{"iframe":"","worker":"ua,webdriver"}}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Valid, result.Status);
+    }
+
+    [Fact]
+    public void Validate_UnknownContext_IsRejected()
+    {
+        var result = Validate("""{"v":4,"ctx":{"serviceWorker":"ua"}}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+        Assert.Contains(result.Errors, e => e.StartsWith("$.ctx.serviceWorker"));
+    }
+
+    [Fact]
+    public void Validate_ClientHints_IsValid()
+    {
+        var result = Validate("""
+            {"v":6,"uach":{"brands":["Chromium/124.0.6367.60","Not/A)Brand/8.0.0.0"],"mobile":0,"platform":"Windows",
+             "platformVersion":"15.0.0","arch":"x86","bitness":"64","model":""}}
+            """);
+
+        Assert.Equal(FingerprintPayloadStatus.Valid, result.Status);
+    }
+
+    [Fact]
+    public void Validate_ClientHintsWithTooManyBrands_IsRejected()
+    {
+        var brands = string.Join(",", Enumerable.Range(0, 11).Select(i => $"\"B{i}/1\""));
+        var result = Validate($$$"""{"v":6,"uach":{"brands":[{{{brands}}}]}}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+        Assert.Contains(result.Errors, e => e.StartsWith("$.uach.brands"));
+    }
+
+    [Theory]
+    [InlineData("essential", FingerprintPayloadStatus.Valid)]
+    [InlineData("full", FingerprintPayloadStatus.Valid)]
+    [InlineData("everything", FingerprintPayloadStatus.Rejected)]
+    public void Validate_ConsentTier_MustBeKnown(string tier, FingerprintPayloadStatus expected)
+    {
+        var result = Validate($$"""{"v":7,"tier":"{{tier}}","webdriver":0}""");
+
+        Assert.Equal(expected, result.Status);
+    }
+
+    [Theory]
+    [InlineData("3-5", FingerprintPayloadStatus.Valid)]
+    [InlineData("Arial,Tahoma", FingerprintPayloadStatus.Rejected)]
+    public void Validate_FontProbe_OnlyAcceptsCountBuckets(string bucket, FingerprintPayloadStatus expected)
+    {
+        var result = Validate($$$"""{"v":8,"fonts":{"n":"{{{bucket}}}","emoji":1,"hash":"ab12"}}""");
+
+        Assert.Equal(expected, result.Status);
+    }
+
+    [Theory]
+    [InlineData("12-25", "early", FingerprintPayloadStatus.Valid)]
+    [InlineData("16.7", "<2", FingerprintPayloadStatus.Rejected)]
+    [InlineData("none", "-3.2", FingerprintPayloadStatus.Rejected)]
+    public void Validate_TimingProbe_OnlyAcceptsBuckets(string raf, string drift, FingerprintPayloadStatus expected)
+    {
+        var result = Validate($$$"""{"v":9,"timing":{"raf":"{{{raf}}}","res":"<0.2","canvas":"2-8","drift":"{{{drift}}}","iso":0}}""");
+
+        Assert.Equal(expected, result.Status);
+    }
+
+    [Fact]
+    public void Validate_ErrorReportWithDiagnostics_IsValid()
+    {
+        var result = Validate(
+            """{"v":10,"error":"boom","diag":{"ms":{"device":3},"skip":["audio"],"to":[],"stage":"core","tx":"xhr-fallback","bytes":56}}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Valid, result.Status);
+    }
+
+    [Fact]
+    public void Validate_FetchTransport_IsValidFromV11()
+    {
+        var result = Validate("""{"v":11,"diag":{"ms":{"total":120},"tx":"fetch","bytes":900}}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Valid, result.Status);
+    }
+
+    [Fact]
+    public void Validate_DiagnosticsWithUnknownProbe_IsRejected()
+    {
+        var result = Validate("""{"v":10,"diag":{"ms":{"keylogger":3},"to":["keylogger"]}}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+        Assert.Contains(result.Errors, e => e.StartsWith("$.diag.ms.keylogger"));
+        Assert.Contains(result.Errors, e => e.StartsWith("$.diag.to[0]"));
+    }
+
+    [Fact]
+    public void Validate_OverlongString_IsRejected()
+    {
+        var result = Validate($$"""{"v":1,"tz":"{{new string('x', 500)}}"}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+    }
+
+    [Fact]
+    public void Validate_NewerVersion_IsDowngradedAndIgnoresUnknownSignals()
+    {
+        var newer = BotDetectionScript.PayloadVersion + 1;
+
+        var result = Validate($$"""{"v":{{newer}},"futureSignal":{"x":1},"cores":4}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Downgraded, result.Status);
+        Assert.Equal(newer, result.Version);
+    }
+
+    [Fact]
+    public void Validate_NewerVersion_StillTypeChecksKnownSignals()
+    {
+        var newer = BotDetectionScript.PayloadVersion + 1;
+
+        var result = Validate($$"""{"v":{{newer}},"webdriver":"yes"}""");
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+    }
+
+    [Fact]
+    public void Validate_NewerVersion_RejectedWhenConfigured()
+    {
+        var newer = BotDetectionScript.PayloadVersion + 1;
+
+        var result = Validate($$"""{"v":{{newer}}}""", rejectUnknownVersions: true);
+
+        Assert.Equal(FingerprintPayloadStatus.Rejected, result.Status);
+    }
+}
@@ -0,0 +1,70 @@
+using System.Text.Json;
+using Mostlylucid.BotDetection.ClientSide;
+using Mostlylucid.BotDetection.Models;
+using Mostlylucid.BotDetection.Orchestration;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class FingerprintVerdictTests
+{
+    private readonly ClientSideOptions _options = new();
+
+    [Fact]
+    public void From_CleanBrowser_IsLowRiskAllow()
+    {
+        var verdict = FingerprintVerdict.From(new BrowserFingerprintResult
+        {
+            HeadlessLikelihood = 0.05,
+            BrowserIntegrityScore = 100,
+            FingerprintConsistencyScore = 100
+        }, _options);
+
+        Assert.Equal(RiskBand.Low, verdict.Risk);
+        Assert.Equal(RecommendedAction.Allow, verdict.Action);
+        Assert.Equal(0, verdict.Probability);
+    }
+
+    [Fact]
+    public void From_HeadlessWithLowIntegrity_IsHighRiskBlock()
+    {
+        var verdict = FingerprintVerdict.From(new BrowserFingerprintResult
+        {
+            IsHeadless = true,
+            HeadlessLikelihood = 0.95,
+            BrowserIntegrityScore = 40,
+            FingerprintConsistencyScore = 100,
+            DetectedAutomation = "Puppeteer"
+        }, _options);
+
+        Assert.Equal(RiskBand.High, verdict.Risk);
+        Assert.Equal(RecommendedAction.Block, verdict.Action);
+        Assert.Equal(0.91, verdict.Probability);
+        Assert.True(verdict.Headless);
+        Assert.Equal("Puppeteer", verdict.Automation);
+    }
+
+    [Fact]
+    public void From_BorderlineFingerprint_IsElevatedThrottle()
+    {
+        var verdict = FingerprintVerdict.From(new BrowserFingerprintResult
+        {
+            HeadlessLikelihood = 0.6,
+            BrowserIntegrityScore = 70,
+            FingerprintConsistencyScore = 60
+        }, _options);
+
+        Assert.Equal(RiskBand.Elevated, verdict.Risk);
+        Assert.Equal(RecommendedAction.Throttle, verdict.Action);
+    }
+
+    [Fact]
+    public void Serialize_WritesBandAndActionAsNames()
+    {
+        var json = JsonSerializer.Serialize(
+            new FingerprintVerdict { Risk = RiskBand.Medium, Action = RecommendedAction.Challenge },
+            new JsonSerializerOptions(JsonSerializerDefaults.Web));
+
+        Assert.Contains("\"risk\":\"Medium\"", json);
+        Assert.Contains("\"action\":\"Challenge\"", json);
+    }
+}
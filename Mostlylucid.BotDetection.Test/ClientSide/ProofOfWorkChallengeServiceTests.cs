@@ -0,0 +1,215 @@
+using System.Net;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using Mostlylucid.BotDetection.ClientSide;
+using Mostlylucid.BotDetection.Middleware;
+using Mostlylucid.BotDetection.Models;
+
+namespace Mostlylucid.BotDetection.Test.ClientSide;
+
+public class ProofOfWorkChallengeServiceTests
+{
+    private readonly ProofOfWorkChallengeService _service;
+    private readonly BrowserTokenService _tokenService;
+
+    public ProofOfWorkChallengeServiceTests()
+    {
+        // Low difficulty keeps brute-forcing in tests cheap
+        var options = Options.Create(new BotDetectionOptions
+        {
+            ClientSide = new ClientSideOptions
+            {
+                Enabled = true,
+                TokenSecret = "test-secret-that-is-long-enough",
+                ProofOfWork = new ProofOfWorkOptions { Enabled = true, MinDifficulty = 4, MaxDifficulty = 8 }
+            }
+        });
+        var cache = new MemoryCache(new MemoryCacheOptions());
+
+        _tokenService = new BrowserTokenService(options, NullLogger<BrowserTokenService>.Instance, cache);
+        _service = new ProofOfWorkChallengeService(options, _tokenService, cache,
+            NullLogger<ProofOfWorkChallengeService>.Instance);
+    }
+
+    private static HttpContext CreateContext(double? risk, string ip = "203.0.113.7")
+    {
+        var context = new DefaultHttpContext();
+        context.Connection.RemoteIpAddress = IPAddress.Parse(ip);
+        if (risk.HasValue)
+            context.Items[BotDetectionMiddleware.BotDetectionResultKey] =
+                new BotDetectionResult { ConfidenceScore = risk.Value, IsBot = risk.Value >= 0.5 };
+        return context;
+    }
+
+    private static long Solve(ProofOfWorkChallenge challenge)
+    {
+        for (long nonce = 0;; nonce++)
+        {
+            var hash = SHA256.HashData(Encoding.UTF8.GetBytes($"{challenge.Challenge}:{nonce}"));
+            var bits = 0;
+            foreach (var b in hash)
+            {
+                if (b == 0)
+                {
+                    bits += 8;
+                    continue;
+                }
+
+                bits += byte.LeadingZeroCount(b);
+                break;
+            }
+
+            if (bits >= challenge.Difficulty) return nonce;
+        }
+    }
+
+    private (HttpContext, string, ProofOfWorkChallenge) IssueChallenge(double risk = 0.6)
+    {
+        var context = CreateContext(risk);
+        var token = _tokenService.GenerateToken(context);
+        var challenge = _service.CreateChallenge(context, token);
+        Assert.NotNull(challenge);
+        return (context, token, challenge);
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData(0.1)]
+    [InlineData(0.95)]
+    public void CreateChallenge_NotBorderline_ReturnsNull(double? risk)
+    {
+        var context = CreateContext(risk);
+        var token = _tokenService.GenerateToken(context);
+
+        Assert.Null(_service.CreateChallenge(context, token));
+    }
+
+    [Fact]
+    public void CreateChallenge_DifficultyScalesWithRisk()
+    {
+        var (_, _, low) = IssueChallenge(0.4);
+        var (_, _, high) = IssueChallenge(0.85);
+
+        Assert.Equal(4, low.Difficulty);
+        Assert.Equal(8, high.Difficulty);
+    }
+
+    [Fact]
+    public void Verify_ValidSolution_RecordsPass()
+    {
+        var (context, token, challenge) = IssueChallenge();
+
+        // Token already spent on the fingerprint - the solution must still bind to it
+        Assert.NotNull(_tokenService.ValidateToken(context, token));
+
+        var pass = _service.Verify(context, token, new ProofOfWorkSolution
+        {
+            Challenge = challenge.Challenge,
+            Difficulty = challenge.Difficulty,
+            Nonce = Solve(challenge)
+        });
+
+        Assert.NotNull(pass);
+        Assert.Equal(challenge.Difficulty, pass.Difficulty);
+        Assert.NotNull(_service.GetPass(_tokenService.ReadToken(context, token)!.IpHash));
+    }
+
+    [Fact]
+    public void CreateChallenge_AfterPass_ReturnsNull()
+    {
+        var (context, token, challenge) = IssueChallenge();
+        _service.Verify(context, token, new ProofOfWorkSolution
+        {
+            Challenge = challenge.Challenge,
+            Difficulty = challenge.Difficulty,
+            Nonce = Solve(challenge)
+        });
+
+        var next = _tokenService.GenerateToken(context);
+
+        Assert.Null(_service.CreateChallenge(context, next));
+    }
+
+    [Fact]
+    public void Verify_WrongNonce_IsRejected()
+    {
+        var (context, token, challenge) = IssueChallenge(0.85);
+        var nonce = Solve(challenge);
+
+        // The nonce before the first solution can't be a solution
+        var pass = _service.Verify(context, token, new ProofOfWorkSolution
+        {
+            Challenge = challenge.Challenge,
+            Difficulty = challenge.Difficulty,
+            Nonce = nonce == 0 ? -1 : nonce - 1
+        });
+
+        Assert.Null(pass);
+    }
+
+    [Fact]
+    public void Verify_LoweredDifficulty_IsRejected()
+    {
+        var (context, token, challenge) = IssueChallenge(0.85);
+        var easier = challenge with { Difficulty = 4 };
+
+        var pass = _service.Verify(context, token, new ProofOfWorkSolution
+        {
+            Challenge = challenge.Challenge,
+            Difficulty = easier.Difficulty,
+            Nonce = Solve(easier)
+        });
+
+        Assert.Null(pass);
+    }
+
+    [Fact]
+    public void Verify_ChallengeFromAnotherToken_IsRejected()
+    {
+        var (context, _, challenge) = IssueChallenge();
+        var otherToken = _tokenService.GenerateToken(context);
+
+        var pass = _service.Verify(context, otherToken, new ProofOfWorkSolution
+        {
+            Challenge = challenge.Challenge,
+            Difficulty = challenge.Difficulty,
+            Nonce = Solve(challenge)
+        });
+
+        Assert.Null(pass);
+    }
+
+    [Fact]
+    public void Verify_DifferentIp_IsRejected()
+    {
+        var (_, token, challenge) = IssueChallenge();
+
+        var pass = _service.Verify(CreateContext(0.6, "198.51.100.1"), token, new ProofOfWorkSolution
+        {
+            Challenge = challenge.Challenge,
+            Difficulty = challenge.Difficulty,
+            Nonce = Solve(challenge)
+        });
+
+        Assert.Null(pass);
+    }
+
+    [Fact]
+    public void Verify_Replay_IsRejected()
+    {
+        var (context, token, challenge) = IssueChallenge();
+        var solution = new ProofOfWorkSolution
+        {
+            Challenge = challenge.Challenge,
+            Difficulty = challenge.Difficulty,
+            Nonce = Solve(challenge)
+        };
+
+        Assert.NotNull(_service.Verify(context, token, solution));
+        Assert.Null(_service.Verify(context, token, solution));
+    }
+}
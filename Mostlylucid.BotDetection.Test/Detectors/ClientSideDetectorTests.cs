@@ -103,6 +103,95 @@ public class ClientSideDetectorTests
         Assert.True(result == null || result.Confidence < 0.5);
     }
 
+    [Fact]
+    public async Task DetectAsync_PassedProofOfWork_ReducesConfidence()
+    {
+        // Arrange
+        var options = Options.Create(new BotDetectionOptions { ClientSide = new ClientSideOptions { Enabled = true } });
+        var store = new Mock<IBrowserFingerprintStore>();
+        store.Setup(s => s.Get(It.IsAny<string>())).Returns(new BrowserFingerprintResult
+        {
+            BrowserIntegrityScore = 60,
+            FingerprintConsistencyScore = 100
+        });
+        var challenges = new Mock<IProofOfWorkChallengeService>();
+        challenges.Setup(c => c.GetPass(It.IsAny<string>())).Returns(new ProofOfWorkPass { Difficulty = 16 });
+
+        var withoutPass = new ClientSideDetector(NullLogger<ClientSideDetector>.Instance, options, store.Object);
+        var withPass = new ClientSideDetector(NullLogger<ClientSideDetector>.Instance, options, store.Object,
+            challenges: challenges.Object);
+
+        // Act
+        var baseline = await withoutPass.DetectAsync(_context);
+        var result = await withPass.DetectAsync(_context);
+
+        // Assert
+        Assert.True(result.Confidence < baseline.Confidence);
+        Assert.Contains(result.Reasons, r => r.Detail.Contains("Proof-of-work") && r.ConfidenceImpact < 0);
+    }
+
+    [Fact]
+    public async Task DetectAsync_PassedProofOfWorkWithoutFingerprint_ContributesHumanSignal()
+    {
+        // Arrange
+        var options = Options.Create(new BotDetectionOptions { ClientSide = new ClientSideOptions { Enabled = true } });
+        var challenges = new Mock<IProofOfWorkChallengeService>();
+        challenges.Setup(c => c.GetPass(It.IsAny<string>())).Returns(new ProofOfWorkPass { Difficulty = 16 });
+        var detector = new ClientSideDetector(NullLogger<ClientSideDetector>.Instance, options,
+            new Mock<IBrowserFingerprintStore>().Object, challenges: challenges.Object);
+
+        // Act
+        var result = await detector.DetectAsync(_context);
+
+        // Assert
+        var reason = Assert.Single(result.Reasons);
+        Assert.True(reason.ConfidenceImpact < 0);
+        Assert.Equal(0, result.Confidence);
+    }
+
+    [Fact]
+    public async Task DetectAsync_TrapHitWithoutFingerprint_FlagsScraper()
+    {
+        // Arrange
+        var options = Options.Create(new BotDetectionOptions
+        {
+            ClientSide = new ClientSideOptions { Enabled = true, Traps = new BotTrapOptions { Enabled = true } }
+        });
+        var store = new Mock<IBrowserFingerprintStore>();
+        store.Setup(s => s.GetTrapRecord(It.IsAny<string>())).Returns(new BrowserTrapRecord
+        {
+            Hits = 1,
+            LastHit = new BrowserTrapHit { Kind = BrowserTrapHit.LinkKind }
+        });
+        var detector = new ClientSideDetector(NullLogger<ClientSideDetector>.Instance, options, store.Object);
+
+        // Act
+        var result = await detector.DetectAsync(_context);
+
+        // Assert
+        var reason = Assert.Single(result.Reasons);
+        Assert.Contains("crawler followed hidden link", reason.Detail);
+        Assert.Equal(0.9, result.Confidence, 3);
+        Assert.Equal(BotType.Scraper, result.BotType);
+    }
+
+    [Fact]
+    public async Task DetectAsync_TrapsDisabled_IgnoresRecordedHits()
+    {
+        // Arrange
+        var options = Options.Create(new BotDetectionOptions { ClientSide = new ClientSideOptions { Enabled = true } });
+        var store = new Mock<IBrowserFingerprintStore>();
+        store.Setup(s => s.GetTrapRecord(It.IsAny<string>())).Returns(new BrowserTrapRecord { Hits = 1 });
+        var detector = new ClientSideDetector(NullLogger<ClientSideDetector>.Instance, options, store.Object);
+
+        // Act
+        var result = await detector.DetectAsync(_context);
+
+        // Assert
+        Assert.Equal(0, result.Confidence);
+        Assert.DoesNotContain(result.Reasons, r => r.Detail.Contains("Bot trap"));
+    }
+
     [Fact]
     public void Name_ReturnsCorrectIdentifier()
     {
@@ -1,6 +1,7 @@
 using System.Text.Json;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Http;
+using Mostlylucid.BotDetection.ClientSide;
 using Mostlylucid.BotDetection.UI.Configuration;
 using Mostlylucid.BotDetection.UI.Models;
 using Mostlylucid.BotDetection.UI.Services;
@@ -13,6 +14,9 @@ namespace Mostlylucid.BotDetection.UI.Middleware;
 /// </summary>
 public class StyloBotDashboardMiddleware
 {
+    // camelCase, like the SignalR payloads the page already consumes
+    private static readonly JsonSerializerOptions WebJsonOptions = new(JsonSerializerDefaults.Web);
+
     private readonly IDashboardEventStore _eventStore;
     private readonly RequestDelegate _next;
     private readonly StyloBotDashboardOptions _options;
@@ -77,6 +81,10 @@ public class StyloBotDashboardMiddleware
                 await ServeExportApiAsync(context);
                 break;
 
+            case "api/collection":
+                await ServeCollectionApiAsync(context);
+                break;
+
             default:
                 // Static assets are served by static files middleware
                 await _next(context);
@@ -170,6 +178,17 @@ public class StyloBotDashboardMiddleware
         await JsonSerializer.SerializeAsync(context.Response.Body, timeSeries);
     }
 
+    private static async Task ServeCollectionApiAsync(HttpContext context)
+    {
+        // Fingerprint collection health by browser family; empty when client-side detection isn't registered
+        var stats = context.RequestServices.GetService(typeof(IFingerprintCollectionStats))
+            as IFingerprintCollectionStats;
+        var families = stats?.GetSnapshot() ?? [];
+
+        context.Response.ContentType = "application/json";
+        await JsonSerializer.SerializeAsync(context.Response.Body, families, WebJsonOptions);
+    }
+
     private async Task ServeExportApiAsync(HttpContext context)
     {
         var format = context.Request.Query["format"].FirstOrDefault() ?? "json";
@@ -421,6 +440,46 @@ internal static class DashboardHtmlTemplate
             </div>
         </div>
 
+        <!-- Fingerprint Collection Health -->
+        <div class=""card bg-base-200 shadow-lg mb-6"">
+            <div class=""card-body"">
+                <h2 class=""card-title"">Fingerprint Collection</h2>
+                <p class=""text-sm opacity-70"" x-show=""collection.length === 0"">No fingerprint submissions yet.</p>
+                <table class=""table table-sm"" x-show=""collection.length > 0"">
+                    <thead>
+                        <tr>
+                            <th>Browser</th>
+                            <th>Submissions</th>
+                            <th>Complete</th>
+                            <th>Timed out</th>
+                            <th>Errors</th>
+                            <th>Rejected</th>
+                            <th>Beacon fallbacks</th>
+                            <th>Avg collect</th>
+                            <th>Avg payload</th>
+                            <th>Slowest probes</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <template x-for=""row in collection"" :key=""row.family"">
+                            <tr>
+                                <td x-text=""row.family""></td>
+                                <td x-text=""row.submissions""></td>
+                                <td x-text=""row.complete""></td>
+                                <td :class=""{{ 'text-warning': row.timedOut > 0 }}"" x-text=""row.timedOut""></td>
+                                <td :class=""{{ 'text-error': row.errors > 0 }}"" x-text=""row.errors""></td>
+                                <td x-text=""row.rejected""></td>
+                                <td x-text=""row.beaconFallbacks""></td>
+                                <td x-text=""row.averageCollectionMs + ' ms'""></td>
+                                <td x-text=""Math.round(row.averagePayloadBytes) + ' B'""></td>
+                                <td class=""font-mono text-xs"" x-text=""Object.entries(row.timedOutProbes).map(([p, n]) => p + ' ' + n).join(', ')""></td>
+                            </tr>
+                        </template>
+                    </tbody>
+                </table>
+            </div>
+        </div>
+
         <!-- Detections Grid -->
         <div class=""card bg-base-200 shadow-lg"">
             <div class=""card-body"">
@@ -445,6 +504,7 @@ internal static class DashboardHtmlTemplate
                 }},
                 signatures: [],
                 detections: [],
+                collection: [],
                 filters: {{
                     timeRange: '24h',
                     riskBand: '',
@@ -481,6 +541,7 @@ internal static class DashboardHtmlTemplate
                     this.connection.on('BroadcastSummary', (summary) => {{
                         this.summary = summary;
                         this.updateCharts();
+                        this.loadCollection();
                     }});
 
                     this.connection.start()
@@ -547,9 +608,15 @@ internal static class DashboardHtmlTemplate
                     const signatures = await fetch('{options.BasePath}/api/signatures?limit=50').then(r => r.json());
                     this.signatures = signatures;
 
+                    await this.loadCollection();
+
                     this.updateCharts();
                 }},
 
+                async loadCollection() {{
+                    this.collection = await fetch('{options.BasePath}/api/collection').then(r => r.json());
+                }},
+
                 updateCharts() {{
                     // Update pie chart
                     this.classificationChart.setOption({{
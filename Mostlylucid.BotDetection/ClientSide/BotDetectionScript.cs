@@ -0,0 +1,215 @@
+using System.IO.Hashing;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Mostlylucid.BotDetection.Models;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Script version and metadata.
+///     The script source is the embedded <c>ClientSide/botdetection.js</c> - the single copy served
+///     both inline by <see cref="BotDetectionTagHelper" /> and as an external resource.
+/// </summary>
+public static class BotDetectionScript
+{
+    /// <summary>
+    ///     Script version. Must match <c>MLBotD.version</c> in botdetection.js.
+    /// </summary>
+    public const string Version = "1.17.0";
+
+    /// <summary>
+    ///     Payload contract version the script stamps as <c>v</c>. Must match <c>MLBotD.payloadVersion</c>
+    ///     and be bumped together with <c>fingerprint-payload.schema.json</c>.
+    /// </summary>
+    public const int PayloadVersion = 11;
+
+    /// <summary>
+    ///     Rule version the script reports (<c>rv</c>) when it scores with its built-in table.
+    /// </summary>
+    public const string BuiltInRuleVersion = "builtin";
+
+    /// <summary>
+    ///     Element id of the JSON config block the script reads its settings from when a page
+    ///     includes it without the bootstrap (hand-written markup).
+    /// </summary>
+    public const string ConfigElementId = "mlbotd-config";
+
+    /// <summary>
+    ///     Global array of <c>[name, ...args]</c> calls the script replays when it loads, so a bootstrap
+    ///     placed before a deferred or async script can still call <c>MLBotD.init</c>.
+    /// </summary>
+    public const string QueueName = "MLBotDQueue";
+
+    private const string ResourceName = "Mostlylucid.BotDetection.ClientSide.botdetection.js";
+
+    private static readonly Lazy<string> _source = new(LoadSource);
+    private static readonly Lazy<string> _etag = new(() =>
+        $"\"{Convert.ToHexString(XxHash64.Hash(Encoding.UTF8.GetBytes(_source.Value))).ToLowerInvariant()}\"");
+
+    /// <summary>
+    ///     The fingerprint script source.
+    /// </summary>
+    public static string Source => _source.Value;
+
+    /// <summary>
+    ///     Strong ETag for the script source, used for HTTP caching of the external resource.
+    /// </summary>
+    public static string ETag => _etag.Value;
+
+    /// <summary>
+    ///     Builds the script settings as JSON - the argument of <c>MLBotD.init</c> in the bootstrap
+    ///     (<see cref="BuildBootstrap" />), or the body of a hand-written config block.
+    ///     System.Text.Json escapes &lt;, &gt; and &amp; by default, so the output is safe to embed in HTML.
+    /// </summary>
+    /// <param name="token">Signed browser token for the page.</param>
+    /// <param name="endpoint">Fingerprint endpoint path.</param>
+    /// <param name="options">Client-side options.</param>
+    /// <param name="challenge">Proof-of-work challenge for the script to solve, if any.</param>
+    /// <param name="nonce">Page nonce the script signs its submission with (sealed with <see cref="Seal" />).</param>
+    public static string BuildConfigJson(
+        string token,
+        string endpoint,
+        ClientSideOptions options,
+        ProofOfWorkChallenge? challenge = null,
+        string? nonce = null)
+    {
+        return JsonSerializer.Serialize(new
+        {
+            version = Version,
+            token,
+            seal = nonce == null ? null : Seal(nonce),
+            endpoint,
+            collectWebGL = options.CollectWebGL,
+            collectCanvas = options.CollectCanvas,
+            collectAudio = options.CollectAudio,
+            collectFonts = options.CollectFonts,
+            collectTiming = options.CollectTiming,
+            collectInteraction = options.CollectInteraction,
+            collectBehavior = options.CollectBehavior,
+            behaviorWindowMs = options.BehaviorWindowMs,
+            checkConsistency = options.CheckConsistency,
+            compareContexts = options.CompareContexts,
+            collectClientHints = options.CollectClientHints,
+            heartbeatMs = options.HeartbeatIntervalMs,
+            trackNavigation = options.TrackNavigation,
+            heartbeatEndpoint = options.HeartbeatEndpoint,
+            timeout = options.CollectionTimeoutMs,
+            verdict = options.ReturnVerdict,
+            scoring = BuildScoring(options.Scoring),
+            consent = BuildConsent(options.Consent),
+            traps = BuildTraps(options.Traps),
+            pow = challenge == null
+                ? null
+                : new
+                {
+                    challenge = challenge.Challenge,
+                    difficulty = challenge.Difficulty,
+                    endpoint = options.ProofOfWork.Endpoint
+                }
+        });
+    }
+
+    /// <summary>
+    ///     Builds the inline bootstrap that queues <c>MLBotD.init(config)</c> with the output of
+    ///     <see cref="BuildConfigJson" />. The JSON is HTML-safe (see there), so it can't close the
+    ///     enclosing script element.
+    /// </summary>
+    public static string BuildBootstrap(string configJson)
+    {
+        return $"(window.{QueueName}=window.{QueueName}||[]).push([\"init\",{configJson}]);";
+    }
+
+    /// <summary>
+    ///     Masks a page nonce for the config block: XOR with the first 16 bytes of
+    ///     SHA-256("MLBotD-seal|" + <see cref="Version" />), which the script reverses.
+    ///     Not encryption - it keeps the key out of the page in plain form and rotates with every release.
+    /// </summary>
+    public static string Seal(string nonce)
+    {
+        var mask = SHA256.HashData(Encoding.UTF8.GetBytes($"MLBotD-seal|{Version}"));
+        var bytes = Convert.FromHexString(nonce);
+        for (var i = 0; i < bytes.Length && i < mask.Length; i++) bytes[i] ^= mask[i];
+        return Convert.ToHexString(bytes).ToLowerInvariant();
+    }
+
+    /// <summary>
+    ///     Rule version the script will report for these scoring options:
+    ///     the configured <see cref="ClientScoringOptions.Version" />, a hash of the rule overrides,
+    ///     or <see cref="BuiltInRuleVersion" /> when there are none.
+    /// </summary>
+    public static string GetRuleVersion(ClientScoringOptions scoring)
+    {
+        if (!string.IsNullOrEmpty(scoring.Version)) return scoring.Version;
+        if (scoring.Rules.Count == 0) return BuiltInRuleVersion;
+
+        var rules = JsonSerializer.Serialize(scoring.Rules.OrderBy(r => r.Key, StringComparer.Ordinal));
+        return "cfg-" + Convert.ToHexString(XxHash64.Hash(Encoding.UTF8.GetBytes(rules)), 0, 4).ToLowerInvariant();
+    }
+
+    private static object? BuildScoring(ClientScoringOptions scoring)
+    {
+        if (scoring.Rules.Count == 0 && string.IsNullOrEmpty(scoring.Version)) return null;
+
+        return new
+        {
+            version = GetRuleVersion(scoring),
+            rules = scoring.Rules.Select(r => new
+            {
+                id = r.Key,
+                weight = r.Value.Weight,
+                enabled = r.Value.Enabled,
+                field = r.Value.Field,
+                op = r.Value.Op,
+                value = r.Value.Value
+            })
+        };
+    }
+
+    /// <summary>
+    ///     Name of a consent tier as it appears in the config block and the payload (<c>tier</c>).
+    /// </summary>
+    public static string GetTierName(FingerprintConsentTier tier)
+    {
+        return tier.ToString().ToLowerInvariant();
+    }
+
+    private static object? BuildConsent(FingerprintConsentOptions consent)
+    {
+        if (!consent.Enabled) return null;
+
+        return new
+        {
+            tier = GetTierName(consent.DefaultTier),
+            callback = consent.Callback,
+            tcf = consent.UseTcf,
+            gpp = consent.UseGpp,
+            cookie = consent.CookieName,
+            timeout = consent.TimeoutMs
+        };
+    }
+
+    private static object? BuildTraps(BotTrapOptions traps)
+    {
+        if (!traps.Enabled) return null;
+
+        return new
+        {
+            endpoint = traps.Endpoint,
+            links = Math.Max(0, traps.Links),
+            fields = traps.Fields
+        };
+    }
+
+    private static string LoadSource()
+    {
+        var assembly = typeof(BotDetectionScript).Assembly;
+        using var stream = assembly.GetManifestResourceStream(ResourceName)
+                           ?? throw new InvalidOperationException(
+                               $"Embedded resource '{ResourceName}' not found in {assembly.GetName().Name}");
+        using var reader = new StreamReader(stream);
+
+        // Guard against the source terminating an inline <script> element early
+        return reader.ReadToEnd().Replace("</script", "<\\/script", StringComparison.OrdinalIgnoreCase);
+    }
+}
@@ -1,6 +1,8 @@
 using System.IO.Hashing;
 using System.Text;
+using System.Text.RegularExpressions;
 using Microsoft.Extensions.Logging;
+using Mostlylucid.BotDetection.Models;
 
 namespace Mostlylucid.BotDetection.ClientSide;
 
@@ -12,11 +14,26 @@ public interface IBrowserFingerprintAnalyzer
     /// <summary>
     ///     Analyzes fingerprint data and produces a result with scores and reasons.
     /// </summary>
-    BrowserFingerprintResult Analyze(BrowserFingerprintData data, string requestId);
+    /// <param name="data">The submitted fingerprint.</param>
+    /// <param name="requestId">Request id of the page token.</param>
+    /// <param name="headers">Headers of the submission, to check the payload's Client Hints against.</param>
+    BrowserFingerprintResult Analyze(BrowserFingerprintData data, string requestId, ClientHintHeaders? headers = null);
 }
 
-public class BrowserFingerprintAnalyzer : IBrowserFingerprintAnalyzer
+public partial class BrowserFingerprintAnalyzer : IBrowserFingerprintAnalyzer
 {
+    // Lie-detection reasons reported by the script in scoreReasons
+    private static readonly Dictionary<string, string> LieDescriptions = new()
+    {
+        ["lie-platform"] = "navigator.platform contradicts the user agent",
+        ["lie-client-hints"] = "Client Hints platform contradicts the user agent",
+        ["lie-screen"] = "Screen size differs from the media query device size",
+        ["lie-webgl"] = "WebGL renderer doesn't match the user agent's OS",
+        ["lie-timezone"] = "Intl time zone doesn't match the Date offset",
+        ["lie-cores"] = "Claimed CPU cores don't run in parallel",
+        ["lie-navigator"] = "navigator properties overridden with non-native getters"
+    };
+
     private readonly ILogger<BrowserFingerprintAnalyzer> _logger;
 
     public BrowserFingerprintAnalyzer(ILogger<BrowserFingerprintAnalyzer> logger)
@@ -24,12 +41,18 @@ public class BrowserFingerprintAnalyzer : IBrowserFingerprintAnalyzer
         _logger = logger;
     }
 
-    public BrowserFingerprintResult Analyze(BrowserFingerprintData data, string requestId)
+    public BrowserFingerprintResult Analyze(BrowserFingerprintData data, string requestId,
+        ClientHintHeaders? headers = null)
     {
         var result = new BrowserFingerprintResult
         {
             RequestId = requestId,
-            ProcessedAt = DateTimeOffset.UtcNow
+            ProcessedAt = DateTimeOffset.UtcNow,
+            PayloadVersion = data.PayloadVersion,
+            ScriptVersion = data.ScriptVersion,
+            ClientScore = data.ClientScore,
+            ClientRuleVersion = data.RuleVersion,
+            ConsentTier = ParseTier(data.ConsentTier)
         };
 
         // Handle error case
@@ -147,17 +170,74 @@ public class BrowserFingerprintAnalyzer : IBrowserFingerprintAnalyzer
         // Check platform vs other signals
         var platformLower = data.Platform?.ToLowerInvariant() ?? "";
 
-        // No hardware concurrency (uncommon for real browsers)
-        if (data.HardwareConcurrency == 0)
+        // At the essential consent tier device signals are never read - missing isn't suspicious
+        if (result.ConsentTier != FingerprintConsentTier.Essential)
         {
-            headlessScore += 0.1;
-            integrityDeductions += 10;
-            reasons.Add("Hardware concurrency not reported");
+            // No hardware concurrency (uncommon for real browsers)
+            if (data.HardwareConcurrency == 0)
+            {
+                headlessScore += 0.1;
+                integrityDeductions += 10;
+                reasons.Add("Hardware concurrency not reported");
+            }
+
+            // No device memory (older API but still an indicator)
+            if (data.DeviceMemory == 0 && !platformLower.Contains("iphone") && !platformLower.Contains("ipad"))
+                integrityDeductions += 5;
         }
 
-        // No device memory (older API but still an indicator)
-        if (data.DeviceMemory == 0 && !platformLower.Contains("iphone") && !platformLower.Contains("ipad"))
-            integrityDeductions += 5;
+        // ===== Cross-Signal Consistency (lie detection, reported by the script) =====
+        if (!string.IsNullOrEmpty(data.ClientScoreReasons))
+            foreach (var lie in data.ClientScoreReasons.Split(',').Distinct())
+            {
+                if (!LieDescriptions.TryGetValue(lie, out var description)) continue;
+
+                // Overriding navigator getters is deliberate tampering, not a quirk
+                headlessScore += lie == "lie-navigator" ? 0.3 : 0.15;
+                integrityDeductions += 15;
+                reasons.Add(description);
+            }
+
+        // ===== Context Comparison (iframe / Worker) =====
+        // Stealth plugins patch the page's globals; fresh contexts show the real values
+        if (data.Contexts != null)
+        {
+            var patched = false;
+            if (!string.IsNullOrEmpty(data.Contexts.Iframe))
+            {
+                patched = true;
+                reasons.Add($"iframe context disagrees with page: {data.Contexts.Iframe}");
+            }
+
+            if (!string.IsNullOrEmpty(data.Contexts.Worker))
+            {
+                patched = true;
+                reasons.Add($"Worker context disagrees with page: {data.Contexts.Worker}");
+            }
+
+            if (patched)
+            {
+                headlessScore += 0.5;
+                integrityDeductions += 30;
+                result.DetectedAutomation ??= "Stealth (patched page context)";
+            }
+        }
+
+        // ===== UA Client Hints vs User-Agent / Sec-CH-UA headers =====
+        if (data.ClientHints != null)
+            AnalyzeClientHints(data.ClientHints, headers, result, reasons, ref headlessScore, ref integrityDeductions);
+
+        // ===== Font / Emoji Rendering (opt-in) =====
+        if (data.Fonts != null)
+            AnalyzeFonts(data, reasons, ref headlessScore, ref integrityDeductions);
+
+        // ===== Timing Probes (opt-in) =====
+        if (data.Timing != null)
+            AnalyzeTiming(data.Timing, reasons, ref headlessScore, ref integrityDeductions);
+
+        // ===== Behavioral Biometrics (opt-in) =====
+        if (data.Behavior != null)
+            AnalyzeBehavior(data, reasons, ref headlessScore, ref integrityDeductions);
 
         // ===== Generate Fingerprint Hash =====
         result.FingerprintHash = GenerateFingerprintHash(data);
@@ -166,18 +246,265 @@ public class BrowserFingerprintAnalyzer : IBrowserFingerprintAnalyzer
         result.HeadlessLikelihood = Math.Min(1.0, headlessScore);
         result.IsHeadless = result.HeadlessLikelihood >= 0.5;
         result.BrowserIntegrityScore = Math.Max(0, 100 - integrityDeductions);
-        result.FingerprintConsistencyScore = CalculateConsistencyScore(data);
+        result.FingerprintConsistencyScore = result.ConsentTier == FingerprintConsentTier.Essential
+            ? 100 // nothing to cross-check
+            : CalculateConsistencyScore(data);
         result.Reasons = reasons;
 
         _logger.LogDebug(
             "Fingerprint analysis: HeadlessLikelihood={Headless:F2}, IntegrityScore={Integrity}, " +
-            "ConsistencyScore={Consistency}, Automation={Automation}",
+            "ConsistencyScore={Consistency}, Automation={Automation}, ConsentTier={ConsentTier}",
             result.HeadlessLikelihood, result.BrowserIntegrityScore,
-            result.FingerprintConsistencyScore, result.DetectedAutomation ?? "none");
+            result.FingerprintConsistencyScore, result.DetectedAutomation ?? "none", result.ConsentTier);
 
         return result;
     }
 
+    private static void AnalyzeClientHints(
+        ClientHintsData hints,
+        ClientHintHeaders? headers,
+        BrowserFingerprintResult result,
+        List<string> reasons,
+        ref double headlessScore,
+        ref int integrityDeductions)
+    {
+        var brands = hints.Brands.Select(ParseBrand).ToList();
+
+        // Headless Chrome reports itself in the brand list even when the UA string is spoofed
+        if (brands.Any(b => b.Brand == "HeadlessChrome") ||
+            ClientHintHeaders.ParseBrandList(headers?.Brands).Any(b => b.Brand == "HeadlessChrome"))
+        {
+            headlessScore += 0.5;
+            integrityDeductions += 30;
+            reasons.Add("Client Hints brand is HeadlessChrome");
+            result.DetectedAutomation ??= "HeadlessChrome";
+        }
+
+        if (headers == null) return;
+
+        // The UA string must agree with the Chromium version the engine reports
+        if (!string.IsNullOrEmpty(headers.UserAgent))
+        {
+            var uaVersion = ChromiumVersionRegex().Match(headers.UserAgent);
+            var chromium = brands.FirstOrDefault(b => b.Brand == "Chromium");
+            if (!uaVersion.Success && brands.Count > 0)
+            {
+                headlessScore += 0.3;
+                integrityDeductions += 20;
+                reasons.Add("User agent claims a non-Chromium browser but Client Hints are present");
+            }
+            else if (uaVersion.Success && chromium.Brand != null &&
+                     uaVersion.Groups[1].Value != Major(chromium.Version))
+            {
+                headlessScore += 0.3;
+                integrityDeductions += 20;
+                reasons.Add(
+                    $"User agent Chrome/{uaVersion.Groups[1].Value} contradicts Client Hints Chromium {Major(chromium.Version)}");
+            }
+        }
+
+        // Headers are produced by the network stack and the JS values by the page; spoofing tools
+        // that patch one side leave the other untouched
+        var mismatched = new List<string>();
+        var headerBrands = ClientHintHeaders.ParseBrandList(headers.Brands);
+        if (headerBrands.Count > 0 && brands.Count > 0 &&
+            !BrandSet(headerBrands, true).SetEquals(BrandSet(brands, true)))
+            mismatched.Add("brands");
+
+        var fullVersions = ClientHintHeaders.ParseBrandList(headers.FullVersionList);
+        if (fullVersions.Count > 0 && brands.Count > 0 &&
+            !BrandSet(fullVersions, false).SetEquals(BrandSet(brands, false)))
+            mismatched.Add("full versions");
+
+        if (headers.Mobile != null && (headers.Mobile == "?1") != hints.Mobile)
+            mismatched.Add("mobile");
+
+        if (Differs(headers.Platform, hints.Platform)) mismatched.Add("platform");
+        if (Differs(headers.PlatformVersion, hints.PlatformVersion)) mismatched.Add("platform version");
+        if (Differs(headers.Architecture, hints.Architecture)) mismatched.Add("architecture");
+        if (Differs(headers.Bitness, hints.Bitness)) mismatched.Add("bitness");
+        if (Differs(headers.Model, hints.Model)) mismatched.Add("model");
+
+        if (mismatched.Count > 0)
+        {
+            headlessScore += 0.3;
+            integrityDeductions += 20;
+            reasons.Add($"Sec-CH-UA headers contradict navigator.userAgentData: {string.Join(", ", mismatched)}");
+        }
+    }
+
+    private static void AnalyzeFonts(
+        BrowserFingerprintData data,
+        List<string> reasons,
+        ref double headlessScore,
+        ref int integrityDeductions)
+    {
+        // Desktop Windows and macOS ship most of the probed fonts and a colour emoji font;
+        // a bare Docker image has a handful of fonts (often just DejaVu) and no colour emoji
+        var platform = data.Platform ?? "";
+        var hintPlatform = data.ClientHints?.Platform ?? "";
+        var os = platform.StartsWith("Win", StringComparison.Ordinal) || hintPlatform == "Windows" ? "Windows"
+            : platform.StartsWith("Mac", StringComparison.Ordinal) || hintPlatform == "macOS" ? "macOS"
+            : null;
+        if (os == null) return;
+
+        var fonts = data.Fonts!;
+        var findings = new List<string>();
+        if (fonts.CountBucket is "0" or "1-2") findings.Add($"{fonts.CountBucket} of 20 common fonts");
+        if (!fonts.ColourEmoji) findings.Add("no colour emoji");
+        if (findings.Count == 0) return;
+
+        headlessScore += 0.15 * findings.Count;
+        integrityDeductions += 10 * findings.Count;
+        reasons.Add($"Claims {os} but renders like a bare container: {string.Join(", ", findings)}");
+    }
+
+    private static void AnalyzeTiming(
+        TimingProbeData timing,
+        List<string> reasons,
+        ref double headlessScore,
+        ref int integrityDeductions)
+    {
+        // The script only measures frames while the page reports itself visible; a visible page
+        // with no compositor (headless, virtual display without rendering) never gets a frame
+        if (timing.AnimationFrame == "none")
+        {
+            headlessScore += 0.3;
+            integrityDeductions += 20;
+            reasons.Add("Page reports visible but requestAnimationFrame never fired");
+        }
+        else if (timing.AnimationFrame == "50+")
+        {
+            headlessScore += 0.15;
+            integrityDeductions += 10;
+            reasons.Add("Animation frames throttled below 20fps on a visible page");
+        }
+
+        // Timers can run late on a busy page, but never early against a real clock -
+        // virtual time budgets and mocked clocks advance performance.now() out of step
+        if (timing.TimerDrift == "early")
+        {
+            headlessScore += 0.2;
+            integrityDeductions += 15;
+            reasons.Add("Timers fire before their deadline (virtual or mocked clock)");
+        }
+
+        // Resolution and canvas cost vary too much across real hardware and browser
+        // privacy settings to score alone - they are kept for correlation
+    }
+
+    private static FingerprintConsentTier ParseTier(string? tier)
+    {
+        // Payloads before v7 had no consent gate and always collected everything
+        return tier switch
+        {
+            "essential" => FingerprintConsentTier.Essential,
+            "standard" => FingerprintConsentTier.Standard,
+            _ => FingerprintConsentTier.Full
+        };
+    }
+
+    private static (string Brand, string Version) ParseBrand(string entry)
+    {
+        var slash = entry.LastIndexOf('/');
+        return slash < 0 ? (entry, "") : (entry[..slash], entry[(slash + 1)..]);
+    }
+
+    private static string Major(string version)
+    {
+        var dot = version.IndexOf('.');
+        return dot < 0 ? version : version[..dot];
+    }
+
+    private static HashSet<string> BrandSet(IEnumerable<(string Brand, string Version)> brands, bool majorOnly)
+    {
+        return brands
+            .Where(b => !ClientHintHeaders.IsGrease(b.Brand))
+            .Select(b => $"{b.Brand}/{(majorOnly ? Major(b.Version) : b.Version)}")
+            .ToHashSet(StringComparer.Ordinal);
+    }
+
+    private static bool Differs(string? header, string? value)
+    {
+        // Only compare when both sides reported the hint
+        return header != null && value != null && ClientHintHeaders.Unquote(header) != value;
+    }
+
+    private static void AnalyzeBehavior(
+        BrowserFingerprintData data,
+        List<string> reasons,
+        ref double headlessScore,
+        ref int integrityDeductions)
+    {
+        var bio = data.Behavior!;
+
+        // Events created with dispatchEvent/new MouseEvent() are never trusted
+        if (bio.UntrustedEvents > 0)
+        {
+            headlessScore += 0.4;
+            integrityDeductions += 25;
+            reasons.Add($"Synthetic input events dispatched by script ({bio.UntrustedEvents})");
+        }
+
+        // Scripted mouse.move() interpolates a straight line at constant speed;
+        // human paths curve and accelerate/decelerate
+        if (bio.MouseMoves >= 10 && bio.MouseStraightRatio >= 0.9 && bio.MouseVelocityCv < 0.15)
+        {
+            headlessScore += 0.3;
+            integrityDeductions += 20;
+            reasons.Add("Mouse path is linear with constant velocity");
+        }
+
+        // element.click() / CDP clicks on a desktop pointer with no movement at all
+        if (bio.Clicks > 0 && bio.MouseMoves == 0 && bio.ClicksWithoutMove == bio.Clicks &&
+            data.PointerType == "fine")
+        {
+            headlessScore += 0.2;
+            integrityDeductions += 10;
+            reasons.Add("Clicks without any pointer movement");
+        }
+
+        // Humans settle on a target before pressing (typically 100ms+)
+        if (bio.Clicks > bio.ClicksWithoutMove && bio.ClickLatencyMs < 10)
+        {
+            headlessScore += 0.15;
+            integrityDeductions += 10;
+            reasons.Add($"Click fired {bio.ClickLatencyMs}ms after pointer arrived");
+        }
+
+        // page.type() without a delay sends keys a few ms apart
+        if (bio.Keystrokes >= 5 && bio.KeyIntervalBuckets.Length > 0 &&
+            bio.KeyIntervalBuckets[0] >= bio.Keystrokes * 0.8)
+        {
+            headlessScore += 0.2;
+            integrityDeductions += 15;
+            reasons.Add("Keystrokes arrive faster than human typing");
+        }
+
+        // Emulated touch reports identical pressure and contact area every time
+        if (bio.Touches >= 5 && bio.TouchForceVariance == 0 && bio.TouchAreaVariance == 0)
+        {
+            headlessScore += 0.15;
+            integrityDeductions += 10;
+            reasons.Add("Touch pressure and contact area never vary");
+        }
+
+        // window.scrollTo() loops: scrolling with no input that could have caused it
+        if (bio.ScrollBursts >= 3 && bio.WheelEvents == 0 && bio.Touches == 0 &&
+            bio.Keystrokes == 0 && bio.Clicks == 0)
+        {
+            headlessScore += 0.15;
+            integrityDeductions += 10;
+            reasons.Add("Page scrolled without wheel, touch or key input");
+        }
+        else if (bio.ScrollBursts >= 4 && bio.ScrollCv < 0.05)
+        {
+            headlessScore += 0.1;
+            integrityDeductions += 5;
+            reasons.Add("Scroll cadence is perfectly regular");
+        }
+    }
+
     private static string GenerateFingerprintHash(BrowserFingerprintData data)
     {
         // Create a stable hash from key fingerprint components
@@ -250,4 +577,7 @@ public class BrowserFingerprintAnalyzer : IBrowserFingerprintAnalyzer
 
         return Math.Max(0, score);
     }
-}
\ No newline at end of file
+
+    [GeneratedRegex(@"(?:Chrome|Chromium)/(\d+)")]
+    private static partial Regex ChromiumVersionRegex();
+}
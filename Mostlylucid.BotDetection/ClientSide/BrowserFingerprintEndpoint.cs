@@ -14,6 +14,8 @@ namespace Mostlylucid.BotDetection.ClientSide;
 /// </summary>
 public static class BrowserFingerprintEndpointExtensions
 {
+    private static readonly JsonSerializerOptions SerializerOptions = new() { PropertyNameCaseInsensitive = true };
+
     /// <summary>
     ///     Maps the browser fingerprint collection endpoint.
     ///     This endpoint receives fingerprint data from the client-side script.
@@ -31,48 +33,197 @@ public static class BrowserFingerprintEndpointExtensions
             .AllowAnonymous(); // Must be accessible to all users
     }
 
+    /// <summary>
+    ///     Maps the fingerprint script as a cacheable external resource.
+    ///     Only needed when the tag helper is used with <c>inline="false"</c>
+    ///     (or <see cref="ClientSideOptions.InlineScript" /> is false).
+    /// </summary>
+    /// <param name="endpoints">The endpoint route builder.</param>
+    /// <param name="path">The script path. Default: "/bot-detection/botdetection.js"</param>
+    /// <returns>The route handler builder for further configuration.</returns>
+    public static IEndpointConventionBuilder MapBotDetectionClientScript(
+        this IEndpointRouteBuilder endpoints,
+        string path = "/bot-detection/botdetection.js")
+    {
+        return endpoints.MapGet(path, HandleScript)
+            .WithName("BotDetectionClientScript")
+            .WithDisplayName("Bot Detection Client Script")
+            .AllowAnonymous();
+    }
+
+    /// <summary>
+    ///     Maps the proof-of-work solution endpoint.
+    ///     Only needed when <see cref="ProofOfWorkOptions.Enabled" /> is true; the path must match
+    ///     <see cref="ProofOfWorkOptions.Endpoint" />.
+    /// </summary>
+    /// <param name="endpoints">The endpoint route builder.</param>
+    /// <param name="path">The endpoint path. Default: "/bot-detection/challenge"</param>
+    /// <returns>The route handler builder for further configuration.</returns>
+    public static IEndpointConventionBuilder MapBotDetectionChallengeEndpoint(
+        this IEndpointRouteBuilder endpoints,
+        string path = "/bot-detection/challenge")
+    {
+        return endpoints.MapPost(path, HandleChallengeAsync)
+            .WithName("BotDetectionChallenge")
+            .WithDisplayName("Bot Detection Proof-of-Work Challenge")
+            .AllowAnonymous();
+    }
+
+    /// <summary>
+    ///     Maps the activity heartbeat endpoint.
+    ///     Only needed when <see cref="ClientSideOptions.HeartbeatIntervalMs" /> or
+    ///     <see cref="ClientSideOptions.TrackNavigation" /> is set; the path must match
+    ///     <see cref="ClientSideOptions.HeartbeatEndpoint" />.
+    /// </summary>
+    /// <param name="endpoints">The endpoint route builder.</param>
+    /// <param name="path">The endpoint path. Default: "/bot-detection/heartbeat"</param>
+    /// <returns>The route handler builder for further configuration.</returns>
+    public static IEndpointConventionBuilder MapBotDetectionHeartbeatEndpoint(
+        this IEndpointRouteBuilder endpoints,
+        string path = "/bot-detection/heartbeat")
+    {
+        return endpoints.MapPost(path, HandleHeartbeatAsync)
+            .WithName("BotDetectionHeartbeat")
+            .WithDisplayName("Bot Detection Activity Heartbeat")
+            .AllowAnonymous();
+    }
+
+    /// <summary>
+    ///     Maps the bot-trap URL: hidden links point here (GET) and the script reports clicked links and
+    ///     filled fields here (POST). Only needed when <see cref="BotTrapOptions.Enabled" /> is true; the
+    ///     path must match <see cref="BotTrapOptions.Endpoint" />.
+    /// </summary>
+    /// <param name="endpoints">The endpoint route builder.</param>
+    /// <param name="path">The endpoint path. Default: "/bot-detection/trap"</param>
+    /// <returns>The route handler builder for further configuration.</returns>
+    public static IEndpointConventionBuilder MapBotDetectionTrapEndpoint(
+        this IEndpointRouteBuilder endpoints,
+        string path = "/bot-detection/trap")
+    {
+        return endpoints.MapMethods(path, [HttpMethods.Get, HttpMethods.Post], HandleTrapAsync)
+            .WithName("BotDetectionTrap")
+            .WithDisplayName("Bot Detection Trap")
+            .AllowAnonymous();
+    }
+
+    private static IResult HandleScript(HttpContext context, IOptions<BotDetectionOptions> options)
+    {
+        if (!options.Value.ClientSide.Enabled) return Results.NotFound();
+
+        // Script carries no per-request data (config comes from the page), so it can be shared-cached
+        var headers = context.Response.Headers;
+        headers.ETag = BotDetectionScript.ETag;
+        headers.CacheControl = "public, max-age=86400";
+
+        if (context.Request.Headers.IfNoneMatch == BotDetectionScript.ETag)
+            return Results.StatusCode(StatusCodes.Status304NotModified);
+
+        return Results.Text(BotDetectionScript.Source, "application/javascript; charset=utf-8");
+    }
+
     private static async Task<IResult> HandleFingerprintAsync(
         HttpContext context,
         IOptions<BotDetectionOptions> options,
         IBrowserTokenService tokenService,
         IBrowserFingerprintAnalyzer analyzer,
         IBrowserFingerprintStore store,
+        IFingerprintPayloadValidator validator,
         BotDetectionMetrics? metrics = null,
+        IFingerprintCollectionStats? collectionStats = null,
         ILogger<BrowserFingerprintEndpoint>? logger = null)
     {
         var opts = options.Value;
 
         if (!opts.ClientSide.Enabled) return Results.NotFound();
 
-        // Validate token from header
-        var token = context.Request.Headers["X-ML-BotD-Token"].FirstOrDefault();
-        var payload = tokenService.ValidateToken(context, token ?? "");
+        // Collection health per browser family (dashboard + metrics)
+        var browserFamily = FingerprintCollectionStats.GetBrowserFamily(context.Request.Headers.UserAgent.ToString());
 
-        if (payload == null)
+        void RecordCollection(FingerprintCollectionOutcome outcome, CollectionDiagnosticsData? diagnostics)
         {
-            logger?.LogDebug("Invalid or missing fingerprint token");
-            metrics?.RecordError("ClientSide", "InvalidToken");
-            return Results.BadRequest(new { error = "Invalid token" });
+            collectionStats?.Record(browserFamily, outcome, diagnostics);
+            metrics?.RecordClientSideCollection(
+                browserFamily,
+                FingerprintCollectionStats.GetOutcomeName(outcome),
+                diagnostics?.Transport,
+                diagnostics != null && diagnostics.Durations.TryGetValue("total", out var total) ? total : null);
         }
 
-        // Parse fingerprint data
+        // The script posts a signed envelope {t, p, s}; older scripts post the bare payload
+        // with the token in the X-ML-BotD-Token header
         BrowserFingerprintData? data;
+        FingerprintPayloadValidation validation;
+        BrowserTokenPayload? payload;
         try
         {
-            data = await JsonSerializer.DeserializeAsync<BrowserFingerprintData>(
-                context.Request.Body,
-                new JsonSerializerOptions { PropertyNameCaseInsensitive = true });
+            using var document = await JsonDocument.ParseAsync(context.Request.Body);
+            var envelope = FingerprintEnvelope.Read(document.RootElement);
+
+            var token = envelope?.Token ?? context.Request.Headers["X-ML-BotD-Token"].FirstOrDefault();
+            payload = tokenService.ValidateToken(context, token ?? "");
+
+            if (payload == null)
+            {
+                logger?.LogDebug("Invalid or missing fingerprint token");
+                metrics?.RecordError("ClientSide", "InvalidToken");
+                RecordCollection(FingerprintCollectionOutcome.Rejected, null);
+                return Results.BadRequest(new { error = "Invalid token" });
+            }
+
+            if (string.IsNullOrEmpty(envelope?.Signature))
+            {
+                if (opts.ClientSide.RequireSignedSubmissions)
+                {
+                    logger?.LogWarning("Unsigned fingerprint submission for request {RequestId}", payload.RequestId);
+                    metrics?.RecordError("ClientSide", "UnsignedSubmission");
+                    RecordCollection(FingerprintCollectionOutcome.Rejected, null);
+                    return Results.BadRequest(new { error = "Unsigned submission" });
+                }
+            }
+            else if (!tokenService.VerifySubmission(payload, envelope.Payload, envelope.Signature))
+            {
+                // Token is genuine but the body wasn't produced by the page it was issued to
+                logger?.LogWarning("Fingerprint signature mismatch for request {RequestId} - tampered or hand-crafted",
+                    payload.RequestId);
+                metrics?.RecordError("ClientSide", "InvalidSignature");
+                RecordCollection(FingerprintCollectionOutcome.Rejected, null);
+                return Results.BadRequest(new { error = "Invalid signature" });
+            }
+
+            // Validate against the payload contract before anything reaches the analyzer
+            using var inner = envelope == null ? null : JsonDocument.Parse(envelope.Payload);
+            var root = inner?.RootElement ?? document.RootElement;
 
+            validation = validator.Validate(root);
+            if (!validation.IsAccepted)
+            {
+                logger?.LogDebug(
+                    "Rejected fingerprint payload v{Version}: {Errors}",
+                    validation.Version, string.Join("; ", validation.Errors));
+                metrics?.RecordError("ClientSide", "InvalidPayload");
+                RecordCollection(FingerprintCollectionOutcome.Rejected, null);
+                return Results.BadRequest(new { error = "Invalid payload", details = validation.Errors });
+            }
+
+            data = root.Deserialize<BrowserFingerprintData>(SerializerOptions);
             if (data == null) return Results.BadRequest(new { error = "Invalid data" });
         }
         catch (JsonException ex)
         {
             logger?.LogDebug(ex, "Failed to parse fingerprint data");
+            RecordCollection(FingerprintCollectionOutcome.Rejected, null);
             return Results.BadRequest(new { error = "Invalid JSON" });
         }
 
         // Analyze fingerprint
-        var result = analyzer.Analyze(data, payload.RequestId);
+        var result = analyzer.Analyze(data, payload.RequestId, ClientHintHeaders.FromRequest(context.Request));
+        if (validation.Status == FingerprintPayloadStatus.Downgraded)
+        {
+            result.PayloadDowngraded = true;
+            logger?.LogDebug(
+                "Fingerprint payload v{Version} is newer than supported v{Supported}; unknown signals ignored",
+                validation.Version, validator.CurrentVersion);
+        }
 
         // Store for correlation with subsequent requests
         store.Store(payload.IpHash, result);
@@ -82,18 +233,199 @@ public static class BrowserFingerprintEndpointExtensions
             result.IsHeadless,
             result.BrowserIntegrityScore,
             result.DetectedAutomation);
+        RecordCollection(FingerprintCollectionStats.GetOutcome(data), data.Diagnostics);
+
+        if (!string.IsNullOrEmpty(data.Error))
+            logger?.LogDebug(
+                "Fingerprint collection failed for {RequestId} in probe {Stage}: {Error}",
+                payload.RequestId, data.Diagnostics?.FailedStage ?? "unknown", data.Error);
 
         logger?.LogDebug(
-            "Fingerprint received: RequestId={RequestId}, Headless={Headless}, Integrity={Integrity}",
-            payload.RequestId, result.IsHeadless, result.BrowserIntegrityScore);
+            "Fingerprint received: RequestId={RequestId}, PayloadVersion={PayloadVersion}, Headless={Headless}, Integrity={Integrity}, ClientScore={ClientScore}, RuleVersion={RuleVersion}",
+            payload.RequestId, result.PayloadVersion, result.IsHeadless, result.BrowserIntegrityScore,
+            result.ClientScore, result.ClientRuleVersion);
+
+        // Pages rendered before a rule change still score with the old table
+        var ruleVersion = BotDetectionScript.GetRuleVersion(opts.ClientSide.Scoring);
+        if (result.ClientRuleVersion != null && result.ClientRuleVersion != ruleVersion)
+            logger?.LogDebug(
+                "Client score for {RequestId} used rule version {RuleVersion}, current is {CurrentRuleVersion}",
+                payload.RequestId, result.ClientRuleVersion, ruleVersion);
+
+        // Minimal response unless the page asked for the verdict
+        if (opts.ClientSide.ReturnVerdict)
+            return Results.Ok(new
+            {
+                received = true,
+                id = payload.RequestId,
+                verdict = FingerprintVerdict.From(result, opts.ClientSide)
+            });
 
-        // Return minimal response (client doesn't need full results)
         return Results.Ok(new
         {
             received = true,
             id = payload.RequestId
         });
     }
+
+    private static async Task<IResult> HandleChallengeAsync(
+        HttpContext context,
+        IOptions<BotDetectionOptions> options,
+        IProofOfWorkChallengeService challenges,
+        BotDetectionMetrics? metrics = null,
+        ILogger<BrowserFingerprintEndpoint>? logger = null)
+    {
+        var opts = options.Value;
+
+        if (!opts.ClientSide.Enabled || !opts.ClientSide.ProofOfWork.Enabled) return Results.NotFound();
+
+        ProofOfWorkSolution? solution;
+        try
+        {
+            solution = await JsonSerializer.DeserializeAsync<ProofOfWorkSolution>(context.Request.Body);
+            if (solution == null) return Results.BadRequest(new { error = "Invalid data" });
+        }
+        catch (JsonException ex)
+        {
+            logger?.LogDebug(ex, "Failed to parse proof-of-work solution");
+            return Results.BadRequest(new { error = "Invalid JSON" });
+        }
+
+        // Solution is bound to the page's token, which may already have been spent on the fingerprint
+        var token = context.Request.Headers["X-ML-BotD-Token"].FirstOrDefault();
+        var pass = challenges.Verify(context, token ?? "", solution);
+
+        if (pass == null)
+        {
+            metrics?.RecordError("ClientSide", "InvalidChallenge");
+            return Results.BadRequest(new { error = "Invalid solution" });
+        }
+
+        logger?.LogDebug(
+            "Proof-of-work passed: RequestId={RequestId}, Difficulty={Difficulty}, ElapsedMs={ElapsedMs}",
+            pass.RequestId, pass.Difficulty, pass.ElapsedMs);
+
+        return Results.Ok(new { passed = true });
+    }
+
+    private static async Task<IResult> HandleHeartbeatAsync(
+        HttpContext context,
+        IOptions<BotDetectionOptions> options,
+        IBrowserTokenService tokenService,
+        IBrowserFingerprintStore store,
+        BotDetectionMetrics? metrics = null,
+        ILogger<BrowserFingerprintEndpoint>? logger = null)
+    {
+        var opts = options.Value;
+
+        if (!opts.ClientSide.Enabled) return Results.NotFound();
+
+        // Heartbeats reuse the page token for the life of the session, so it isn't consumed here;
+        // the sequence number is what stops replays
+        var token = context.Request.Headers["X-ML-BotD-Token"].FirstOrDefault();
+        var payload = tokenService.ReadToken(context, token ?? "",
+            TimeSpan.FromSeconds(opts.ClientSide.HeartbeatSessionSeconds));
+
+        if (payload == null)
+        {
+            metrics?.RecordError("ClientSide", "InvalidToken");
+            return Results.BadRequest(new { error = "Invalid token" });
+        }
+
+        BrowserHeartbeat? heartbeat;
+        try
+        {
+            heartbeat = await JsonSerializer.DeserializeAsync<BrowserHeartbeat>(context.Request.Body);
+            if (heartbeat == null || !heartbeat.IsWellFormed)
+                return Results.BadRequest(new { error = "Invalid data" });
+        }
+        catch (JsonException ex)
+        {
+            logger?.LogDebug(ex, "Failed to parse heartbeat");
+            return Results.BadRequest(new { error = "Invalid JSON" });
+        }
+
+        if (!store.AppendHeartbeat(payload.RequestId, payload.IpHash, heartbeat))
+        {
+            logger?.LogDebug(
+                "Out-of-order heartbeat {Sequence} for session {SessionId}",
+                heartbeat.Sequence, payload.RequestId);
+            metrics?.RecordError("ClientSide", "HeartbeatOutOfOrder");
+            return Results.Conflict(new { error = "Out of order" });
+        }
+
+        return Results.Ok(new { received = true, seq = heartbeat.Sequence });
+    }
+
+    private static async Task<IResult> HandleTrapAsync(
+        HttpContext context,
+        IOptions<BotDetectionOptions> options,
+        IBrowserTokenService tokenService,
+        IBrowserFingerprintStore store,
+        BotDetectionMetrics? metrics = null,
+        ILogger<BrowserFingerprintEndpoint>? logger = null)
+    {
+        var opts = options.Value;
+
+        if (!opts.ClientSide.Enabled || !opts.ClientSide.Traps.Enabled) return Results.NotFound();
+
+        // Traps outlive the fingerprint window - a crawler may come back for a link much later
+        var lifetime = TimeSpan.FromSeconds(opts.ClientSide.Traps.HitLifetimeSeconds);
+
+        void Record(BrowserTokenPayload session, string kind, string? trapId)
+        {
+            store.RecordTrapHit(session.IpHash, new BrowserTrapHit
+            {
+                Kind = kind,
+                TrapId = trapId,
+                SessionId = session.RequestId
+            });
+            logger?.LogInformation(
+                "Bot trap triggered: Kind={Kind}, TrapId={TrapId}, SessionId={SessionId}",
+                kind, trapId, session.RequestId);
+        }
+
+        // A followed link: the crawler requested the trap URL itself, page token in the query.
+        // Answer like a dead link whatever the token - there is nothing for the crawler to learn
+        if (HttpMethods.IsGet(context.Request.Method))
+        {
+            var linkToken = tokenService.ReadToken(context, context.Request.Query["t"].FirstOrDefault() ?? "", lifetime);
+            if (linkToken != null)
+            {
+                var trapId = context.Request.Query["id"].FirstOrDefault();
+                Record(linkToken, BrowserTrapHit.LinkKind, trapId?.Length <= 16 ? trapId : null);
+            }
+
+            context.Response.Headers["X-Robots-Tag"] = "noindex, nofollow";
+            return Results.NotFound();
+        }
+
+        var token = context.Request.Headers["X-ML-BotD-Token"].FirstOrDefault();
+        var payload = tokenService.ReadToken(context, token ?? "", lifetime);
+
+        if (payload == null)
+        {
+            metrics?.RecordError("ClientSide", "InvalidToken");
+            return Results.BadRequest(new { error = "Invalid token" });
+        }
+
+        BrowserTrapReport? report;
+        try
+        {
+            report = await JsonSerializer.DeserializeAsync<BrowserTrapReport>(context.Request.Body);
+            if (report == null || !report.IsWellFormed)
+                return Results.BadRequest(new { error = "Invalid data" });
+        }
+        catch (JsonException ex)
+        {
+            logger?.LogDebug(ex, "Failed to parse trap report");
+            return Results.BadRequest(new { error = "Invalid JSON" });
+        }
+
+        Record(payload, report.Kind!, report.TrapId);
+
+        return Results.Ok(new { received = true });
+    }
 }
 
 /// <summary>
@@ -1,4 +1,5 @@
 using System.Text.Json.Serialization;
+using Mostlylucid.BotDetection.Models;
 
 namespace Mostlylucid.BotDetection.ClientSide;
 
@@ -7,6 +8,11 @@ namespace Mostlylucid.BotDetection.ClientSide;
 /// </summary>
 public class BrowserFingerprintData
 {
+    // Payload contract version and collector script version
+    [JsonPropertyName("v")] public int PayloadVersion { get; set; }
+
+    [JsonPropertyName("sv")] public string? ScriptVersion { get; set; }
+
     // Basic signals
     [JsonPropertyName("tz")] public string? Timezone { get; set; }
 
@@ -30,20 +36,50 @@ public class BrowserFingerprintData
 
     [JsonPropertyName("pdf")] public int HasPdfPlugin { get; set; }
 
+    // Device signals
+    [JsonPropertyName("maxTouchPoints")] public int MaxTouchPoints { get; set; }
+
+    [JsonPropertyName("pointer")] public string? PointerType { get; set; }
+
+    // User preferences (1/0, -1 = unavailable)
+    [JsonPropertyName("prefersDark")] public int PrefersDark { get; set; }
+
+    [JsonPropertyName("reducedMotion")] public int ReducedMotion { get; set; }
+
+    // Network hints
+    [JsonPropertyName("netType")] public string? NetworkType { get; set; }
+
+    [JsonPropertyName("netSaveData")] public int NetworkSaveData { get; set; }
+
+    [JsonPropertyName("netDownlink")] public int NetworkDownlink { get; set; }
+
+    // Performance timing shape
+    [JsonPropertyName("navStartDelta")] public long NavigationStartDelta { get; set; }
+
+    [JsonPropertyName("loadEventDelta")] public long LoadEventDelta { get; set; }
+
+    [JsonPropertyName("resCount")] public int ResourceCount { get; set; }
+
     // Headless/automation detection
     [JsonPropertyName("webdriver")] public int WebDriver { get; set; }
 
     [JsonPropertyName("phantom")] public int Phantom { get; set; }
 
-    [JsonPropertyName("nightmare")] public bool Nightmare { get; set; }
+    [JsonPropertyName("nightmare")]
+    [JsonConverter(typeof(LenientBooleanConverter))]
+    public bool Nightmare { get; set; }
 
-    [JsonPropertyName("selenium")] public bool Selenium { get; set; }
+    [JsonPropertyName("selenium")]
+    [JsonConverter(typeof(LenientBooleanConverter))]
+    public bool Selenium { get; set; }
 
     [JsonPropertyName("cdc")] public int ChromeDevTools { get; set; }
 
     [JsonPropertyName("plugins")] public int PluginCount { get; set; }
 
-    [JsonPropertyName("chrome")] public bool HasChromeObject { get; set; }
+    [JsonPropertyName("chrome")]
+    [JsonConverter(typeof(LenientBooleanConverter))]
+    public bool HasChromeObject { get; set; }
 
     [JsonPropertyName("permissions")] public string? NotificationPermission { get; set; }
 
@@ -61,6 +97,16 @@ public class BrowserFingerprintData
 
     [JsonPropertyName("bindNative")] public int BindIsNative { get; set; }
 
+    // Native function checks (1 = native, 0 = wrapped, -1 = unavailable)
+    [JsonPropertyName("getBatteryNative")] public int GetBatteryIsNative { get; set; } = -1;
+
+    [JsonPropertyName("consoleDebugNative")] public int ConsoleDebugIsNative { get; set; } = -1;
+
+    [JsonPropertyName("querySelectorNative")] public int QuerySelectorIsNative { get; set; } = -1;
+
+    // Context (1 = iframe, 0 = top-level, -1 = cross-origin restricted)
+    [JsonPropertyName("isIframe")] public int IsIframe { get; set; }
+
     // Optional WebGL
     [JsonPropertyName("glVendor")] public string? WebGLVendor { get; set; }
 
@@ -69,14 +115,200 @@ public class BrowserFingerprintData
     // Optional Canvas
     [JsonPropertyName("canvasHash")] public string? CanvasHash { get; set; }
 
+    // Optional Audio
+    [JsonPropertyName("audioHash")] public string? AudioHash { get; set; }
+
+    // Optional font/emoji rendering probe (null unless CollectFonts is enabled)
+    [JsonPropertyName("fonts")] public FontProbeData? Fonts { get; set; }
+
+    // Optional timing probes (null unless CollectTiming is enabled)
+    [JsonPropertyName("timing")] public TimingProbeData? Timing { get; set; }
+
+    // Optional interaction flag (null when interaction tracking is disabled)
+    [JsonPropertyName("interacted")] public int? Interacted { get; set; }
+
+    // Optional behavioral biometrics summary (null unless CollectBehavior is enabled)
+    [JsonPropertyName("bio")] public BehavioralBiometricsData? Behavior { get; set; }
+
+    // Optional iframe/Worker comparison (null unless CompareContexts is enabled)
+    [JsonPropertyName("ctx")] public ContextComparisonData? Contexts { get; set; }
+
+    // Optional UA Client Hints (null outside Chromium or when CollectClientHints is disabled)
+    [JsonPropertyName("uach")] public ClientHintsData? ClientHints { get; set; }
+
     // Client-calculated score
     [JsonPropertyName("score")] public int ClientScore { get; set; }
 
+    // Comma-separated reasons behind the client score
+    [JsonPropertyName("scoreReasons")] public string? ClientScoreReasons { get; set; }
+
+    // Rule table version the client score was calculated with
+    [JsonPropertyName("rv")] public string? RuleVersion { get; set; }
+
     // Timestamp
     [JsonPropertyName("ts")] public long Timestamp { get; set; }
 
+    // Consent tier the signals were collected at: essential, standard or full (null before v7 = full)
+    [JsonPropertyName("tier")] public string? ConsentTier { get; set; }
+
     // Error (if collection failed)
     [JsonPropertyName("error")] public string? Error { get; set; }
+
+    // Collection diagnostics (v10+; null from older scripts)
+    [JsonPropertyName("diag")] public CollectionDiagnosticsData? Diagnostics { get; set; }
+}
+
+/// <summary>
+///     How the collection itself went: probe durations, probes skipped or timed out, and how the payload
+///     was delivered. Error reports carry what was collected before the failure.
+/// </summary>
+public class CollectionDiagnosticsData
+{
+    // Duration (ms) per probe that ran, plus "total"
+    [JsonPropertyName("ms")] public Dictionary<string, int> Durations { get; set; } = new();
+
+    // Probes not run (disabled by config or consent tier)
+    [JsonPropertyName("skip")] public string[] Skipped { get; set; } = [];
+
+    // Probes that missed their deadline
+    [JsonPropertyName("to")] public string[] TimedOut { get; set; } = [];
+
+    // Probe running when collection failed (error reports only)
+    [JsonPropertyName("stage")] public string? FailedStage { get; set; }
+
+    // "beacon", "fetch" (verdict mode), "xhr" (no sendBeacon) or "xhr-fallback" (sendBeacon refused the payload)
+    [JsonPropertyName("tx")] public string? Transport { get; set; }
+
+    // Payload JSON length without the diag block
+    [JsonPropertyName("bytes")] public int PayloadBytes { get; set; }
+}
+
+/// <summary>
+///     Aggregate input statistics over the first seconds of a page view.
+///     Summary numbers only - the client never sends coordinates, key values or raw events.
+/// </summary>
+public class BehavioralBiometricsData
+{
+    // Observation window covered (ms)
+    [JsonPropertyName("window")] public int WindowMs { get; set; }
+
+    // Mouse path shape
+    [JsonPropertyName("moves")] public int MouseMoves { get; set; }
+
+    [JsonPropertyName("curvature")] public double MouseCurvature { get; set; }
+
+    [JsonPropertyName("straightRatio")] public double MouseStraightRatio { get; set; }
+
+    [JsonPropertyName("velocityCv")] public double MouseVelocityCv { get; set; }
+
+    // Clicks
+    [JsonPropertyName("clicks")] public int Clicks { get; set; }
+
+    [JsonPropertyName("clicksWithoutMove")] public int ClicksWithoutMove { get; set; }
+
+    [JsonPropertyName("clickLatency")] public int ClickLatencyMs { get; set; }
+
+    // Keystroke timing histogram (<30, <80, <150, <300, >=300 ms)
+    [JsonPropertyName("keys")] public int Keystrokes { get; set; }
+
+    [JsonPropertyName("keyIntervals")] public int[] KeyIntervalBuckets { get; set; } = [];
+
+    // Scroll cadence
+    [JsonPropertyName("scrolls")] public int ScrollBursts { get; set; }
+
+    [JsonPropertyName("scrollInterval")] public int ScrollIntervalMs { get; set; }
+
+    [JsonPropertyName("scrollCv")] public double ScrollCv { get; set; }
+
+    [JsonPropertyName("wheels")] public int WheelEvents { get; set; }
+
+    // Touch
+    [JsonPropertyName("touches")] public int Touches { get; set; }
+
+    [JsonPropertyName("touchForceVar")] public double TouchForceVariance { get; set; }
+
+    [JsonPropertyName("touchAreaVar")] public double TouchAreaVariance { get; set; }
+
+    // Events dispatched by script (isTrusted === false)
+    [JsonPropertyName("untrusted")] public int UntrustedEvents { get; set; }
+}
+
+/// <summary>
+///     Signals that differ between the page and fresh JavaScript contexts.
+///     Each value is a comma-separated list of signal names (ua, platform, langs, cores, mem, webdriver,
+///     tz, locale, gl); empty when the contexts agree, null when that context couldn't be created.
+/// </summary>
+public class ContextComparisonData
+{
+    // Sandboxed same-origin iframe vs page
+    [JsonPropertyName("iframe")] public string? Iframe { get; set; }
+
+    // Dedicated Worker vs page
+    [JsonPropertyName("worker")] public string? Worker { get; set; }
+}
+
+/// <summary>
+///     Result of the font and emoji rendering probe. Font names are never sent.
+/// </summary>
+public class FontProbeData
+{
+    // How many of the probed platform fonts are installed: "0", "1-2", "3-5", "6-10" or "11+"
+    [JsonPropertyName("n")] public string? CountBucket { get; set; }
+
+    // Emoji rendered in colour
+    [JsonPropertyName("emoji")]
+    [JsonConverter(typeof(LenientBooleanConverter))]
+    public bool ColourEmoji { get; set; }
+
+    // Salted hash of the rendered probe bitmap
+    [JsonPropertyName("hash")] public string? Hash { get; set; }
+}
+
+/// <summary>
+///     Result of the timing probes, each as a bucket string (see fingerprint-payload.schema.json).
+/// </summary>
+public class TimingProbeData
+{
+    // Median requestAnimationFrame interval (ms) on a visible page: "none", "<12", "12-25", "25-50", "50+" or "hidden"
+    [JsonPropertyName("raf")] public string? AnimationFrame { get; set; }
+
+    // Smallest performance.now() step (ms): "<0.02", "<0.2", "<2" or "2+"
+    [JsonPropertyName("res")] public string? Resolution { get; set; }
+
+    // Canvas frame draw and read-back (ms): "<2", "2-8", "8-32" or "32+"
+    [JsonPropertyName("canvas")] public string? CanvasFrame { get; set; }
+
+    // Median setTimeout lateness (ms): "early", "<2", "2-8", "8-32" or "32+"
+    [JsonPropertyName("drift")] public string? TimerDrift { get; set; }
+
+    // Page is cross-origin isolated
+    [JsonPropertyName("iso")]
+    [JsonConverter(typeof(LenientBooleanConverter))]
+    public bool CrossOriginIsolated { get; set; }
+}
+
+/// <summary>
+///     UA Client Hints as reported by <c>navigator.userAgentData</c>. The high-entropy values are null
+///     when the browser declined <c>getHighEntropyValues</c>.
+/// </summary>
+public class ClientHintsData
+{
+    // "name/version" entries - fullVersionList when available, otherwise major versions only
+    [JsonPropertyName("brands")] public string[] Brands { get; set; } = [];
+
+    [JsonPropertyName("mobile")]
+    [JsonConverter(typeof(LenientBooleanConverter))]
+    public bool Mobile { get; set; }
+
+    [JsonPropertyName("platform")] public string? Platform { get; set; }
+
+    [JsonPropertyName("platformVersion")] public string? PlatformVersion { get; set; }
+
+    [JsonPropertyName("arch")] public string? Architecture { get; set; }
+
+    [JsonPropertyName("bitness")] public string? Bitness { get; set; }
+
+    [JsonPropertyName("model")] public string? Model { get; set; }
 }
 
 /// <summary>
@@ -119,6 +351,39 @@ public class BrowserFingerprintResult
     /// </summary>
     public string FingerprintHash { get; set; } = "";
 
+    /// <summary>
+    ///     Payload contract version the fingerprint was submitted with.
+    /// </summary>
+    public int PayloadVersion { get; set; }
+
+    /// <summary>
+    ///     Version of the collector script that produced the fingerprint.
+    /// </summary>
+    public string? ScriptVersion { get; set; }
+
+    /// <summary>
+    ///     True when the payload was newer than the server understands and was analyzed
+    ///     using only the signals of <see cref="BotDetectionScript.PayloadVersion" />.
+    /// </summary>
+    public bool PayloadDowngraded { get; set; }
+
+    /// <summary>
+    ///     The script's own integrity score (0-100) as submitted.
+    /// </summary>
+    public int ClientScore { get; set; }
+
+    /// <summary>
+    ///     Version of the scoring rule table that produced <see cref="ClientScore" />
+    ///     (see <see cref="BotDetectionScript.GetRuleVersion" />).
+    /// </summary>
+    public string? ClientRuleVersion { get; set; }
+
+    /// <summary>
+    ///     Consent tier the fingerprint was collected at. Below <see cref="FingerprintConsentTier.Full" />
+    ///     some signals were never read, so their absence isn't held against the browser.
+    /// </summary>
+    public FingerprintConsentTier ConsentTier { get; set; } = FingerprintConsentTier.Full;
+
     /// <summary>
     ///     Detailed reasons for the scores.
     /// </summary>
@@ -144,4 +409,25 @@ public interface IBrowserFingerprintStore
     ///     Retrieves the most recent fingerprint for an IP hash.
     /// </summary>
     BrowserFingerprintResult? Get(string ipHash);
+
+    /// <summary>
+    ///     Appends a heartbeat to a session's timeline.
+    ///     Returns false if its sequence number is not higher than the last accepted one (replay or reorder).
+    /// </summary>
+    bool AppendHeartbeat(string sessionId, string ipHash, BrowserHeartbeat heartbeat);
+
+    /// <summary>
+    ///     Retrieves the heartbeat timeline for a session, if any.
+    /// </summary>
+    BrowserSessionTimeline? GetTimeline(string sessionId);
+
+    /// <summary>
+    ///     Records a bot-trap hit for an IP hash.
+    /// </summary>
+    void RecordTrapHit(string ipHash, BrowserTrapHit hit);
+
+    /// <summary>
+    ///     Retrieves the bot-trap hits recorded for an IP hash, if any.
+    /// </summary>
+    BrowserTrapRecord? GetTrapRecord(string ipHash);
 }
\ No newline at end of file
@@ -7,10 +7,14 @@ namespace Mostlylucid.BotDetection.ClientSide;
 /// <summary>
 ///     In-memory store for browser fingerprint results.
 ///     Results are correlated by IP hash and stored for a configurable duration.
+///     Heartbeats are kept per session (page token) with a sliding expiry of the same duration.
+///     Bot-trap hits are kept per IP hash for <see cref="BotTrapOptions.HitLifetimeSeconds" />.
 /// </summary>
 public class BrowserFingerprintStore : IBrowserFingerprintStore
 {
     private const string CachePrefix = "MLBotD:Fingerprint:";
+    private const string TimelineCachePrefix = "MLBotD:Timeline:";
+    private const string TrapCachePrefix = "MLBotD:Trap:";
     private readonly IMemoryCache _cache;
     private readonly BotDetectionOptions _options;
 
@@ -34,4 +38,57 @@ public class BrowserFingerprintStore : IBrowserFingerprintStore
         var cacheKey = $"{CachePrefix}{ipHash}";
         return _cache.TryGetValue(cacheKey, out BrowserFingerprintResult? result) ? result : null;
     }
+
+    public bool AppendHeartbeat(string sessionId, string ipHash, BrowserHeartbeat heartbeat)
+    {
+        var cacheKey = $"{TimelineCachePrefix}{sessionId}";
+        var timeline = _cache.GetOrCreate(cacheKey, entry =>
+        {
+            entry.SlidingExpiration = TimeSpan.FromSeconds(_options.ClientSide.FingerprintCacheDurationSeconds);
+            return new BrowserSessionTimeline { SessionId = sessionId, IpHash = ipHash };
+        })!;
+
+        lock (timeline)
+        {
+            if (heartbeat.Sequence <= timeline.LastSequence) return false;
+
+            timeline.MissedHeartbeats += heartbeat.Sequence - timeline.LastSequence - 1;
+            timeline.LastSequence = heartbeat.Sequence;
+            timeline.Heartbeats.Add(heartbeat);
+
+            var overflow = timeline.Heartbeats.Count - _options.ClientSide.MaxHeartbeatsPerSession;
+            if (overflow > 0) timeline.Heartbeats.RemoveRange(0, overflow);
+        }
+
+        return true;
+    }
+
+    public BrowserSessionTimeline? GetTimeline(string sessionId)
+    {
+        var cacheKey = $"{TimelineCachePrefix}{sessionId}";
+        return _cache.TryGetValue(cacheKey, out BrowserSessionTimeline? timeline) ? timeline : null;
+    }
+
+    public void RecordTrapHit(string ipHash, BrowserTrapHit hit)
+    {
+        var cacheKey = $"{TrapCachePrefix}{ipHash}";
+        var record = _cache.GetOrCreate(cacheKey, entry =>
+        {
+            entry.AbsoluteExpirationRelativeToNow =
+                TimeSpan.FromSeconds(_options.ClientSide.Traps.HitLifetimeSeconds);
+            return new BrowserTrapRecord { IpHash = ipHash };
+        })!;
+
+        lock (record)
+        {
+            record.Hits++;
+            record.LastHit = hit;
+        }
+    }
+
+    public BrowserTrapRecord? GetTrapRecord(string ipHash)
+    {
+        var cacheKey = $"{TrapCachePrefix}{ipHash}";
+        return _cache.TryGetValue(cacheKey, out BrowserTrapRecord? record) ? record : null;
+    }
 }
\ No newline at end of file
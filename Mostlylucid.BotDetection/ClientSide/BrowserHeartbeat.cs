@@ -0,0 +1,95 @@
+using System.Text.Json.Serialization;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Periodic activity delta sent by the client script after the initial fingerprint.
+///     Counts cover the interval since the previous heartbeat of the same session.
+/// </summary>
+public class BrowserHeartbeat
+{
+    [JsonPropertyName("v")] public int PayloadVersion { get; set; }
+
+    [JsonPropertyName("sv")] public string? ScriptVersion { get; set; }
+
+    // Strictly increasing per session, starting at 1
+    [JsonPropertyName("seq")] public int Sequence { get; set; }
+
+    // What triggered the heartbeat: "beat" (timer), "nav" (SPA navigation), "hidden" (page hidden)
+    [JsonPropertyName("t")] public string? Trigger { get; set; }
+
+    // Client clock (ms since epoch) and time covered by this delta
+    [JsonPropertyName("ts")] public long Timestamp { get; set; }
+
+    [JsonPropertyName("dt")] public int ElapsedMs { get; set; }
+
+    // Navigation and page-lifecycle deltas
+    [JsonPropertyName("nav")] public int Navigations { get; set; }
+
+    [JsonPropertyName("vis")] public int VisibilityChanges { get; set; }
+
+    [JsonPropertyName("focus")] public int FocusEvents { get; set; }
+
+    [JsonPropertyName("blur")] public int BlurEvents { get; set; }
+
+    // Interaction deltas (counts only)
+    [JsonPropertyName("moves")] public int MouseMoves { get; set; }
+
+    [JsonPropertyName("clicks")] public int Clicks { get; set; }
+
+    [JsonPropertyName("keys")] public int Keystrokes { get; set; }
+
+    [JsonPropertyName("scrolls")] public int Scrolls { get; set; }
+
+    [JsonPropertyName("touches")] public int Touches { get; set; }
+
+    [JsonPropertyName("untrusted")] public int UntrustedEvents { get; set; }
+
+    /// <summary>
+    ///     When the server received the heartbeat.
+    /// </summary>
+    [JsonIgnore]
+    public DateTimeOffset ReceivedAt { get; set; } = DateTimeOffset.UtcNow;
+
+    /// <summary>
+    ///     True when all counters are non-negative and the sequence number is valid.
+    /// </summary>
+    [JsonIgnore]
+    public bool IsWellFormed =>
+        Sequence >= 1 && ElapsedMs >= 0 &&
+        Navigations >= 0 && VisibilityChanges >= 0 && FocusEvents >= 0 && BlurEvents >= 0 &&
+        MouseMoves >= 0 && Clicks >= 0 && Keystrokes >= 0 && Scrolls >= 0 && Touches >= 0 &&
+        UntrustedEvents >= 0;
+}
+
+/// <summary>
+///     Ordered heartbeats for one page session (one browser token).
+/// </summary>
+public class BrowserSessionTimeline
+{
+    /// <summary>
+    ///     Session identifier - the <see cref="BrowserTokenPayload.RequestId" /> of the page token.
+    /// </summary>
+    public string SessionId { get; init; } = "";
+
+    /// <summary>
+    ///     IP hash the session's token was bound to.
+    /// </summary>
+    public string IpHash { get; init; } = "";
+
+    /// <summary>
+    ///     Highest sequence number accepted so far.
+    /// </summary>
+    public int LastSequence { get; set; }
+
+    /// <summary>
+    ///     Heartbeats in sequence order. Oldest entries are dropped beyond
+    ///     <c>ClientSideOptions.MaxHeartbeatsPerSession</c>.
+    /// </summary>
+    public List<BrowserHeartbeat> Heartbeats { get; } = [];
+
+    /// <summary>
+    ///     Heartbeats lost in transit (gaps in the sequence).
+    /// </summary>
+    public int MissedHeartbeats { get; set; }
+}
@@ -27,6 +27,32 @@ public interface IBrowserTokenService
     ///     Returns the token payload if valid, null if invalid.
     /// </summary>
     BrowserTokenPayload? ValidateToken(HttpContext context, string token);
+
+    /// <summary>
+    ///     Checks a token's signature, expiry and IP binding without consuming it.
+    ///     Used to bind follow-up submissions (e.g. proof-of-work solutions, heartbeats) to a token
+    ///     that may already have been used for the fingerprint.
+    ///     Returns the token payload if valid, null if invalid.
+    /// </summary>
+    /// <param name="context">The current request.</param>
+    /// <param name="token">The token to check.</param>
+    /// <param name="maxAge">
+    ///     Accept the token until this long after issue instead of its own expiry
+    ///     (for follow-ups that outlive the fingerprint window).
+    /// </param>
+    BrowserTokenPayload? ReadToken(HttpContext context, string token, TimeSpan? maxAge = null);
+
+    /// <summary>
+    ///     Gets the per-page nonce (hex) the script signs its fingerprint submission with.
+    ///     Derived from the token's request id, so nothing is stored between render and submission.
+    /// </summary>
+    string GetPageNonce(BrowserTokenPayload payload);
+
+    /// <summary>
+    ///     Checks a submission's HMAC-SHA256 signature (hex) over the exact payload string,
+    ///     keyed by the page nonce of the token it was submitted with.
+    /// </summary>
+    bool VerifySubmission(BrowserTokenPayload payload, string body, string signature);
 }
 
 /// <summary>
@@ -38,6 +64,12 @@ public record BrowserTokenPayload
     public string IpHash { get; init; } = "";
     public long IssuedAt { get; init; }
     public long ExpiresAt { get; init; }
+
+    /// <summary>
+    ///     Per-deployment salt the script mixes into its canvas/audio hashes.
+    ///     Public by design: it stops cross-site linking and precomputed tables, not local inspection.
+    /// </summary>
+    public string Salt { get; init; } = "";
 }
 
 public class BrowserTokenService : IBrowserTokenService
@@ -48,6 +80,7 @@ public class BrowserTokenService : IBrowserTokenService
     private readonly byte[] _key;
     private readonly ILogger<BrowserTokenService> _logger;
     private readonly BotDetectionOptions _options;
+    private readonly string _salt;
 
     public BrowserTokenService(
         IOptions<BotDetectionOptions> options,
@@ -73,6 +106,11 @@ public class BrowserTokenService : IBrowserTokenService
             // Derive key from secret using HKDF
             _key = DeriveKey(secret);
         }
+
+        // Same salt for every token of this deployment, so hashes stay comparable across visits
+        _salt = string.IsNullOrEmpty(_options.ClientSide.FingerprintSalt)
+            ? DeriveSalt(_key)
+            : _options.ClientSide.FingerprintSalt;
     }
 
     public string GenerateToken(HttpContext context)
@@ -85,7 +123,8 @@ public class BrowserTokenService : IBrowserTokenService
             RequestId = Guid.NewGuid().ToString("N")[..16],
             IpHash = HashIp(GetClientIp(context)),
             IssuedAt = now,
-            ExpiresAt = now + opts.TokenLifetimeSeconds
+            ExpiresAt = now + opts.TokenLifetimeSeconds,
+            Salt = _salt
         };
 
         var payloadJson = JsonSerializer.Serialize(payload);
@@ -102,6 +141,28 @@ public class BrowserTokenService : IBrowserTokenService
     }
 
     public BrowserTokenPayload? ValidateToken(HttpContext context, string token)
+    {
+        var payload = ReadToken(context, token);
+        if (payload == null) return null;
+
+        // Check for replay attack
+        var cacheKey = $"{UsedTokenCachePrefix}{payload.RequestId}";
+        if (_cache.TryGetValue(cacheKey, out _))
+        {
+            _logger.LogWarning("Token replay detected for request {RequestId}",
+                payload.RequestId);
+            return null;
+        }
+
+        // Mark token as used
+        var now = DateTimeOffset.UtcNow.ToUnixTimeSeconds();
+        var expiry = TimeSpan.FromSeconds(payload.ExpiresAt - now + 60);
+        _cache.Set(cacheKey, true, expiry);
+
+        return payload;
+    }
+
+    public BrowserTokenPayload? ReadToken(HttpContext context, string token, TimeSpan? maxAge = null)
     {
         if (string.IsNullOrEmpty(token))
         {
@@ -147,10 +208,13 @@ public class BrowserTokenService : IBrowserTokenService
 
             // Check expiration
             var now = DateTimeOffset.UtcNow.ToUnixTimeSeconds();
-            if (now > payload.ExpiresAt)
+            var expiresAt = maxAge.HasValue
+                ? payload.IssuedAt + (long)maxAge.Value.TotalSeconds
+                : payload.ExpiresAt;
+            if (now > expiresAt)
             {
                 _logger.LogDebug("Token expired at {ExpiresAt}, now is {Now}",
-                    payload.ExpiresAt, now);
+                    expiresAt, now);
                 return null;
             }
 
@@ -162,19 +226,6 @@ public class BrowserTokenService : IBrowserTokenService
                 return null;
             }
 
-            // Check for replay attack
-            var cacheKey = $"{UsedTokenCachePrefix}{payload.RequestId}";
-            if (_cache.TryGetValue(cacheKey, out _))
-            {
-                _logger.LogWarning("Token replay detected for request {RequestId}",
-                    payload.RequestId);
-                return null;
-            }
-
-            // Mark token as used
-            var expiry = TimeSpan.FromSeconds(payload.ExpiresAt - now + 60);
-            _cache.Set(cacheKey, true, expiry);
-
             return payload;
         }
         catch (Exception ex)
@@ -184,6 +235,28 @@ public class BrowserTokenService : IBrowserTokenService
         }
     }
 
+    public string GetPageNonce(BrowserTokenPayload payload)
+    {
+        var nonce = HMACSHA256.HashData(_key, Encoding.UTF8.GetBytes($"page-nonce|{payload.RequestId}"));
+        return Convert.ToHexString(nonce, 0, 16).ToLowerInvariant();
+    }
+
+    public bool VerifySubmission(BrowserTokenPayload payload, string body, string signature)
+    {
+        byte[] expected;
+        try
+        {
+            expected = Convert.FromHexString(signature);
+        }
+        catch (FormatException)
+        {
+            return false;
+        }
+
+        var actual = HMACSHA256.HashData(Convert.FromHexString(GetPageNonce(payload)), Encoding.UTF8.GetBytes(body));
+        return CryptographicOperations.FixedTimeEquals(actual, expected);
+    }
+
     private static byte[] DeriveKey(string secret)
     {
         // Use HKDF to derive a proper key from the secret
@@ -194,6 +267,13 @@ public class BrowserTokenService : IBrowserTokenService
         return HKDF.DeriveKey(HashAlgorithmName.SHA256, secretBytes, 32, salt, info);
     }
 
+    private static string DeriveSalt(byte[] key)
+    {
+        // One-way from the signing key - knowing the salt reveals nothing about the key
+        var salt = HMACSHA256.HashData(key, Encoding.UTF8.GetBytes("MLBotD-v1-FingerprintSalt"));
+        return Convert.ToHexString(salt, 0, 16).ToLowerInvariant();
+    }
+
     private static string HashIp(string ip)
     {
         // Fast XxHash64 for IP hashing - MUST match ClientSideDetector.HashIp
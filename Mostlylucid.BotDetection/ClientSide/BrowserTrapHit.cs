@@ -0,0 +1,96 @@
+using System.Text.Json.Serialization;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Trap hit reported by the client script: a hidden link clicked or a hidden form field filled.
+///     Followed links need no report - the crawler requests the trap URL itself.
+/// </summary>
+public class BrowserTrapReport
+{
+    [JsonPropertyName("v")] public int PayloadVersion { get; set; }
+
+    [JsonPropertyName("sv")] public string? ScriptVersion { get; set; }
+
+    // "click" (hidden link clicked) or "fill" (hidden field filled)
+    [JsonPropertyName("k")] public string? Kind { get; set; }
+
+    // Which trap on the page, e.g. "l0" (first link) or "f1" (field in the second form)
+    [JsonPropertyName("id")] public string? TrapId { get; set; }
+
+    [JsonPropertyName("ts")] public long Timestamp { get; set; }
+
+    /// <summary>
+    ///     True when the kind is one the script reports and the trap id is short and present.
+    /// </summary>
+    [JsonIgnore]
+    public bool IsWellFormed =>
+        Kind is BrowserTrapHit.ClickKind or BrowserTrapHit.FillKind &&
+        !string.IsNullOrEmpty(TrapId) && TrapId.Length <= 16;
+}
+
+/// <summary>
+///     One triggered trap.
+/// </summary>
+public class BrowserTrapHit
+{
+    /// <summary>The trap URL was requested - a crawler followed a hidden link.</summary>
+    public const string LinkKind = "link";
+
+    /// <summary>A hidden link was clicked in the page.</summary>
+    public const string ClickKind = "click";
+
+    /// <summary>A hidden form field was filled.</summary>
+    public const string FillKind = "fill";
+
+    /// <summary>
+    ///     <see cref="LinkKind" />, <see cref="ClickKind" /> or <see cref="FillKind" />.
+    /// </summary>
+    public string Kind { get; init; } = LinkKind;
+
+    /// <summary>
+    ///     Trap id assigned by the script, if known.
+    /// </summary>
+    public string? TrapId { get; init; }
+
+    /// <summary>
+    ///     Session the trap was planted in - the <see cref="BrowserTokenPayload.RequestId" /> of the page token.
+    /// </summary>
+    public string SessionId { get; init; } = "";
+
+    /// <summary>
+    ///     When the server recorded the hit.
+    /// </summary>
+    public DateTimeOffset ReceivedAt { get; init; } = DateTimeOffset.UtcNow;
+
+    /// <summary>
+    ///     Human-readable description for detection reasons.
+    /// </summary>
+    public string Description => Kind switch
+    {
+        ClickKind => "hidden link clicked",
+        FillKind => "hidden form field filled",
+        _ => "crawler followed hidden link"
+    };
+}
+
+/// <summary>
+///     Trap hits for one client (IP hash).
+/// </summary>
+public class BrowserTrapRecord
+{
+    /// <summary>
+    ///     IP hash the hits were recorded for.
+    /// </summary>
+    public string IpHash { get; init; } = "";
+
+    /// <summary>
+    ///     Number of hits recorded. Only the most recent is kept, as <see cref="LastHit" />.
+    /// </summary>
+    public int Hits { get; set; }
+
+    /// <summary>
+    ///     Most recent hit.
+    /// </summary>
+    public BrowserTrapHit LastHit { get; set; } = new();
+}
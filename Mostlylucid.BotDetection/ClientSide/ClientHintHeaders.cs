@@ -0,0 +1,95 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Http;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     User-Agent and <c>Sec-CH-UA*</c> headers of a fingerprint submission, compared with the Client Hints
+///     the script read from <c>navigator.userAgentData</c>. Chromium sends the low-entropy headers
+///     (<c>Sec-CH-UA</c>, <c>-Mobile</c>, <c>-Platform</c>) on every secure request; the high-entropy ones
+///     only after the site opts in with <c>Accept-CH</c>, so those are null unless it did.
+/// </summary>
+public sealed partial class ClientHintHeaders
+{
+    public string? UserAgent { get; init; }
+
+    /// <summary>
+    ///     <c>Sec-CH-UA</c> - brand list with major versions.
+    /// </summary>
+    public string? Brands { get; init; }
+
+    /// <summary>
+    ///     <c>Sec-CH-UA-Full-Version-List</c> - brand list with full versions.
+    /// </summary>
+    public string? FullVersionList { get; init; }
+
+    public string? Mobile { get; init; }
+    public string? Platform { get; init; }
+    public string? PlatformVersion { get; init; }
+    public string? Architecture { get; init; }
+    public string? Bitness { get; init; }
+    public string? Model { get; init; }
+
+    /// <summary>
+    ///     Captures the headers from a request.
+    /// </summary>
+    public static ClientHintHeaders FromRequest(HttpRequest request)
+    {
+        string? Header(string name)
+        {
+            var value = request.Headers[name].ToString();
+            return string.IsNullOrEmpty(value) ? null : value;
+        }
+
+        return new ClientHintHeaders
+        {
+            UserAgent = Header("User-Agent"),
+            Brands = Header("Sec-CH-UA"),
+            FullVersionList = Header("Sec-CH-UA-Full-Version-List"),
+            Mobile = Header("Sec-CH-UA-Mobile"),
+            Platform = Header("Sec-CH-UA-Platform"),
+            PlatformVersion = Header("Sec-CH-UA-Platform-Version"),
+            Architecture = Header("Sec-CH-UA-Arch"),
+            Bitness = Header("Sec-CH-UA-Bitness"),
+            Model = Header("Sec-CH-UA-Model")
+        };
+    }
+
+    /// <summary>
+    ///     Parses a structured-header brand list (<c>"Chromium";v="124", "Google Chrome";v="124"</c>).
+    /// </summary>
+    public static IReadOnlyList<(string Brand, string Version)> ParseBrandList(string? header)
+    {
+        if (string.IsNullOrEmpty(header)) return [];
+
+        return BrandListRegex().Matches(header)
+            .Select(m => (m.Groups[1].Value, m.Groups[2].Value))
+            .ToList();
+    }
+
+    /// <summary>
+    ///     Strips the quotes from a structured-header string (<c>"Windows"</c>), or returns null for a missing header.
+    /// </summary>
+    public static string? Unquote(string? value)
+    {
+        if (value == null) return null;
+
+        value = value.Trim();
+        return value.Length >= 2 && value[0] == '"' && value[^1] == '"' ? value[1..^1] : value;
+    }
+
+    /// <summary>
+    ///     True for GREASE brands ("Not A(Brand", "Not/A)Brand", ...), which Chromium adds to keep
+    ///     servers from relying on an exact list.
+    /// </summary>
+    public static bool IsGrease(string brand)
+    {
+        return GreaseRegex().IsMatch(brand);
+    }
+
+    [GeneratedRegex("\"((?:[^\"\\\\]|\\\\.)*)\"\\s*;\\s*v\\s*=\\s*\"([^\"]*)\"")]
+    private static partial Regex BrandListRegex();
+
+    [GeneratedRegex(@"Not.?A.?Brand", RegexOptions.IgnoreCase)]
+    private static partial Regex GreaseRegex();
+}
@@ -0,0 +1,211 @@
+using System.Collections.Concurrent;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Running counts of fingerprint collection health per browser family, shown on the dashboard.
+///     Covers the life of the process; <see cref="Metrics.BotDetectionMetrics" /> exports the same
+///     events to OpenTelemetry.
+/// </summary>
+public interface IFingerprintCollectionStats
+{
+    /// <summary>
+    ///     Records one submission (accepted or rejected) from a browser family.
+    /// </summary>
+    void Record(string browserFamily, FingerprintCollectionOutcome outcome, CollectionDiagnosticsData? diagnostics);
+
+    /// <summary>
+    ///     Current counts, busiest family first.
+    /// </summary>
+    IReadOnlyList<FingerprintCollectionFamilyStats> GetSnapshot();
+}
+
+/// <summary>
+///     How a fingerprint submission went.
+/// </summary>
+public enum FingerprintCollectionOutcome
+{
+    /// <summary>Every probe that ran finished in time.</summary>
+    Complete,
+
+    /// <summary>Submitted, but one or more probes missed their deadline.</summary>
+    TimedOut,
+
+    /// <summary>The script hit an exception and sent an error report.</summary>
+    Error,
+
+    /// <summary>The endpoint refused the submission (token, signature or payload).</summary>
+    Rejected
+}
+
+/// <summary>
+///     Collection health of one browser family.
+/// </summary>
+public sealed record FingerprintCollectionFamilyStats
+{
+    public required string Family { get; init; }
+    public long Submissions { get; init; }
+    public long Complete { get; init; }
+    public long TimedOut { get; init; }
+    public long Errors { get; init; }
+    public long Rejected { get; init; }
+
+    /// <summary>
+    ///     Submissions that arrived by XHR after sendBeacon refused them.
+    /// </summary>
+    public long BeaconFallbacks { get; init; }
+
+    public double AverageCollectionMs { get; init; }
+    public double AveragePayloadBytes { get; init; }
+
+    /// <summary>
+    ///     Probe name to number of submissions where it missed its deadline.
+    /// </summary>
+    public IReadOnlyDictionary<string, long> TimedOutProbes { get; init; } = new Dictionary<string, long>();
+
+    /// <summary>
+    ///     Probe name to number of error reports raised while it was running.
+    /// </summary>
+    public IReadOnlyDictionary<string, long> FailedStages { get; init; } = new Dictionary<string, long>();
+}
+
+/// <summary>
+///     In-memory <see cref="IFingerprintCollectionStats" />. Families come from a fixed list, so the
+///     table stays small however many distinct user agents submit.
+/// </summary>
+public class FingerprintCollectionStats : IFingerprintCollectionStats
+{
+    private readonly ConcurrentDictionary<string, FamilyCounters> _families = new(StringComparer.Ordinal);
+
+    public void Record(string browserFamily, FingerprintCollectionOutcome outcome,
+        CollectionDiagnosticsData? diagnostics)
+    {
+        var counters = _families.GetOrAdd(browserFamily, _ => new FamilyCounters());
+
+        lock (counters)
+        {
+            counters.Submissions++;
+            switch (outcome)
+            {
+                case FingerprintCollectionOutcome.Complete: counters.Complete++; break;
+                case FingerprintCollectionOutcome.TimedOut: counters.TimedOut++; break;
+                case FingerprintCollectionOutcome.Error: counters.Errors++; break;
+                case FingerprintCollectionOutcome.Rejected: counters.Rejected++; break;
+            }
+
+            if (diagnostics == null) return;
+
+            if (diagnostics.Transport == "xhr-fallback") counters.BeaconFallbacks++;
+
+            if (diagnostics.Durations.TryGetValue("total", out var total))
+            {
+                counters.Timed++;
+                counters.TotalMs += total;
+            }
+
+            if (diagnostics.PayloadBytes > 0)
+            {
+                counters.Sized++;
+                counters.TotalBytes += diagnostics.PayloadBytes;
+            }
+
+            foreach (var probe in diagnostics.TimedOut.Distinct())
+                counters.TimedOutProbes[probe] = counters.TimedOutProbes.GetValueOrDefault(probe) + 1;
+
+            if (diagnostics.FailedStage != null)
+                counters.FailedStages[diagnostics.FailedStage] =
+                    counters.FailedStages.GetValueOrDefault(diagnostics.FailedStage) + 1;
+        }
+    }
+
+    public IReadOnlyList<FingerprintCollectionFamilyStats> GetSnapshot()
+    {
+        return _families
+            .Select(f =>
+            {
+                lock (f.Value)
+                {
+                    var c = f.Value;
+                    return new FingerprintCollectionFamilyStats
+                    {
+                        Family = f.Key,
+                        Submissions = c.Submissions,
+                        Complete = c.Complete,
+                        TimedOut = c.TimedOut,
+                        Errors = c.Errors,
+                        Rejected = c.Rejected,
+                        BeaconFallbacks = c.BeaconFallbacks,
+                        AverageCollectionMs = c.Timed > 0 ? Math.Round((double)c.TotalMs / c.Timed, 1) : 0,
+                        AveragePayloadBytes = c.Sized > 0 ? Math.Round((double)c.TotalBytes / c.Sized, 1) : 0,
+                        TimedOutProbes = new Dictionary<string, long>(c.TimedOutProbes),
+                        FailedStages = new Dictionary<string, long>(c.FailedStages)
+                    };
+                }
+            })
+            .OrderByDescending(s => s.Submissions)
+            .ThenBy(s => s.Family, StringComparer.Ordinal)
+            .ToList();
+    }
+
+    /// <summary>
+    ///     Outcome of an accepted submission.
+    /// </summary>
+    public static FingerprintCollectionOutcome GetOutcome(BrowserFingerprintData data)
+    {
+        if (!string.IsNullOrEmpty(data.Error)) return FingerprintCollectionOutcome.Error;
+        return data.Diagnostics?.TimedOut.Length > 0
+            ? FingerprintCollectionOutcome.TimedOut
+            : FingerprintCollectionOutcome.Complete;
+    }
+
+    /// <summary>
+    ///     Metric tag for an outcome: complete, timeout, error or rejected.
+    /// </summary>
+    public static string GetOutcomeName(FingerprintCollectionOutcome outcome)
+    {
+        return outcome switch
+        {
+            FingerprintCollectionOutcome.TimedOut => "timeout",
+            _ => outcome.ToString().ToLowerInvariant()
+        };
+    }
+
+    /// <summary>
+    ///     Coarse browser family from a User-Agent. Order matters: Edge, Opera and Samsung Internet
+    ///     also claim Chrome, and every Chromium browser claims Safari.
+    /// </summary>
+    public static string GetBrowserFamily(string? userAgent)
+    {
+        if (string.IsNullOrEmpty(userAgent)) return "Unknown";
+
+        if (userAgent.Contains("HeadlessChrome", StringComparison.Ordinal)) return "HeadlessChrome";
+        if (userAgent.Contains("Edg/", StringComparison.Ordinal) ||
+            userAgent.Contains("EdgA/", StringComparison.Ordinal) ||
+            userAgent.Contains("EdgiOS/", StringComparison.Ordinal)) return "Edge";
+        if (userAgent.Contains("OPR/", StringComparison.Ordinal)) return "Opera";
+        if (userAgent.Contains("SamsungBrowser/", StringComparison.Ordinal)) return "Samsung Internet";
+        if (userAgent.Contains("Firefox/", StringComparison.Ordinal) ||
+            userAgent.Contains("FxiOS/", StringComparison.Ordinal)) return "Firefox";
+        if (userAgent.Contains("Chrome/", StringComparison.Ordinal) ||
+            userAgent.Contains("CriOS/", StringComparison.Ordinal)) return "Chrome";
+        if (userAgent.Contains("Safari/", StringComparison.Ordinal)) return "Safari";
+
+        return "Other";
+    }
+
+    private sealed class FamilyCounters
+    {
+        public readonly Dictionary<string, long> FailedStages = new(StringComparer.Ordinal);
+        public readonly Dictionary<string, long> TimedOutProbes = new(StringComparer.Ordinal);
+        public long BeaconFallbacks;
+        public long Complete;
+        public long Errors;
+        public long Rejected;
+        public long Sized;
+        public long Submissions;
+        public long Timed;
+        public long TimedOut;
+        public long TotalBytes;
+        public long TotalMs;
+    }
+}
@@ -0,0 +1,51 @@
+using System.Text.Json;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Signed wrapper the script posts fingerprints in: <c>{"t": token, "p": payload JSON, "s": signature}</c>.
+///     The payload is carried as a string so the signature covers the exact bytes the client produced.
+/// </summary>
+public sealed class FingerprintEnvelope
+{
+    /// <summary>
+    ///     Browser token (in the body because <c>sendBeacon</c> can't set headers).
+    /// </summary>
+    public string? Token { get; init; }
+
+    /// <summary>
+    ///     The fingerprint payload, as serialized by the client.
+    /// </summary>
+    public string Payload { get; init; } = "";
+
+    /// <summary>
+    ///     Hex HMAC-SHA256 of <see cref="Payload" /> keyed by the page nonce
+    ///     (see <see cref="IBrowserTokenService.GetPageNonce" />).
+    /// </summary>
+    public string? Signature { get; init; }
+
+    /// <summary>
+    ///     Reads an envelope from a request body, or returns null if the body is a bare payload.
+    /// </summary>
+    public static FingerprintEnvelope? Read(JsonElement root)
+    {
+        if (root.ValueKind != JsonValueKind.Object ||
+            !root.TryGetProperty("p", out var payload) ||
+            payload.ValueKind != JsonValueKind.String)
+            return null;
+
+        return new FingerprintEnvelope
+        {
+            Token = GetString(root, "t"),
+            Payload = payload.GetString() ?? "",
+            Signature = GetString(root, "s")
+        };
+    }
+
+    private static string? GetString(JsonElement root, string name)
+    {
+        return root.TryGetProperty(name, out var value) && value.ValueKind == JsonValueKind.String
+            ? value.GetString()
+            : null;
+    }
+}
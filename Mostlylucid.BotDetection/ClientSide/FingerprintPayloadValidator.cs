@@ -0,0 +1,268 @@
+using System.Text.Json;
+using Microsoft.Extensions.Options;
+using Mostlylucid.BotDetection.Models;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Validates fingerprint submissions against the payload contract
+///     (<c>ClientSide/fingerprint-payload.schema.json</c>) before they reach the analyzer.
+/// </summary>
+public interface IFingerprintPayloadValidator
+{
+    /// <summary>
+    ///     Highest payload version this server understands.
+    /// </summary>
+    int CurrentVersion { get; }
+
+    /// <summary>
+    ///     Validates a raw fingerprint payload.
+    /// </summary>
+    FingerprintPayloadValidation Validate(JsonElement payload);
+}
+
+/// <summary>
+///     Outcome of payload validation.
+/// </summary>
+public enum FingerprintPayloadStatus
+{
+    /// <summary>Known version, matches the schema.</summary>
+    Valid,
+
+    /// <summary>Newer than this server understands; unknown signals are ignored.</summary>
+    Downgraded,
+
+    /// <summary>Missing/unsupported version or schema violation.</summary>
+    Rejected
+}
+
+/// <summary>
+///     Result of validating a fingerprint payload.
+/// </summary>
+public sealed record FingerprintPayloadValidation
+{
+    public FingerprintPayloadStatus Status { get; init; }
+
+    /// <summary>
+    ///     Payload version claimed by the client (0 if missing).
+    /// </summary>
+    public int Version { get; init; }
+
+    /// <summary>
+    ///     Schema violations (empty unless rejected).
+    /// </summary>
+    public IReadOnlyList<string> Errors { get; init; } = [];
+
+    public bool IsAccepted => Status != FingerprintPayloadStatus.Rejected;
+}
+
+/// <summary>
+///     Validates fingerprint payloads using the embedded JSON schema.
+///     Supports the subset of JSON Schema the contract uses: type, enum, minimum, maximum,
+///     maxLength, maxItems, items, properties, required, additionalProperties and local
+///     <c>#/definitions</c> references.
+/// </summary>
+public class FingerprintPayloadValidator : IFingerprintPayloadValidator
+{
+    private const string SchemaResourceName = "Mostlylucid.BotDetection.ClientSide.fingerprint-payload.schema.json";
+    private const int MaxErrors = 10;
+
+    private static readonly Lazy<JsonDocument> _schema = new(LoadSchema);
+
+    private readonly BotDetectionOptions _options;
+
+    public FingerprintPayloadValidator(IOptions<BotDetectionOptions> options)
+    {
+        _options = options.Value;
+    }
+
+    public int CurrentVersion => BotDetectionScript.PayloadVersion;
+
+    public FingerprintPayloadValidation Validate(JsonElement payload)
+    {
+        if (payload.ValueKind != JsonValueKind.Object)
+            return Reject(0, "Payload must be a JSON object");
+
+        if (!payload.TryGetProperty("v", out var versionElement) ||
+            versionElement.ValueKind != JsonValueKind.Number ||
+            !versionElement.TryGetInt32(out var version))
+            return Reject(0, "Missing or invalid payload version 'v'");
+
+        if (version < 1)
+            return Reject(version, $"Unsupported payload version {version}");
+
+        var downgraded = version > CurrentVersion;
+        if (downgraded && _options.ClientSide.RejectUnknownPayloadVersions)
+            return Reject(version, $"Unsupported payload version {version} (server supports up to {CurrentVersion})");
+
+        var schema = _schema.Value.RootElement;
+        var errors = new List<string>();
+
+        // Newer payloads may carry signals we don't know yet - ignore them rather than reject,
+        // but still type-check the ones we do know so they can't corrupt scoring
+        ValidateObject(payload, schema, "$", errors, allowUnknownProperties: downgraded);
+
+        if (errors.Count > 0)
+            return new FingerprintPayloadValidation
+            {
+                Status = FingerprintPayloadStatus.Rejected,
+                Version = version,
+                Errors = errors.Take(MaxErrors).ToList()
+            };
+
+        return new FingerprintPayloadValidation
+        {
+            Status = downgraded ? FingerprintPayloadStatus.Downgraded : FingerprintPayloadStatus.Valid,
+            Version = version
+        };
+    }
+
+    private static FingerprintPayloadValidation Reject(int version, string error)
+    {
+        return new FingerprintPayloadValidation
+        {
+            Status = FingerprintPayloadStatus.Rejected,
+            Version = version,
+            Errors = [error]
+        };
+    }
+
+    private static void ValidateObject(
+        JsonElement value,
+        JsonElement schema,
+        string path,
+        List<string> errors,
+        bool allowUnknownProperties)
+    {
+        schema.TryGetProperty("properties", out var properties);
+
+        if (schema.TryGetProperty("required", out var required))
+            foreach (var name in required.EnumerateArray())
+                if (!value.TryGetProperty(name.GetString()!, out _))
+                    errors.Add($"{path}.{name.GetString()}: required");
+
+        var strict = !allowUnknownProperties &&
+                     schema.TryGetProperty("additionalProperties", out var additional) &&
+                     additional.ValueKind == JsonValueKind.False;
+
+        foreach (var property in value.EnumerateObject())
+        {
+            if (properties.ValueKind == JsonValueKind.Object &&
+                properties.TryGetProperty(property.Name, out var propertySchema))
+            {
+                ValidateValue(property.Value, propertySchema, $"{path}.{property.Name}", errors,
+                    allowUnknownProperties);
+                continue;
+            }
+
+            if (strict) errors.Add($"{path}.{property.Name}: unknown property");
+        }
+    }
+
+    private static void ValidateValue(
+        JsonElement value,
+        JsonElement schema,
+        string path,
+        List<string> errors,
+        bool allowUnknownProperties)
+    {
+        if (schema.TryGetProperty("$ref", out var reference))
+            schema = ResolveReference(reference.GetString()!);
+
+        if (schema.TryGetProperty("type", out var type) && !MatchesType(value, type))
+        {
+            errors.Add($"{path}: expected {type}");
+            return;
+        }
+
+        if (schema.TryGetProperty("enum", out var allowed) &&
+            !allowed.EnumerateArray().Any(a => JsonElementEquals(a, value)))
+            errors.Add($"{path}: value not allowed");
+
+        if (value.ValueKind == JsonValueKind.Number)
+        {
+            var number = value.GetDouble();
+            if (schema.TryGetProperty("minimum", out var minimum) && number < minimum.GetDouble())
+                errors.Add($"{path}: below minimum {minimum.GetDouble()}");
+            if (schema.TryGetProperty("maximum", out var maximum) && number > maximum.GetDouble())
+                errors.Add($"{path}: above maximum {maximum.GetDouble()}");
+        }
+
+        if (value.ValueKind == JsonValueKind.String &&
+            schema.TryGetProperty("maxLength", out var maxLength) &&
+            value.GetString()!.Length > maxLength.GetInt32())
+            errors.Add($"{path}: longer than {maxLength.GetInt32()} characters");
+
+        if (value.ValueKind == JsonValueKind.Object && schema.TryGetProperty("properties", out _))
+            ValidateObject(value, schema, path, errors, allowUnknownProperties);
+
+        if (value.ValueKind == JsonValueKind.Array)
+        {
+            if (schema.TryGetProperty("maxItems", out var maxItems) &&
+                value.GetArrayLength() > maxItems.GetInt32())
+            {
+                errors.Add($"{path}: more than {maxItems.GetInt32()} items");
+                return;
+            }
+
+            if (schema.TryGetProperty("items", out var items))
+            {
+                var index = 0;
+                foreach (var item in value.EnumerateArray())
+                    ValidateValue(item, items, $"{path}[{index++}]", errors, allowUnknownProperties);
+            }
+        }
+    }
+
+    private static JsonElement ResolveReference(string reference)
+    {
+        const string prefix = "#/definitions/";
+        if (!reference.StartsWith(prefix, StringComparison.Ordinal))
+            throw new InvalidOperationException($"Unsupported schema reference '{reference}'");
+
+        return _schema.Value.RootElement.GetProperty("definitions").GetProperty(reference[prefix.Length..]);
+    }
+
+    private static bool MatchesType(JsonElement value, JsonElement type)
+    {
+        return type.ValueKind == JsonValueKind.Array
+            ? type.EnumerateArray().Any(t => MatchesType(value, t.GetString()!))
+            : MatchesType(value, type.GetString()!);
+    }
+
+    private static bool MatchesType(JsonElement value, string type)
+    {
+        return type switch
+        {
+            "string" => value.ValueKind == JsonValueKind.String,
+            "number" => value.ValueKind == JsonValueKind.Number,
+            "integer" => value.ValueKind == JsonValueKind.Number && value.GetDouble() % 1 == 0,
+            "boolean" => value.ValueKind is JsonValueKind.True or JsonValueKind.False,
+            "object" => value.ValueKind == JsonValueKind.Object,
+            "array" => value.ValueKind == JsonValueKind.Array,
+            "null" => value.ValueKind == JsonValueKind.Null,
+            _ => false
+        };
+    }
+
+    private static bool JsonElementEquals(JsonElement a, JsonElement b)
+    {
+        if (a.ValueKind != b.ValueKind) return false;
+
+        return a.ValueKind switch
+        {
+            JsonValueKind.String => a.GetString() == b.GetString(),
+            JsonValueKind.Number => a.GetDouble() == b.GetDouble(),
+            _ => a.GetRawText() == b.GetRawText()
+        };
+    }
+
+    private static JsonDocument LoadSchema()
+    {
+        var assembly = typeof(FingerprintPayloadValidator).Assembly;
+        using var stream = assembly.GetManifestResourceStream(SchemaResourceName)
+                           ?? throw new InvalidOperationException(
+                               $"Embedded resource '{SchemaResourceName}' not found in {assembly.GetName().Name}");
+        return JsonDocument.Parse(stream);
+    }
+}
@@ -0,0 +1,57 @@
+using System.Text.Json.Serialization;
+using Mostlylucid.BotDetection.Detectors;
+using Mostlylucid.BotDetection.Extensions;
+using Mostlylucid.BotDetection.Models;
+using Mostlylucid.BotDetection.Orchestration;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Summary of a fingerprint analysis returned to the page when
+///     <see cref="ClientSideOptions.ReturnVerdict" /> is on, so front-end code can react (disable a form,
+///     show a challenge, tag analytics). It covers the fingerprint alone - the request pipeline still
+///     makes its own decision on later requests.
+/// </summary>
+public sealed record FingerprintVerdict
+{
+    /// <summary>
+    ///     Risk band for <see cref="Probability" />, with the thresholds of
+    ///     <see cref="HttpContextExtensions.GetRiskBand(double)" />.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter<RiskBand>))]
+    public RiskBand Risk { get; init; }
+
+    /// <summary>
+    ///     Recommended action for <see cref="Risk" />.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter<RecommendedAction>))]
+    public RecommendedAction Action { get; init; }
+
+    /// <summary>
+    ///     Bot probability from the fingerprint (0.0-1.0), as <see cref="ClientSideDetector" /> weighs it.
+    /// </summary>
+    public double Probability { get; init; }
+
+    public bool Headless { get; init; }
+    public int Integrity { get; init; }
+    public string? Automation { get; init; }
+
+    /// <summary>
+    ///     Builds the verdict for an analyzed fingerprint.
+    /// </summary>
+    public static FingerprintVerdict From(BrowserFingerprintResult result, ClientSideOptions options)
+    {
+        var probability = Math.Round(Math.Clamp(ClientSideDetector.ScoreFingerprint(result, options), 0.0, 1.0), 2);
+        var risk = HttpContextExtensions.GetRiskBand(probability);
+
+        return new FingerprintVerdict
+        {
+            Risk = risk,
+            Action = HttpContextExtensions.GetRecommendedAction(risk),
+            Probability = probability,
+            Headless = result.IsHeadless,
+            Integrity = result.BrowserIntegrityScore,
+            Automation = result.DetectedAutomation
+        };
+    }
+}
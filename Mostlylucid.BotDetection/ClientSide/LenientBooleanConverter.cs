@@ -0,0 +1,28 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Reads a boolean from JSON true/false or a 0/1 number.
+///     botdetection.js sends flags as 0/1 to keep the payload compact.
+/// </summary>
+internal sealed class LenientBooleanConverter : JsonConverter<bool>
+{
+    public override bool Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        return reader.TokenType switch
+        {
+            JsonTokenType.True => true,
+            JsonTokenType.False => false,
+            JsonTokenType.Number => reader.TryGetDouble(out var value) && value != 0,
+            JsonTokenType.Null => false,
+            _ => throw new JsonException($"Cannot convert {reader.TokenType} to boolean")
+        };
+    }
+
+    public override void Write(Utf8JsonWriter writer, bool value, JsonSerializerOptions options)
+    {
+        writer.WriteBooleanValue(value);
+    }
+}
@@ -0,0 +1,215 @@
+using System.Buffers.Binary;
+using System.Numerics;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json.Serialization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Mostlylucid.BotDetection.Extensions;
+using Mostlylucid.BotDetection.Models;
+
+namespace Mostlylucid.BotDetection.ClientSide;
+
+/// <summary>
+///     Issues and verifies proof-of-work challenges for the client script.
+///     A challenge is an HMAC of the browser token and difficulty, so it is stateless, can't be
+///     transplanted onto another token and can't have its difficulty lowered by the client.
+/// </summary>
+public interface IProofOfWorkChallengeService
+{
+    /// <summary>
+    ///     Creates a challenge for the page being rendered, or null when the request isn't borderline,
+    ///     challenges are disabled or the client has already passed one.
+    /// </summary>
+    /// <param name="context">The page request.</param>
+    /// <param name="token">The browser token issued to the page.</param>
+    ProofOfWorkChallenge? CreateChallenge(HttpContext context, string token);
+
+    /// <summary>
+    ///     Verifies a solution posted by the script and, if valid, records the pass.
+    ///     Returns null if the token, challenge or solution is invalid or the challenge was already used.
+    /// </summary>
+    ProofOfWorkPass? Verify(HttpContext context, string token, ProofOfWorkSolution solution);
+
+    /// <summary>
+    ///     Gets the current pass for an IP hash, if any.
+    /// </summary>
+    ProofOfWorkPass? GetPass(string ipHash);
+}
+
+/// <summary>
+///     Puzzle handed to the script: find a nonce such that
+///     SHA-256(<c>challenge + ":" + nonce</c>) starts with <c>difficulty</c> zero bits.
+/// </summary>
+public record ProofOfWorkChallenge
+{
+    [JsonPropertyName("challenge")] public string Challenge { get; init; } = "";
+
+    [JsonPropertyName("difficulty")] public int Difficulty { get; init; }
+}
+
+/// <summary>
+///     Solution posted back by the script.
+/// </summary>
+public record ProofOfWorkSolution
+{
+    [JsonPropertyName("c")] public string Challenge { get; init; } = "";
+
+    [JsonPropertyName("d")] public int Difficulty { get; init; }
+
+    [JsonPropertyName("n")] public long Nonce { get; init; }
+
+    /// <summary>
+    ///     Time the client took to solve, in milliseconds (informational only).
+    /// </summary>
+    [JsonPropertyName("ms")]
+    public long ElapsedMs { get; init; }
+}
+
+/// <summary>
+///     Record of a passed challenge, held per client IP hash.
+/// </summary>
+public record ProofOfWorkPass
+{
+    public string RequestId { get; init; } = "";
+    public int Difficulty { get; init; }
+    public long ElapsedMs { get; init; }
+    public DateTimeOffset PassedAt { get; init; } = DateTimeOffset.UtcNow;
+}
+
+public class ProofOfWorkChallengeService : IProofOfWorkChallengeService
+{
+    private const string PassCachePrefix = "MLBotD:PowPass:";
+    private const string UsedChallengeCachePrefix = "MLBotD:PowUsed:";
+
+    private readonly IMemoryCache _cache;
+    private readonly byte[] _key;
+    private readonly ILogger<ProofOfWorkChallengeService> _logger;
+    private readonly BotDetectionOptions _options;
+    private readonly IBrowserTokenService _tokenService;
+
+    public ProofOfWorkChallengeService(
+        IOptions<BotDetectionOptions> options,
+        IBrowserTokenService tokenService,
+        IMemoryCache cache,
+        ILogger<ProofOfWorkChallengeService> logger)
+    {
+        _options = options.Value;
+        _tokenService = tokenService;
+        _cache = cache;
+        _logger = logger;
+
+        // Separate key from token signing so a challenge can never double as a token signature
+        var secret = _options.ClientSide.TokenSecret;
+        _key = string.IsNullOrEmpty(secret)
+            ? RandomNumberGenerator.GetBytes(32)
+            : HKDF.DeriveKey(HashAlgorithmName.SHA256, Encoding.UTF8.GetBytes(secret), 32,
+                Encoding.UTF8.GetBytes("MLBotD-v1-TokenKey"), Encoding.UTF8.GetBytes("proof-of-work-challenge"));
+    }
+
+    public ProofOfWorkChallenge? CreateChallenge(HttpContext context, string token)
+    {
+        var opts = _options.ClientSide.ProofOfWork;
+        if (!opts.Enabled) return null;
+
+        var detection = context.GetBotDetectionResult();
+        if (detection == null) return null;
+
+        var risk = detection.ConfidenceScore;
+        if (risk < opts.MinRisk || risk > opts.MaxRisk) return null;
+
+        var payload = _tokenService.ReadToken(context, token);
+        if (payload == null || GetPass(payload.IpHash) != null) return null;
+
+        var difficulty = CalculateDifficulty(risk);
+        return new ProofOfWorkChallenge
+        {
+            Challenge = Sign(token, difficulty),
+            Difficulty = difficulty
+        };
+    }
+
+    public ProofOfWorkPass? Verify(HttpContext context, string token, ProofOfWorkSolution solution)
+    {
+        var opts = _options.ClientSide.ProofOfWork;
+        if (!opts.Enabled) return null;
+
+        var payload = _tokenService.ReadToken(context, token);
+        if (payload == null) return null;
+
+        // The challenge must be the one we issued for this token at this difficulty
+        if (solution.Difficulty < opts.MinDifficulty || solution.Difficulty > opts.MaxDifficulty ||
+            !CryptographicOperations.FixedTimeEquals(
+                Encoding.ASCII.GetBytes(Sign(token, solution.Difficulty)),
+                Encoding.ASCII.GetBytes(solution.Challenge)))
+        {
+            _logger.LogDebug("Proof-of-work challenge mismatch for request {RequestId}", payload.RequestId);
+            return null;
+        }
+
+        if (solution.Nonce < 0 ||
+            LeadingZeroBits(SHA256.HashData(Encoding.UTF8.GetBytes($"{solution.Challenge}:{solution.Nonce}")))
+            < solution.Difficulty)
+        {
+            _logger.LogDebug("Proof-of-work solution does not meet difficulty {Difficulty}", solution.Difficulty);
+            return null;
+        }
+
+        var usedKey = $"{UsedChallengeCachePrefix}{solution.Challenge}";
+        if (_cache.TryGetValue(usedKey, out _))
+        {
+            _logger.LogWarning("Proof-of-work solution replayed for request {RequestId}", payload.RequestId);
+            return null;
+        }
+
+        var now = DateTimeOffset.UtcNow.ToUnixTimeSeconds();
+        _cache.Set(usedKey, true, TimeSpan.FromSeconds(Math.Max(0, payload.ExpiresAt - now) + 60));
+
+        var pass = new ProofOfWorkPass
+        {
+            RequestId = payload.RequestId,
+            Difficulty = solution.Difficulty,
+            ElapsedMs = solution.ElapsedMs
+        };
+        _cache.Set($"{PassCachePrefix}{payload.IpHash}", pass, TimeSpan.FromSeconds(opts.PassLifetimeSeconds));
+
+        return pass;
+    }
+
+    public ProofOfWorkPass? GetPass(string ipHash)
+    {
+        return _cache.TryGetValue($"{PassCachePrefix}{ipHash}", out ProofOfWorkPass? pass) ? pass : null;
+    }
+
+    private int CalculateDifficulty(double risk)
+    {
+        // Linear between MinDifficulty at MinRisk and MaxDifficulty at MaxRisk
+        var opts = _options.ClientSide.ProofOfWork;
+        var span = opts.MaxRisk - opts.MinRisk;
+        var position = span <= 0 ? 1.0 : (risk - opts.MinRisk) / span;
+
+        return opts.MinDifficulty + (int)Math.Round(position * (opts.MaxDifficulty - opts.MinDifficulty));
+    }
+
+    private string Sign(string token, int difficulty)
+    {
+        using var hmac = new HMACSHA256(_key);
+        var signature = hmac.ComputeHash(Encoding.UTF8.GetBytes($"{token}|{difficulty}"));
+        return Convert.ToHexString(signature, 0, 16).ToLowerInvariant();
+    }
+
+    private static int LeadingZeroBits(byte[] hash)
+    {
+        var bits = 0;
+        for (var i = 0; i < hash.Length; i += 4)
+        {
+            var word = BinaryPrimitives.ReadUInt32BigEndian(hash.AsSpan(i, 4));
+            if (word != 0) return bits + BitOperations.LeadingZeroCount(word);
+            bits += 32;
+        }
+
+        return bits;
+    }
+}
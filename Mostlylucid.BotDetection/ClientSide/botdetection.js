@@ -12,17 +12,39 @@
  * - Performance: timing shapes, resource counts (no URLs)
  * - Automation markers: webdriver, phantom, selenium, CDP
  * - Consistency: window dimensions, function integrity
+ * - Lie detection: platform/UA/client hints, screen vs media queries, WebGL vs OS,
+ *   Intl vs Date time zone, claimed vs measured cores, spoofed navigator getters
+ * - Context comparison: navigator/Intl/WebGL signals re-read in a sandboxed
+ *   iframe and a Worker; only the names of differing signals are sent
+ * - UA Client Hints: brands with full versions, platform version, architecture,
+ *   bitness and model, checked server-side against the Sec-CH-UA* headers
  * - Anti-tamper: native function checks (getBattery, console, querySelector)
  * - Context: iframe detection, sandboxing
  * - Optional: WebGL vendor/renderer, canvas hash, audio context hash
+ * - Optional: font/emoji rendering probe (font count bucket, colour-emoji flag,
+ *   bitmap hash - never font names)
+ * - Optional: timing probes (requestAnimationFrame cadence, performance.now
+ *   resolution, canvas frame cost, setTimeout drift - bucketed, not raw timings)
  * - Optional: Interaction tracking (did user interact at all - no PII)
+ * - Optional: Behavioral biometrics (aggregate mouse/key/scroll/touch statistics)
+ * - Diagnostics: per-probe durations, skipped and timed-out probes, transport
+ *   and payload size (and the failing probe in error reports)
+ * - On request: proof-of-work challenge solved in a Web Worker
+ * - Optional: activity heartbeats and single-page-app navigation tracking
+ * - Optional: bot traps - hidden links and form fields that report when a bot
+ *   follows, clicks or fills them
  *
  * Privacy & Security:
  * - No cookies or localStorage used for tracking
- * - All high-entropy signals (canvas, audio, WebGL) sent as HASHES only
+ * - High-entropy canvas/audio renderings sent only as salted SHA-256 hashes:
+ *   the salt is per deployment (delivered in the token), so the same browser
+ *   produces unrelated hashes on different sites and hashes can't be matched
+ *   against precomputed tables
  * - Fingerprint hash is ephemeral (session-scoped, non-persistent)
  * - No PII collected (no IPs, no precise location, no keylogging)
  * - Interaction tracking is boolean only (did interact: yes/no)
+ * - Behavioral biometrics are opt-in and summary-only: no coordinates, key values,
+ *   targets or raw event streams leave the page
  * - Network hints are coarse (effectiveType, not bandwidth details)
  * - User preferences are standard media queries (not fingerprintable)
  * - Uses sendBeacon for reliable, non-blocking delivery
@@ -39,593 +61,2827 @@
  * - Interaction tracking (non-invasive, boolean)
  * - Explainable scoring with reasons
  * - sendBeacon for reliable transport
+ *
+ * Module API:
+ * The file is a UMD module: a classic <script> defines window.MLBotD, CommonJS
+ * and AMD loaders get the same object, and the npm package (ClientSide/npm)
+ * builds an ES module from it. The API is
+ *   init(config)  - apply settings and start collecting; only the first call counts
+ *   collect()     - Promise of the stamped payload, without sending it
+ *   send(payload) - sign and post the payload (or a fresh collection) - once,
+ *                   the token is single-use; later calls return the same Promise
+ *   on(event, fn) - 'result' fires with the payload once it has been sent (in
+ *                   verdict mode, once the response is in), 'verdict' with
+ *                   the server's verdict
+ *   verdict()     - Promise of the server's verdict, or null
+ * With autoSend (the default) init sends by itself after the usual delay.
+ *
+ * Verdict:
+ * With verdict on (ClientSide.ReturnVerdict) the fingerprint is posted with
+ * fetch instead of sendBeacon and the response carries the server's verdict,
+ * {risk, action, probability, headless, integrity, automation}. The script
+ * emits it as 'verdict' and as an "mlbotd:verdict" CustomEvent on document.
+ *
+ * Configuration:
+ * This file is valid JavaScript as shipped - nothing is substituted into it.
+ * Settings are read (in order, later wins) from built-in defaults, a JSON
+ * config block, data- attributes on the script element and the object passed
+ * to init():
+ *
+ *   <script type="application/json" id="mlbotd-config">
+ *     {"token":"...","endpoint":"/bot-detection/fingerprint","collectWebGL":true}
+ *   </script>
+ *   <script src="/bot-detection/botdetection.js" data-timeout="5000" defer></script>
+ *
+ * The config block id can be changed with data-config="my-id". Loaded as a
+ * classic script, it replays calls queued on window.MLBotDQueue before it
+ * arrived - the BotDetectionTagHelper emits such a bootstrap,
+ *   (window.MLBotDQueue = window.MLBotDQueue || []).push(['init', {...}]);
+ * with the settings from BotDetectionOptions.ClientSide. With nothing queued it
+ * starts by itself when the page has a config block or a data-token attribute.
+ *
+ * Proof-of-work:
+ * For borderline requests the config block carries a "pow" object
+ * ({challenge, difficulty, endpoint}). The script finds a nonce such that
+ * SHA-256(challenge + ":" + nonce) starts with `difficulty` zero bits - in a
+ * Web Worker where allowed, otherwise in yielding batches on the main thread -
+ * and posts it back with the page token. Requires SubtleCrypto (secure context).
+ *
+ * Heartbeats:
+ * With heartbeatMs > 0 and/or trackNavigation, the script keeps reporting after
+ * the initial fingerprint: on a timer, after history.pushState/popstate and when
+ * the page is hidden. Each heartbeat carries a sequence number and counts since
+ * the previous one (navigations, visibility/focus changes, input events) - no
+ * URLs, targets or event data.
+ *
+ * Bot traps:
+ * With a "traps" object ({endpoint, links, fields}) the script plants links
+ * to the trap URL at the end of the body and a text field in each form. They
+ * are off-screen, aria-hidden and out of the tab order, so people never reach
+ * them. A crawler following a link requests the trap URL itself (with the page
+ * token in the query); a click on a link or a value in a field is posted to it
+ * as {k: 'click' | 'fill', id}. Traps are planted whatever the consent tier -
+ * they read nothing from the browser.
+ *
+ * Consent:
+ * With a "consent" object in the config block the script first resolves a
+ * collection tier - from a page callback, a TCF v2 or GPP CMP, or a cookie,
+ * else the configured default - and sends it as "tier":
+ *   essential - automation markers, window and function integrity only
+ *   standard  - adds device signals, Client Hints, lie detection, context
+ *               comparison, timing probes and behavioral biometrics
+ *   full      - adds the WebGL renderer, canvas/audio hashes and font probe
+ * Without a consent object the tier is always full.
+ *
+ * Signed submissions:
+ * The fingerprint is posted as an envelope {t: token, p: payload JSON, s: sig}
+ * where sig is HMAC-SHA256(key, p) with the per-page key the server sealed
+ * into the config block ("seal"). The server rejects envelopes whose payload
+ * was altered after signing or replayed on another page's token.
  */
-(function () {
+(function (root, factory) {
     'use strict';
 
-    // Configuration injected by TagHelper
-    // %%CONFIG%% will be replaced with actual values
-    var MLBotD = {
-            version: '%%VERSION%%',
-            token: '%%TOKEN%%',
-            endpoint: '%%ENDPOINT%%',
-            config: {
-                collectWebGL: % % COLLECT_WEBGL % %,
-            collectCanvas: % % COLLECT_CANVAS % %,
-        collectAudio:
-%%
-    COLLECT_AUDIO % %,
-        collectInteraction
-: %%
-    COLLECT_INTERACTION % %,
-        timeout
-: %%
-    TIMEOUT % %
-},
-
-    /**
-     * Simple non-cryptographic hash for fingerprint components
-     */
-    hash: function (str) {
-        var hash = 0;
-        for (var i = 0; i < str.length; i++) {
-            hash = ((hash << 5) - hash) + str.charCodeAt(i);
-            hash |= 0; // Convert to 32-bit integer
-        }
-        return hash.toString(16);
-    }
-,
-
-    /**
-     * Check if a function is native (not modified/wrapped)
-     */
-    checkNative: function (fn) {
-        try {
-            if (!fn) return -1;
-            var s = Function.prototype.toString.call(fn);
-            return s.indexOf('[native code]') > -1 ? 1 : 0;
-        } catch (e) {
-            return -1;
-        }
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(null);
+    } else if (typeof define === 'function' && define.amd) {
+        define([], function () {
+            return factory(null);
+        });
+    } else {
+        // Classic script: captured synchronously - document.currentScript is null inside callbacks
+        root.MLBotD = factory(document.currentScript);
     }
-,
-
-    /**
-     * Setup interaction tracking (non-invasive, just "did user interact at all")
-     */
-    setupInteractionSignals: function () {
-        var interacted = 0;
-        var mark = function () {
-            interacted = 1;
-        };
-
-        try {
-            window.addEventListener('mousemove', mark, {once: true, passive: true});
-            window.addEventListener('mousedown', mark, {once: true, passive: true});
-            window.addEventListener('touchstart', mark, {once: true, passive: true});
-            window.addEventListener('keydown', mark, {once: true, passive: true});
-        } catch (e) {
-        }
+})(this, function (currentScript) {
+    'use strict';
 
-        return function () {
-            return interacted;
-        };
-    }
-,
+    var MLBotD = {
+        version: '1.17.0',
+        // Payload contract version - see fingerprint-payload.schema.json
+        payloadVersion: 11,
+        token: '',
+        // Per-deployment hash salt, read from the token payload
+        salt: '',
+        // Per-page submission signing key (hex), unsealed from the config block
+        key: '',
+        endpoint: '/bot-detection/fingerprint',
+        heartbeatEndpoint: '/bot-detection/heartbeat',
+        // Proof-of-work challenge from the server: {challenge, difficulty, endpoint}
+        pow: null,
+        // Bot traps from the server: {endpoint, links, fields}
+        traps: null,
+        // Consent gate from the server: {tier, callback, tcf, gpp, cookie, timeout}; null = always full
+        consent: null,
+        // Collection tier in effect: essential, standard or full
+        tier: 'full',
+        // Diagnostics of the collection in progress (see collect)
+        diag: null,
+        // Resolves once run() has settled the consent tier; null until init
+        ready: null,
+        // The one signed submission (see submit)
+        submission: null,
+        // Interaction/behavior readers set up by run(), added to every collection
+        getInteracted: null,
+        getBehavior: null,
+        // Event handlers by name, and the last value emitted for each
+        handlers: {},
+        emitted: {},
+        // Server verdict (see verdict mode): the Promise and its resolver
+        verdictPromise: null,
+        resolveVerdict: null,
+        // Integrity score rule table: points off 100 per matching rule, in reporting order.
+        // The server can re-weight, disable or add rules ("scoring" in the config block).
+        ruleVersion: 'builtin',
+        rules: [
+            {id: 'webdriver', weight: 50},
+            {id: 'phantom', weight: 50},
+            {id: 'nightmare', weight: 50},
+            {id: 'selenium', weight: 50},
+            {id: 'cdp', weight: 40},
+            {id: 'chrome-no-plugins', weight: 20},
+            {id: 'zero-outer', weight: 30},
+            {id: 'no-chrome-ui', weight: 10},
+            {id: 'bind-not-native', weight: 20},
+            {id: 'eval-len-weird', weight: 15},
+            {id: 'perm-suspicious', weight: 25},
+            {id: 'getBattery-wrapped', weight: 15},
+            {id: 'console-wrapped', weight: 10},
+            {id: 'querySelector-wrapped', weight: 15},
+            {id: 'suspicious-iframe', weight: 20},
+            {id: 'context-mismatch', weight: 40},
+            {id: 'lie-platform', weight: 15},
+            {id: 'lie-client-hints', weight: 15},
+            {id: 'lie-screen', weight: 15},
+            {id: 'lie-webgl', weight: 15},
+            {id: 'lie-timezone', weight: 15},
+            {id: 'lie-navigator', weight: 15},
+            {id: 'lie-cores', weight: 15}
+        ],
+        // Conditions for the built-in rules (lie-* rules match the lie-detection results)
+        checks: {
+            'webdriver': function (d) {
+                return d.webdriver;
+            },
+            'phantom': function (d) {
+                return d.phantom;
+            },
+            'nightmare': function (d) {
+                return d.nightmare;
+            },
+            'selenium': function (d) {
+                return d.selenium;
+            },
+            'cdp': function (d) {
+                return d.cdc;
+            },
+            'chrome-no-plugins': function (d) {
+                return d.plugins === 0 && d.chrome;
+            },
+            'zero-outer': function (d) {
+                return d.outerW === 0 || d.outerH === 0;
+            },
+            'no-chrome-ui': function (d) {
+                return d.innerW === d.outerW && d.innerH === d.outerH;
+            },
+            'bind-not-native': function (d) {
+                return !d.bindNative;
+            },
+            'eval-len-weird': function (d) {
+                return d.evalLen > 0 && (d.evalLen < 30 || d.evalLen > 50);
+            },
+            'perm-suspicious': function (d) {
+                return d.permissions === 'suspicious';
+            },
+            'getBattery-wrapped': function (d) {
+                return d.getBatteryNative === 0;
+            },
+            'console-wrapped': function (d) {
+                return d.consoleDebugNative === 0;
+            },
+            'querySelector-wrapped': function (d) {
+                return d.querySelectorNative === 0;
+            },
+            'suspicious-iframe': function (d) {
+                return d.isIframe === 1 && d.outerW === 0;
+            },
+            'context-mismatch': function (d) {
+                return d.ctx && (d.ctx.iframe || d.ctx.worker);
+            }
+        },
+        // Async probes, run side by side by collect(). Each names the lowest consent tier that
+        // allows it and the config flag that enables it; `when` can rule it out per page, and
+        // `deadline` (ms) is its own time limit within config.timeout. run(data, lies) returns a
+        // Promise; apply(data, value, lies) stores the value (undefined if the probe failed).
+        // A probe still running at its deadline is listed in diag.to and its signals are left out.
+        probes: [
+            {
+                name: 'canvas',
+                tier: 'full',
+                option: 'collectCanvas',
+                run: function () {
+                    var canvasData = this.getCanvasData();
+                    return canvasData ? this.digest(canvasData) : Promise.resolve('');
+                },
+                apply: function (data, hash) {
+                    data.canvasHash = hash || '';
+                }
+            },
+            {
+                // OfflineAudioContext rendering can stall indefinitely (suspended contexts,
+                // audio-blocking extensions)
+                name: 'audio',
+                tier: 'full',
+                option: 'collectAudio',
+                deadline: 1000,
+                run: function () {
+                    var self = this;
+                    return this.getAudioData().then(function (audio) {
+                        return audio ? self.digest(audio) : '';
+                    });
+                },
+                apply: function (data, hash) {
+                    data.audioHash = hash || '';
+                }
+            },
+            {
+                name: 'fonts',
+                tier: 'full',
+                option: 'collectFonts',
+                run: function () {
+                    var fonts = this.getFontSignals();
+                    if (!fonts) return Promise.resolve(null);
+                    return this.digest(fonts.bitmap).then(function (hash) {
+                        return {n: fonts.n, emoji: fonts.emoji, hash: hash || ''};
+                    });
+                },
+                apply: function (data, fonts) {
+                    if (fonts) data.fonts = fonts;
+                }
+            },
+            {
+                name: 'timing',
+                tier: 'standard',
+                option: 'collectTiming',
+                deadline: 2000,
+                run: function () {
+                    return this.getTimingSignals();
+                },
+                apply: function (data, timing) {
+                    if (timing) data.timing = timing;
+                }
+            },
+            {
+                // UA Client Hints, compared with the Sec-CH-UA* headers server-side
+                name: 'uach',
+                tier: 'standard',
+                option: 'collectClientHints',
+                deadline: 1000,
+                run: function () {
+                    return this.getClientHints();
+                },
+                apply: function (data, hints) {
+                    if (hints) data.uach = hints;
+                }
+            },
+            {
+                // Lie detection: claimed cores vs measured Worker parallelism. Only claims of 4+
+                // cores are checked, and only against a low bar (timing is noisy): a machine that
+                // can't run two workers side by side doesn't have them.
+                name: 'cores',
+                tier: 'standard',
+                option: 'checkConsistency',
+                deadline: 2000,
+                when: function (data, lies) {
+                    return lies && data.cores >= 4;
+                },
+                run: function (data) {
+                    return this.measureParallelism(data.cores);
+                },
+                apply: function (data, parallelism, lies) {
+                    if (parallelism > 0 && parallelism < 2) lies.push('lie-cores');
+                }
+            },
+            {
+                // Context comparison: the same signals in a sandboxed iframe and a Worker
+                name: 'ctx',
+                tier: 'standard',
+                option: 'compareContexts',
+                deadline: 1500,
+                run: function () {
+                    var self = this;
+                    var withGL = this.tier === 'full' && this.config.collectWebGL;
+                    var main = this.contextSignals(window, withGL);
+                    var ctx = {};
 
-    /**
-     * Get audio context fingerprint hash (privacy-safe, only hash sent)
-     */
-    getAudioHash: function () {
-        try {
-            var AudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
-            if (!AudioContext) return '';
+                    var frameSignals = this.getIframeSignals(withGL);
+                    if (frameSignals) ctx.iframe = this.diffContexts(main, frameSignals);
 
-            var ctx = new AudioContext(1, 44100, 44100);
-            var osc = ctx.createOscillator();
-            var comp = ctx.createDynamicsCompressor();
+                    return this.getWorkerSignals(withGL).then(function (workerSignals) {
+                        if (workerSignals) ctx.worker = self.diffContexts(main, workerSignals);
+                        return ctx;
+                    });
+                },
+                apply: function (data, ctx) {
+                    data.ctx = ctx || {};
+                }
+            }
+        ],
+        config: {
+            collectWebGL: true,
+            collectCanvas: true,
+            collectAudio: false,
+            collectFonts: false,
+            collectTiming: false,
+            collectInteraction: true,
+            collectBehavior: false,
+            behaviorWindowMs: 5000,
+            heartbeatMs: 0,
+            trackNavigation: false,
+            checkConsistency: true,
+            compareContexts: true,
+            collectClientHints: true,
+            autoSend: true,
+            verdict: false,
+            timeout: 5000
+        },
 
-            osc.type = 'triangle';
-            osc.frequency.value = 1000;
+        /**
+         * Apply configuration from the JSON config block, data- attributes and init() options
+         */
+        configure: function (script, options) {
+            var settings = {};
 
-            osc.connect(comp);
-            comp.connect(ctx.destination);
-            osc.start(0);
-            ctx.startRendering();
+            try {
+                var id = (script && script.getAttribute('data-config')) || 'mlbotd-config';
+                var block = document.getElementById(id);
+                if (block && block.textContent) {
+                    settings = JSON.parse(block.textContent) || {};
+                }
+            } catch (e) {
+                settings = {};
+            }
 
-            var self = this;
-            return new Promise(function (resolve) {
-                ctx.oncomplete = function (e) {
-                    try {
-                        var buf = e.renderedBuffer.getChannelData(0);
-                        // Downsample aggressively to keep it light
-                        var step = Math.max(1, Math.floor(buf.length / 128));
-                        var str = '';
-                        for (var i = 0; i < buf.length; i += step) {
-                            str += String.fromCharCode(~~((buf[i] + 1) * 127));
-                        }
-                        resolve(self.hash(str));
-                    } catch (ex) {
-                        resolve('');
+            if (script) {
+                var attrs = {
+                    token: 'data-token',
+                    endpoint: 'data-endpoint',
+                    collectWebGL: 'data-collect-webgl',
+                    collectCanvas: 'data-collect-canvas',
+                    collectAudio: 'data-collect-audio',
+                    collectFonts: 'data-collect-fonts',
+                    collectTiming: 'data-collect-timing',
+                    collectInteraction: 'data-collect-interaction',
+                    collectBehavior: 'data-collect-behavior',
+                    behaviorWindowMs: 'data-behavior-window',
+                    heartbeatMs: 'data-heartbeat',
+                    trackNavigation: 'data-track-navigation',
+                    heartbeatEndpoint: 'data-heartbeat-endpoint',
+                    checkConsistency: 'data-check-consistency',
+                    compareContexts: 'data-compare-contexts',
+                    collectClientHints: 'data-collect-client-hints',
+                    autoSend: 'data-auto-send',
+                    verdict: 'data-verdict',
+                    timeout: 'data-timeout'
+                };
+                for (var key in attrs) {
+                    if (attrs.hasOwnProperty(key) && script.hasAttribute(attrs[key])) {
+                        settings[key] = script.getAttribute(attrs[key]);
                     }
+                }
+            }
+
+            if (options) {
+                for (var option in options) {
+                    if (options.hasOwnProperty(option)) settings[option] = options[option];
+                }
+            }
+
+            if (settings.token) this.token = String(settings.token);
+            this.salt = this.readSalt(this.token);
+            if (settings.seal) this.key = this.unseal(String(settings.seal));
+            if (settings.endpoint) this.endpoint = String(settings.endpoint);
+            if (settings.heartbeatEndpoint) this.heartbeatEndpoint = String(settings.heartbeatEndpoint);
+            if (settings.pow && settings.pow.challenge && settings.pow.endpoint) {
+                this.pow = {
+                    challenge: String(settings.pow.challenge),
+                    difficulty: parseInt(settings.pow.difficulty, 10) || 0,
+                    endpoint: String(settings.pow.endpoint)
                 };
-            });
-        } catch (e) {
-            return Promise.resolve('');
-        }
-    }
-,
-
-    /**
-     * Collect browser fingerprint signals
-     */
-    collect: function (callback) {
-        var data = {};
-        var nav = navigator;
-        var win = window;
-        var scr = screen;
-
-        // ===== Basic Signals (low entropy, non-invasive) =====
-        data.tz = this.getTimezone();
-        data.lang = nav.language || '';
-        data.langs = (nav.languages || []).slice(0, 3).join(',');
-        data.platform = nav.platform || '';
-        data.cores = nav.hardwareConcurrency || 0;
-        data.mem = nav.deviceMemory || 0;
-        data.touch = 'ontouchstart' in win ? 1 : 0;
-        data.screen = scr.width + 'x' + scr.height + 'x' + scr.colorDepth;
-        data.avail = scr.availWidth + 'x' + scr.availHeight;
-        data.dpr = win.devicePixelRatio || 1;
-        data.pdf = this.hasPdfPlugin() ? 1 : 0;
-
-        // ===== Enhanced Device Signals =====
-        data.maxTouchPoints = nav.maxTouchPoints || 0;
-        try {
-            var mql = win.matchMedia && win.matchMedia('(pointer: coarse)');
-            data.pointer = mql ? (mql.matches ? 'coarse' : 'fine') : '';
-        } catch (e) {
-            data.pointer = '';
-        }
+            }
 
-        // ===== User Preferences (privacy-safe, coarse) =====
-        try {
-            data.prefersDark = win.matchMedia && win.matchMedia('(prefers-color-scheme: dark)').matches ? 1 : 0;
-        } catch (e) {
-            data.prefersDark = -1;
-        }
-        try {
-            data.reducedMotion = win.matchMedia && win.matchMedia('(prefers-reduced-motion: reduce)').matches ? 1 : 0;
-        } catch (e) {
-            data.reducedMotion = -1;
-        }
+            if (settings.traps && settings.traps.endpoint) {
+                this.traps = {
+                    endpoint: String(settings.traps.endpoint),
+                    links: Math.max(0, parseInt(settings.traps.links, 10) || 0),
+                    fields: settings.traps.fields !== false
+                };
+            }
 
-        // ===== Network Hints (coarse, non-PII) =====
-        try {
-            var conn = nav.connection || nav.mozConnection || nav.webkitConnection;
-            if (conn) {
-                data.netType = conn.effectiveType || '';
-                data.netSaveData = conn.saveData ? 1 : 0;
-                data.netDownlink = conn.downlink ? Math.round(conn.downlink) : 0;
+            if (settings.scoring) this.applyScoring(settings.scoring);
+            if (settings.consent) {
+                this.consent = {
+                    tier: this.isTier(settings.consent.tier) ? settings.consent.tier : 'essential',
+                    callback: settings.consent.callback ? String(settings.consent.callback) : '',
+                    tcf: settings.consent.tcf !== false,
+                    gpp: settings.consent.gpp !== false,
+                    cookie: settings.consent.cookie ? String(settings.consent.cookie) : '',
+                    timeout: parseInt(settings.consent.timeout, 10) || 0
+                };
             }
-        } catch (e) {
-        }
 
-        // ===== Performance Timing Shape (no URLs, just relative timings) =====
-        try {
-            if (performance && performance.timing) {
-                var t = performance.timing;
-                data.navStartDelta = (t.domContentLoadedEventEnd || 0) - (t.navigationStart || 0);
-                data.loadEventDelta = (t.loadEventEnd || 0) - (t.loadEventStart || 0);
+            var cfg = this.config;
+            for (var name in cfg) {
+                if (!cfg.hasOwnProperty(name) || settings[name] === undefined || settings[name] === null) continue;
+                cfg[name] = typeof cfg[name] === 'number'
+                    ? (parseInt(settings[name], 10) || cfg[name])
+                    : this.toBool(settings[name]);
             }
-            if (performance && performance.getEntriesByType) {
-                var res = performance.getEntriesByType('resource') || [];
-                data.resCount = res.length;
+        },
+
+        /**
+         * Merge server rule overrides into the rule table by id. Built-in rules can be re-weighted
+         * or disabled; unknown ids are added if they carry a field/op/value condition.
+         */
+        applyScoring: function (scoring) {
+            var rules = [];
+            var byId = {};
+            var i;
+
+            for (i = 0; i < this.rules.length; i++) {
+                rules.push({id: this.rules[i].id, weight: this.rules[i].weight});
+                byId[this.rules[i].id] = rules[i];
             }
-        } catch (e) {
-        }
 
-        // ===== Headless/Automation Detection =====
-        data.webdriver = nav.webdriver ? 1 : 0;
-        data.phantom = this.detectPhantom();
-        data.nightmare = !!win.__nightmare ? 1 : 0;
-        data.selenium = this.detectSelenium();
-        data.cdc = this.detectCDP();
-        data.plugins = nav.plugins ? nav.plugins.length : 0;
-        data.chrome = !!win.chrome ? 1 : 0;
-        data.permissions = this.checkPermissions();
-
-        // ===== Window Consistency =====
-        data.outerW = win.outerWidth || 0;
-        data.outerH = win.outerHeight || 0;
-        data.innerW = win.innerWidth || 0;
-        data.innerH = win.innerHeight || 0;
-
-        // ===== Function Integrity & Anti-Tamper =====
-        data.evalLen = this.getEvalLength();
-        data.bindNative = this.isBindNative() ? 1 : 0;
-        data.getBatteryNative = this.checkNative(nav.getBattery);
-        data.consoleDebugNative = this.checkNative(console.debug);
-        data.querySelectorNative = this.checkNative(Document.prototype.querySelector || document.querySelector);
-
-        // ===== Iframe / Sandboxed Context =====
-        try {
-            data.isIframe = (win.self !== win.top) ? 1 : 0;
-        } catch (e) {
-            data.isIframe = -1; // Cross-origin iframe restriction
-        }
+            var overrides = scoring.rules || [];
+            for (i = 0; i < overrides.length; i++) {
+                var o = overrides[i];
+                if (!o || !o.id) continue;
+
+                var rule = byId[o.id];
+                if (!rule) {
+                    if (!o.field || !o.op) continue;
+                    rule = {id: String(o.id), weight: 0};
+                    byId[rule.id] = rule;
+                    rules.push(rule);
+                }
 
-        // ===== Optional: WebGL =====
-        if (this.config.collectWebGL) {
-            var gl = this.getWebGLInfo();
-            if (gl) {
-                data.glVendor = gl.vendor || '';
-                data.glRenderer = gl.renderer || '';
+                if (typeof o.weight === 'number') rule.weight = o.weight;
+                if (o.enabled === false) rule.disabled = true;
+                if (o.field && o.op) {
+                    rule.field = String(o.field);
+                    rule.op = String(o.op);
+                    rule.value = o.value;
+                }
             }
-        }
 
-        // ===== Optional: Canvas Hash =====
-        if (this.config.collectCanvas) {
-            data.canvasHash = this.getCanvasHash();
-        }
+            this.rules = rules;
+            if (scoring.version) this.ruleVersion = String(scoring.version);
+        },
 
-        // ===== Optional: Audio Hash (async) =====
-        var self = this;
-        var pending = 0;
-        var finish = function () {
-            if (pending === 0) {
-                // ===== Client-side Score =====
-                data.score = self.calculateScore(data);
+        /**
+         * Does a rule match the collected data? Field rules compare a (dotted) payload field;
+         * built-in rules use their check; lie-* rules match the lie-detection results.
+         */
+        matchRule: function (rule, data, lies) {
+            if (rule.field) {
+                var actual = data;
+                var path = rule.field.split('.');
+                for (var i = 0; i < path.length && actual !== undefined && actual !== null; i++) {
+                    actual = actual[path[i]];
+                }
+                if (actual === undefined || actual === null) return false;
 
-                if (callback) callback(data);
+                var expected = rule.value;
+                if (typeof actual === 'number' || typeof actual === 'boolean') {
+                    actual = +actual;
+                    expected = parseFloat(expected);
+                    if (isNaN(expected)) return false;
+                } else {
+                    actual = String(actual);
+                    expected = String(expected);
+                }
+
+                switch (rule.op) {
+                    case 'eq':
+                        return actual === expected;
+                    case 'ne':
+                        return actual !== expected;
+                    case 'lt':
+                        return actual < expected;
+                    case 'gt':
+                        return actual > expected;
+                }
+                return false;
             }
-        };
 
-        if (this.config.collectAudio) {
-            var audioHash = this.getAudioHash();
-            if (audioHash && typeof audioHash.then === 'function') {
-                pending++;
-                audioHash.then(function (h) {
-                    data.audioHash = h || '';
-                    pending--;
-                    finish();
-                }).catch(function () {
-                    data.audioHash = '';
-                    pending--;
-                    finish();
+            if (this.checks.hasOwnProperty(rule.id)) return !!this.checks[rule.id](data);
+            if (rule.id.indexOf('lie-') === 0) return !!lies && lies.indexOf(rule.id) > -1;
+            return false;
+        },
+
+        /**
+         * Coerce a JSON or attribute value to a boolean ("false", "0" and "off" are false)
+         */
+        toBool: function (value) {
+            if (typeof value === 'string') {
+                value = value.toLowerCase();
+                return value !== 'false' && value !== '0' && value !== 'off';
+            }
+            return !!value;
+        },
+
+        /**
+         * True for a known collection tier
+         */
+        isTier: function (tier) {
+            return tier === 'essential' || tier === 'standard' || tier === 'full';
+        },
+
+        /**
+         * Resolve the collection tier: the first consent source that answers wins (page callback,
+         * TCF, GPP, cookie), falling back to the configured default after the timeout.
+         * Without a consent gate the tier is always full.
+         */
+        resolveConsent: function (done) {
+            var self = this;
+            var consent = this.consent;
+            if (!consent) {
+                done('full');
+                return;
+            }
+
+            var resolved = false;
+            var finish = function (tier) {
+                if (resolved) return;
+                resolved = true;
+                done(self.isTier(tier) ? tier : consent.tier);
+            };
+            setTimeout(finish, consent.timeout);
+
+            var sources = [];
+            if (consent.callback) {
+                sources.push(function (answer) {
+                    self.consentFromCallback(consent.callback, answer);
+                });
+            }
+            if (consent.tcf) {
+                sources.push(function (answer) {
+                    self.consentFromTcf(answer);
+                });
+            }
+            if (consent.gpp) {
+                sources.push(function (answer) {
+                    self.consentFromGpp(answer);
+                });
+            }
+            if (consent.cookie) {
+                sources.push(function (answer) {
+                    self.consentFromCookie(consent.cookie, answer);
+                });
+            }
+
+            // Ask each source in turn; one that has no answer passes to the next
+            var ask = function (i) {
+                if (i >= sources.length) {
+                    finish(consent.tier);
+                    return;
+                }
+                var answered = false;
+                try {
+                    sources[i](function (tier) {
+                        if (answered) return;
+                        answered = true;
+                        if (self.isTier(tier)) {
+                            finish(tier);
+                        } else {
+                            ask(i + 1);
+                        }
+                    });
+                } catch (e) {
+                    if (!answered) {
+                        answered = true;
+                        ask(i + 1);
+                    }
+                }
+            };
+            ask(0);
+        },
+
+        /**
+         * Consent from a page-defined global function returning a tier or a promise of one
+         */
+        consentFromCallback: function (name, answer) {
+            var fn = window[name];
+            if (typeof fn !== 'function') {
+                answer(null);
+                return;
+            }
+            var result = fn();
+            if (result && typeof result.then === 'function') {
+                result.then(answer, function () {
+                    answer(null);
                 });
             } else {
-                data.audioHash = '';
+                answer(result);
             }
-        }
+        },
 
-        // Trigger finish immediately if no async tasks
-        finish();
+        /**
+         * Consent from an IAB TCF v2 CMP. Waits for a loaded or user-confirmed TC string;
+         * special feature 2 (device scanning) gates the full tier, purpose 1 (device access) standard.
+         */
+        consentFromTcf: function (answer) {
+            var api = window.__tcfapi;
+            if (typeof api !== 'function') {
+                answer(null);
+                return;
+            }
+            api('addEventListener', 2, function (tcData, success) {
+                if (!success || !tcData) {
+                    answer(null);
+                    return;
+                }
+                // Banner still showing - keep listening (the timeout applies)
+                if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return;
+                try {
+                    api('removeEventListener', 2, function () {
+                    }, tcData.listenerId);
+                } catch (e) {
+                }
 
-        // For synchronous use (backward compatibility)
-        if (!callback && pending === 0) {
-            data.score = this.calculateScore(data);
-            return data;
-        }
-    }
-,
-
-    /**
-     * Get timezone safely
-     */
-    getTimezone: function () {
-        try {
-            return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
-        } catch (e) {
-            return '';
-        }
-    }
-,
+                if (tcData.gdprApplies === false) {
+                    answer('full');
+                    return;
+                }
+                var device = tcData.purpose && tcData.purpose.consents && tcData.purpose.consents[1];
+                var scan = tcData.specialFeatureOptins && tcData.specialFeatureOptins[2];
+                answer(device && scan ? 'full' : device ? 'standard' : 'essential');
+            });
+        },
+
+        /**
+         * Consent from an IAB GPP CMP. No applicable section means no consent regime (full);
+         * the EU TCF section maps like TCF, other sections fall through.
+         */
+        consentFromGpp: function (answer) {
+            var api = window.__gpp;
+            if (typeof api !== 'function') {
+                answer(null);
+                return;
+            }
+            api('ping', function (ping, success) {
+                if (success === false || !ping || ping.signalStatus === 'not ready') {
+                    answer(null);
+                    return;
+                }
+                var sections = ping.applicableSections || [];
+                if (!sections.length || sections[0] === -1) {
+                    answer('full');
+                    return;
+                }
+                var tcf = ping.parsedSections && ping.parsedSections.tcfeuv2;
+                var core = tcf && (tcf.length ? tcf[0] : tcf);
+                if (!core || !core.PurposeConsents) {
+                    answer(null);
+                    return;
+                }
+                // GPP arrays are zero-based: index 0 = purpose 1, index 1 = special feature 2
+                var device = core.PurposeConsents[0];
+                var scan = core.SpecialFeatureOptins && core.SpecialFeatureOptins[1];
+                answer(device && scan ? 'full' : device ? 'standard' : 'essential');
+            });
+        },
 
-    /**
-     * Check for PDF plugin
-     */
-    hasPdfPlugin: function () {
-        try {
-            var plugins = navigator.plugins;
-            for (var i = 0; i < plugins.length; i++) {
-                if (plugins[i].name.toLowerCase().indexOf('pdf') > -1) {
-                    return true;
+        /**
+         * Consent from a cookie holding a tier name or a yes/no value
+         */
+        consentFromCookie: function (name, answer) {
+            var cookies = String(document.cookie || '').split(';');
+            for (var i = 0; i < cookies.length; i++) {
+                var eq = cookies[i].indexOf('=');
+                if (eq < 0 || cookies[i].slice(0, eq).replace(/^\s+|\s+$/g, '') !== name) continue;
+
+                var value = '';
+                try {
+                    value = decodeURIComponent(cookies[i].slice(eq + 1)).replace(/^\s+|\s+$/g, '').toLowerCase();
+                } catch (e) {
                 }
+                answer(this.isTier(value) ? value
+                    : /^(1|true|yes|granted|all)$/.test(value) ? 'full'
+                        : /^(0|false|no|denied|none)$/.test(value) ? 'essential' : null);
+                return;
             }
-        } catch (e) {
-        }
-        return false;
-    }
-,
+            answer(null);
+        },
 
-    /**
-     * Detect PhantomJS markers
-     */
-    detectPhantom: function () {
-        return (window.phantom || window._phantom || window.callPhantom) ? 1 : 0;
-    }
-,
-
-    /**
-     * Detect Selenium markers
-     */
-    detectSelenium: function () {
-        var doc = document;
-        return (doc.__selenium_unwrapped ||
-            doc.__webdriver_evaluate ||
-            doc.__driver_evaluate ||
-            doc.__webdriver_script_function ||
-            doc.__webdriver_script_func ||
-            doc.__webdriver_script_fn ||
-            doc.$cdc_asdjflasutopfhvcZLmcfl_ ||
-            doc.$chrome_asyncScriptInfo) ? 1 : 0;
-    }
-,
+        /**
+         * Read the hash salt from the token payload (base64 JSON before the signature)
+         */
+        readSalt: function (token) {
+            try {
+                var payload = JSON.parse(atob(String(token).split('.')[0]));
+                return payload && payload.Salt ? String(payload.Salt) : '';
+            } catch (e) {
+                return '';
+            }
+        },
+
+        /**
+         * Salted SHA-256 of a fingerprint component, hex encoded.
+         * Uses SubtleCrypto where available, otherwise the sha256 fallback (same output).
+         * Resolves to '' only if hashing fails entirely.
+         */
+        digest: function (str) {
+            var self = this;
+            var input = this.salt + '|' + str;
 
-    /**
-     * Detect Chrome DevTools Protocol markers (Puppeteer, Playwright)
-     */
-    detectCDP: function () {
-        try {
-            for (var key in window) {
-                if (key.match(/^cdc_|^__\$|^\$cdc_/)) {
-                    return 1;
+            try {
+                if (window.crypto && crypto.subtle && typeof TextEncoder !== 'undefined') {
+                    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(input)).then(function (buf) {
+                        var bytes = new Uint8Array(buf);
+                        var hex = '';
+                        for (var i = 0; i < bytes.length; i++) {
+                            hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+                        }
+                        return hex;
+                    }, function () {
+                        return self.sha256(input);
+                    });
                 }
+            } catch (e) {
             }
-        } catch (e) {
-        }
-        return 0;
-    }
-,
-
-    /**
-     * Check notification permissions for consistency
-     */
-    checkPermissions: function () {
-        try {
-            if (typeof Notification === 'undefined') {
-                return 'unavailable';
-            }
-            // Suspicious: denied permissions with no plugins (common in headless)
-            if (Notification.permission === 'denied' && navigator.plugins.length === 0) {
-                return 'suspicious';
-            }
-            return Notification.permission;
-        } catch (e) {
-            return 'error';
-        }
-    }
-,
-
-    /**
-     * Get eval function length (modified in some automation tools)
-     */
-    getEvalLength: function () {
-        try {
-            return eval.toString().length;
-        } catch (e) {
-            return 0;
-        }
-    }
-,
-
-    /**
-     * Check if Function.prototype.bind is native
-     */
-    isBindNative: function () {
-        try {
-            return Function.prototype.bind.toString().indexOf('[native code]') > -1;
-        } catch (e) {
-            return false;
-        }
-    }
-,
 
-    /**
-     * Get WebGL vendor and renderer info
-     */
-    getWebGLInfo: function () {
-        try {
-            var canvas = document.createElement('canvas');
-            var gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-            if (!gl) return null;
+            try {
+                return Promise.resolve(this.sha256(input));
+            } catch (e) {
+                return Promise.resolve('');
+            }
+        },
+
+        /**
+         * SHA-256 of a string (UTF-8, or bytes as char codes when raw), hex encoded.
+         * Synchronous fallback for browsers without SubtleCrypto (e.g. pages served over plain HTTP).
+         */
+        sha256: function (str, raw) {
+            var K = [
+                0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+                0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+                0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+                0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+                0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+                0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+                0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+                0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+            ];
+            var H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+            var rotr = function (x, n) {
+                return (x >>> n) | (x << (32 - n));
+            };
 
-            var debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-            if (!debugInfo) return {vendor: '', renderer: ''};
+            // UTF-8 bytes packed big-endian into 32-bit words, then padded to 512-bit blocks
+            var bytes = raw ? str : unescape(encodeURIComponent(str));
+            var len = bytes.length;
+            var total = (((len + 8) >> 6) + 1) * 16;
+            var words = [];
+            var i;
+            for (i = 0; i < total; i++) words[i] = 0;
+            for (i = 0; i < len; i++) words[i >> 2] |= bytes.charCodeAt(i) << (24 - (i % 4) * 8);
+            words[len >> 2] |= 0x80 << (24 - (len % 4) * 8);
+            words[total - 1] = len * 8;
 
-            return {
-                vendor: gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) || '',
-                renderer: gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) || ''
+            var w = [];
+            for (var j = 0; j < total; j += 16) {
+                var a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+
+                for (var t = 0; t < 64; t++) {
+                    if (t < 16) {
+                        w[t] = words[j + t];
+                    } else {
+                        var s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                        var s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                        w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+                    }
+
+                    var t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + w[t]) | 0;
+                    var t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                    h = g;
+                    g = f;
+                    f = e;
+                    e = (d + t1) | 0;
+                    d = c;
+                    c = b;
+                    b = a;
+                    a = (t1 + t2) | 0;
+                }
+
+                H[0] = (H[0] + a) | 0;
+                H[1] = (H[1] + b) | 0;
+                H[2] = (H[2] + c) | 0;
+                H[3] = (H[3] + d) | 0;
+                H[4] = (H[4] + e) | 0;
+                H[5] = (H[5] + f) | 0;
+                H[6] = (H[6] + g) | 0;
+                H[7] = (H[7] + h) | 0;
+            }
+
+            var hex = '';
+            for (i = 0; i < 8; i++) hex += ('0000000' + (H[i] >>> 0).toString(16)).slice(-8);
+            return hex;
+        },
+
+        /**
+         * Recover the page's signing key. The server masks it with a value derived from the
+         * script version, so the key never appears in the page as-is and rotates every release.
+         */
+        unseal: function (seal) {
+            var mask = this.sha256('MLBotD-seal|' + this.version);
+            var key = '';
+            for (var i = 0; i < seal.length && i < 32; i += 2) {
+                var b = parseInt(seal.substr(i, 2), 16) ^ parseInt(mask.substr(i, 2), 16);
+                if (isNaN(b)) return '';
+                key += (b < 16 ? '0' : '') + b.toString(16);
+            }
+            return key;
+        },
+
+        /**
+         * HMAC-SHA256 (RFC 2104), hex encoded. Key is hex and at most 64 bytes.
+         * Synchronous on purpose: submissions from pagehide must be signed before the page goes away.
+         */
+        hmac: function (keyHex, message) {
+            var inner = '';
+            var outer = '';
+            for (var i = 0; i < 64; i++) {
+                var b = i * 2 < keyHex.length ? parseInt(keyHex.substr(i * 2, 2), 16) : 0;
+                inner += String.fromCharCode(b ^ 0x36);
+                outer += String.fromCharCode(b ^ 0x5c);
+            }
+
+            var innerHex = this.sha256(inner + unescape(encodeURIComponent(message)), true);
+            var innerBytes = '';
+            for (var j = 0; j < innerHex.length; j += 2) {
+                innerBytes += String.fromCharCode(parseInt(innerHex.substr(j, 2), 16));
+            }
+            return this.sha256(outer + innerBytes, true);
+        },
+
+        /**
+         * Check if a function is native (not modified/wrapped)
+         */
+        checkNative: function (fn) {
+            try {
+                if (!fn) return -1;
+                var s = Function.prototype.toString.call(fn);
+                return s.indexOf('[native code]') > -1 ? 1 : 0;
+            } catch (e) {
+                return -1;
+            }
+        },
+
+        /**
+         * Setup interaction tracking (non-invasive, just "did user interact at all")
+         */
+        setupInteractionSignals: function () {
+            var interacted = 0;
+            var mark = function () {
+                interacted = 1;
             };
-        } catch (e) {
-            return null;
-        }
-    }
-,
-
-    /**
-     * Generate a simple canvas hash for consistency checking
-     */
-    getCanvasHash: function () {
-        try {
-            var canvas = document.createElement('canvas');
-            canvas.width = 200;
-            canvas.height = 50;
-            var ctx = canvas.getContext('2d');
-
-            // Draw some elements that will vary by GPU/driver
-            ctx.textBaseline = 'top';
-            ctx.font = '14px Arial';
-            ctx.fillStyle = '#f60';
-            ctx.fillRect(125, 1, 62, 20);
-            ctx.fillStyle = '#069';
-            ctx.fillText('MLBotD', 2, 15);
-            ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
-            ctx.fillText('MLBotD', 4, 17);
-
-            return this.hash(canvas.toDataURL());
-        } catch (e) {
-            return '';
-        }
-    }
-,
-
-    /**
-     * Calculate client-side integrity score with explainable reasons
-     */
-    calculateScore: function (data) {
-        var score = 100;
-        var reasons = [];
-
-        // Definite automation markers
-        if (data.webdriver) {
-            score -= 50;
-            reasons.push('webdriver');
-        }
-        if (data.phantom) {
-            score -= 50;
-            reasons.push('phantom');
-        }
-        if (data.nightmare) {
-            score -= 50;
-            reasons.push('nightmare');
-        }
-        if (data.selenium) {
-            score -= 50;
-            reasons.push('selenium');
-        }
-        if (data.cdc) {
-            score -= 40;
-            reasons.push('cdp');
-        }
 
-        // Suspicious indicators
-        if (data.plugins === 0 && data.chrome) {
-            score -= 20;
-            reasons.push('chrome-no-plugins');
-        }
-        if (data.outerW === 0 || data.outerH === 0) {
-            score -= 30;
-            reasons.push('zero-outer');
-        }
-        if (data.innerW === data.outerW && data.innerH === data.outerH) {
-            score -= 10;
-            reasons.push('no-chrome-ui');
-        }
-        if (!data.bindNative) {
-            score -= 20;
-            reasons.push('bind-not-native');
-        }
-        if (data.evalLen > 0 && (data.evalLen < 30 || data.evalLen > 50)) {
-            score -= 15;
-            reasons.push('eval-len-weird');
-        }
-        if (data.permissions === 'suspicious') {
-            score -= 25;
-            reasons.push('perm-suspicious');
-        }
+            try {
+                window.addEventListener('mousemove', mark, {once: true, passive: true});
+                window.addEventListener('mousedown', mark, {once: true, passive: true});
+                window.addEventListener('touchstart', mark, {once: true, passive: true});
+                window.addEventListener('keydown', mark, {once: true, passive: true});
+            } catch (e) {
+            }
 
-        // Anti-tamper signals
-        if (data.getBatteryNative === 0) {
-            score -= 15;
-            reasons.push('getBattery-wrapped');
-        }
-        if (data.consoleDebugNative === 0) {
-            score -= 10;
-            reasons.push('console-wrapped');
-        }
-        if (data.querySelectorNative === 0) {
-            score -= 15;
-            reasons.push('querySelector-wrapped');
-        }
+            return function () {
+                return interacted;
+            };
+        },
 
-        // Context anomalies
-        if (data.isIframe === 1 && data.outerW === 0) {
-            score -= 20;
-            reasons.push('suspicious-iframe');
-        }
+        /**
+         * Count page activity between heartbeats. take() returns the counts and resets them.
+         */
+        setupActivityCounters: function () {
+            var counts;
+            var reset = function () {
+                counts = {
+                    nav: 0, vis: 0, focus: 0, blur: 0,
+                    moves: 0, clicks: 0, keys: 0, scrolls: 0, touches: 0, untrusted: 0
+                };
+            };
+            var count = function (target, type, key) {
+                try {
+                    target.addEventListener(type, function (e) {
+                        counts[key]++;
+                        if (e && e.isTrusted === false) counts.untrusted++;
+                    }, {passive: true});
+                } catch (e) {
+                }
+            };
 
-        // Store reasons for explainability
-        data.scoreReasons = reasons.join(',');
-        return Math.max(0, score);
-    }
-,
+            reset();
+            count(window, 'mousemove', 'moves');
+            count(window, 'click', 'clicks');
+            count(window, 'keydown', 'keys');
+            count(window, 'scroll', 'scrolls');
+            count(window, 'touchstart', 'touches');
+            count(window, 'focus', 'focus');
+            count(window, 'blur', 'blur');
+            count(document, 'visibilitychange', 'vis');
 
-    /**
-     * Send fingerprint data to server (prefer sendBeacon for reliability)
-     */
-    send: function (data) {
-        try {
-            var payload = JSON.stringify(data);
+            return {
+                navigated: function () {
+                    counts.nav++;
+                },
+                take: function () {
+                    var taken = counts;
+                    reset();
+                    return taken;
+                }
+            };
+        },
 
-            // Prefer sendBeacon for non-blocking, reliable delivery
-            if (navigator.sendBeacon) {
-                var blob = new Blob([payload], {type: 'application/json'});
-                navigator.sendBeacon(this.endpoint, blob);
-                return;
+        /**
+         * Call onNavigate after history.pushState and on popstate (single-page-app navigation)
+         */
+        hookNavigation: function (onNavigate) {
+            try {
+                var history = window.history;
+                var pushState = history && history.pushState;
+                if (typeof pushState === 'function') {
+                    history.pushState = function () {
+                        var result = pushState.apply(this, arguments);
+                        try {
+                            onNavigate();
+                        } catch (e) {
+                        }
+                        return result;
+                    };
+                }
+                window.addEventListener('popstate', function () {
+                    onNavigate();
+                });
+            } catch (e) {
             }
+        },
 
-            // Fallback to XHR
-            var xhr = new XMLHttpRequest();
-            xhr.open('POST', this.endpoint, true);
-            xhr.setRequestHeader('Content-Type', 'application/json');
-            xhr.setRequestHeader('X-ML-BotD-Token', this.token);
-            xhr.timeout = this.config.timeout;
+        /**
+         * Send activity heartbeats on a timer, on SPA navigation and when the page is hidden.
+         * Sequence numbers let the server order the session timeline and spot gaps or replays.
+         */
+        startHeartbeats: function () {
+            var self = this;
+            var cfg = this.config;
+            var activity = this.setupActivityCounters();
+            var seq = 0;
+            var last = this.now();
 
-            xhr.onerror = function () {
-                // Silent fail - don't break the page
+            var beat = function (trigger) {
+                var now = self.now();
+                var data = activity.take();
+                data.seq = ++seq;
+                data.t = trigger;
+                data.dt = Math.round(now - last);
+                last = now;
+                self.post(self.heartbeatEndpoint, self.stamp(data));
             };
 
-            xhr.send(payload);
-        } catch (e) {
-            // Don't break page on error
-        }
-    }
-,
-
-    /**
-     * Main entry point
-     */
-    run: function () {
-        var self = this;
-
-        // Setup interaction tracking (if enabled)
-        var getInteracted = null;
-        if (this.config.collectInteraction) {
-            getInteracted = this.setupInteractionSignals();
-        }
+            if (cfg.trackNavigation) {
+                this.hookNavigation(function () {
+                    activity.navigated();
+                    beat('nav');
+                });
+            }
+
+            if (cfg.heartbeatMs > 0) {
+                setInterval(function () {
+                    // Hidden tabs were reported when they were hidden - no need to keep pulsing
+                    if (document.visibilityState !== 'hidden') beat('beat');
+                }, Math.max(1000, cfg.heartbeatMs));
+            }
 
-        // Small delay to not block page load
-        setTimeout(function () {
             try {
-                // Collect with async callback support
-                self.collect(function (data) {
-                    data.ts = Date.now();
+                document.addEventListener('visibilitychange', function () {
+                    if (document.visibilityState === 'hidden') beat('hidden');
+                });
+            } catch (e) {
+            }
+        },
+
+        /**
+         * Plant hidden trap links and form fields, and report clicks and fills to the trap URL
+         * (once per trap). Followed links report themselves - the crawler requests the URL.
+         */
+        setupTraps: function () {
+            var self = this;
+            var traps = this.traps;
+            var reported = {};
+            var texts = ['Archive', 'Sitemap', 'All posts'];
+            // Namespaced and random, so autofill has nothing to match and model binding nothing to bind
+            var prefix = 'mlbotd_hp_' + Math.random().toString(36).slice(2, 8) + '_';
+            var trusted = false;
 
-                    // Add interaction signal if enabled
-                    if (getInteracted) {
-                        data.interacted = getInteracted();
+            var report = function (kind, id) {
+                if (reported[id]) return;
+                reported[id] = 1;
+                var data = self.stamp({k: kind, id: id});
+
+                // A fill found at submit time races the navigation; keepalive outlives the page
+                if (typeof fetch === 'function') {
+                    fetch(traps.endpoint, {
+                        method: 'POST',
+                        headers: {'Content-Type': 'application/json', 'X-ML-BotD-Token': self.token},
+                        body: JSON.stringify(data),
+                        keepalive: true
+                    }).then(null, function () {
+                        // Silent fail - don't break the page
+                    });
+                } else {
+                    self.post(traps.endpoint, data);
+                }
+            };
+
+            // Off-screen rather than display:none, which form fillers and crawlers skip
+            var hide = function (el) {
+                el.setAttribute('aria-hidden', 'true');
+                el.style.cssText = 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden';
+                return el;
+            };
+
+            var plantLink = function (id, text) {
+                var link = hide(document.createElement('a'));
+                link.href = traps.endpoint + '?t=' + encodeURIComponent(self.token) + '&id=' + id;
+                link.rel = 'nofollow';
+                link.tabIndex = -1;
+                link.textContent = text;
+                link.addEventListener('click', function (e) {
+                    e.preventDefault();
+                    report('click', id);
+                });
+                document.body.appendChild(link);
+            };
+
+            // Browsers mark the fields they autofilled
+            var autofilled = function (input) {
+                var selectors = [':autofill', ':-webkit-autofill'];
+                for (var a = 0; a < selectors.length; a++) {
+                    try {
+                        if (input.matches(selectors[a])) return true;
+                    } catch (e) {
+                        // Selector not supported
                     }
+                }
+                return false;
+            };
 
-                    self.send(data);
+            var plantField = function (form, id) {
+                var name = prefix + id;
+                var box = hide(document.createElement('div'));
+                var input = document.createElement('input');
+                input.type = 'text';
+                input.name = name;
+                input.tabIndex = -1;
+                // Chrome ignores autocomplete="off" on text fields; one-time-code is only offered on request
+                input.setAttribute('autocomplete', 'one-time-code');
+                box.appendChild(input);
+                form.appendChild(box);
+
+                // Never count a value the browser marks as autofilled. Autofill can also raise input
+                // events before anyone touches the page, so those only count after trusted input
+                var check = function (requireTrusted) {
+                    if (input.value && (trusted || !requireTrusted) && !autofilled(input)) report('fill', id);
+                };
+                input.addEventListener('input', function () {
+                    check(true);
                 });
-            } catch (e) {
-                // Send error report
-                self.send({
-                    error: e.message || 'Unknown error',
-                    ts: Date.now()
+                input.addEventListener('change', function () {
+                    check(true);
+                });
+                // Fillers that set .value directly raise no events - check what is about to be submitted
+                form.addEventListener('submit', function () {
+                    check(false);
                 });
+
+                // Raised for form.submit() too, which skips the submit event. Check the field, then keep
+                // it out of the application's form data (submits and new FormData(form))
+                form.addEventListener('formdata', function (e) {
+                    check(false);
+                    if (e.formData && e.formData.delete) e.formData.delete(name);
+                });
+            };
+
+            try {
+                for (var i = 0; i < traps.links; i++) {
+                    plantLink('l' + i, texts[i % texts.length]);
+                }
+
+                if (traps.fields) {
+                    var onInput = function (e) {
+                        if (e.isTrusted) trusted = true;
+                    };
+                    document.addEventListener('keydown', onInput, true);
+                    document.addEventListener('pointerdown', onInput, true);
+
+                    for (var f = 0; f < document.forms.length; f++) {
+                        plantField(document.forms[f], 'f' + f);
+                    }
+                }
+            } catch (e) {
+                // Don't break page on error
             }
-        }, 100);
-    }
-}
+        },
 
-    // Run when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', function () {
-            MLBotD.run();
-        });
-    } else {
-        MLBotD.run();
-    }
-})();
+        /**
+         * Setup behavioral biometrics over the first windowMs of the page.
+         * Raw samples stay in this closure; only summary statistics are returned.
+         */
+        setupBehaviorSignals: function (windowMs) {
+            var start = this.now();
+            var maxSamples = 500;
+            var moves = [];         // [x, y, t] - used for shape only, never sent
+            var lastMove = -1;
+            var clickLatencies = [];
+            var clicksWithoutMove = 0;
+            var lastKey = -1;
+            var keyIntervals = [0, 0, 0, 0, 0]; // <30, <80, <150, <300, >=300 ms
+            var scrollBursts = [];  // start time of each burst of scroll events
+            var lastScroll = -1;
+            var wheels = 0;
+            var touchForces = [];
+            var touchAreas = [];
+            var untrusted = 0;
+            var self = this;
+
+            var active = function (e) {
+                if (e && e.isTrusted === false) untrusted++;
+                return self.now() - start <= windowMs;
+            };
+
+            var handlers = {
+                mousemove: function (e) {
+                    if (!active(e) || moves.length >= maxSamples) return;
+                    lastMove = self.now();
+                    moves.push([e.clientX, e.clientY, lastMove]);
+                },
+                mousedown: function (e) {
+                    if (!active(e)) return;
+                    var t = self.now();
+                    if (lastMove >= 0 && t - lastMove < 1000) {
+                        clickLatencies.push(t - lastMove);
+                    } else {
+                        clicksWithoutMove++;
+                    }
+                },
+                keydown: function (e) {
+                    if (!active(e) || e.repeat) return;
+                    var t = self.now();
+                    if (lastKey >= 0) {
+                        var gap = t - lastKey;
+                        keyIntervals[gap < 30 ? 0 : gap < 80 ? 1 : gap < 150 ? 2 : gap < 300 ? 3 : 4]++;
+                    }
+                    lastKey = t;
+                },
+                scroll: function (e) {
+                    if (!active(e)) return;
+                    var t = self.now();
+                    // Smooth scrolling fires every frame - a gap starts a new burst
+                    if (lastScroll < 0 || t - lastScroll > 100) scrollBursts.push(t);
+                    lastScroll = t;
+                },
+                wheel: function (e) {
+                    if (active(e)) wheels++;
+                },
+                touchstart: function (e) {
+                    if (!active(e) || !e.touches || !e.touches[0]) return;
+                    var touch = e.touches[0];
+                    touchForces.push(touch.force || 0);
+                    touchAreas.push((touch.radiusX || 0) * (touch.radiusY || 0));
+                }
+            };
+
+            try {
+                for (var type in handlers) {
+                    if (handlers.hasOwnProperty(type)) {
+                        window.addEventListener(type, handlers[type], {passive: true, capture: true});
+                    }
+                }
+            } catch (e) {
+            }
+
+            return function () {
+                var path = self.pathStats(moves);
+                var scrollGaps = [];
+                for (var i = 1; i < scrollBursts.length; i++) {
+                    scrollGaps.push(scrollBursts[i] - scrollBursts[i - 1]);
+                }
+
+                return {
+                    window: Math.round(Math.min(windowMs, self.now() - start)),
+                    moves: moves.length,
+                    curvature: path.curvature,
+                    straightRatio: path.straightRatio,
+                    velocityCv: path.velocityCv,
+                    clicks: clickLatencies.length + clicksWithoutMove,
+                    clicksWithoutMove: clicksWithoutMove,
+                    clickLatency: Math.round(self.mean(clickLatencies)),
+                    keys: keyIntervals[0] + keyIntervals[1] + keyIntervals[2] + keyIntervals[3] + keyIntervals[4],
+                    keyIntervals: keyIntervals.slice(),
+                    scrolls: scrollBursts.length,
+                    scrollInterval: Math.round(self.mean(scrollGaps)),
+                    scrollCv: self.round(self.cv(scrollGaps)),
+                    wheels: wheels,
+                    touches: touchForces.length,
+                    touchForceVar: self.round(self.variance(touchForces)),
+                    touchAreaVar: self.round(self.variance(touchAreas)),
+                    untrusted: untrusted
+                };
+            };
+        },
+
+        /**
+         * Mouse path shape: mean turning angle, share of straight segments, speed variation
+         */
+        pathStats: function (points) {
+            var angles = [];
+            var speeds = [];
+            var prev = null;
+            for (var i = 1; i < points.length; i++) {
+                var dx = points[i][0] - points[i - 1][0];
+                var dy = points[i][1] - points[i - 1][1];
+                var dt = points[i][2] - points[i - 1][2];
+                if (dx === 0 && dy === 0) continue;
+                if (dt > 0) speeds.push(Math.sqrt(dx * dx + dy * dy) / dt);
+                if (prev) {
+                    angles.push(Math.abs(Math.atan2(prev[0] * dy - prev[1] * dx, prev[0] * dx + prev[1] * dy)));
+                }
+                prev = [dx, dy];
+            }
+
+            var straight = 0;
+            for (var j = 0; j < angles.length; j++) {
+                if (angles[j] < 0.05) straight++;
+            }
+
+            return {
+                curvature: this.round(this.mean(angles)),
+                straightRatio: angles.length ? this.round(straight / angles.length) : 0,
+                velocityCv: this.round(this.cv(speeds))
+            };
+        },
+
+        mean: function (values) {
+            if (!values.length) return 0;
+            var sum = 0;
+            for (var i = 0; i < values.length; i++) sum += values[i];
+            return sum / values.length;
+        },
+
+        variance: function (values) {
+            if (values.length < 2) return 0;
+            var m = this.mean(values);
+            var sum = 0;
+            for (var i = 0; i < values.length; i++) sum += (values[i] - m) * (values[i] - m);
+            return sum / values.length;
+        },
+
+        /**
+         * Coefficient of variation (stddev / mean) - scale-free spread
+         */
+        cv: function (values) {
+            var m = this.mean(values);
+            return m ? Math.sqrt(this.variance(values)) / m : 0;
+        },
+
+        round: function (n) {
+            return Math.round(n * 1000) / 1000;
+        },
+
+        now: function () {
+            return (window.performance && performance.now) ? performance.now() : Date.now();
+        },
+
+        /**
+         * Render the audio context fingerprint (resolves to a downsampled string - hashed before sending)
+         */
+        getAudioData: function () {
+            try {
+                var AudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+                if (!AudioContext) return Promise.resolve('');
+
+                var ctx = new AudioContext(1, 44100, 44100);
+                var osc = ctx.createOscillator();
+                var comp = ctx.createDynamicsCompressor();
+
+                osc.type = 'triangle';
+                osc.frequency.value = 1000;
+
+                osc.connect(comp);
+                comp.connect(ctx.destination);
+                osc.start(0);
+                ctx.startRendering();
+
+                return new Promise(function (resolve) {
+                    ctx.oncomplete = function (e) {
+                        try {
+                            var buf = e.renderedBuffer.getChannelData(0);
+                            // Downsample aggressively to keep it light
+                            var step = Math.max(1, Math.floor(buf.length / 128));
+                            var str = '';
+                            for (var i = 0; i < buf.length; i += step) {
+                                str += String.fromCharCode(~~((buf[i] + 1) * 127));
+                            }
+                            resolve(str);
+                        } catch (ex) {
+                            resolve('');
+                        }
+                    };
+                });
+            } catch (e) {
+                return Promise.resolve('');
+            }
+        },
+
+        /**
+         * Device signals (standard tier and above): locale, screen, hardware, preferences, network, timing
+         */
+        collectDeviceSignals: function (data) {
+            var nav = navigator;
+            var win = window;
+            var scr = screen;
+
+            data.tz = this.getTimezone();
+            data.lang = nav.language || '';
+            data.langs = (nav.languages || []).slice(0, 3).join(',');
+            data.platform = nav.platform || '';
+            data.cores = nav.hardwareConcurrency || 0;
+            data.mem = nav.deviceMemory || 0;
+            data.touch = 'ontouchstart' in win ? 1 : 0;
+            data.screen = scr.width + 'x' + scr.height + 'x' + scr.colorDepth;
+            data.avail = scr.availWidth + 'x' + scr.availHeight;
+            data.dpr = win.devicePixelRatio || 1;
+            data.pdf = this.hasPdfPlugin() ? 1 : 0;
+
+            // ===== Enhanced Device Signals =====
+            data.maxTouchPoints = nav.maxTouchPoints || 0;
+            try {
+                var mql = win.matchMedia && win.matchMedia('(pointer: coarse)');
+                data.pointer = mql ? (mql.matches ? 'coarse' : 'fine') : '';
+            } catch (e) {
+                data.pointer = '';
+            }
+
+            // ===== User Preferences (privacy-safe, coarse) =====
+            try {
+                data.prefersDark = win.matchMedia && win.matchMedia('(prefers-color-scheme: dark)').matches ? 1 : 0;
+            } catch (e) {
+                data.prefersDark = -1;
+            }
+            try {
+                data.reducedMotion = win.matchMedia && win.matchMedia('(prefers-reduced-motion: reduce)').matches ? 1 : 0;
+            } catch (e) {
+                data.reducedMotion = -1;
+            }
+
+            // ===== Network Hints (coarse, non-PII) =====
+            try {
+                var conn = nav.connection || nav.mozConnection || nav.webkitConnection;
+                if (conn) {
+                    data.netType = conn.effectiveType || '';
+                    data.netSaveData = conn.saveData ? 1 : 0;
+                    data.netDownlink = conn.downlink ? Math.round(conn.downlink) : 0;
+                }
+            } catch (e) {
+            }
+
+            // ===== Performance Timing Shape (no URLs, just relative timings) =====
+            try {
+                if (performance && performance.timing) {
+                    var t = performance.timing;
+                    data.navStartDelta = (t.domContentLoadedEventEnd || 0) - (t.navigationStart || 0);
+                    data.loadEventDelta = (t.loadEventEnd || 0) - (t.loadEventStart || 0);
+                }
+                if (performance && performance.getEntriesByType) {
+                    var res = performance.getEntriesByType('resource') || [];
+                    data.resCount = res.length;
+                }
+            } catch (e) {
+            }
+        },
+
+        /**
+         * Collect browser fingerprint signals
+         */
+        collect: function (callback) {
+            var self = this;
+            var data = {};
+            var nav = navigator;
+            var win = window;
+            var cfg = this.config;
+
+            // Consent tier: essential = automation markers only, standard adds device
+            // signals, full adds the WebGL renderer and canvas/audio hashes
+            var standard = this.tier !== 'essential';
+            var full = this.tier === 'full';
+            data.tier = this.tier;
+
+            // ===== Diagnostics: probe durations (ms), probes skipped or past their deadline =====
+            // Kept on MLBotD so an error report can say which probe was running
+            var diag = {ms: {}, skip: [], to: []};
+            var started = this.now();
+            this.diag = diag;
+            var time = function (name, probe) {
+                diag.stage = name;
+                var t0 = self.now();
+                var value = probe();
+                diag.ms[name] = Math.round(self.now() - t0);
+                return value;
+            };
+            var skip = function (name) {
+                diag.skip.push(name);
+            };
+
+            // ===== Device Signals (standard tier and above) =====
+            if (standard) {
+                time('device', function () {
+                    self.collectDeviceSignals(data);
+                });
+            } else {
+                skip('device');
+            }
+
+            time('core', function () {
+                // ===== Headless/Automation Detection =====
+                data.webdriver = nav.webdriver ? 1 : 0;
+                data.phantom = self.detectPhantom();
+                data.nightmare = !!win.__nightmare ? 1 : 0;
+                data.selenium = self.detectSelenium();
+                data.cdc = self.detectCDP();
+                data.plugins = nav.plugins ? nav.plugins.length : 0;
+                data.chrome = !!win.chrome ? 1 : 0;
+                data.permissions = self.checkPermissions();
+
+                // ===== Window Consistency =====
+                data.outerW = win.outerWidth || 0;
+                data.outerH = win.outerHeight || 0;
+                data.innerW = win.innerWidth || 0;
+                data.innerH = win.innerHeight || 0;
+
+                // ===== Function Integrity & Anti-Tamper =====
+                data.evalLen = self.getEvalLength();
+                data.bindNative = self.isBindNative() ? 1 : 0;
+                data.getBatteryNative = self.checkNative(nav.getBattery);
+                data.consoleDebugNative = self.checkNative(console.debug);
+                data.querySelectorNative = self.checkNative(Document.prototype.querySelector || document.querySelector);
+
+                // ===== Iframe / Sandboxed Context =====
+                try {
+                    data.isIframe = (win.self !== win.top) ? 1 : 0;
+                } catch (e) {
+                    data.isIframe = -1; // Cross-origin iframe restriction
+                }
+            });
+
+            // ===== Optional: WebGL =====
+            if (full && cfg.collectWebGL) {
+                var gl = time('webgl', function () {
+                    return self.getWebGLInfo();
+                });
+                if (gl) {
+                    data.glVendor = gl.vendor || '';
+                    data.glRenderer = gl.renderer || '';
+                }
+            } else {
+                skip('webgl');
+            }
+
+            // ===== Lie Detection (cross-signal consistency) =====
+            var lies = null;
+            if (standard && cfg.checkConsistency) {
+                lies = time('lies', function () {
+                    return self.checkConsistency(data);
+                });
+            } else {
+                skip('lies');
+            }
+
+            // ===== Async probes (canvas, audio, fonts, timing, Client Hints, cores, contexts) =====
+            var finish = function () {
+                // ===== Client-side Score =====
+                data.score = self.calculateScore(data, lies);
+
+                diag.ms.total = Math.round(self.now() - started);
+                delete diag.stage;
+                data.diag = diag;
+
+                if (callback) callback(data);
+            };
+            var sync = this.runProbes(data, lies, started, finish);
+
+            // For synchronous use (backward compatibility)
+            if (!callback && sync) {
+                return data;
+            }
+        },
+
+        /**
+         * Run the enabled async probes side by side. Calls done() once all have settled, or when
+         * config.timeout (counted from `started`) runs out - whatever finished by then is sent and the
+         * rest are listed in diag.to. Returns true if done() was called synchronously (no probes ran).
+         */
+        runProbes: function (data, lies, started, done) {
+            var self = this;
+            var diag = this.diag;
+            var pending = 0;
+            var closed = false;
+            var running = {};
+
+            var close = function () {
+                if (closed) return;
+                closed = true;
+                for (var name in running) {
+                    if (!running.hasOwnProperty(name)) continue;
+                    diag.ms[name] = Math.round(self.now() - running[name]);
+                    diag.to.push(name);
+                }
+                done();
+            };
+            var settle = function (probe, value, timedOut) {
+                if (closed || !running.hasOwnProperty(probe.name)) return;
+                diag.ms[probe.name] = Math.round(self.now() - running[probe.name]);
+                delete running[probe.name];
+
+                if (timedOut) {
+                    diag.to.push(probe.name);
+                } else {
+                    try {
+                        probe.apply.call(self, data, value, lies);
+                    } catch (e) {
+                    }
+                }
+
+                if (--pending === 0) close();
+            };
+            var start = function (probe) {
+                pending++;
+                running[probe.name] = self.now();
+                diag.stage = probe.name;
+
+                var promise;
+                try {
+                    promise = probe.run.call(self, data, lies);
+                } catch (e) {
+                    // Surface as an error report (diag.stage names the probe); drop the other results
+                    closed = true;
+                    throw e;
+                }
+
+                promise.then(function (value) {
+                    settle(probe, value, false);
+                }, function () {
+                    settle(probe, undefined, false);
+                });
+                if (probe.deadline) {
+                    setTimeout(function () {
+                        settle(probe, undefined, true);
+                    }, probe.deadline);
+                }
+            };
+
+            for (var i = 0; i < this.probes.length; i++) {
+                var probe = this.probes[i];
+                var allowed = probe.tier === 'full' ? this.tier === 'full' : this.tier !== 'essential';
+                if (!allowed || !this.config[probe.option]) {
+                    diag.skip.push(probe.name);
+                } else if (!probe.when || probe.when.call(this, data, lies)) {
+                    start(probe);
+                }
+            }
+
+            if (pending === 0) {
+                close();
+                return true;
+            }
+
+            setTimeout(close, Math.max(0, this.config.timeout - (this.now() - started)));
+            return false;
+        },
+
+        /**
+         * Get timezone safely
+         */
+        getTimezone: function () {
+            try {
+                return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+            } catch (e) {
+                return '';
+            }
+        },
+
+        /**
+         * Check for PDF plugin
+         */
+        hasPdfPlugin: function () {
+            try {
+                var plugins = navigator.plugins;
+                for (var i = 0; i < plugins.length; i++) {
+                    if (plugins[i].name.toLowerCase().indexOf('pdf') > -1) {
+                        return true;
+                    }
+                }
+            } catch (e) {
+            }
+            return false;
+        },
+
+        /**
+         * Detect PhantomJS markers
+         */
+        detectPhantom: function () {
+            return (window.phantom || window._phantom || window.callPhantom) ? 1 : 0;
+        },
+
+        /**
+         * Detect Selenium markers
+         */
+        detectSelenium: function () {
+            var doc = document;
+            return (doc.__selenium_unwrapped ||
+                doc.__webdriver_evaluate ||
+                doc.__driver_evaluate ||
+                doc.__webdriver_script_function ||
+                doc.__webdriver_script_func ||
+                doc.__webdriver_script_fn ||
+                doc.$cdc_asdjflasutopfhvcZLmcfl_ ||
+                doc.$chrome_asyncScriptInfo) ? 1 : 0;
+        },
+
+        /**
+         * Detect Chrome DevTools Protocol markers (Puppeteer, Playwright)
+         */
+        detectCDP: function () {
+            try {
+                for (var key in window) {
+                    if (key.match(/^cdc_|^__\$|^\$cdc_/)) {
+                        return 1;
+                    }
+                }
+            } catch (e) {
+            }
+            return 0;
+        },
+
+        /**
+         * Check notification permissions for consistency
+         */
+        checkPermissions: function () {
+            try {
+                if (typeof Notification === 'undefined') {
+                    return 'unavailable';
+                }
+                // Suspicious: denied permissions with no plugins (common in headless)
+                if (Notification.permission === 'denied' && navigator.plugins.length === 0) {
+                    return 'suspicious';
+                }
+                return Notification.permission;
+            } catch (e) {
+                return 'error';
+            }
+        },
+
+        /**
+         * Get eval function length (modified in some automation tools)
+         */
+        getEvalLength: function () {
+            try {
+                return eval.toString().length;
+            } catch (e) {
+                return 0;
+            }
+        },
+
+        /**
+         * Check if Function.prototype.bind is native
+         */
+        isBindNative: function () {
+            try {
+                return Function.prototype.bind.toString().indexOf('[native code]') > -1;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Get WebGL vendor and renderer info
+         */
+        getWebGLInfo: function () {
+            try {
+                var canvas = document.createElement('canvas');
+                var gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+                if (!gl) return null;
+
+                var debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+                if (!debugInfo) return {vendor: '', renderer: ''};
+
+                return {
+                    vendor: gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) || '',
+                    renderer: gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) || ''
+                };
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Render the canvas fingerprint (returns the data URL - hashed before sending)
+         */
+        getCanvasData: function () {
+            try {
+                var canvas = document.createElement('canvas');
+                canvas.width = 200;
+                canvas.height = 50;
+                var ctx = canvas.getContext('2d');
+
+                // Draw some elements that will vary by GPU/driver
+                ctx.textBaseline = 'top';
+                ctx.font = '14px Arial';
+                ctx.fillStyle = '#f60';
+                ctx.fillRect(125, 1, 62, 20);
+                ctx.fillStyle = '#069';
+                ctx.fillText('MLBotD', 2, 15);
+                ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+                ctx.fillText('MLBotD', 4, 17);
+
+                return canvas.toDataURL();
+            } catch (e) {
+                return '';
+            }
+        },
+
+        /**
+         * Font and emoji rendering probe. Counts which platform-typical fonts change the width of a
+         * test string against the generic fallbacks and checks whether an emoji renders in colour.
+         * Returns the count as a bucket, the colour flag and the rendered bitmap (hashed before
+         * sending) - the font names themselves never leave the page.
+         */
+        getFontSignals: function () {
+            try {
+                var canvas = document.createElement('canvas');
+                canvas.width = 240;
+                canvas.height = 60;
+                var ctx = canvas.getContext('2d');
+                if (!ctx || !ctx.measureText || !ctx.getImageData) return null;
+
+                // Windows, macOS, Linux desktop and Android staples
+                var fonts = [
+                    'Arial', 'Times New Roman', 'Courier New', 'Verdana', 'Georgia', 'Tahoma',
+                    'Segoe UI', 'Calibri', 'Cambria', 'Consolas',
+                    'Helvetica Neue', 'Menlo', 'Avenir', 'Geneva', 'Lucida Grande',
+                    'DejaVu Sans', 'Liberation Sans', 'Ubuntu', 'Noto Sans', 'Roboto'
+                ];
+                var bases = ['monospace', 'sans-serif', 'serif'];
+                var sample = 'mmmmmmmmmmlli10WQ@';
+
+                var baseWidths = [];
+                for (var b = 0; b < bases.length; b++) {
+                    ctx.font = '72px ' + bases[b];
+                    baseWidths.push(ctx.measureText(sample).width);
+                }
+
+                var found = 0;
+                for (var i = 0; i < fonts.length; i++) {
+                    for (var j = 0; j < bases.length; j++) {
+                        ctx.font = '72px "' + fonts[i] + '", ' + bases[j];
+                        if (ctx.measureText(sample).width !== baseWidths[j]) {
+                            found++;
+                            break;
+                        }
+                    }
+                }
+
+                // Colour emoji fonts paint non-grey pixels; a missing one leaves a grey box or nothing
+                ctx.textBaseline = 'top';
+                ctx.fillStyle = '#000';
+                ctx.font = '32px sans-serif';
+                ctx.fillText('\ud83d\ude00', 0, 0);
+                var pixels = ctx.getImageData(0, 0, 40, 40).data;
+                var emoji = 0;
+                for (var p = 0; p < pixels.length; p += 4) {
+                    if (pixels[p + 3] > 0 && (Math.abs(pixels[p] - pixels[p + 1]) > 30 ||
+                        Math.abs(pixels[p + 1] - pixels[p + 2]) > 30)) {
+                        emoji = 1;
+                        break;
+                    }
+                }
+
+                // Text in the probe fonts so the bitmap reflects what actually rendered
+                ctx.font = '16px "' + fonts.slice(6, 12).join('", "') + '", sans-serif';
+                ctx.fillText('Cwm fjordbank glyphs vext quiz', 44, 8);
+                ctx.font = '16px "' + fonts.slice(12).join('", "') + '", serif';
+                ctx.fillText('Cwm fjordbank glyphs vext quiz', 44, 32);
+
+                return {
+                    n: found === 0 ? '0' : found <= 2 ? '1-2' : found <= 5 ? '3-5' : found <= 10 ? '6-10' : '11+',
+                    emoji: emoji,
+                    bitmap: canvas.toDataURL()
+                };
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Timing probes: median requestAnimationFrame interval while the page is visible, smallest
+         * performance.now() step, cost of drawing and reading back a canvas frame, and median
+         * setTimeout lateness. Resolves to bucket strings - raw timings are identifying and noisy.
+         * Headless instances often run no rendering loop at all, or a throttled one, whatever
+         * navigator claims; faked clocks make timers fire "early".
+         */
+        getTimingSignals: function () {
+            var self = this;
+            if (!window.performance || !performance.now) return Promise.resolve(null);
+
+            var bucket = function (ms, limits, labels) {
+                for (var i = 0; i < limits.length; i++) {
+                    if (ms < limits[i]) return labels[i];
+                }
+                return labels[labels.length - 1];
+            };
+            var median = function (values) {
+                var sorted = values.slice().sort(function (a, b) {
+                    return a - b;
+                });
+                return sorted[Math.floor(sorted.length / 2)];
+            };
+            var timing = {iso: window.crossOriginIsolated ? 1 : 0};
+
+            // ===== performance.now() resolution (5us isolated, 100us Chromium, 1ms+ elsewhere) =====
+            try {
+                var step = 0;
+                var last = performance.now();
+                for (var i = 0; i < 100000 && step === 0; i++) {
+                    var t = performance.now();
+                    if (t > last) step = t - last;
+                    last = t;
+                }
+                timing.res = step === 0 ? '2+' : bucket(step, [0.02, 0.2, 2], ['<0.02', '<0.2', '<2', '2+']);
+            } catch (e) {
+            }
+
+            // ===== Canvas frame cost =====
+            try {
+                var canvas = document.createElement('canvas');
+                canvas.width = 256;
+                canvas.height = 128;
+                var ctx = canvas.getContext('2d');
+                if (ctx && ctx.getImageData) {
+                    var start = performance.now();
+                    for (var s = 0; s < 64; s++) {
+                        ctx.fillStyle = 'rgba(' + (s * 4) + ',80,' + (255 - s * 4) + ',0.5)';
+                        ctx.beginPath();
+                        ctx.arc((s * 37) % 256, (s * 23) % 128, 8 + s % 24, 0, Math.PI * 2);
+                        ctx.fill();
+                    }
+                    ctx.font = '14px sans-serif';
+                    ctx.fillText('MLBotD timing probe', 8, 64);
+                    ctx.getImageData(0, 0, 256, 128);
+                    timing.canvas = bucket(performance.now() - start, [2, 8, 32], ['<2', '2-8', '8-32', '32+']);
+                }
+            } catch (e) {
+            }
+
+            return new Promise(function (resolve) {
+                var waiting = 2;
+                var done = function () {
+                    if (--waiting === 0) resolve(timing);
+                };
+
+                // ===== requestAnimationFrame cadence (only meaningful while visible) =====
+                var visible = function () {
+                    return document.visibilityState === undefined || document.visibilityState === 'visible';
+                };
+                if (typeof window.requestAnimationFrame !== 'function' || !visible()) {
+                    if (typeof window.requestAnimationFrame === 'function') timing.raf = 'hidden';
+                    done();
+                } else {
+                    var frames = [];
+                    var measuring = true;
+                    var frame = function (ts) {
+                        if (!measuring) return;
+                        frames.push(ts || self.now());
+                        window.requestAnimationFrame(frame);
+                    };
+                    try {
+                        window.requestAnimationFrame(frame);
+                    } catch (e) {
+                    }
+                    setTimeout(function () {
+                        measuring = false;
+                        var intervals = [];
+                        for (var f = 1; f < frames.length; f++) intervals.push(frames[f] - frames[f - 1]);
+                        timing.raf = !visible() ? 'hidden'
+                            : frames.length === 0 ? 'none'
+                                : intervals.length === 0 ? '50+'
+                                    : bucket(median(intervals), [12, 25, 50], ['<12', '12-25', '25-50', '50+']);
+                        done();
+                    }, 400);
+                }
+
+                // ===== setTimeout drift: five chained 20ms timers =====
+                var lateness = [];
+                var tick = function () {
+                    var scheduled = performance.now();
+                    setTimeout(function () {
+                        lateness.push(performance.now() - scheduled - 20);
+                        if (lateness.length < 5) {
+                            tick();
+                            return;
+                        }
+                        var drift = median(lateness);
+                        timing.drift = drift < -1 ? 'early' : bucket(drift, [2, 8, 32], ['<2', '2-8', '8-32', '32+']);
+                        done();
+                    }, 20);
+                };
+                tick();
+            });
+        },
+
+        /**
+         * Read UA Client Hints (Chromium only; resolves to null elsewhere). Brands are "name/version"
+         * with the last '/' as separator - GREASE brand names may contain '/' themselves. Falls back
+         * to the low-entropy values if the browser refuses the high-entropy request.
+         */
+        getClientHints: function () {
+            try {
+                var ua = navigator.userAgentData;
+                if (!ua) return Promise.resolve(null);
+
+                var list = function (brands) {
+                    var out = [];
+                    for (var i = 0; brands && i < brands.length && i < 10; i++) {
+                        out.push(String(brands[i].brand).slice(0, 96) + '/' + String(brands[i].version).slice(0, 31));
+                    }
+                    return out;
+                };
+                var hints = {
+                    brands: list(ua.brands),
+                    mobile: ua.mobile ? 1 : 0,
+                    platform: String(ua.platform || '').slice(0, 32)
+                };
+                if (!ua.getHighEntropyValues) return Promise.resolve(hints);
+
+                return ua.getHighEntropyValues(
+                    ['platformVersion', 'architecture', 'bitness', 'model', 'fullVersionList']
+                ).then(function (values) {
+                    if (values.fullVersionList && values.fullVersionList.length) {
+                        hints.brands = list(values.fullVersionList);
+                    }
+                    hints.platformVersion = String(values.platformVersion || '').slice(0, 32);
+                    hints.arch = String(values.architecture || '').slice(0, 16);
+                    hints.bitness = String(values.bitness || '').slice(0, 8);
+                    hints.model = String(values.model || '').slice(0, 64);
+                    return hints;
+                }, function () {
+                    return hints;
+                });
+            } catch (e) {
+                return Promise.resolve(null);
+            }
+        },
+
+        /**
+         * Lie detection: compare related signals that anti-detect browsers spoof independently.
+         * Returns the names of the inconsistencies found (reported as lie-* in scoreReasons).
+         */
+        checkConsistency: function (data) {
+            var lies = [];
+            var nav = navigator;
+            var uaOs = this.osFamily(nav.userAgent || '');
+
+            // navigator.platform vs the UA (Chrome OS and Android report a Linux platform)
+            var platform = String(nav.platform || '');
+            var platformOs = /^Win/.test(platform) ? 'windows'
+                : /^(iPhone|iPad|iPod)/.test(platform) ? 'ios'
+                    : /^Mac/.test(platform) ? 'mac'
+                        : /Linux|Android/.test(platform) ? 'linux' : '';
+            if (platformOs && uaOs && platformOs !== uaOs &&
+                !(platformOs === 'linux' && (uaOs === 'android' || uaOs === 'cros')) &&
+                !(platformOs === 'mac' && uaOs === 'ios')) {
+                lies.push('lie-platform');
+            }
+
+            // UA Client Hints vs the UA ("request desktop site" on Android sends a Linux UA)
+            try {
+                var hints = nav.userAgentData;
+                if (hints && hints.platform && uaOs) {
+                    var hintOs = this.osFamily(hints.platform);
+                    if (hintOs && hintOs !== uaOs && !(hintOs === 'android' && uaOs === 'linux')) {
+                        lies.push('lie-client-hints');
+                    }
+                }
+            } catch (e) {
+            }
+
+            // screen size vs the media query engine's device size
+            try {
+                var mm = window.matchMedia;
+                if (mm && screen.width > 0 && mm('(min-device-width: 1px)').matches &&
+                    !mm('(min-device-width: ' + (screen.width - 1) + 'px) and (max-device-width: ' +
+                        (screen.width + 1) + 'px) and (min-device-height: ' + (screen.height - 1) +
+                        'px) and (max-device-height: ' + (screen.height + 1) + 'px)').matches) {
+                    lies.push('lie-screen');
+                }
+            } catch (e) {
+            }
+
+            // WebGL renderer vs the UA's OS
+            var gpu = String(data.glRenderer || '').toLowerCase();
+            if (gpu && uaOs) {
+                var apple = uaOs === 'mac' || uaOs === 'ios';
+                if ((/direct3d|d3d1[01]/.test(gpu) && uaOs !== 'windows') ||
+                    (/\bapple (m\d|gpu)/.test(gpu) && !apple) ||
+                    (/adreno|mali|powervr/.test(gpu) && apple)) {
+                    lies.push('lie-webgl');
+                }
+            }
+
+            // Intl time zone vs Date's offset
+            var zoneOffset = this.getZoneOffset(data.tz);
+            if (zoneOffset !== null && zoneOffset !== -new Date().getTimezoneOffset()) {
+                lies.push('lie-timezone');
+            }
+
+            // Spoofed navigator properties: real ones are native getters on Navigator.prototype
+            var props = ['userAgent', 'platform', 'hardwareConcurrency', 'deviceMemory', 'languages',
+                'webdriver', 'plugins', 'vendor', 'maxTouchPoints'];
+            try {
+                var proto = Object.getPrototypeOf(nav);
+                for (var i = 0; i < props.length; i++) {
+                    var own = Object.getOwnPropertyDescriptor(nav, props[i]);
+                    var inherited = proto && Object.getOwnPropertyDescriptor(proto, props[i]);
+                    if (own || (inherited && (!inherited.get || this.checkNative(inherited.get) === 0))) {
+                        lies.push('lie-navigator');
+                        break;
+                    }
+                }
+            } catch (e) {
+            }
+
+            return lies;
+        },
+
+        /**
+         * Coarse OS family from a UA string or Client Hints platform ('' if unknown)
+         */
+        osFamily: function (ua) {
+            if (/Windows/i.test(ua)) return 'windows';
+            if (/iPhone|iPad|iPod|^iOS$/i.test(ua)) return 'ios';
+            if (/Android/i.test(ua)) return 'android';
+            if (/CrOS|Chrome OS|Chromium OS/i.test(ua)) return 'cros';
+            if (/Mac OS X|Macintosh|^macOS$/i.test(ua)) return 'mac';
+            if (/Linux|X11/i.test(ua)) return 'linux';
+            return '';
+        },
+
+        /**
+         * Current UTC offset (minutes) of an IANA time zone via Intl, or null if it can't be worked out
+         */
+        getZoneOffset: function (tz) {
+            try {
+                if (!tz || !Intl.DateTimeFormat.prototype.formatToParts) return null;
+
+                var now = new Date();
+                now.setSeconds(0, 0);
+                var parts = new Intl.DateTimeFormat('en-US', {
+                    timeZone: tz, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+                    hour: 'numeric', minute: 'numeric'
+                }).formatToParts(now);
+                var v = {};
+                for (var i = 0; i < parts.length; i++) v[parts[i].type] = parseInt(parts[i].value, 10);
+
+                var local = Date.UTC(v.year, v.month - 1, v.day, v.hour % 24, v.minute);
+                return isNaN(local) ? null : Math.round((local - now.getTime()) / 60000);
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Busy-loop counter for the parallelism probe. Must stay self-contained - its source is
+         * copied into each Web Worker. Every worker counts iterations in the same wall-clock window;
+         * the first one then counts again alone, giving the single-core baseline.
+         */
+        spin: function (task, done) {
+            var count = function (start, ms) {
+                var n = 0;
+                var end = start + ms;
+                while (Date.now() < end) n++;
+                return n;
+            };
+
+            // Warm up first so both windows run the same (optimized) code
+            count(Date.now(), 5);
+
+            setTimeout(function () {
+                var shared = count(task.start, task.window);
+                if (!task.solo) {
+                    done({shared: shared, solo: 0});
+                    return;
+                }
+                setTimeout(function () {
+                    done({shared: shared, solo: count(task.solo, task.window)});
+                }, Math.max(0, task.solo - Date.now()));
+            }, Math.max(0, task.start - Date.now()));
+        },
+
+        /**
+         * Measure how many Workers actually run in parallel (up to `claimed`, max 8).
+         * Resolves to the effective parallelism, or 0 if it can't be measured.
+         */
+        measureParallelism: function (claimed) {
+            var self = this;
+
+            return new Promise(function (resolve) {
+                if (typeof Worker === 'undefined' || typeof URL === 'undefined' || !URL.createObjectURL) {
+                    resolve(0);
+                    return;
+                }
+
+                var workers = [];
+                var url = null;
+                var results = [];
+                var settled = false;
+                var settle = function (value) {
+                    if (settled) return;
+                    settled = true;
+                    for (var i = 0; i < workers.length; i++) workers[i].terminate();
+                    if (url) URL.revokeObjectURL(url);
+                    resolve(value);
+                };
+
+                try {
+                    var n = Math.min(claimed, 8);
+                    var windowMs = 50;
+                    // Leave time for every worker to start so they all count the same window
+                    var start = Date.now() + 150;
+                    var source = 'var spin = ' + self.spin.toString() + ';\n' +
+                        'onmessage = function (e) { spin(e.data, function (r) { postMessage(r); }); };\n';
+                    url = URL.createObjectURL(new Blob([source], {type: 'application/javascript'}));
+
+                    var onResult = function (e) {
+                        results.push(e.data);
+                        if (results.length < n) return;
+
+                        var shared = 0;
+                        var solo = 0;
+                        for (var j = 0; j < results.length; j++) {
+                            shared += results[j].shared;
+                            solo = Math.max(solo, results[j].solo);
+                        }
+                        settle(solo > 0 ? Math.round(shared / solo * 10) / 10 : 0);
+                    };
+
+                    for (var i = 0; i < n; i++) {
+                        var worker = new Worker(url);
+                        workers.push(worker);
+                        worker.onmessage = onResult;
+                        worker.onerror = function () {
+                            settle(0);
+                        };
+                        worker.postMessage({
+                            start: start,
+                            window: windowMs,
+                            solo: i === 0 ? start + windowMs + 30 : 0
+                        });
+                    }
+
+                    setTimeout(function () {
+                        settle(0);
+                    }, 1500);
+                } catch (e) {
+                    settle(0);
+                }
+            });
+        },
+
+        /**
+         * Navigator/Intl/WebGL signals of one JavaScript context (page, iframe or Worker).
+         * Must stay self-contained - its source is copied into the Worker. Signals a context
+         * doesn't expose are left undefined and not compared. WebGL only when withGL.
+         */
+        contextSignals: function (scope, withGL) {
+            var s = {};
+            var nav = scope.navigator || {};
+
+            try {
+                s.ua = nav.userAgent;
+                s.platform = nav.platform;
+                s.langs = nav.languages ? Array.prototype.slice.call(nav.languages, 0, 3).join(',') : undefined;
+                s.cores = nav.hardwareConcurrency;
+                s.mem = nav.deviceMemory;
+                s.webdriver = typeof nav.webdriver === 'undefined' ? undefined : !!nav.webdriver;
+            } catch (e) {
+            }
+
+            try {
+                var intl = scope.Intl.DateTimeFormat().resolvedOptions();
+                s.tz = intl.timeZone;
+                s.locale = intl.locale;
+            } catch (e) {
+            }
+
+            if (!withGL) return s;
+
+            try {
+                var canvas = typeof scope.OffscreenCanvas !== 'undefined'
+                    ? new scope.OffscreenCanvas(1, 1)
+                    : scope.document && scope.document.createElement('canvas');
+                var gl = canvas && canvas.getContext('webgl');
+                var info = gl && gl.getExtension('WEBGL_debug_renderer_info');
+                if (info) s.gl = gl.getParameter(info.UNMASKED_RENDERER_WEBGL);
+            } catch (e) {
+            }
+
+            return s;
+        },
+
+        /**
+         * Names of the signals that differ between two contexts (comma-separated, '' if none)
+         */
+        diffContexts: function (main, other) {
+            var diff = [];
+            for (var key in main) {
+                if (!main.hasOwnProperty(key)) continue;
+                if (main[key] === undefined || other[key] === undefined) continue;
+                if (main[key] !== other[key]) diff.push(key);
+            }
+            return diff.join(',');
+        },
+
+        /**
+         * Read the signals from a fresh sandboxed same-origin iframe (null if it can't be created).
+         * Stealth plugins patch the page's own globals; a new browsing context starts unpatched.
+         */
+        getIframeSignals: function (withGL) {
+            var frame = null;
+            try {
+                frame = document.createElement('iframe');
+                frame.setAttribute('sandbox', 'allow-same-origin');
+                frame.setAttribute('aria-hidden', 'true');
+                frame.style.display = 'none';
+                (document.body || document.documentElement).appendChild(frame);
+                return frame.contentWindow
+                    ? this.contextSignals(frame.contentWindow, withGL)
+                    : null;
+            } catch (e) {
+                return null;
+            } finally {
+                try {
+                    if (frame && frame.parentNode) frame.parentNode.removeChild(frame);
+                } catch (e) {
+                }
+            }
+        },
+
+        /**
+         * Read the signals inside a dedicated Worker. Resolves to null if workers are unavailable.
+         */
+        getWorkerSignals: function (withGL) {
+            var self = this;
+
+            return new Promise(function (resolve) {
+                if (typeof Worker === 'undefined' || typeof URL === 'undefined' || !URL.createObjectURL) {
+                    resolve(null);
+                    return;
+                }
+
+                var worker = null;
+                var url = null;
+                var settled = false;
+                var settle = function (value) {
+                    if (settled) return;
+                    settled = true;
+                    if (worker) worker.terminate();
+                    if (url) URL.revokeObjectURL(url);
+                    resolve(value);
+                };
+
+                try {
+                    var source = 'var signals = ' + self.contextSignals.toString() + ';\n' +
+                        'onmessage = function (e) { postMessage(signals(self, e.data)); };\n';
+                    url = URL.createObjectURL(new Blob([source], {type: 'application/javascript'}));
+                    worker = new Worker(url);
+                    worker.onmessage = function (e) {
+                        settle(e.data || null);
+                    };
+                    worker.onerror = function () {
+                        settle(null);
+                    };
+                    worker.postMessage(!!withGL);
+
+                    setTimeout(function () {
+                        settle(null);
+                    }, 1000);
+                } catch (e) {
+                    settle(null);
+                }
+            });
+        },
+
+        /**
+         * Calculate client-side integrity score with explainable reasons
+         */
+        calculateScore: function (data, lies) {
+            var score = 100;
+            var reasons = [];
+
+            for (var i = 0; i < this.rules.length; i++) {
+                var rule = this.rules[i];
+                if (rule.disabled || !this.matchRule(rule, data, lies)) continue;
+
+                score -= rule.weight;
+                reasons.push(rule.id);
+            }
+
+            // Store reasons (and the rule table that produced them) for explainability
+            data.scoreReasons = reasons.join(',');
+            data.rv = this.ruleVersion;
+            return Math.max(0, Math.min(100, score));
+        },
+
+        /**
+         * Stamp payload with contract/script versions and timestamp
+         */
+        stamp: function (data) {
+            data.v = this.payloadVersion;
+            data.sv = this.version;
+            data.ts = Date.now();
+            return data;
+        },
+
+        /**
+         * Sign and send fingerprint data to server (prefer sendBeacon for reliability).
+         * Returns a Promise of the server's verdict - null unless verdict mode got one.
+         */
+        send: function (data) {
+            try {
+                // Payload size as the signals alone (diag last, so it doesn't count itself)
+                var diag = data.diag;
+                if (diag) {
+                    delete data.diag;
+                    diag.bytes = JSON.stringify(data).length;
+                    data.diag = diag;
+                }
+
+                // Verdict mode needs the response; keepalive lets it outlive the page like a beacon
+                if (this.config.verdict && typeof fetch === 'function') {
+                    if (diag) diag.tx = 'fetch';
+                    var body = JSON.stringify(this.envelope(data));
+                    var request = null;
+                    try {
+                        request = fetch(this.endpoint, {
+                            method: 'POST',
+                            headers: {'Content-Type': 'application/json'},
+                            body: body,
+                            // Browsers refuse keepalive bodies over 64 KB; a bigger one goes without it
+                            // (and may not finish if the visitor leaves) rather than not at all
+                            keepalive: new Blob([body]).size <= 64 * 1024
+                        });
+                    } catch (e) {
+                        // fetch unusable - nothing went out, so the beacon/XHR path below sends it
+                    }
+
+                    if (request) {
+                        return request.then(function (response) {
+                            return response.ok ? response.json().then(null, function () {
+                                return null;
+                            }) : null;
+                        }, function () {
+                            // No retry: the request may have reached the server (connection reset,
+                            // aborted response), which has then spent the single-use token
+                            return null;
+                        }).then(function (answer) {
+                            return (answer && answer.verdict) || null;
+                        });
+                    }
+                }
+
+                // Prefer sendBeacon for non-blocking, reliable delivery
+                if (navigator.sendBeacon) {
+                    if (diag) diag.tx = 'beacon';
+                    var blob = new Blob([JSON.stringify(this.envelope(data))], {type: 'application/json'});
+                    if (navigator.sendBeacon(this.endpoint, blob)) return Promise.resolve(null);
+
+                    // Refused (queue full, over the size limit) - the XHR retry says so
+                    if (diag) diag.tx = 'xhr-fallback';
+                } else if (diag) {
+                    diag.tx = 'xhr';
+                }
+
+                // Fallback to XHR
+                this.post(this.endpoint, this.envelope(data));
+            } catch (e) {
+                // Don't break page on error
+            }
+
+            return Promise.resolve(null);
+        },
+
+        /**
+         * Signed envelope: the token travels in the body (beacons can't set headers) and the
+         * signature covers the exact payload string, so the server verifies what was sent
+         */
+        envelope: function (data) {
+            var payload = JSON.stringify(data);
+            return {t: this.token, p: payload, s: this.key ? this.hmac(this.key, payload) : ''};
+        },
+
+        /**
+         * POST JSON to the server with the page token header
+         */
+        post: function (url, data) {
+            try {
+                var xhr = new XMLHttpRequest();
+                xhr.open('POST', url, true);
+                xhr.setRequestHeader('Content-Type', 'application/json');
+                xhr.setRequestHeader('X-ML-BotD-Token', this.token);
+                xhr.timeout = this.config.timeout;
+
+                xhr.onerror = function () {
+                    // Silent fail - don't break the page
+                };
+
+                xhr.send(JSON.stringify(data));
+            } catch (e) {
+                // Don't break page on error
+            }
+        },
+
+        /**
+         * Find a nonce such that SHA-256(challenge + ':' + nonce) starts with `difficulty` zero bits.
+         * Must stay self-contained (no MLBotD or closure references) - its source is copied into
+         * the Web Worker. Calls done(nonce), or done(-1) if hashing fails or the search runs away.
+         */
+        solvePow: function (challenge, difficulty, done) {
+            var encoder = new TextEncoder();
+            var batch = 256;
+            var limit = Math.pow(2, difficulty + 4);
+            var nonce = 0;
+
+            var zeroBits = function (bytes) {
+                var bits = 0;
+                for (var i = 0; i < bytes.length; i++) {
+                    if (bytes[i] === 0) {
+                        bits += 8;
+                        continue;
+                    }
+                    for (var mask = 0x80; !(bytes[i] & mask); mask >>= 1) bits++;
+                    break;
+                }
+                return bits;
+            };
+
+            var next = function () {
+                if (nonce >= limit) {
+                    done(-1);
+                    return;
+                }
+
+                var pending = [];
+                for (var i = 0; i < batch; i++) {
+                    pending.push(crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + (nonce + i))));
+                }
+
+                Promise.all(pending).then(function (hashes) {
+                    for (var j = 0; j < hashes.length; j++) {
+                        if (zeroBits(new Uint8Array(hashes[j])) >= difficulty) {
+                            done(nonce + j);
+                            return;
+                        }
+                    }
+                    nonce += batch;
+                    // Yield between batches - keeps the page responsive on the main-thread fallback
+                    setTimeout(next, 0);
+                }, function () {
+                    done(-1);
+                });
+            };
+
+            next();
+        },
+
+        /**
+         * Solve the server's proof-of-work challenge off the main thread and post the solution
+         */
+        runChallenge: function () {
+            var self = this;
+            var pow = this.pow;
+
+            if (!pow || !window.crypto || !crypto.subtle || typeof TextEncoder === 'undefined') return;
+
+            var started = this.now();
+            var finished = false;
+            var finish = function (nonce) {
+                if (finished || nonce < 0) return;
+                finished = true;
+                self.post(pow.endpoint, {
+                    c: pow.challenge,
+                    d: pow.difficulty,
+                    n: nonce,
+                    ms: Math.round(self.now() - started)
+                });
+            };
+            var fallback = function () {
+                self.solvePow(pow.challenge, pow.difficulty, finish);
+            };
+
+            if (typeof Worker === 'undefined' || typeof URL === 'undefined' || !URL.createObjectURL) {
+                fallback();
+                return;
+            }
+
+            try {
+                var source = 'var solve = ' + this.solvePow.toString() + ';\n' +
+                    'onmessage = function (e) {\n' +
+                    '    solve(e.data.challenge, e.data.difficulty, function (nonce) { postMessage(nonce); });\n' +
+                    '};\n';
+                var url = URL.createObjectURL(new Blob([source], {type: 'application/javascript'}));
+                var worker = new Worker(url);
+                var stop = function () {
+                    worker.terminate();
+                    URL.revokeObjectURL(url);
+                };
+
+                worker.onmessage = function (e) {
+                    stop();
+                    finish(e.data);
+                };
+                // Worker failed to start (e.g. CSP worker-src without blob:) - solve here instead
+                worker.onerror = function () {
+                    stop();
+                    fallback();
+                };
+                worker.postMessage({challenge: pow.challenge, difficulty: pow.difficulty});
+            } catch (e) {
+                fallback();
+            }
+        },
+
+        /**
+         * Apply settings and start once the DOM is ready. Later calls are ignored - the page
+         * token is single-use, so there is only ever one collection to configure.
+         */
+        init: function (script, options) {
+            var self = this;
+            if (this.ready) return;
+
+            this.configure(script, options);
+            this.ready = new Promise(function (resolve) {
+                var start = function () {
+                    self.run(resolve);
+                };
+
+                if (document.readyState === 'loading') {
+                    document.addEventListener('DOMContentLoaded', start);
+                } else {
+                    start();
+                }
+            });
+        },
+
+        /**
+         * Start the side channels (proof-of-work, heartbeats, interaction/behavior tracking),
+         * settle the consent tier, then call ready() - and submit by itself unless autoSend is off
+         */
+        run: function (ready) {
+            var self = this;
+
+            // Proof-of-work runs alongside collection - it has its own worker and endpoint
+            if (this.pow) {
+                this.runChallenge();
+            }
+
+            // Keep reporting after the one-shot fingerprint (SPAs, long-lived pages)
+            if (this.config.heartbeatMs > 0 || this.config.trackNavigation) {
+                this.startHeartbeats();
+            }
+
+            // Bot traps read nothing from the browser, so they don't wait for consent
+            if (this.traps) {
+                this.setupTraps();
+            }
+
+            // Setup interaction tracking (if enabled)
+            if (this.config.collectInteraction) {
+                this.getInteracted = this.setupInteractionSignals();
+            }
+
+            // Collection waits for the consent tier (immediately without a consent gate)
+            this.resolveConsent(function (tier) {
+                self.tier = tier;
+
+                // Small delay to not block page load
+                var delay = 100;
+
+                // Behavioral biometrics (opt-in). The token is single-use, so the one
+                // submission is held until the observation window closes.
+                if (self.config.collectBehavior && tier !== 'essential') {
+                    self.getBehavior = self.setupBehaviorSignals(self.config.behaviorWindowMs);
+                    delay = Math.max(delay, self.config.behaviorWindowMs);
+                }
+
+                ready();
+                if (!self.config.autoSend) return;
+
+                var submit = function () {
+                    self.submit();
+                };
+
+                setTimeout(submit, delay);
+
+                // Don't lose the record if the visitor leaves before the window closes
+                if (self.getBehavior) {
+                    try {
+                        window.addEventListener('pagehide', submit);
+                    } catch (e) {
+                    }
+                }
+            });
+        },
+
+        /**
+         * Collect and stamp a payload once init has settled the tier. Never rejects: if a probe
+         * throws, it resolves to an error report with the diagnostics so far (diag.stage = failing probe).
+         */
+        gather: function () {
+            var self = this;
+
+            if (!this.ready) return Promise.reject(new Error('MLBotD.init() has not been called'));
+
+            return this.ready.then(function () {
+                return new Promise(function (resolve) {
+                    try {
+                        // Collect with async callback support
+                        self.collect(function (data) {
+                            self.stamp(data);
+
+                            // Add interaction signal if enabled
+                            if (self.getInteracted) {
+                                data.interacted = self.getInteracted();
+                            }
+
+                            if (self.getBehavior) {
+                                data.bio = self.getBehavior();
+                            }
+
+                            resolve(data);
+                        });
+                    } catch (e) {
+                        resolve(self.stamp({
+                            // The schema caps error at 512 characters
+                            error: String(e.message || 'Unknown error').slice(0, 512),
+                            diag: self.diag || undefined
+                        }));
+                    }
+                });
+            });
+        },
+
+        /**
+         * Send the given payload, or a fresh collection, and emit 'result' once it is sent - handed
+         * to sendBeacon/XHR, or in verdict mode answered (or failed). Only the first call
+         * sends; later ones return the same Promise.
+         */
+        submit: function (payload) {
+            var self = this;
+
+            if (!this.submission) {
+                this.submission = (payload ? Promise.resolve(payload) : this.gather()).then(function (data) {
+                    return self.send(data).then(function (verdict) {
+                        self.emit('result', data);
+                        self.receive(verdict);
+                        return data;
+                    });
+                });
+            }
+
+            return this.submission;
+        },
+
+        /**
+         * Promise of the server's verdict; resolves once the submission's response is in
+         */
+        awaitVerdict: function () {
+            var self = this;
+            if (!this.verdictPromise) {
+                this.verdictPromise = new Promise(function (resolve) {
+                    self.resolveVerdict = resolve;
+                });
+            }
+            return this.verdictPromise;
+        },
+
+        /**
+         * Settle the verdict Promise and announce a verdict to handlers and the DOM
+         */
+        receive: function (verdict) {
+            this.awaitVerdict();
+            this.resolveVerdict(verdict);
+            if (!verdict) return;
+
+            this.emit('verdict', verdict);
+            try {
+                document.dispatchEvent(new CustomEvent('mlbotd:verdict', {detail: verdict}));
+            } catch (e) {
+                // No CustomEvent constructor (very old browsers) - the Promise and on() still work
+            }
+        },
+
+        /**
+         * Subscribe to an event. A handler added after the event fired is called straight away.
+         */
+        on: function (event, handler) {
+            if (typeof handler !== 'function') return;
+
+            (this.handlers[event] = this.handlers[event] || []).push(handler);
+            if (this.emitted.hasOwnProperty(event)) this.call(handler, this.emitted[event]);
+        },
+
+        /**
+         * Remove a handler added with on()
+         */
+        off: function (event, handler) {
+            var list = this.handlers[event] || [];
+            for (var i = list.length - 1; i >= 0; i--) {
+                if (list[i] === handler) list.splice(i, 1);
+            }
+        },
+
+        /**
+         * Call every handler for an event and remember the value for late subscribers
+         */
+        emit: function (event, value) {
+            var list = (this.handlers[event] || []).slice();
+            this.emitted[event] = value;
+            for (var i = 0; i < list.length; i++) this.call(list[i], value);
+        },
+
+        /**
+         * Call a page handler - a throwing handler must not break collection or the other handlers
+         */
+        call: function (handler, value) {
+            try {
+                handler(value);
+            } catch (e) {
+            }
+        }
+    };
+
+    // Public surface - everything else on MLBotD is internal and may change between releases
+    var api = {
+        version: MLBotD.version,
+        init: function (config) {
+            MLBotD.init(currentScript, config);
+            return api;
+        },
+        collect: function () {
+            return MLBotD.gather();
+        },
+        send: function (payload) {
+            return MLBotD.submit(payload);
+        },
+        on: function (event, handler) {
+            MLBotD.on(event, handler);
+            return api;
+        },
+        off: function (event, handler) {
+            MLBotD.off(event, handler);
+            return api;
+        },
+        verdict: function () {
+            return MLBotD.awaitVerdict();
+        }
+    };
+
+    if (currentScript) {
+        // Replay calls queued before the script arrived ([name, ...args]); later pushes run directly
+        var queue = window.MLBotDQueue;
+        var replay = function (command) {
+            if (command && typeof api[command[0]] === 'function') {
+                api[command[0]].apply(api, Array.prototype.slice.call(command, 1));
+            }
+        };
+
+        window.MLBotDQueue = {push: replay};
+        if (queue && queue.length) {
+            for (var i = 0; i < queue.length; i++) replay(queue[i]);
+        } else if (currentScript.hasAttribute('data-token') ||
+            document.getElementById(currentScript.getAttribute('data-config') || 'mlbotd-config')) {
+            // Configured by markup alone - start as earlier versions did
+            api.init();
+        }
+    }
+
+    return api;
+});
@@ -0,0 +1,162 @@
+// Type definitions for @mostlylucid/botdetection
+// The payload itself is described by fingerprint-payload.schema.json in the NuGet package.
+
+/** Collection tier resolved by the consent gate. */
+export type CollectionTier = 'essential' | 'standard' | 'full';
+
+/** A rule override for the client-side integrity score. */
+export interface ScoringRule {
+    id: string;
+    weight?: number;
+    enabled?: boolean;
+    field?: string;
+    op?: string;
+    value?: unknown;
+}
+
+/**
+ * Settings for {@link init}. The server-rendered ones (token, seal, scoring, consent, pow) come from
+ * BotDetectionScript.BuildConfigJson; the rest mirror BotDetectionOptions.ClientSide.
+ */
+export interface MLBotDConfig {
+    /** Signed page token. Required - the endpoint rejects submissions without one. */
+    token?: string;
+    /** Sealed per-page signing key. */
+    seal?: string;
+    /** Fingerprint endpoint. Default "/bot-detection/fingerprint". */
+    endpoint?: string;
+    /** Heartbeat endpoint. Default "/bot-detection/heartbeat". */
+    heartbeatEndpoint?: string;
+    collectWebGL?: boolean;
+    collectCanvas?: boolean;
+    collectAudio?: boolean;
+    collectFonts?: boolean;
+    collectTiming?: boolean;
+    collectInteraction?: boolean;
+    collectBehavior?: boolean;
+    behaviorWindowMs?: number;
+    checkConsistency?: boolean;
+    compareContexts?: boolean;
+    collectClientHints?: boolean;
+    heartbeatMs?: number;
+    trackNavigation?: boolean;
+    /** Global collection timeout in milliseconds. Default 5000. */
+    timeout?: number;
+    /** Send by itself after init. Default true; set false to call {@link send} yourself. */
+    autoSend?: boolean;
+    /** Post with fetch and read the server's verdict (ClientSide.ReturnVerdict). Default false. */
+    verdict?: boolean;
+    scoring?: { version?: string; rules?: ScoringRule[] } | null;
+    consent?: {
+        tier?: CollectionTier;
+        callback?: string;
+        tcf?: boolean;
+        gpp?: boolean;
+        cookie?: string;
+        timeout?: number;
+    } | null;
+    pow?: { challenge: string; difficulty: number; endpoint: string } | null;
+    /** Bot traps (ClientSide.Traps): hidden links and form fields reporting to the trap URL. */
+    traps?: { endpoint: string; links?: number; fields?: boolean } | null;
+}
+
+/** Collection diagnostics (payload field `diag`). */
+export interface CollectionDiagnostics {
+    ms?: Record<string, number>;
+    skip?: string[];
+    to?: string[];
+    stage?: string;
+    tx?: 'beacon' | 'fetch' | 'xhr' | 'xhr-fallback';
+    bytes?: number;
+}
+
+/** A stamped fingerprint payload, or an error report when collection threw. */
+export interface FingerprintPayload {
+    /** Payload contract version. */
+    v: number;
+    /** Script version. */
+    sv: string;
+    /** Collection timestamp (ms since epoch). */
+    ts: number;
+    tier?: CollectionTier;
+    /** Client-side integrity score, 0-100. */
+    score?: number;
+    scoreReasons?: string;
+    rv?: string;
+    error?: string;
+    diag?: CollectionDiagnostics;
+
+    [signal: string]: unknown;
+}
+
+/** The server's verdict on the fingerprint (FingerprintVerdict), returned in verdict mode. */
+export interface FingerprintVerdict {
+    risk: 'Unknown' | 'VeryLow' | 'Low' | 'Elevated' | 'Medium' | 'High' | 'VeryHigh' | 'Verified';
+    action: 'Allow' | 'Throttle' | 'Challenge' | 'Block';
+    /** Bot probability from the fingerprint, 0-1. */
+    probability: number;
+    headless: boolean;
+    /** Browser integrity score, 0-100. */
+    integrity: number;
+    automation: string | null;
+}
+
+export interface MLBotDEvents {
+    /**
+     * The payload, once it has been sent: handed to sendBeacon or XHR, or in verdict mode once the
+     * response is in (or the fetch has failed).
+     */
+    result: FingerprintPayload;
+    /** The server's verdict (verdict mode only). */
+    verdict: FingerprintVerdict;
+}
+
+declare global {
+    interface DocumentEventMap {
+        /** Raised on document when a verdict arrives (verdict mode). */
+        'mlbotd:verdict': CustomEvent<FingerprintVerdict>;
+    }
+}
+
+/** Script version, e.g. "1.17.0". */
+export declare const version: string;
+
+/** Apply settings and start collecting. Only the first call takes effect. */
+export declare function init(config?: MLBotDConfig): MLBotDApi;
+
+/** Collect and stamp a payload without sending it. Rejects if {@link init} has not been called. */
+export declare function collect(): Promise<FingerprintPayload>;
+
+/**
+ * Sign and post a payload (or a fresh collection). The page token is single-use, so only the first
+ * call sends; later calls return the same promise.
+ */
+export declare function send(payload?: FingerprintPayload): Promise<FingerprintPayload>;
+
+/** Subscribe to an event. Handlers added after the event fired are called straight away. */
+export declare function on<K extends keyof MLBotDEvents>(event: K, handler: (value: MLBotDEvents[K]) => void): MLBotDApi;
+
+/** Remove a handler added with {@link on}. */
+export declare function off<K extends keyof MLBotDEvents>(event: K, handler: (value: MLBotDEvents[K]) => void): MLBotDApi;
+
+/**
+ * The server's verdict once the submission's response is in; null when verdict mode is off, the request failed or
+ * the endpoint rejected the submission.
+ */
+export declare function verdict(): Promise<FingerprintVerdict | null>;
+
+export interface MLBotDApi {
+    readonly version: typeof version;
+    init: typeof init;
+    collect: typeof collect;
+    send: typeof send;
+    on: typeof on;
+    off: typeof off;
+    verdict: typeof verdict;
+}
+
+declare const MLBotD: MLBotDApi;
+export default MLBotD;
+
+/** The UMD bundle defines `window.MLBotD` when loaded with a classic script tag. */
+export as namespace MLBotD;
@@ -0,0 +1,44 @@
+// Builds the npm package from ../botdetection.js - the same file the NuGet package embeds.
+// No dependencies: run with `node build.js` (npm runs it before packing).
+//
+//   dist/botdetection.umd.js - the script as shipped (classic <script>, CommonJS, AMD)
+//   dist/botdetection.mjs    - ES module exporting init, collect, send, on, off, verdict and version
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'botdetection.js'), 'utf8');
+const pkg = require('./package.json');
+
+const version = /version: '([^']+)'/.exec(source);
+if (!version || version[1] !== pkg.version) {
+    throw new Error(`package.json version ${pkg.version} does not match MLBotD.version ${version && version[1]}`);
+}
+
+// The UMD wrapper passes the factory as its last argument: })(this, function (currentScript) {...});
+const header = source.slice(0, source.indexOf('(function (root, factory)'));
+const marker = '})(this, function (currentScript) {';
+const start = source.indexOf(marker);
+if (start < 0 || !source.trimEnd().endsWith('});')) {
+    throw new Error('botdetection.js no longer has the expected UMD wrapper');
+}
+const factory = source.slice(start + marker.length, source.trimEnd().length - 3);
+
+const esm = header +
+    'const api = (function (currentScript) {' + factory + '})(null);\n\n' +
+    'export const version = api.version;\n' +
+    'export const init = api.init;\n' +
+    'export const collect = api.collect;\n' +
+    'export const send = api.send;\n' +
+    'export const on = api.on;\n' +
+    'export const off = api.off;\n' +
+    'export const verdict = api.verdict;\n' +
+    'export default api;\n';
+
+const dist = path.join(__dirname, 'dist');
+fs.mkdirSync(dist, {recursive: true});
+fs.writeFileSync(path.join(dist, 'botdetection.umd.js'), source);
+fs.writeFileSync(path.join(dist, 'botdetection.mjs'), esm);
+
+console.log(`Built @mostlylucid/botdetection ${pkg.version}`);
@@ -0,0 +1,181 @@
+// Browser test matrix for botdetection.js: loads the script from a local page in real Chrome under
+// several automation setups and checks the markers and score reasons of the payload it posts.
+//
+//   npm install && npm run test:client
+//
+// Uses puppeteer's bundled Chrome (or PUPPETEER_EXECUTABLE_PATH). The headful run needs a display
+// and is skipped on Linux without DISPLAY - use xvfb-run in CI.
+'use strict';
+
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const {startServer} = require('./server');
+
+const SCRIPT_VERSION = /version: '([^']+)'/.exec(
+    fs.readFileSync(path.join(__dirname, '..', 'botdetection.js'), 'utf8'))[1];
+
+const CONFIG = {
+    token: 'browser-test',
+    endpoint: '/fingerprint',
+    collectAudio: false,
+    collectFonts: true,
+    collectTiming: true,
+    timeout: 5000
+};
+
+// Chrome refuses to start sandboxed as root (containers, CI)
+const SANDBOX_ARGS = process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : [];
+
+// Launch without the automation switch, so navigator.webdriver is false
+const UNFLAGGED = {
+    ignoreDefaultArgs: ['--enable-automation'],
+    args: [...SANDBOX_ARGS, '--disable-blink-features=AutomationControlled']
+};
+
+const CONFIGURATIONS = [
+    {
+        name: 'headful',
+        skip: process.platform === 'linux' && !process.env.DISPLAY && 'needs a display (run under xvfb-run)',
+        launch: {headless: false, ...UNFLAGGED},
+        expect(data, reasons) {
+            assert.equal(data.webdriver, 0);
+            assert.deepEqual(reasons.filter(r => r.startsWith('lie-')), []);
+            assert.ok(!reasons.includes('no-chrome-ui'), 'a real window has browser UI around the viewport');
+            assert.ok(data.score >= 70, `score ${data.score} (${reasons})`);
+        }
+    },
+    {
+        name: 'headless',
+        launch: {headless: true, ...UNFLAGGED},
+        expect(data, reasons) {
+            assert.equal(data.webdriver, 0);
+            assert.ok(reasons.includes('no-chrome-ui') || reasons.includes('zero-outer'),
+                `expected a window-geometry reason, got ${reasons}`);
+            assert.ok(data.score < 100);
+        }
+    },
+    {
+        // What puppeteer-extra's stealth plugin does, minus the dependency: hide navigator.webdriver with a
+        // replacement getter, fake plugins, add window.chrome and drop "Headless" from the UA
+        name: 'stealth-patched',
+        launch: {headless: true, args: SANDBOX_ARGS},
+        async setup(page, browser) {
+            const userAgent = (await browser.userAgent()).replace('HeadlessChrome', 'Chrome');
+            await page.setUserAgent(userAgent);
+            await page.evaluateOnNewDocument(() => {
+                Object.defineProperty(Navigator.prototype, 'webdriver', {get: () => false, configurable: true});
+                const plugins = [{name: 'Chrome PDF Viewer', filename: 'internal-pdf-viewer', description: ''}];
+                Object.defineProperty(Navigator.prototype, 'plugins', {get: () => plugins, configurable: true});
+                window.chrome = window.chrome || {runtime: {}};
+            });
+        },
+        expect(data, reasons) {
+            assert.equal(data.webdriver, 0);
+            assert.ok(!reasons.includes('webdriver'));
+            assert.ok(reasons.includes('lie-navigator'), `patched getters should be caught, got ${reasons}`);
+        }
+    },
+    {
+        // Default puppeteer launch (automation switch on) plus the global ChromeDriver injects
+        name: 'webdriver-flagged',
+        launch: {headless: true, args: SANDBOX_ARGS},
+        async setup(page) {
+            await page.evaluateOnNewDocument(() => {
+                window.cdc_adoQpoasnfa76pfcZLmcfl_Array = Array;
+            });
+        },
+        expect(data, reasons) {
+            assert.equal(data.webdriver, 1);
+            assert.equal(data.cdc, 1);
+            assert.ok(reasons.includes('webdriver'));
+            assert.ok(reasons.includes('cdp'));
+            assert.ok(data.score <= 10, `score ${data.score} (${reasons})`);
+        }
+    }
+];
+
+describe('botdetection.js in Chrome', () => {
+    for (const configuration of CONFIGURATIONS) {
+        describe(configuration.name, {skip: configuration.skip}, () => {
+            let browser;
+            let server;
+            let data;
+
+            before(async () => {
+                server = await startServer(CONFIG);
+                browser = await puppeteer.launch(configuration.launch);
+
+                const page = await browser.newPage();
+                if (configuration.setup) await configuration.setup(page, browser);
+
+                const payload = server.firstPayload(CONFIG.timeout + 5000);
+                await page.goto(server.url, {waitUntil: 'load'});
+                data = await payload;
+            }, {timeout: 60000});
+
+            after(async () => {
+                if (browser) await browser.close();
+                if (server) await server.close();
+            });
+
+            it('posts a complete, current payload', () => {
+                assert.equal(data.error, undefined, `collection failed in ${data.diag && data.diag.stage}`);
+                assert.equal(data.sv, SCRIPT_VERSION);
+                assert.equal(data.tier, 'full');
+                assert.ok(data.diag, 'diagnostics should be attached');
+                assert.equal(typeof data.score, 'number');
+            });
+
+            it('reports no markers of other automation tools', () => {
+                assert.equal(data.phantom, 0);
+                assert.equal(data.nightmare, 0);
+                assert.equal(data.selenium, 0);
+            });
+
+            it('reports the expected markers and score reasons', () => {
+                configuration.expect(data, data.scoreReasons ? data.scoreReasons.split(',') : []);
+            });
+        });
+    }
+
+    describe('bot traps', () => {
+        const TRAP_CONFIG = {...CONFIG, traps: {endpoint: '/trap', links: 0, fields: true}};
+        let browser;
+        let server;
+
+        before(async () => {
+            server = await startServer(TRAP_CONFIG);
+            browser = await puppeteer.launch({headless: true, ...UNFLAGGED});
+        }, {timeout: 60000});
+
+        after(async () => {
+            if (browser) await browser.close();
+            if (server) await server.close();
+        });
+
+        it('reports a scripted fill submitted with form.submit() and keeps the field out of the post', async () => {
+            const page = await browser.newPage();
+            await page.goto(server.url, {waitUntil: 'load'});
+            await page.waitForSelector('form input[name^="mlbotd_hp_"]');
+
+            // A DOM-scripted filler: no trusted input, no input events, and no submit event
+            const navigation = page.waitForNavigation({waitUntil: 'load'});
+            await page.evaluate(() => {
+                const form = document.forms[0];
+                for (const input of form.querySelectorAll('input')) input.value = 'filled';
+                form.submit();
+            });
+            await navigation;
+
+            const hit = await server.firstTrapHit(5000);
+            assert.equal(hit.k, 'fill');
+            assert.equal(hit.id, 'f0');
+            assert.equal(server.forms.length, 1);
+            assert.equal(server.forms[0].get('q'), 'filled');
+            assert.deepEqual([...server.forms[0].keys()].filter(k => k.startsWith('mlbotd_hp_')), []);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+// Local test site for the browser suite: a page that loads botdetection.js the way the tag helper
+// does (bootstrap queue + script) with a form on it, and stub fingerprint, trap and form endpoints
+// that capture what they receive.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SCRIPT = path.join(__dirname, '..', 'botdetection.js');
+
+/**
+ * Start the site on a free localhost port (a secure context, so SubtleCrypto is available).
+ * config is passed to MLBotD.init; its endpoint is served by the stub.
+ */
+function startServer(config) {
+    const payloads = [];
+    const waiters = [];
+    const trapHits = [];
+    const trapWaiters = [];
+    const forms = [];
+
+    const page = '<!doctype html><html><head><meta charset="utf-8"><title>botdetection.js test</title></head><body>' +
+        '<h1>botdetection.js test page</h1>' +
+        '<form method="post" action="/submit"><input name="q" value="test"></form>' +
+        '<script>(window.MLBotDQueue=window.MLBotDQueue||[]).push(["init",' +
+        JSON.stringify(config).replace(/</g, '\\u003c') + ']);</script>' +
+        '<script src="/botdetection.js"></script></body></html>';
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && url.pathname === '/') {
+            res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+            res.end(page);
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/botdetection.js') {
+            // Read per request, so a watch-mode run picks up edits
+            res.writeHead(200, {'Content-Type': 'application/javascript; charset=utf-8'});
+            res.end(fs.readFileSync(SCRIPT));
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === config.endpoint) {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                // Signed envelope {t, p, s} - the payload is the JSON string p. A bare payload or a
+                // malformed p gets a 400 rather than throwing out of the handler and taking the server down
+                let envelope;
+                let payload;
+                try {
+                    envelope = JSON.parse(body);
+                    payload = JSON.parse(envelope.p);
+                } catch (e) {
+                    res.writeHead(400, {'Content-Type': 'application/json'});
+                    res.end('{"error":"Invalid JSON"}');
+                    return;
+                }
+
+                payloads.push({envelope, payload});
+                waiters.splice(0).forEach(waiter => waiter(payload));
+
+                res.writeHead(200, {'Content-Type': 'application/json'});
+                res.end('{"received":true}');
+            });
+            return;
+        }
+
+        if (req.method === 'POST' && config.traps && url.pathname === config.traps.endpoint) {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                let hit;
+                try {
+                    hit = JSON.parse(body);
+                } catch (e) {
+                    res.writeHead(400, {'Content-Type': 'application/json'});
+                    res.end('{"error":"Invalid JSON"}');
+                    return;
+                }
+
+                trapHits.push(hit);
+                trapWaiters.splice(0).forEach(waiter => waiter(hit));
+
+                res.writeHead(200, {'Content-Type': 'application/json'});
+                res.end('{"received":true}');
+            });
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/submit') {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                forms.push(new URLSearchParams(body));
+                res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+                res.end('<!doctype html><title>Submitted</title>');
+            });
+            return;
+        }
+
+        res.writeHead(404);
+        res.end();
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const {port} = server.address();
+            resolve({
+                url: `http://localhost:${port}/`,
+                payloads,
+                trapHits,
+                forms,
+
+                /**
+                 * The first submission's payload, rejecting if none arrives within timeoutMs.
+                 * The token is single-use, so a page load sends exactly one.
+                 */
+                firstPayload(timeoutMs) {
+                    if (payloads.length) return Promise.resolve(payloads[0].payload);
+
+                    return new Promise((resolveFirst, reject) => {
+                        const timer = setTimeout(() => reject(new Error(`No fingerprint within ${timeoutMs}ms`)),
+                            timeoutMs);
+                        waiters.push(payload => {
+                            clearTimeout(timer);
+                            resolveFirst(payload);
+                        });
+                    });
+                },
+
+                /**
+                 * The first trap report, rejecting if none arrives within timeoutMs.
+                 */
+                firstTrapHit(timeoutMs) {
+                    if (trapHits.length) return Promise.resolve(trapHits[0]);
+
+                    return new Promise((resolveFirst, reject) => {
+                        const timer = setTimeout(() => reject(new Error(`No trap report within ${timeoutMs}ms`)),
+                            timeoutMs);
+                        trapWaiters.push(hit => {
+                            clearTimeout(timer);
+                            resolveFirst(hit);
+                        });
+                    });
+                },
+
+                close() {
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+module.exports = {startServer};
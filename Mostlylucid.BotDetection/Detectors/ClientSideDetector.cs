@@ -17,6 +17,7 @@ namespace Mostlylucid.BotDetection.Detectors;
 /// </summary>
 public class ClientSideDetector : IDetector
 {
+    private readonly IProofOfWorkChallengeService? _challenges;
     private readonly ILogger<ClientSideDetector> _logger;
     private readonly BotDetectionMetrics? _metrics;
     private readonly BotDetectionOptions _options;
@@ -26,12 +27,14 @@ public class ClientSideDetector : IDetector
         ILogger<ClientSideDetector> logger,
         IOptions<BotDetectionOptions> options,
         IBrowserFingerprintStore store,
-        BotDetectionMetrics? metrics = null)
+        BotDetectionMetrics? metrics = null,
+        IProofOfWorkChallengeService? challenges = null)
     {
         _logger = logger;
         _options = options.Value;
         _store = store;
         _metrics = metrics;
+        _challenges = challenges;
     }
 
     public string Name => "Client-Side Detector";
@@ -52,12 +55,43 @@ public class ClientSideDetector : IDetector
             var ipHash = HashIp(GetClientIp(context));
             var fingerprint = _store.Get(ipHash);
 
+            // A solved proof-of-work challenge is paid-for evidence, with or without a fingerprint
+            var pass = _challenges?.GetPass(ipHash);
+            if (pass != null)
+                result.Reasons.Add(new DetectionReason
+                {
+                    Category = "ClientSide",
+                    Detail = $"Proof-of-work challenge passed (difficulty: {pass.Difficulty} bits)",
+                    ConfidenceImpact = -_options.ClientSide.ProofOfWork.PassConfidenceReduction
+                });
+
+            // A triggered bot trap is near-certain evidence - people never see the traps
+            var trap = _options.ClientSide.Traps.Enabled ? _store.GetTrapRecord(ipHash) : null;
+            var trapImpact = 0.0;
+            if (trap != null)
+            {
+                trapImpact = _options.ClientSide.Traps.ConfidenceImpact;
+                result.Reasons.Add(new DetectionReason
+                {
+                    Category = "ClientSide",
+                    Detail = $"Bot trap triggered: {trap.LastHit.Description} ({trap.Hits} hit(s))",
+                    ConfidenceImpact = trapImpact
+                });
+                result.BotType = BotType.Scraper;
+            }
+
             if (fingerprint == null)
             {
+                // Crawlers that follow trap links often never run the script
+                if (trap != null)
+                    result.Confidence = Math.Clamp(
+                        trapImpact - (pass != null ? _options.ClientSide.ProofOfWork.PassConfidenceReduction : 0),
+                        0.0, 1.0);
+
                 // No fingerprint available - might be first request, JS not executed,
                 // privacy tool, or API call. This is NOT suspicious by itself.
                 // Missing data ≠ malicious - treat as neutral.
-                if (_options.ClientSide.Enabled)
+                if (pass == null && trap == null)
                     result.Reasons.Add(new DetectionReason
                     {
                         Category = "ClientSide",
@@ -72,68 +106,19 @@ public class ClientSideDetector : IDetector
             // Use fingerprint data for detection
             var opts = _options.ClientSide;
 
-            // Check headless likelihood
+            result.Confidence += trapImpact + ScoreFingerprint(fingerprint, opts, result.Reasons);
+
             if (fingerprint.HeadlessLikelihood >= opts.HeadlessThreshold)
             {
-                result.Confidence += fingerprint.HeadlessLikelihood * 0.8; // Weight headless highly
                 result.BotType = BotType.Scraper;
-                result.Reasons.Add(new DetectionReason
-                {
-                    Category = "ClientSide",
-                    Detail = $"Headless browser detected (likelihood: {fingerprint.HeadlessLikelihood:F2})",
-                    ConfidenceImpact = fingerprint.HeadlessLikelihood * 0.8
-                });
-
                 if (!string.IsNullOrEmpty(fingerprint.DetectedAutomation))
-                {
                     result.BotName = fingerprint.DetectedAutomation;
-                    result.Reasons.Add(new DetectionReason
-                    {
-                        Category = "ClientSide",
-                        Detail = $"Automation framework detected: {fingerprint.DetectedAutomation}",
-                        ConfidenceImpact = 0.5
-                    });
-                }
-            }
-
-            // Check browser integrity score
-            if (fingerprint.BrowserIntegrityScore < opts.MinIntegrityScore)
-            {
-                var integrityImpact = (opts.MinIntegrityScore - fingerprint.BrowserIntegrityScore) / 100.0 * 0.5;
-                result.Confidence += integrityImpact;
-                result.Reasons.Add(new DetectionReason
-                {
-                    Category = "ClientSide",
-                    Detail = $"Low browser integrity score: {fingerprint.BrowserIntegrityScore}/100",
-                    ConfidenceImpact = integrityImpact
-                });
-            }
-
-            // Check fingerprint consistency
-            if (fingerprint.FingerprintConsistencyScore < 80)
-            {
-                var consistencyImpact = (80 - fingerprint.FingerprintConsistencyScore) / 100.0 * 0.3;
-                result.Confidence += consistencyImpact;
-                result.Reasons.Add(new DetectionReason
-                {
-                    Category = "ClientSide",
-                    Detail =
-                        $"Fingerprint inconsistencies detected (score: {fingerprint.FingerprintConsistencyScore}/100)",
-                    ConfidenceImpact = consistencyImpact
-                });
             }
 
-            // Add specific reasons from fingerprint analysis
-            foreach (var reason in fingerprint.Reasons.Take(3)) // Limit to top 3
-                result.Reasons.Add(new DetectionReason
-                {
-                    Category = "ClientSide",
-                    Detail = reason,
-                    ConfidenceImpact = 0.1
-                });
+            if (pass != null) result.Confidence -= _options.ClientSide.ProofOfWork.PassConfidenceReduction;
 
-            // Cap confidence at 1.0
-            result.Confidence = Math.Min(1.0, result.Confidence);
+            // Keep confidence in range
+            result.Confidence = Math.Clamp(result.Confidence, 0.0, 1.0);
 
             stopwatch.Stop();
             _metrics?.RecordDetection(
@@ -156,6 +141,71 @@ public class ClientSideDetector : IDetector
         return Task.FromResult(result);
     }
 
+    /// <summary>
+    ///     Bot confidence a fingerprint contributes on its own (unclamped): headless likelihood above
+    ///     <see cref="ClientSideOptions.HeadlessThreshold" />, integrity below
+    ///     <see cref="ClientSideOptions.MinIntegrityScore" />, inconsistencies and the analyzer's top reasons.
+    ///     Also used for the verdict the fingerprint endpoint can return to the page.
+    /// </summary>
+    /// <param name="fingerprint">Analyzed fingerprint.</param>
+    /// <param name="options">Client-side options.</param>
+    /// <param name="reasons">Receives a reason per contribution, if given.</param>
+    public static double ScoreFingerprint(
+        BrowserFingerprintResult fingerprint,
+        ClientSideOptions options,
+        ICollection<DetectionReason>? reasons = null)
+    {
+        var confidence = 0.0;
+
+        void Add(string detail, double impact)
+        {
+            confidence += impact;
+            reasons?.Add(new DetectionReason
+            {
+                Category = "ClientSide",
+                Detail = detail,
+                ConfidenceImpact = impact
+            });
+        }
+
+        // Check headless likelihood
+        if (fingerprint.HeadlessLikelihood >= options.HeadlessThreshold)
+        {
+            // Weight headless highly
+            Add($"Headless browser detected (likelihood: {fingerprint.HeadlessLikelihood:F2})",
+                fingerprint.HeadlessLikelihood * 0.8);
+
+            if (!string.IsNullOrEmpty(fingerprint.DetectedAutomation))
+                reasons?.Add(new DetectionReason
+                {
+                    Category = "ClientSide",
+                    Detail = $"Automation framework detected: {fingerprint.DetectedAutomation}",
+                    ConfidenceImpact = 0.5
+                });
+        }
+
+        // Check browser integrity score
+        if (fingerprint.BrowserIntegrityScore < options.MinIntegrityScore)
+            Add($"Low browser integrity score: {fingerprint.BrowserIntegrityScore}/100",
+                (options.MinIntegrityScore - fingerprint.BrowserIntegrityScore) / 100.0 * 0.5);
+
+        // Check fingerprint consistency
+        if (fingerprint.FingerprintConsistencyScore < 80)
+            Add($"Fingerprint inconsistencies detected (score: {fingerprint.FingerprintConsistencyScore}/100)",
+                (80 - fingerprint.FingerprintConsistencyScore) / 100.0 * 0.3);
+
+        // Add specific reasons from fingerprint analysis
+        foreach (var reason in fingerprint.Reasons.Take(3)) // Limit to top 3
+            reasons?.Add(new DetectionReason
+            {
+                Category = "ClientSide",
+                Detail = reason,
+                ConfidenceImpact = 0.1
+            });
+
+        return confidence;
+    }
+
     private static string HashIp(string ip)
     {
         // Fast XxHash64 - MUST match BrowserTokenService.HashIp
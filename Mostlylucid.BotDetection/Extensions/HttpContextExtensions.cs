@@ -199,7 +199,15 @@ public static class HttpContextExtensions
             return RiskBand.High;
 
         // Score-based risk assessment
-        return result.ConfidenceScore switch
+        return GetRiskBand(result.ConfidenceScore);
+    }
+
+    /// <summary>
+    ///     Gets the risk band for a bot confidence score (0.0-1.0).
+    /// </summary>
+    public static RiskBand GetRiskBand(double confidence)
+    {
+        return confidence switch
         {
             >= 0.9 => RiskBand.High, // Very confident bot
             >= 0.7 => RiskBand.Medium, // Likely bot
@@ -239,8 +247,14 @@ public static class HttpContextExtensions
         if (result == null)
             return RecommendedAction.Allow;
 
-        var riskBand = context.GetRiskBand();
+        return GetRecommendedAction(context.GetRiskBand());
+    }
 
+    /// <summary>
+    ///     Gets the recommended action for a risk band.
+    /// </summary>
+    public static RecommendedAction GetRecommendedAction(RiskBand riskBand)
+    {
         return riskBand switch
         {
             RiskBand.High => RecommendedAction.Block,
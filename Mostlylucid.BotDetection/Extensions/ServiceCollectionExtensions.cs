@@ -287,6 +287,9 @@ public static class ServiceCollectionExtensions
         services.TryAddSingleton<IBrowserTokenService, BrowserTokenService>();
         services.TryAddSingleton<IBrowserFingerprintAnalyzer, BrowserFingerprintAnalyzer>();
         services.TryAddSingleton<IBrowserFingerprintStore, BrowserFingerprintStore>();
+        services.TryAddSingleton<IFingerprintPayloadValidator, FingerprintPayloadValidator>();
+        services.TryAddSingleton<IFingerprintCollectionStats, FingerprintCollectionStats>();
+        services.TryAddSingleton<IProofOfWorkChallengeService, ProofOfWorkChallengeService>();
 
         // Register signal bus infrastructure (intra-request, event-driven detection)
         services.TryAddTransient<IBotSignalBusFactory, BotSignalBusFactory>();
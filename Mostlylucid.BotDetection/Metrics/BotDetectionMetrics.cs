@@ -27,6 +27,10 @@ public sealed class BotDetectionMetrics : IDisposable
     private readonly Counter<long> _cacheMisses;
     private readonly Counter<long> _cacheWrites;
     private readonly Histogram<double> _cidrMatchDuration;
+
+    // Client-side collection health
+    private readonly Histogram<double> _clientSideCollectionDuration;
+    private readonly Counter<long> _clientSideCollections;
     private readonly object _confidenceLock = new();
 
     // Histograms
@@ -127,6 +131,17 @@ public sealed class BotDetectionMetrics : IDisposable
             "{write}",
             "Number of writes per flush batch");
 
+        // Client-side collection health
+        _clientSideCollections = _meter.CreateCounter<long>(
+            "botdetection.clientside.collections",
+            "{submission}",
+            "Fingerprint submissions by browser family, outcome and transport");
+
+        _clientSideCollectionDuration = _meter.CreateHistogram<double>(
+            "botdetection.clientside.collection.duration",
+            "ms",
+            "Time the script spent collecting a fingerprint");
+
         // Observable gauges for cache state
         _cachedPatternsCount = _meter.CreateObservableGauge(
             "botdetection.cache.patterns.count",
@@ -245,6 +260,28 @@ public sealed class BotDetectionMetrics : IDisposable
             _humansDetected.Add(1, tags);
     }
 
+    /// <summary>
+    ///     Records the health of one fingerprint collection.
+    /// </summary>
+    /// <param name="browserFamily">Browser family from the User-Agent (Chrome, Firefox, ...).</param>
+    /// <param name="outcome">complete, timeout, error or rejected.</param>
+    /// <param name="transport">beacon, xhr or xhr-fallback; null when the script didn't report it.</param>
+    /// <param name="durationMs">Collection time reported by the script, if any.</param>
+    public void RecordClientSideCollection(string browserFamily, string outcome, string? transport, int? durationMs)
+    {
+        var tags = new TagList
+        {
+            { "browser_family", browserFamily },
+            { "outcome", outcome },
+            { "transport", transport ?? "unknown" }
+        };
+
+        _clientSideCollections.Add(1, tags);
+
+        if (durationMs.HasValue)
+            _clientSideCollectionDuration.Record(durationMs.Value, new TagList { { "browser_family", browserFamily } });
+    }
+
     /// <summary>
     ///     Updates the cached pattern count gauge.
     /// </summary>
@@ -995,6 +995,14 @@ public class ClientSideOptions
     /// </summary>
     public int TokenLifetimeSeconds { get; set; } = 300;
 
+    /// <summary>
+    ///     Salt the script mixes into its SHA-256 canvas/audio hashes, delivered in the browser token.
+    ///     Hashes from different salts can't be linked, so use a different value per site.
+    ///     If not set, it is derived from <see cref="TokenSecret" /> (and changes with it, or on restart
+    ///     when no secret is configured). Set explicitly to keep hashes stable across secret rotation.
+    /// </summary>
+    public string? FingerprintSalt { get; set; }
+
     /// <summary>
     ///     How long to cache fingerprint results for correlation with requests.
     ///     Default: 1800 (30 minutes)
@@ -1002,7 +1010,9 @@ public class ClientSideOptions
     public int FingerprintCacheDurationSeconds { get; set; } = 1800;
 
     /// <summary>
-    ///     Client-side collection timeout in milliseconds.
+    ///     Client-side collection timeout in milliseconds, counted from the start of collection (after any
+    ///     behavior window). Async probes still running then are listed in the payload's <c>diag.to</c> and
+    ///     left out, and the rest is sent. Also the timeout of the XHR fallback.
     ///     Default: 5000 (5 seconds)
     /// </summary>
     public int CollectionTimeoutMs { get; set; } = 5000;
@@ -1022,12 +1032,155 @@ public class ClientSideOptions
     public bool CollectCanvas { get; set; } = true;
 
     /// <summary>
-    ///     Collect audio context fingerprint.
-    ///     Currently not implemented, reserved for future use.
+    ///     Collect audio context fingerprint (OfflineAudioContext render, hash only).
     ///     Default: false
     /// </summary>
     public bool CollectAudio { get; set; } = false;
 
+    /// <summary>
+    ///     Probe font and emoji rendering: how many platform-typical fonts are installed (sent as a count
+    ///     bucket), whether emoji render in colour, and a salted hash of the rendered bitmap. Font names
+    ///     are never sent. Catches headless containers claiming to be Windows or macOS.
+    ///     Default: false
+    /// </summary>
+    public bool CollectFonts { get; set; } = false;
+
+    /// <summary>
+    ///     Run timing probes: requestAnimationFrame cadence on a visible page, <c>performance.now()</c>
+    ///     resolution, canvas frame cost and <c>setTimeout</c> drift, each sent as a bucket. Catches headless
+    ///     instances with a throttled or absent rendering loop, which navigator spoofing can't hide.
+    ///     Adds about half a second before the fingerprint is sent.
+    ///     Default: false
+    /// </summary>
+    public bool CollectTiming { get; set; } = false;
+
+    /// <summary>
+    ///     Track whether the user interacted with the page (mouse, touch, key) before submission.
+    ///     Only a yes/no flag is sent - no event data or key values.
+    ///     Default: true
+    /// </summary>
+    public bool CollectInteraction { get; set; } = true;
+
+    /// <summary>
+    ///     Collect behavioral biometrics: aggregate mouse-path shape, click latency, keystroke timing
+    ///     histogram, scroll cadence and touch variance over the first <see cref="BehaviorWindowMs" />.
+    ///     Only summary numbers are sent. The fingerprint submission is held until the window closes
+    ///     (or the page is hidden), so enable it on pages where visitors stay a few seconds.
+    ///     Default: false
+    /// </summary>
+    public bool CollectBehavior { get; set; } = false;
+
+    /// <summary>
+    ///     Observation window for <see cref="CollectBehavior" /> in milliseconds.
+    ///     Default: 5000 (5 seconds)
+    /// </summary>
+    public int BehaviorWindowMs { get; set; } = 5000;
+
+    /// <summary>
+    ///     Run the script's lie-detection checks: compare related signals that anti-detect browsers
+    ///     spoof independently (platform vs UA and client hints, screen vs media queries, WebGL renderer
+    ///     vs OS, Intl vs Date time zone, claimed vs measured cores, non-native navigator getters).
+    ///     Each inconsistency is reported as a <c>lie-*</c> entry in <c>scoreReasons</c>.
+    ///     The core check briefly runs a few Web Workers (~250ms).
+    ///     Default: true
+    /// </summary>
+    public bool CheckConsistency { get; set; } = true;
+
+    /// <summary>
+    ///     Re-read navigator, Intl and (with <see cref="CollectWebGL" />) WebGL signals in a dedicated Worker
+    ///     and a sandboxed same-origin iframe and send which ones differ from the page. Stealth plugins
+    ///     usually patch only the page's own globals, so any difference is a strong headless signal.
+    ///     Default: true
+    /// </summary>
+    public bool CompareContexts { get; set; } = true;
+
+    /// <summary>
+    ///     Collect UA Client Hints (<c>navigator.userAgentData</c>, including the high-entropy brand full
+    ///     versions, platform version, architecture, bitness and model) in Chromium browsers. The server
+    ///     compares them with the request's User-Agent and <c>Sec-CH-UA*</c> headers to catch builds that
+    ///     lie about their brand or version.
+    ///     Default: true
+    /// </summary>
+    public bool CollectClientHints { get; set; } = true;
+
+    /// <summary>
+    ///     Send an activity heartbeat every this many milliseconds after the initial fingerprint.
+    ///     Heartbeats carry counts only (navigations, visibility/focus changes, input events) and a
+    ///     sequence number, building a per-session timeline in <c>IBrowserFingerprintStore</c>.
+    ///     Requires <c>app.MapBotDetectionHeartbeatEndpoint()</c>. 0 disables the timer.
+    ///     Default: 0
+    /// </summary>
+    public int HeartbeatIntervalMs { get; set; } = 0;
+
+    /// <summary>
+    ///     Hook <c>history.pushState</c>/<c>popstate</c> and send a heartbeat on each single-page-app
+    ///     navigation, so activity after the first page view isn't lost.
+    ///     Default: false
+    /// </summary>
+    public bool TrackNavigation { get; set; } = false;
+
+    /// <summary>
+    ///     Path heartbeats are posted to.
+    ///     Default: "/bot-detection/heartbeat"
+    /// </summary>
+    public string HeartbeatEndpoint { get; set; } = "/bot-detection/heartbeat";
+
+    /// <summary>
+    ///     How long after page load a token may keep sending heartbeats, in seconds.
+    ///     Longer-lived single-page sessions need a page reload to continue their timeline.
+    ///     Default: 1800 (30 minutes)
+    /// </summary>
+    public int HeartbeatSessionSeconds { get; set; } = 1800;
+
+    /// <summary>
+    ///     Maximum heartbeats kept per session timeline; older entries are dropped.
+    ///     Default: 100
+    /// </summary>
+    public int MaxHeartbeatsPerSession { get; set; } = 100;
+
+    /// <summary>
+    ///     Inline the fingerprint script into the page rather than referencing it by URL.
+    ///     When false, map the script with <c>app.MapBotDetectionClientScript()</c> so browsers
+    ///     can cache it; the tag helper then emits a <c>src</c> pointing at <see cref="ScriptPath" />.
+    ///     Can be overridden per tag with the <c>inline</c> attribute.
+    ///     Default: true
+    /// </summary>
+    public bool InlineScript { get; set; } = true;
+
+    /// <summary>
+    ///     Path the fingerprint script is served from when not inlined.
+    ///     Default: "/bot-detection/botdetection.js"
+    /// </summary>
+    public string ScriptPath { get; set; } = "/bot-detection/botdetection.js";
+
+    /// <summary>
+    ///     Reject fingerprint payloads stamped with a newer version than this server understands.
+    ///     When false they are accepted but downgraded: signals unknown to this version are ignored
+    ///     and the result is marked <c>BrowserFingerprintResult.PayloadDowngraded</c>.
+    ///     Payloads that violate the schema or carry no version are always rejected.
+    ///     Default: false
+    /// </summary>
+    public bool RejectUnknownPayloadVersions { get; set; } = false;
+
+    /// <summary>
+    ///     Reject fingerprint submissions that aren't signed with their page's nonce.
+    ///     The script posts a signed envelope (token in the body, HMAC over the payload); a payload
+    ///     POSTed by hand with a harvested token has no valid signature. Tokens are single-use, so
+    ///     replayed submissions are rejected either way.
+    ///     Set false only while pages cached with a pre-1.8.0 script are still being served.
+    ///     Default: true
+    /// </summary>
+    public bool RequireSignedSubmissions { get; set; } = true;
+
+    /// <summary>
+    ///     Return a verdict (risk band, recommended action) for the fingerprint to the page.
+    ///     The script then posts with <c>fetch</c> instead of <c>sendBeacon</c> and raises an
+    ///     <c>mlbotd:verdict</c> DOM event. A bot can read the verdict too, so turn this on only
+    ///     when the page needs to react to it.
+    ///     Default: false
+    /// </summary>
+    public bool ReturnVerdict { get; set; } = false;
+
     /// <summary>
     ///     Minimum browser integrity score to consider "trusted".
     ///     Scores below this contribute to bot confidence.
@@ -1040,6 +1193,293 @@ public class ClientSideOptions
     ///     Range: 0.0-1.0. Default: 0.5
     /// </summary>
     public double HeadlessThreshold { get; set; } = 0.5;
+
+    /// <summary>
+    ///     Proof-of-work challenge for borderline requests.
+    ///     Requires <c>app.MapBotDetectionChallengeEndpoint()</c>.
+    /// </summary>
+    public ProofOfWorkOptions ProofOfWork { get; set; } = new();
+
+    /// <summary>
+    ///     Weights and rules for the script's own integrity score (<c>score</c>/<c>scoreReasons</c>).
+    /// </summary>
+    public ClientScoringOptions Scoring { get; set; } = new();
+
+    /// <summary>
+    ///     Consent gate: limit what the script collects to what the visitor agreed to.
+    /// </summary>
+    public FingerprintConsentOptions Consent { get; set; } = new();
+
+    /// <summary>
+    ///     Bot traps: hidden links and form fields planted by the script.
+    ///     Requires <c>app.MapBotDetectionTrapEndpoint()</c>.
+    /// </summary>
+    public BotTrapOptions Traps { get; set; } = new();
+}
+
+/// <summary>
+///     Configuration for the client-side proof-of-work challenge.
+///     When a page is rendered for a request whose bot probability falls between <see cref="MinRisk" />
+///     and <see cref="MaxRisk" />, the tag helper hands the script a SHA-256 puzzle bound to its browser
+///     token. The script solves it in a Web Worker and posts the solution back; a valid solution marks
+///     the client as having passed, which lowers its bot probability on subsequent requests.
+///     Cheap scrapers that execute JS pay for every page in CPU time; real visitors don't notice.
+/// </summary>
+public class ProofOfWorkOptions
+{
+    /// <summary>
+    ///     Enable proof-of-work challenges.
+    ///     Default: false
+    /// </summary>
+    public bool Enabled { get; set; } = false;
+
+    /// <summary>
+    ///     Path the script posts solutions to.
+    ///     Default: "/bot-detection/challenge"
+    /// </summary>
+    public string Endpoint { get; set; } = "/bot-detection/challenge";
+
+    /// <summary>
+    ///     Lowest bot probability that triggers a challenge.
+    ///     Default: 0.4
+    /// </summary>
+    public double MinRisk { get; set; } = 0.4;
+
+    /// <summary>
+    ///     Highest bot probability that triggers a challenge. Above this the request is left to
+    ///     blocking/action policies - a puzzle alone shouldn't clear a confident detection.
+    ///     Default: 0.85
+    /// </summary>
+    public double MaxRisk { get; set; } = 0.85;
+
+    /// <summary>
+    ///     Difficulty (leading zero bits of SHA-256) at <see cref="MinRisk" />.
+    ///     Each extra bit doubles the expected work. Default: 14 (~16k hashes)
+    /// </summary>
+    public int MinDifficulty { get; set; } = 14;
+
+    /// <summary>
+    ///     Difficulty (leading zero bits of SHA-256) at <see cref="MaxRisk" />.
+    ///     Default: 20 (~1M hashes, a few seconds on a laptop)
+    /// </summary>
+    public int MaxDifficulty { get; set; } = 20;
+
+    /// <summary>
+    ///     How long a passed challenge is honoured for the client, in seconds.
+    ///     Default: 1800 (30 minutes)
+    /// </summary>
+    public int PassLifetimeSeconds { get; set; } = 1800;
+
+    /// <summary>
+    ///     Bot probability removed from requests by a client that has passed a challenge.
+    ///     Default: 0.3
+    /// </summary>
+    public double PassConfidenceReduction { get; set; } = 0.3;
+}
+
+/// <summary>
+///     Configuration for the client script's bot traps (honeypots).
+///     The script plants links and form fields that people never see or reach - positioned off-screen,
+///     <c>aria-hidden</c> and out of the tab order - pointing at the trap URL <see cref="Endpoint" />.
+///     A crawler that follows a link requests the trap URL itself; a click or a filled field is reported
+///     by the script. Either way the client's later requests carry a strong bot signal.
+///     Disallow <see cref="Endpoint" /> in robots.txt so crawlers that honour it are never caught.
+/// </summary>
+public class BotTrapOptions
+{
+    /// <summary>
+    ///     Enable bot traps.
+    ///     Default: false
+    /// </summary>
+    public bool Enabled { get; set; } = false;
+
+    /// <summary>
+    ///     Trap URL: hidden links point here (GET) and the script reports hits here (POST).
+    ///     Default: "/bot-detection/trap"
+    /// </summary>
+    public string Endpoint { get; set; } = "/bot-detection/trap";
+
+    /// <summary>
+    ///     Number of hidden links to plant at the end of the page body.
+    ///     Default: 1
+    /// </summary>
+    public int Links { get; set; } = 1;
+
+    /// <summary>
+    ///     Add a hidden text field to each form on the page. Fields are named
+    ///     <c>mlbotd_hp_&lt;random&gt;_&lt;id&gt;</c> and removed from the form data before it is submitted,
+    ///     so the application never receives or binds them (browsers without the <c>formdata</c> event,
+    ///     Safari before 15, post an empty field no model property matches).
+    ///     Default: true
+    /// </summary>
+    public bool Fields { get; set; } = true;
+
+    /// <summary>
+    ///     How long after page load a trap link stays live, and how long a hit counts against the client,
+    ///     in seconds.
+    ///     Default: 1800 (30 minutes)
+    /// </summary>
+    public int HitLifetimeSeconds { get; set; } = 1800;
+
+    /// <summary>
+    ///     Bot probability added to requests from a client that triggered a trap.
+    ///     Default: 0.9
+    /// </summary>
+    public double ConfidenceImpact { get; set; } = 0.9;
+}
+
+/// <summary>
+///     Overrides for the client script's integrity score rule table.
+///     The script ships a built-in table (e.g. <c>webdriver</c> -50, <c>chrome-no-plugins</c> -20, each
+///     <c>lie-*</c> -15); entries here are injected through the config block and merged into it by id, so
+///     rules can be re-weighted, disabled or added without redeploying the script.
+/// </summary>
+/// <example>
+///     <code>
+///     "Scoring": {
+///       "Version": "2025-06-tuning",
+///       "Rules": {
+///         "chrome-no-plugins": { "Weight": 5 },
+///         "no-chrome-ui": { "Enabled": false },
+///         "huge-core-count": { "Field": "cores", "Op": "gt", "Value": "64", "Weight": 10 }
+///       }
+///     }
+///     </code>
+/// </example>
+public class ClientScoringOptions
+{
+    /// <summary>
+    ///     Label for this rule table, echoed by the script as <c>rv</c> and logged with each client score.
+    ///     If not set, a hash of <see cref="Rules" /> is used. With no rules configured the script
+    ///     reports its built-in table as <c>builtin</c>. At most <see cref="MaxVersionLength" /> characters.
+    /// </summary>
+    public string? Version { get; set; }
+
+    /// <summary>
+    ///     Longest <see cref="Version" /> the fingerprint payload schema accepts as <c>rv</c>.
+    /// </summary>
+    public const int MaxVersionLength = 64;
+
+    /// <summary>
+    ///     Rule overrides keyed by rule id (the name reported in <c>scoreReasons</c>).
+    /// </summary>
+    public Dictionary<string, ClientScoringRule> Rules { get; set; } = new();
+}
+
+/// <summary>
+///     One entry of the client scoring rule table.
+///     For a built-in rule only <see cref="Weight" /> and <see cref="Enabled" /> are needed; a new rule
+///     also needs <see cref="Field" />, <see cref="Op" /> and <see cref="Value" />.
+/// </summary>
+public class ClientScoringRule
+{
+    /// <summary>
+    ///     Points taken off the 0-100 client score when the rule matches (negative adds points).
+    ///     Null keeps the built-in weight.
+    /// </summary>
+    public int? Weight { get; set; }
+
+    /// <summary>
+    ///     Set false to turn the rule off.
+    ///     Default: true
+    /// </summary>
+    public bool Enabled { get; set; } = true;
+
+    /// <summary>
+    ///     Payload field the rule tests, dotted for nested values (e.g. <c>cores</c>, <c>bio.untrusted</c>).
+    /// </summary>
+    public string? Field { get; set; }
+
+    /// <summary>
+    ///     Comparison: <c>eq</c>, <c>ne</c>, <c>lt</c> or <c>gt</c>. Numbers and flags compare numerically,
+    ///     anything else as strings.
+    /// </summary>
+    public string? Op { get; set; }
+
+    /// <summary>
+    ///     Value to compare <see cref="Field" /> against.
+    /// </summary>
+    public string? Value { get; set; }
+}
+
+/// <summary>
+///     How much the client script may collect.
+/// </summary>
+public enum FingerprintConsentTier
+{
+    /// <summary>Automation markers and window/function integrity only.</summary>
+    Essential,
+
+    /// <summary>Adds device signals: locale, screen, hardware, Client Hints, lie detection, context comparison, behavior.</summary>
+    Standard,
+
+    /// <summary>Adds the WebGL renderer and the canvas/audio hashes.</summary>
+    Full
+}
+
+/// <summary>
+///     Consent gate for the client script. When enabled the script asks, in order, a page-defined
+///     <see cref="Callback" />, an IAB TCF v2 CMP (<c>__tcfapi</c>), an IAB GPP CMP (<c>__gpp</c>) and
+///     <see cref="CookieName" />, and collects at the first tier it gets back - or
+///     <see cref="DefaultTier" /> if none answers within <see cref="TimeoutMs" />.
+///     TCF/GPP map to: special feature 2 ("actively scan device characteristics") plus purpose 1 = full,
+///     purpose 1 ("store and/or access information on a device") = standard, otherwise essential;
+///     GDPR not applying = full.
+/// </summary>
+/// <example>
+///     <code>
+///     "Consent": {
+///       "Enabled": true,
+///       "DefaultTier": "Essential",
+///       "Callback": "getBotDetectionConsent",
+///       "CookieName": "analytics_consent"
+///     }
+///     </code>
+/// </example>
+public class FingerprintConsentOptions
+{
+    /// <summary>
+    ///     Enable the consent gate. When disabled the script always collects at <see cref="FingerprintConsentTier.Full" />.
+    ///     Default: false
+    /// </summary>
+    public bool Enabled { get; set; } = false;
+
+    /// <summary>
+    ///     Tier used when no consent source answers.
+    ///     Default: Essential
+    /// </summary>
+    public FingerprintConsentTier DefaultTier { get; set; } = FingerprintConsentTier.Essential;
+
+    /// <summary>
+    ///     Name of a global function returning the tier (<c>"essential"</c>, <c>"standard"</c>, <c>"full"</c>)
+    ///     or a promise of it. Null or an unknown value falls through to the next source.
+    /// </summary>
+    public string? Callback { get; set; }
+
+    /// <summary>
+    ///     Ask an IAB TCF v2 CMP, if the page has one.
+    ///     Default: true
+    /// </summary>
+    public bool UseTcf { get; set; } = true;
+
+    /// <summary>
+    ///     Ask an IAB GPP CMP, if the page has one (only its <c>tcfeuv2</c> section is mapped).
+    ///     Default: true
+    /// </summary>
+    public bool UseGpp { get; set; } = true;
+
+    /// <summary>
+    ///     Cookie holding the consent state: a tier name, or a yes/no value
+    ///     (<c>1</c>/<c>true</c>/<c>granted</c> = full, <c>0</c>/<c>false</c>/<c>denied</c> = essential).
+    /// </summary>
+    public string? CookieName { get; set; }
+
+    /// <summary>
+    ///     How long to wait for a consent answer before using <see cref="DefaultTier" />, in milliseconds.
+    ///     A CMP still showing its banner doesn't answer.
+    ///     Default: 1000
+    /// </summary>
+    public int TimeoutMs { get; set; } = 1000;
 }
 
 // ==========================================
@@ -2859,6 +3299,33 @@ public class BotDetectionOptionsValidator : IValidateOptions<BotDetectionOptions
             warnings.Add(
                 "ClientSide detection is enabled but all collection methods (WebGL, Canvas, Audio) are disabled");
 
+        // Client scoring rules - the version is echoed as rv, which the payload schema caps at 64 characters
+        if (options.Scoring.Version is { Length: > ClientScoringOptions.MaxVersionLength } version)
+            errors.Add(
+                $"ClientSide.Scoring.Version must be at most {ClientScoringOptions.MaxVersionLength} characters, got {version.Length}");
+
+        foreach (var (id, rule) in options.Scoring.Rules)
+        {
+            if (rule.Field == null && rule.Op == null) continue;
+
+            if (string.IsNullOrWhiteSpace(rule.Field) || rule.Value == null)
+                errors.Add($"ClientSide.Scoring.Rules.{id} must set Field, Op and Value together");
+            else if (rule.Op is not ("eq" or "ne" or "lt" or "gt"))
+                errors.Add($"ClientSide.Scoring.Rules.{id}.Op must be eq, ne, lt or gt, got '{rule.Op}'");
+        }
+
+        // Consent gate
+        if (options.Consent.Enabled)
+        {
+            if (options.Consent.TimeoutMs < 0 || options.Consent.TimeoutMs > 10000)
+                errors.Add($"ClientSide.Consent.TimeoutMs must be between 0 and 10000ms, got {options.Consent.TimeoutMs}");
+
+            if (options.Consent.Callback == null && options.Consent.CookieName == null &&
+                !options.Consent.UseTcf && !options.Consent.UseGpp)
+                warnings.Add(
+                    $"ClientSide.Consent is enabled without any consent source; every visitor gets {options.Consent.DefaultTier}");
+        }
+
         // Warn about production secret
         if (options.TokenSecret == "demo-secret-key-change-in-production" ||
             options.TokenSecret == "your-secret-key" ||
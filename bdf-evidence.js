@@ -0,0 +1,173 @@
+/*
+ * Evaluates BDF v2 evidence rules and request success conditions for the k6 runners
+ *
+ * Each scenario iteration records one sample per request ({ path, status, bytes, startedAt,
+ * headerCount, cookieCount }; bytes is the decompressed body size in bytes). computeSignals()
+ * turns those into the signals the schema names (interval_ms_p95, interval_ms_p50,
+ * sensitive_path_rate, error_rate, burst_detected, header_count, cookie_count);
+ * evaluateEvidence() checks the signature's rules against them.
+ *
+ * successCondition is free text in the schema; the forms understood are:
+ *   any response
+ *   any 2xx | any 4xx | any 200              (a status class or an exact status)
+ *   any 2xx with payload > 10KB              (>, >=, <, <= and B, KB, MB - 1KB = 1024 bytes)
+ * anything else is reported by parseSuccessCondition() as unparsed and never counts as met.
+ */
+
+// Outcomes where success means the bot got what it came for; probing, indexing and browsing
+// succeed on any answer, so they only decide the goal when a scenario has nothing else
+const GOAL_OUTCOMES = ['data_exfil', 'auth_bypass_attempt', 'content_interaction'];
+
+// burst_detected: this many back-to-back requests under BURST_INTERVAL_MS apart
+const BURST_LENGTH = 3;
+const BURST_INTERVAL_MS = 1000;
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+const CONDITION = /^any\s+(response|[1-5]xx|[1-5]\d\d)(?:\s+with\s+payload\s*(>=|<=|>|<)\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?)?$/i;
+
+const parsed = {};
+
+/**
+ * True for paths a scraper or prober goes after: admin, API and dot-files.
+ */
+export function isSensitivePath(path) {
+    return path.includes('/admin') || path.includes('/api') || path.includes('/.');
+}
+
+// Helper: Compare with a BDF evidence operator
+function compare(actual, op, value) {
+    switch (op) {
+        case '<': return actual < value;
+        case '>': return actual > value;
+        case '<=': return actual <= value;
+        case '>=': return actual >= value;
+        case '==': return actual === value;
+        case '!=': return actual !== value;
+        default: return false;
+    }
+}
+
+// Helper: Nearest-rank percentile of a list of numbers, or null when empty
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+// Helper: Mean of a list of numbers, or null when empty
+function mean(values) {
+    return values.length === 0 ? null : values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Parse a successCondition into a predicate over { status, bytes }, or null when the text
+ * isn't one of the forms above. Results are cached by text.
+ */
+export function parseSuccessCondition(text) {
+    const key = String(text).trim();
+    if (key in parsed) return parsed[key];
+
+    const m = CONDITION.exec(key);
+    let predicate = null;
+
+    if (m) {
+        const statusSpec = m[1].toLowerCase();
+        const statusOk = statusSpec === 'response'
+            ? status => status > 0
+            : statusSpec.endsWith('xx')
+                ? status => Math.floor(status / 100) === Number(statusSpec[0])
+                : status => status === Number(statusSpec);
+        const minBytes = m[2] ? Number(m[3]) * UNITS[(m[4] || 'b').toLowerCase()] : null;
+
+        predicate = minBytes === null
+            ? res => statusOk(res.status)
+            : res => statusOk(res.status) && compare(res.bytes, m[2], minBytes);
+    }
+
+    parsed[key] = predicate;
+    return predicate;
+}
+
+/**
+ * Compute the BDF evidence signals for one scenario iteration's request samples.
+ * Signals that need more samples than there are (intervals from a single request) are null.
+ */
+export function computeSignals(samples) {
+    const intervals = [];
+    for (let i = 1; i < samples.length; i++) {
+        intervals.push(samples[i].startedAt - samples[i - 1].startedAt);
+    }
+
+    let run = 1;
+    let burst = false;
+    for (const interval of intervals) {
+        run = interval < BURST_INTERVAL_MS ? run + 1 : 1;
+        if (run >= BURST_LENGTH) burst = true;
+    }
+
+    return {
+        interval_ms_p95: percentile(intervals, 95),
+        interval_ms_p50: percentile(intervals, 50),
+        sensitive_path_rate: mean(samples.map(s => (isSensitivePath(s.path) ? 1 : 0))),
+        error_rate: mean(samples.map(s => (s.status === 0 || s.status >= 400 ? 1 : 0))),
+        burst_detected: burst ? 1 : 0,
+        header_count: mean(samples.map(s => s.headerCount)),
+        cookie_count: mean(samples.map(s => s.cookieCount))
+    };
+}
+
+/**
+ * Check a signature's evidence rules against computed signals. Returns each rule with its
+ * actual value and whether it held, and score - the weight of the rules that held over the
+ * total weight (null when there are no rules). A rule on a null signal does not hold.
+ */
+export function evaluateEvidence(evidence, signals) {
+    const rules = (evidence || []).map(rule => {
+        const actual = signals[rule.signal] === undefined ? null : signals[rule.signal];
+        return {
+            signal: rule.signal,
+            op: rule.op,
+            value: rule.value,
+            weight: rule.weight,
+            actual: actual,
+            held: actual !== null && compare(actual, rule.op, rule.value)
+        };
+    });
+
+    const total = rules.reduce((sum, r) => sum + r.weight, 0);
+    const held = rules.filter(r => r.held).reduce((sum, r) => sum + r.weight, 0);
+
+    return { rules: rules, score: total > 0 ? held / total : null };
+}
+
+/**
+ * Decide whether a scenario iteration achieved its goal. requests are the signature's requests
+ * and responses the matching { status, bytes } (null for requests not sent). The goal is met
+ * when any goal-outcome request (data_exfil, auth_bypass_attempt, content_interaction) met its
+ * success condition - or any request at all, for scenarios without goal outcomes.
+ * Returns { achieved, met: [request indexes], unparsed: [condition texts] }, or null when no
+ * request has a successCondition.
+ */
+export function evaluateGoal(requests, responses) {
+    const withCondition = requests
+        .map((req, i) => ({ req: req, i: i }))
+        .filter(r => typeof r.req.successCondition === 'string');
+    if (withCondition.length === 0) return null;
+
+    const goals = withCondition.filter(r => GOAL_OUTCOMES.includes(r.req.expectedOutcome));
+    const considered = goals.length > 0 ? goals : withCondition;
+    const met = [];
+    const unparsed = [];
+
+    for (const r of considered) {
+        const predicate = parseSuccessCondition(r.req.successCondition);
+        if (!predicate) {
+            unparsed.push(r.req.successCondition);
+        } else if (responses[r.i] && predicate(responses[r.i])) {
+            met.push(r.i);
+        }
+    }
+
+    return { achieved: met.length > 0, met: met, unparsed: unparsed };
+}
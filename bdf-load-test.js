@@ -1,14 +1,74 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Counter, Rate, Trend } from 'k6/metrics';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
+import { loadSignatures, validateSignatures, isBotSignature } from './bdf-loader.js';
+import { readVerdict, recordVerdict, actionThresholds, ACTIONS } from './detection-headers.js';
+
+// Target URL (TestSite runs on 7777)
+const TARGET_URL = __ENV.TARGET_URL || 'http://localhost:7777';
+
+// Accuracy gates - the run fails (non-zero exit) when detection regresses below these
+const MIN_RECALL = parseFloat(__ENV.BDF_MIN_RECALL || '0.8');
+const MAX_FP_RATE = parseFloat(__ENV.BDF_MAX_FP_RATE || '0.1');
+
+// Where handleSummary writes the JSON accuracy report
+const SUMMARY_JSON = __ENV.BDF_SUMMARY_JSON || 'bdf-accuracy.json';
+
+// BDF v1/v2 signature files to replay (files, directories or a glob - see bdf-loader.js)
+const signatures = loadSignatures(__ENV.BDF_SIGNATURES || 'test-bdf-v1');
+
+// Helper: Labels a signature is reported under - its BDF labels, or Bot/Human when it has none
+function labelsOf(sig) {
+    if (Array.isArray(sig.labels) && sig.labels.length > 0) {
+        return sig.labels;
+    }
+    return [isBotSignature(sig) ? 'Bot' : 'Human'];
+}
+
+// Scenario name -> { bot, labels } for every signature that loaded
+const scenarioInfo = {};
+for (let i = 0; i < signatures.length; i++) {
+    const sig = signatures[i].signature;
+    if (sig) {
+        scenarioInfo[sig.scenarioName] = { bot: isBotSignature(sig), labels: labelsOf(sig) };
+    }
+}
 
 // Custom metrics
 const totalRequests = new Counter('total_requests');
 const botScenarios = new Counter('bot_scenarios');
 const humanScenarios = new Counter('human_scenarios');
-const detectionRate = new Rate('detection_rate');
 const scenarioDuration = new Trend('scenario_duration');
 
+// Confusion matrix - one sample per replayed scenario, tagged with the signature name
+const truePositives = new Counter('true_positives');     // bot scenario, detected
+const falseNegatives = new Counter('false_negatives');   // bot scenario, missed
+const trueNegatives = new Counter('true_negatives');     // human scenario, allowed
+const falsePositives = new Counter('false_positives');   // human scenario, detected
+const recall = new Rate('recall');                       // share of bot scenarios detected
+const falsePositiveRate = new Rate('false_positive_rate'); // share of human scenarios detected
+const detectionLatency = new Trend('detection_latency'); // request index at which detection first fired
+
+const CONFUSION_METRICS = ['true_positives', 'false_negatives', 'true_negatives', 'false_positives'];
+
+// Helper: Per-signature submetrics only reach handleSummary when a threshold names them,
+// so give each one a threshold that always passes
+function signatureThresholds() {
+    const thresholds = {};
+    for (const name of Object.keys(scenarioInfo)) {
+        for (const metric of CONFUSION_METRICS) {
+            thresholds[`${metric}{signature:${name}}`] = ['count>=0'];
+        }
+        thresholds[`detection_latency{signature:${name}}`] = ['min>=0'];
+        thresholds[`detection_score{signature:${name}}`] = ['min>=0'];
+        for (const action of ACTIONS) {
+            thresholds[`detection_actions{signature:${name},action:${action}}`] = ['count>=0'];
+        }
+    }
+    return thresholds;
+}
+
 // Load test configuration
 export const options = {
     stages: [
@@ -16,663 +76,30 @@ export const options = {
         { duration: '2m', target: 10 },   // Stay at 10 VUs
         { duration: '30s', target: 0 },   // Ramp down
     ],
-    thresholds: {
-        http_req_duration: ['p(95)<1000'],     // 95% of requests < 1s
-        http_req_failed: ['rate<0.1'],         // Less than 10% failures
-        'detection_rate': ['rate>0.3'],        // At least 30% detected as bots
-    },
+    thresholds: Object.assign({
+        http_req_duration: ['p(95)<1000'],              // 95% of requests < 1s
+        http_req_failed: ['rate<0.1'],                  // Less than 10% failures
+        recall: [`rate>=${MIN_RECALL}`],                // Bot scenarios detected
+        false_positive_rate: [`rate<=${MAX_FP_RATE}`],  // Human scenarios wrongly detected
+    }, actionThresholds(), signatureThresholds()),
 };
 
-// Target URL (TestSite runs on 7777)
-const TARGET_URL = __ENV.TARGET_URL || 'http://localhost:7777';
-
-
-// Embedded BDF signatures
-const signatures = [
-  {
-    scenarioName: 'fast-ip-network-scraping',
-    scenario: 'High-speed sequential requests from a single IP across multiple suspicious paths with minimal delays, indicative of automated scraping behavior.',
-    confidence: 0.92,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/api/v1/items?limit=100',
-        headers: {'User-Agent': 'libwww-perl/6.67'},
-        expectedStatus: 200,
-        delayAfter: 0.05
-      },
-      {
-        timestamp: 0.05,
-        method: 'GET',
-        path: '/search?q=bot+scraper+site',
-        headers: {'User-Agent': 'libwww-perl/6.67'},
-        expectedStatus: 200,
-        delayAfter: 0.03
-      },
-      {
-        timestamp: 0.08,
-        method: 'GET',
-        path: '/robots.txt',
-        headers: {'User-Agent': 'libwww-perl/6.67'},
-        expectedStatus: 200,
-        delayAfter: 0.02
-      },
-      {
-        timestamp: 0.1,
-        method: 'GET',
-        path: '/static/analytics.js',
-        headers: {'User-Agent': 'libwww-perl/6.67'},
-        expectedStatus: 200,
-        delayAfter: 0.01
-      },
-      {
-        timestamp: 0.11,
-        method: 'GET',
-        path: '/admin/dashboard',
-        headers: {'User-Agent': 'libwww-perl/6.67'},
-        expectedStatus: 403,
-        delayAfter: 0.01
-      },
-    ]
-  },
-  {
-    scenarioName: 'fast-path-sequential-scraper',
-    scenario: 'High-speed sequential requests to multiple suspicious paths with minimal delays, indicative of automated scraping behavior.',
-    confidence: 0.92,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/api/products?limit=100',
-        headers: {'User-Agent': 'python-urllib/3.11'},
-        expectedStatus: 200,
-        delayAfter: 0.05
-      },
-      {
-        timestamp: 0.05,
-        method: 'GET',
-        path: '/search?q=python+scraping&page=1',
-        headers: {'User-Agent': 'python-urllib/3.11'},
-        expectedStatus: 200,
-        delayAfter: 0.03
-      },
-      {
-        timestamp: 0.08,
-        method: 'GET',
-        path: '/admin/analytics?token=scraper123',
-        headers: {'User-Agent': 'python-urllib/3.11'},
-        expectedStatus: 200,
-        delayAfter: 0.02
-      },
-      {
-        timestamp: 0.1,
-        method: 'GET',
-        path: '/static/data/last_updated.json',
-        headers: {'User-Agent': 'python-urllib/3.11'},
-        expectedStatus: 200,
-        delayAfter: 0.01
-      },
-    ]
-  },
-  {
-    scenarioName: 'fast_sequential_requests',
-    scenario: 'High-frequency sequential GET requests with minimal delays, targeting multiple suspicious paths in rapid succession.',
-    confidence: 0.92,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/api/v1/users?limit=100',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0.05
-      },
-      {
-        timestamp: 0.05,
-        method: 'GET',
-        path: '/api/v1/products?sort=price_asc',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0.03
-      },
-      {
-        timestamp: 0.08,
-        method: 'GET',
-        path: '/admin/dashboard?token=invalid',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 403,
-        delayAfter: 0.02
-      },
-      {
-        timestamp: 0.1,
-        method: 'GET',
-        path: '/search?q=bot+scraper+test',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0.04
-      },
-      {
-        timestamp: 0.14,
-        method: 'GET',
-        path: '/api/v1/logout',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0.01
-      },
-    ]
-  },
-  {
-    scenarioName: 'fast_sequential_requests_with_axios',
-    scenario: 'High-speed sequential requests with rapid delays and suspicious path navigation, indicative of automated scraping behavior.',
-    confidence: 0.92,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/products?page=1',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0.05
-      },
-      {
-        timestamp: 0.05,
-        method: 'GET',
-        path: '/products?page=2',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0.03
-      },
-      {
-        timestamp: 0.08,
-        method: 'GET',
-        path: '/reviews?sort=recent',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0.02
-      },
-      {
-        timestamp: 0.1,
-        method: 'GET',
-        path: '/cart',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0.01
-      },
-      {
-        timestamp: 0.11,
-        method: 'GET',
-        path: '/checkout',
-        headers: {'User-Agent': 'axios/1.6.2'},
-        expectedStatus: 200,
-        delayAfter: 0
-      },
-    ]
-  },
-  {
-    scenarioName: 'fast_sequential_scrape',
-    scenario: 'High-speed sequential requests with suspicious path navigation and minimal delays, indicative of automated scraping',
-    confidence: 0.95,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/products',
-        headers: {'User-Agent': 'Go-http-client/2.0'},
-        expectedStatus: 200,
-        delayAfter: 0.05
-      },
-      {
-        timestamp: 0.05,
-        method: 'GET',
-        path: '/products/123',
-        headers: {'User-Agent': 'Go-http-client/2.0'},
-        expectedStatus: 200,
-        delayAfter: 0.03
-      },
-      {
-        timestamp: 0.08,
-        method: 'GET',
-        path: '/reviews?page=1',
-        headers: {'User-Agent': 'Go-http-client/2.0'},
-        expectedStatus: 200,
-        delayAfter: 0.02
-      },
-      {
-        timestamp: 0.1,
-        method: 'GET',
-        path: '/api/related?limit=5',
-        headers: {'User-Agent': 'Go-http-client/2.0'},
-        expectedStatus: 200,
-        delayAfter: 0.01
-      },
-    ]
-  },
-  {
-    scenarioName: 'fast_sequential_scrape_robots_ignore',
-    scenario: 'High-speed sequential requests with suspicious paths and no respect for robots.txt, indicative of automated scraping.',
-    confidence: 0.92,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/api/large-dataset?limit=1000',
-        headers: {'User-Agent': 'Go-http-client/2.0'},
-        expectedStatus: 200,
-        delayAfter: 0.05
-      },
-      {
-        timestamp: 0.05,
-        method: 'GET',
-        path: '/search?q=bot+scraper+test',
-        headers: {'User-Agent': 'Go-http-client/2.0'},
-        expectedStatus: 200,
-        delayAfter: 0.03
-      },
-      {
-        timestamp: 0.08,
-        method: 'GET',
-        path: '/admin/export?format=json',
-        headers: {'User-Agent': 'Go-http-client/2.0'},
-        expectedStatus: 200,
-        delayAfter: 0.02
-      },
-      {
-        timestamp: 0.1,
-        method: 'GET',
-        path: '/static/private/data',
-        headers: {'User-Agent': 'Go-http-client/2.0'},
-        expectedStatus: 403,
-        delayAfter: 0.01
-      },
-    ]
-  },
-  {
-    scenarioName: 'fast_sequential_scraping',
-    scenario: 'High-speed sequential requests across suspicious paths with minimal delays, indicative of automated scraping behavior.',
-    confidence: 0.95,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/api/anonymous-data?token=12345',
-        headers: {'User-Agent': 'okhttp/4.12.0'},
-        expectedStatus: 200,
-        delayAfter: 0.05
-      },
-      {
-        timestamp: 0.05,
-        method: 'GET',
-        path: '/search?q=bot+scraper+test',
-        headers: {'User-Agent': 'okhttp/4.12.0'},
-        expectedStatus: 200,
-        delayAfter: 0.03
-      },
-      {
-        timestamp: 0.08,
-        method: 'GET',
-        path: '/robots.txt',
-        headers: {'User-Agent': 'okhttp/4.12.0'},
-        expectedStatus: 200,
-        delayAfter: 0.02
-      },
-      {
-        timestamp: 0.1,
-        method: 'GET',
-        path: '/static/non-existent-file',
-        headers: {'User-Agent': 'okhttp/4.12.0'},
-        expectedStatus: 404,
-        delayAfter: 0.01
-      },
-    ]
-  },
-  {
-    scenarioName: 'human-like-firefox-navigation',
-    scenario: 'Simulates a real human browsing pattern with variable delays and natural navigation through a website hierarchy (e.g., homepage → subpages → back navigation).',
-    confidence: 0.98,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 12
-      },
-      {
-        timestamp: 12,
-        method: 'GET',
-        path: '/products',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 18
-      },
-      {
-        timestamp: 30,
-        method: 'GET',
-        path: '/products/123',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 5
-      },
-      {
-        timestamp: 35,
-        method: 'GET',
-        path: '/products/123/reviews',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 25
-      },
-      {
-        timestamp: 60,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 10
-      },
-    ]
-  },
-  {
-    scenarioName: 'human_behavior_organic_browsing',
-    scenario: 'Simulates natural human browsing with variable delays and organic path navigation (e.g., starting with homepage, exploring related categories, then returning to homepage after reading)',
-    confidence: 0.95,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 10
-      },
-      {
-        timestamp: 10,
-        method: 'GET',
-        path: '/products?category=electronics',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 15
-      },
-      {
-        timestamp: 25,
-        method: 'GET',
-        path: '/reviews?product=12345',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 20
-      },
-      {
-        timestamp: 45,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 5
-      },
-      {
-        timestamp: 50,
-        method: 'GET',
-        path: '/newsletter-signup',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'},
-        expectedStatus: 200,
-        delayAfter: 12
-      },
-    ]
-  },
-  {
-    scenarioName: 'human_browsing_with_varied_delays',
-    scenario: 'Simulates a real human navigating a website with organic, variable delays between requests and natural path exploration (e.g., homepage → category pages → subpages → back to homepage).',
-    confidence: 0.95,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 10
-      },
-      {
-        timestamp: 15,
-        method: 'GET',
-        path: '/products/electronics',
-        headers: {'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 18
-      },
-      {
-        timestamp: 33,
-        method: 'GET',
-        path: '/products/electronics/laptops',
-        headers: {'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 5
-      },
-      {
-        timestamp: 38,
-        method: 'GET',
-        path: '/products/electronics/laptops/accessories',
-        headers: {'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 25
-      },
-      {
-        timestamp: 63,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 0
-      },
-    ]
-  },
-  {
-    scenarioName: 'human_natural_browsing_with_delayed_paths',
-    scenario: 'Simulates a real human user exploring a website with organic, non-linear navigation and variable delays between requests.',
-    confidence: 0.95,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/home',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 12
-      },
-      {
-        timestamp: 12,
-        method: 'GET',
-        path: '/products?category=electronics',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 18
-      },
-      {
-        timestamp: 30,
-        method: 'GET',
-        path: '/about',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 5
-      },
-      {
-        timestamp: 35,
-        method: 'GET',
-        path: '/blog?page=2',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 25
-      },
-      {
-        timestamp: 60,
-        method: 'GET',
-        path: '/contact',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 10
-      },
-    ]
-  },
-  {
-    scenarioName: 'human_navigation_with_delays',
-    scenario: 'Simulates a real human browsing pattern with organic delays and natural path exploration on a website',
-    confidence: 0.98,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 10
-      },
-      {
-        timestamp: 10,
-        method: 'GET',
-        path: '/search?q=human+behavior+detector',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 15
-      },
-      {
-        timestamp: 25,
-        method: 'GET',
-        path: '/about',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 20
-      },
-      {
-        timestamp: 45,
-        method: 'GET',
-        path: '/blog/2023/09/ai-detection-patterns',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 5
-      },
-      {
-        timestamp: 50,
-        method: 'GET',
-        path: '/contact',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 12
-      },
-    ]
-  },
-  {
-    scenarioName: 'human_request_timing_variation',
-    scenario: 'Simulates natural human browsing with variable delays between requests and realistic path navigation (e.g., homepage → category → product details).',
-    confidence: 0.98,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 10
-      },
-      {
-        timestamp: 10,
-        method: 'GET',
-        path: '/electronics/category',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 18
-      },
-      {
-        timestamp: 28,
-        method: 'GET',
-        path: '/electronics/category/laptops',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 5
-      },
-      {
-        timestamp: 33,
-        method: 'GET',
-        path: '/electronics/category/laptops/120-herz',
-        headers: {'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'},
-        expectedStatus: 200,
-        delayAfter: 22
-      },
-    ]
-  },
-  {
-    scenarioName: 'natural_browsing_with_delays',
-    scenario: 'Simulates a human user exploring a website with organic delays and natural navigation patterns, including back-and-forth browsing and random page exploration.',
-    confidence: 0.98,
-    isBot: true,
-    requests: [
-      {
-        timestamp: 0,
-        method: 'GET',
-        path: '/',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 12
-      },
-      {
-        timestamp: 12,
-        method: 'GET',
-        path: '/search?q=technology',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 5
-      },
-      {
-        timestamp: 17,
-        method: 'GET',
-        path: '/products/123',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 20
-      },
-      {
-        timestamp: 37,
-        method: 'GET',
-        path: '/blog',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 8
-      },
-      {
-        timestamp: 45,
-        method: 'GET',
-        path: '/about',
-        headers: {'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'},
-        expectedStatus: 200,
-        delayAfter: 15
-      },
-    ]
-  },
-];
+// Helper: Random value between min and max
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
 
 
 // Main test function - each VU iteration picks a random signature and replays it
-export default function() {
+export default function(data) {
     const scenarioStart = Date.now();
 
-    // Pick a random signature
-    const sig = signatures[Math.floor(Math.random() * signatures.length)];
+    // Pick a random signature among those that passed validation
+    const sig = signatures[data.accepted[Math.floor(Math.random() * data.accepted.length)]].signature;
+    const isBot = isBotSignature(sig);
 
     // Track bot vs human scenarios
-    if (sig.isBot) {
+    if (isBot) {
         botScenarios.add(1);
     } else {
         humanScenarios.add(1);
@@ -680,7 +107,7 @@ export default function() {
 
     console.log(`[VU ${__VU}] Playing: ${sig.scenarioName} (confidence: ${sig.confidence})`);
 
-    let detectedAsBot = false;
+    let detectedAt = -1;
 
     // Replay all requests in the scenario
     for (let i = 0; i < sig.requests.length; i++) {
@@ -700,7 +127,7 @@ export default function() {
             },
             tags: {
                 scenario: sig.scenarioName,
-                scenario_type: sig.isBot ? 'bot' : 'human',
+                scenario_type: isBot ? 'bot' : 'human',
                 request_index: i,
                 expected_confidence: sig.confidence
             }
@@ -708,33 +135,51 @@ export default function() {
 
         // Make request
         const res = http.request(req.method, url, null, params);
+        const verdict = readVerdict(res, url);
         totalRequests.add(1);
+        recordVerdict(verdict, { signature: sig.scenarioName });
 
         // Check response
         check(res, {
-            'status is expected or blocked': (r) => r.status === req.expectedStatus || r.status === 403 || r.status === 200,
-            'has bot detection header': (r) => r.headers['X-Bot-Detection'] !== undefined,
+            'status is expected or a detection response': (r) => (req.expectedStatusAny || []).includes(r.status) || r.status === 200 || verdict.detected,
+            'has bot detection headers': () => verdict.present,
         });
 
-        // Track if detected as bot
-        if (res.headers['X-Bot-Detection'] === 'True' || res.status === 403) {
-            detectedAsBot = true;
+        // Track the first request detected as a bot (blocked, challenged, throttled, redirected or scored as a bot)
+        if (detectedAt < 0 && verdict.detected) {
+            detectedAt = i;
         }
 
-        // Wait before next request (as specified in signature)
-        if (req.delayAfter > 0) {
-            sleep(req.delayAfter);
+        // Wait before next request: the recorded gap (v1) or a jittered one from the timing profile (v2)
+        const delay = req.delayAfter !== undefined
+            ? req.delayAfter
+            : randomBetween(sig.timingProfile.delayAfterMs.min / 1000, sig.timingProfile.delayAfterMs.max / 1000);
+        if (delay > 0) {
+            sleep(delay);
         }
     }
 
     // Record detection accuracy
-    detectionRate.add(detectedAsBot ? 1 : 0);
+    const detectedAsBot = detectedAt >= 0;
+    const tags = { signature: sig.scenarioName };
+
+    if (isBot) {
+        (detectedAsBot ? truePositives : falseNegatives).add(1, tags);
+        recall.add(detectedAsBot, tags);
+    } else {
+        (detectedAsBot ? falsePositives : trueNegatives).add(1, tags);
+        falsePositiveRate.add(detectedAsBot, tags);
+    }
+
+    if (detectedAsBot) {
+        detectionLatency.add(detectedAt, tags);
+    }
 
     // Log interesting cases
-    if (sig.isBot && !detectedAsBot) {
+    if (isBot && !detectedAsBot) {
         console.log(`❌ False negative: ${sig.scenarioName} not detected (confidence: ${sig.confidence})`);
     }
-    if (!sig.isBot && detectedAsBot) {
+    if (!isBot && detectedAsBot) {
         console.log(`⚠️  False positive: ${sig.scenarioName} detected as bot (confidence: ${sig.confidence})`);
     }
 
@@ -749,12 +194,17 @@ export function setup() {
     console.log('BDF Signature Replay - k6 Load Test');
     console.log('================================================================================');
     console.log(`Target URL: ${TARGET_URL}`);
-    console.log(`Loaded signatures: ${signatures.length}`);
-    console.log(`  - Bot scenarios: ${signatures.filter(s => s.isBot).length}`);
-    console.log(`  - Human scenarios: ${signatures.filter(s => !s.isBot).length}`);
+
+    const { accepted, rejected } = validateSignatures(signatures);
+    const bots = accepted.filter(i => isBotSignature(signatures[i].signature)).length;
+
+    console.log(`Loaded signatures: ${accepted.length} of ${signatures.length} file(s) (${rejected.length} rejected)`);
+    console.log(`  - Bot scenarios: ${bots}`);
+    console.log(`  - Human scenarios: ${accepted.length - bots}`);
+    console.log(`Accuracy gates: recall >= ${MIN_RECALL}, false positive rate <= ${MAX_FP_RATE}`);
     console.log('================================================================================');
     console.log('');
-    return {};
+    return { accepted: accepted };
 }
 
 // Teardown
@@ -765,3 +215,170 @@ export function teardown(data) {
     console.log('================================================================================');
 }
 
+
+// Helper: n / d, or null when there is nothing to divide
+function ratio(n, d) {
+    return d > 0 ? n / d : null;
+}
+
+// Helper: Precision, recall, F1 and false positive rate for a set of confusion counts
+function scores(counts) {
+    const precision = ratio(counts.tp, counts.tp + counts.fp);
+    const recallValue = ratio(counts.tp, counts.tp + counts.fn);
+    const f1 = precision !== null && recallValue !== null && precision + recallValue > 0
+        ? 2 * precision * recallValue / (precision + recallValue)
+        : null;
+
+    return Object.assign({}, counts, {
+        precision: precision,
+        recall: recallValue,
+        f1: f1,
+        falsePositiveRate: ratio(counts.fp, counts.fp + counts.tn)
+    });
+}
+
+// Helper: Confusion counts for a metric name suffix ('' for overall, '{signature:x}' per scenario)
+function confusion(metrics, suffix) {
+    const count = name => (metrics[name + suffix] ? metrics[name + suffix].values.count : 0);
+    return {
+        tp: count('true_positives'),
+        fp: count('false_positives'),
+        tn: count('true_negatives'),
+        fn: count('false_negatives')
+    };
+}
+
+// Build the accuracy report: overall, per label and per scenario
+function accuracyReport(data) {
+    const byLabel = {};
+    const scenarios = {};
+
+    for (const name of Object.keys(scenarioInfo)) {
+        const info = scenarioInfo[name];
+        const counts = confusion(data.metrics, `{signature:${name}}`);
+        const runs = counts.tp + counts.fp + counts.tn + counts.fn;
+        if (runs === 0) continue;
+
+        const latency = data.metrics[`detection_latency{signature:${name}}`];
+        const score = data.metrics[`detection_score{signature:${name}}`];
+        const actions = {};
+        for (const action of ACTIONS) {
+            const metric = data.metrics[`detection_actions{signature:${name},action:${action}}`];
+            if (metric && metric.values.count > 0) actions[action] = metric.values.count;
+        }
+
+        scenarios[name] = Object.assign(scores(counts), {
+            truth: info.bot ? 'bot' : 'human',
+            labels: info.labels,
+            runs: runs,
+            detected: counts.tp + counts.fp,
+            detectionLatency: latency && latency.values.count > 0
+                ? { avg: latency.values.avg, min: latency.values.min, max: latency.values.max }
+                : null,
+            score: score && score.values.count > 0
+                ? { avg: score.values.avg, p95: score.values['p(95)'], max: score.values.max }
+                : null,
+            actions: actions
+        });
+
+        for (const label of info.labels) {
+            const total = byLabel[label] || (byLabel[label] = { tp: 0, fp: 0, tn: 0, fn: 0 });
+            total.tp += counts.tp;
+            total.fp += counts.fp;
+            total.tn += counts.tn;
+            total.fn += counts.fn;
+        }
+    }
+
+    const labels = {};
+    for (const label of Object.keys(byLabel).sort()) {
+        labels[label] = scores(byLabel[label]);
+    }
+
+    const gate = name => (data.metrics[name] && data.metrics[name].thresholds
+        ? Object.values(data.metrics[name].thresholds).every(t => t.ok)
+        : true);
+
+    return {
+        target: TARGET_URL,
+        overall: scores(confusion(data.metrics, '')),
+        labels: labels,
+        scenarios: scenarios,
+        gates: {
+            recall: { min: MIN_RECALL, ok: gate('recall') },
+            falsePositiveRate: { max: MAX_FP_RATE, ok: gate('false_positive_rate') }
+        }
+    };
+}
+
+// Helper: Format a ratio as a percentage column
+function pct(value) {
+    return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+// Helper: Pad values into columns - the first left-aligned, the rest right-aligned
+function columns(values, widths) {
+    return values.map((v, i) => (i === 0 ? String(v).padEnd(widths[i]) : String(v).padStart(widths[i]))).join(' ');
+}
+
+// Render the accuracy report as text tables
+function accuracyTable(report) {
+    const scoreWidths = [44, 5, 5, 5, 5, 10, 8, 8, 8];
+    const scoreHead = first => columns([first, 'TP', 'FP', 'TN', 'FN', 'Precision', 'Recall', 'F1', 'FP rate'], scoreWidths);
+    const scoreRow = (name, s) => columns([name, s.tp, s.fp, s.tn, s.fn,
+        pct(s.precision), pct(s.recall), pct(s.f1), pct(s.falsePositiveRate)], scoreWidths);
+    const scenarioWidths = [44, 6, 5, 9, 15, 18, 0];
+
+    const lines = [
+        '================================================================================',
+        'BDF Detection Accuracy',
+        '================================================================================',
+        scoreHead(''),
+        scoreRow('Overall', report.overall),
+        '',
+        scoreHead('Label')
+    ];
+
+    for (const label of Object.keys(report.labels)) {
+        lines.push(scoreRow(label, report.labels[label]));
+    }
+
+    lines.push('', 'First detection: request index avg / min / max. Score: server risk score avg / p95.',
+        columns(['Scenario', 'Truth', 'Runs', 'Detected', 'First detection', 'Score', 'Actions (responses)'],
+            scenarioWidths));
+    for (const name of Object.keys(report.scenarios).sort()) {
+        const s = report.scenarios[name];
+        const latency = s.detectionLatency
+            ? `${s.detectionLatency.avg.toFixed(1)} / ${s.detectionLatency.min} / ${s.detectionLatency.max}`
+            : '-';
+        const score = s.score ? `${s.score.avg.toFixed(2)} / ${s.score.p95.toFixed(2)}` : '-';
+        const actions = Object.keys(s.actions).map(a => `${a} ${s.actions[a]}`).join(', ') || '-';
+        lines.push(columns([name, s.truth, s.runs, s.detected, latency, score, actions], scenarioWidths));
+    }
+
+    const mark = ok => (ok ? '✓' : '✗');
+    lines.push('',
+        `${mark(report.gates.recall.ok)} recall >= ${report.gates.recall.min}`,
+        `${mark(report.gates.falsePositiveRate.ok)} false positive rate <= ${report.gates.falsePositiveRate.max}`,
+        '================================================================================',
+        '');
+
+    return lines.join('\n');
+}
+
+// End-of-test summary: the standard k6 summary (without the per-signature submetrics),
+// the accuracy tables, and the report as JSON for CI
+export function handleSummary(data) {
+    const report = accuracyReport(data);
+
+    const metrics = {};
+    for (const name of Object.keys(data.metrics)) {
+        if (name.indexOf('{signature:') < 0) metrics[name] = data.metrics[name];
+    }
+
+    return {
+        stdout: textSummary(Object.assign({}, data, { metrics: metrics }), { indent: ' ', enableColors: true }) +
+            '\n\n' + accuracyTable(report),
+        [SUMMARY_JSON]: JSON.stringify(report, null, 2),
+    };
+}
@@ -0,0 +1,244 @@
+import { SharedArray } from 'k6/data';
+
+/*
+ * Loads BDF v1/v2 signatures for the k6 runners (bdf-load-test.js, test-k6-output.js)
+ *
+ * BDF_SIGNATURES takes one or more entries separated by commas or whitespace:
+ *   - a file:       test-bdf-v1/fast-ip-network-scraping.json
+ *   - a directory:  bot-signatures  (every file listed in its index.json)
+ *   - a glob:       test-bdf-v1/human*.json  (matched against the directory's index.json)
+ *
+ * k6 can't list directories, so directories and globs need an index.json (an array of file
+ * names; generate-comprehensive-behaviors.csx writes one) - or let the shell expand the glob:
+ *   k6 run -e BDF_SIGNATURES="$(echo my-signatures/*.json)" bdf-load-test.js
+ *
+ * Paths are relative to this file (the repository root) unless absolute.
+ *
+ * Files are read once in the init context into a SharedArray. v1 files (requests with
+ * timestamp/expectedStatus/delayAfter, no profiles) are upgraded to the v2 shape; every
+ * signature is then checked against bdf-v2-schema.json by validateSignatures() in setup().
+ */
+
+const INDEX_FILE = 'index.json';
+
+const schema = JSON.parse(open('./bdf-v2-schema.json'));
+
+// Helper: Split BDF_SIGNATURES into file paths, expanding directories and globs via index.json
+function resolveFiles(spec) {
+    const files = [];
+
+    for (const entry of String(spec).split(/[\s,]+/).filter(Boolean)) {
+        const wildcard = /[*?]/.test(entry);
+
+        if (entry.endsWith('.json') && !wildcard) {
+            files.push(entry);
+            continue;
+        }
+
+        const slash = entry.lastIndexOf('/');
+        const dir = wildcard ? (slash >= 0 ? entry.slice(0, slash) : '.') : entry.replace(/\/+$/, '');
+        const pattern = wildcard ? globToRegex(entry.slice(slash + 1)) : null;
+
+        let names;
+        try {
+            names = JSON.parse(open(`${dir}/${INDEX_FILE}`));
+        } catch (e) {
+            throw new Error(`${dir}: no readable ${INDEX_FILE} - k6 can't list directories, so list the files ` +
+                `there or let the shell expand them (-e BDF_SIGNATURES="$(echo ${dir}/*.json)")`);
+        }
+
+        for (const name of names) {
+            if (!pattern || pattern.test(name)) files.push(`${dir}/${name}`);
+        }
+    }
+
+    // A shell-expanded glob picks up the index itself
+    return files.filter(f => !f.endsWith(`/${INDEX_FILE}`) && f !== INDEX_FILE);
+}
+
+// Helper: Convert a file-name glob (* and ?) to a RegExp
+function globToRegex(glob) {
+    const source = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    return new RegExp(`^${source}$`);
+}
+
+// Helper: A v1 signature has requests with recorded timing and no client/timing profile
+function isV1(sig) {
+    return !sig.clientProfile && !sig.timingProfile && Array.isArray(sig.requests) &&
+        sig.requests.some(r => r && ('delayAfter' in r || 'expectedStatus' in r || 'timestamp' in r));
+}
+
+// Helper: Upgrade a v1 signature to the v2 shape. Requests keep delayAfter (seconds) so
+// runners can replay the recorded gaps; the timing profile spans the same range.
+function upgradeV1(sig) {
+    const requests = sig.requests.map(r => ({
+        method: r.method,
+        path: r.path,
+        headers: r.headers || {},
+        expectedStatusAny: r.expectedStatus ? [r.expectedStatus] : undefined,
+        delayAfter: r.delayAfter
+    }));
+    const delays = sig.requests.map(r => Math.round((r.delayAfter || 0) * 1000));
+    const userAgent = (requests.find(r => r.headers['User-Agent']) || { headers: {} }).headers['User-Agent'];
+
+    return {
+        // v1 names were free-form; v2 wants kebab-case
+        scenarioName: String(sig.scenarioName || '').toLowerCase().replace(/[_\s]+/g, '-'),
+        scenario: sig.scenario,
+        confidence: sig.confidence,
+        clientProfile: {
+            userAgent: userAgent || '',
+            cookieMode: 'sticky',
+            headerCompleteness: 'partial',
+            clientHintsPresent: false,
+            robotsConsulted: requests.some(r => r.path === '/robots.txt')
+        },
+        timingProfile: {
+            burstRequests: Math.min(100, Math.max(1, requests.length)),
+            delayAfterMs: { min: Math.min(...delays), max: Math.max(...delays) },
+            pauseAfterBurstMs: { min: 0, max: 0 }
+        },
+        requests: requests,
+        labels: sig.labels,
+        patterns: sig.patterns,
+        reasoning: sig.reasoning
+    };
+}
+
+// Helper: JSON Schema type check (the draft-07 types bdf-v2-schema.json uses)
+function isType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+// Helper: Validate a value against the subset of JSON Schema draft-07 bdf-v2-schema.json uses
+// (type, required, properties, additionalProperties, items, enum, pattern, min/max, minLength, minItems)
+function validate(node, value, path, errors) {
+    const at = path || '(root)';
+
+    if (node.type && !isType(value, node.type)) {
+        errors.push(`${at}: expected ${node.type}`);
+        return;
+    }
+
+    if (node.enum && !node.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${node.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (node.minLength !== undefined && value.length < node.minLength) {
+            errors.push(`${at}: shorter than ${node.minLength} characters`);
+        }
+        if (node.pattern && !new RegExp(node.pattern).test(value)) {
+            errors.push(`${at}: does not match ${node.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (node.minimum !== undefined && value < node.minimum) errors.push(`${at}: below ${node.minimum}`);
+        if (node.maximum !== undefined && value > node.maximum) errors.push(`${at}: above ${node.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (node.minItems !== undefined && value.length < node.minItems) {
+            errors.push(`${at}: needs at least ${node.minItems} item(s)`);
+        }
+        if (node.items) {
+            value.forEach((item, i) => validate(node.items, item, `${path}[${i}]`, errors));
+        }
+    } else if (isType(value, 'object')) {
+        for (const name of node.required || []) {
+            if (value[name] === undefined) errors.push(`${path ? path + '.' : ''}${name}: required`);
+        }
+        for (const name of Object.keys(value)) {
+            const child = `${path ? path + '.' : ''}${name}`;
+            if (node.properties && node.properties[name]) {
+                validate(node.properties[name], value[name], child, errors);
+            } else if (isType(node.additionalProperties, 'object')) {
+                validate(node.additionalProperties, value[name], child, errors);
+            } else if (node.additionalProperties === false) {
+                errors.push(`${child}: not allowed`);
+            }
+        }
+    }
+}
+
+// Labels that mark a scenario as legitimate traffic
+const HUMAN_LABELS = ['Human', 'Legitimate'];
+
+/**
+ * Ground truth for a signature: labelled Human/Legitimate is human, any other labels is a bot,
+ * and unlabelled signatures fall back to confidence (the bot probability) above 0.5.
+ */
+export function isBotSignature(sig) {
+    if (Array.isArray(sig.labels) && sig.labels.length > 0) {
+        return !sig.labels.some(l => HUMAN_LABELS.includes(l));
+    }
+    return sig.confidence > 0.5;
+}
+
+/**
+ * Read the BDF files named by spec (see above) into a SharedArray of
+ * { file, version, signature, errors }. Call from the init context.
+ * Files that can't be read or parsed get errors and no signature.
+ */
+export function loadSignatures(spec) {
+    return new SharedArray('bdf-signatures', function () {
+        return resolveFiles(spec).map(file => {
+            try {
+                const sig = JSON.parse(open(file));
+                if (!isType(sig, 'object')) {
+                    return { file: file, version: null, signature: null, errors: ['not a JSON object'] };
+                }
+
+                return isV1(sig)
+                    ? { file: file, version: 1, signature: upgradeV1(sig), errors: [] }
+                    : { file: file, version: 2, signature: sig, errors: [] };
+            } catch (e) {
+                return { file: file, version: null, signature: null, errors: [String(e.message || e)] };
+            }
+        });
+    });
+}
+
+/**
+ * Validate loaded signatures against bdf-v2-schema.json and log the files rejected.
+ * Call from setup() and pass the result on to the VUs - returns
+ * { accepted: [indexes into entries], rejected: [{ file, errors }] }.
+ * Throws if nothing is left to replay.
+ */
+export function validateSignatures(entries) {
+    const accepted = [];
+    const rejected = [];
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const errors = entry.errors.slice();
+        if (entry.signature) validate(schema, entry.signature, '', errors);
+
+        if (errors.length === 0) {
+            accepted.push(i);
+        } else {
+            rejected.push({ file: entry.file, errors: errors });
+        }
+    }
+
+    for (const r of rejected) {
+        console.warn(`✗ Rejected ${r.file}: ${r.errors.slice(0, 3).join('; ')}` +
+            (r.errors.length > 3 ? ` (+${r.errors.length - 3} more)` : ''));
+    }
+
+    if (accepted.length === 0) {
+        throw new Error(`No valid BDF signatures among ${entries.length} file(s) - set BDF_SIGNATURES`);
+    }
+
+    return { accepted: accepted, rejected: rejected };
+}
@@ -0,0 +1,175 @@
+import { Counter, Trend } from 'k6/metrics';
+
+/*
+ * Reads the bot detection verdict from a response for the k6 runners (load-test.js,
+ * bdf-load-test.js, test-k6-output.js) and records it as tagged metrics
+ *
+ * The gateway and middleware report detection through several header families:
+ *   - BotDetectionMiddleware (ResponseHeaders, prefix X-Bot-): Risk-Score, Risk-Band, Confidence,
+ *     Detectors, Processing-Ms, Action, Bot-Name, Policy
+ *   - YARP forwarding (X-Bot-Detection-*): Probability, RiskBand, BotType, BotName, Action,
+ *     Contributions (JSON), ProcessingMs, Result
+ *   - the console gateway: X-Bot-Detection (True/False), X-Bot-Probability, X-Bot-Name
+ *   - action policies: X-Bot-Challenge, X-Throttle-Delay/Retry-After, X-Bot-Detection-Mode: shadow
+ * and through the response itself: 403 (block), 429 (throttle), a redirect to a trap page.
+ *
+ * The first header present wins for each field. k6 canonicalises header names
+ * (X-Bot-Detection-Riskband), so lookups ignore case.
+ *
+ * Metrics (tagged with the caller's tags plus action, bot_type and risk_band):
+ *   detection_score          Trend    risk score 0-1, where the response carries one
+ *   detection_actions        Counter  one per response, by action
+ *   detector_hits            Counter  one per contributing detector, tagged detector
+ *   detection_processing_ms  Trend    server-side detection time
+ */
+
+// Server-side BotThreshold default - a score at or above it counts as detected
+const BOT_THRESHOLD = parseFloat(__ENV.BOT_THRESHOLD || '0.7');
+
+// Pages the redirect action sends bots to (RedirectActionPolicy and the middleware's /blocked)
+const TRAP_PATHS = (__ENV.BOT_TRAP_PATHS || '/blocked,/honeypot,/tarpit').split(',');
+
+/**
+ * Actions a verdict can resolve to. Block, Challenge, Throttle and Redirect are enforcement;
+ * LogOnly is shadow mode; Allow means detection ran and let the request through; None means
+ * the response carried no detection headers at all.
+ */
+export const ACTIONS = ['Allow', 'Block', 'Challenge', 'Throttle', 'Redirect', 'LogOnly', 'None'];
+
+const ENFORCING = ['Block', 'Challenge', 'Throttle', 'Redirect'];
+
+const detectionScore = new Trend('detection_score');
+const detectionActions = new Counter('detection_actions');
+const detectorHits = new Counter('detector_hits');
+const processingTime = new Trend('detection_processing_ms');
+
+// Helper: Response headers keyed by lower-case name
+function lowerHeaders(res) {
+    const headers = {};
+    for (const name of Object.keys(res.headers || {})) {
+        headers[name.toLowerCase()] = res.headers[name];
+    }
+    return headers;
+}
+
+// Helper: First of the named headers that is present and non-empty
+function first(headers, names) {
+    for (const name of names) {
+        const value = headers[name.toLowerCase()];
+        if (value !== undefined && value !== '') return value;
+    }
+    return null;
+}
+
+// Helper: First of the named headers as a number, or null
+function firstNumber(headers, names) {
+    const value = parseFloat(first(headers, names));
+    return isNaN(value) ? null : value;
+}
+
+// Helper: Path of a URL, without query string
+function pathOf(url) {
+    const m = /^[a-z]+:\/\/[^/]+(\/[^?#]*)?/i.exec(url || '');
+    return m ? m[1] || '/' : url;
+}
+
+// Helper: Detector names from X-Bot-Detectors or the X-Bot-Detection-Contributions JSON
+function detectorsOf(headers) {
+    const list = first(headers, ['X-Bot-Detectors']);
+    if (list) {
+        return list.split(',').map(d => d.trim()).filter(Boolean);
+    }
+
+    const contributions = first(headers, ['X-Bot-Detection-Contributions']);
+    if (contributions) {
+        try {
+            return JSON.parse(contributions).map(c => c.Name).filter(Boolean);
+        } catch (e) {
+            return [];
+        }
+    }
+    return [];
+}
+
+// Helper: The action taken - what the response shows first, then what the headers say
+function actionOf(res, headers, requestedUrl) {
+    if (first(headers, ['X-Bot-Challenge'])) return 'Challenge';
+    if (res.status === 429 || first(headers, ['X-Throttle-Delay'])) return 'Throttle';
+
+    if (first(headers, ['X-Bot-Redirect-Policy', 'X-Bot-Original-Path'])) return 'Redirect';
+    if (requestedUrl && res.url && pathOf(res.url) !== pathOf(requestedUrl) &&
+        TRAP_PATHS.some(p => pathOf(res.url).startsWith(p))) {
+        return 'Redirect';
+    }
+
+    if (res.status === 403) return 'Block';
+
+    // PolicyAction values other than these (Continue, EscalateToSlowPath, ...) let the request through
+    const declared = first(headers, ['X-Bot-Action', 'X-Bot-Detection-Action']);
+    if (declared) return ACTIONS.includes(declared) ? declared : 'Allow';
+    if ((first(headers, ['X-Bot-Detection-Mode']) || '').toLowerCase() === 'shadow') return 'LogOnly';
+
+    return null;
+}
+
+/**
+ * Parse the detection verdict from a k6 response. Pass the requested URL so redirects to a
+ * trap page can be told from ordinary ones (k6 follows redirects). Returns
+ * { present, detected, score, confidence, riskBand, botType, botName, action, policy,
+ *   detectors, processingMs }; present is false when the response carried no detection headers.
+ */
+export function readVerdict(res, requestedUrl) {
+    const headers = lowerHeaders(res);
+
+    const score = firstNumber(headers, ['X-Bot-Risk-Score', 'X-Bot-Detection-Probability', 'X-Bot-Probability']);
+    const flagged = [first(headers, ['X-Bot-Detection']), first(headers, ['X-Bot-Detected']),
+        first(headers, ['X-Bot-Detection-Result'])].some(v => v !== null && v.toLowerCase() === 'true');
+    const present = score !== null || flagged ||
+        Object.keys(headers).some(h => h.startsWith('x-bot-') || h.startsWith('x-throttle-'));
+
+    let action = actionOf(res, headers, requestedUrl);
+    if (!action) action = present ? 'Allow' : 'None';
+
+    return {
+        present: present,
+        detected: ENFORCING.includes(action) || flagged || (score !== null && score >= BOT_THRESHOLD),
+        score: score,
+        confidence: firstNumber(headers, ['X-Bot-Confidence', 'X-Bot-Detection-Confidence']),
+        riskBand: first(headers, ['X-Bot-Risk-Band', 'X-Bot-Detection-RiskBand']),
+        botType: first(headers, ['X-Bot-Type', 'X-Bot-Detection-BotType']),
+        botName: first(headers, ['X-Bot-Bot-Name', 'X-Bot-Name', 'X-Bot-Detection-BotName']),
+        action: action,
+        policy: first(headers, ['X-Bot-Policy', 'X-Bot-Detection-Policy', 'X-Throttle-Policy']),
+        detectors: detectorsOf(headers),
+        processingMs: firstNumber(headers, ['X-Bot-Processing-Ms', 'X-Bot-Detection-ProcessingMs'])
+    };
+}
+
+/**
+ * Record a verdict as metrics, tagged with tags plus action, bot_type and risk_band.
+ */
+export function recordVerdict(verdict, tags) {
+    const tagged = Object.assign({}, tags, {
+        action: verdict.action,
+        bot_type: verdict.botType || 'none',
+        risk_band: verdict.riskBand || 'none'
+    });
+
+    detectionActions.add(1, tagged);
+    if (verdict.score !== null) detectionScore.add(verdict.score, tagged);
+    if (verdict.processingMs !== null) processingTime.add(verdict.processingMs, tagged);
+    for (const detector of verdict.detectors) {
+        detectorHits.add(1, Object.assign({}, tags, { detector: detector }));
+    }
+}
+
+/**
+ * Always-passing thresholds that put the per-action breakdown into the end-of-test summary.
+ */
+export function actionThresholds() {
+    const thresholds = {};
+    for (const action of ACTIONS) {
+        thresholds[`detection_actions{action:${action}}`] = ['count>=0'];
+    }
+    return thresholds;
+}
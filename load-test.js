@@ -1,191 +1,166 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Counter, Rate } from 'k6/metrics';
+import { readVerdict, recordVerdict, actionThresholds } from './detection-headers.js';
+import { loadPatterns } from './signature-patterns.js';
+
+/*
+ * Mixed bot/human load test against the gateway, driven by exported signatures
+ *
+ *   GATEWAY_URL     gateway to load (default http://localhost:5000; the YARP gateway listens on :8080)
+ *   SIGNATURES      signature exports to draw requests from - gateway logs (signatures-*.jsonl)
+ *                   and/or SignatureStore API results (see signature-patterns.js)
+ *   TRAFFIC_MODEL   JSON file replacing the default traffic model below
+ *   HOUR_DURATION   how long one hour of the simulated day lasts (default 15s - a 6 minute day)
+ *   BOT_RATIO       share of bot requests for plain --vus/--duration runs (default 0.3)
+ *
+ * Each scenario in the model runs its own ramping-arrival-rate executor with its bot ratio and
+ * a 24-hour load profile, so a run replays a compressed day: people browsing by day, crawlers
+ * working through the night. Results carry k6's scenario tag for a per-scenario breakdown.
+ */
 
 // Custom metrics
 const botRequests = new Counter('bot_requests');
 const humanRequests = new Counter('human_requests');
 const detectionRate = new Rate('detection_rate');
 
-// Load test configuration
+// Gateway URL (bot detection proxy)
+const GATEWAY_URL = (__ENV.GATEWAY_URL || 'http://localhost:5000').replace(/\/+$/, '');
+
+const DEFAULT_BOT_RATIO = 0.3;
+
+// Share of peak load per hour of the day, midnight first
+const PROFILES = {
+    // Human browsing: quiet overnight, busy from mid-morning to the evening peak
+    diurnal: [0.15, 0.1, 0.08, 0.07, 0.07, 0.1, 0.2, 0.35, 0.55, 0.7, 0.8, 0.85,
+        0.9, 0.9, 0.85, 0.85, 0.9, 0.95, 1, 0.95, 0.8, 0.6, 0.4, 0.25],
+    // Crawlers and scrapers scheduled off-peak
+    nocturnal: [0.9, 1, 1, 0.95, 0.9, 0.8, 0.6, 0.45, 0.35, 0.3, 0.3, 0.3,
+        0.3, 0.3, 0.3, 0.3, 0.3, 0.35, 0.4, 0.45, 0.55, 0.65, 0.75, 0.85],
+    flat: new Array(24).fill(1)
+};
+
+// Default traffic model - peakRate is requests per minute at the profile's busiest hour
+const DEFAULT_MODEL = {
+    scenarios: {
+        daytime_browsing: { botRatio: 0.2, profile: 'diurnal', peakRate: 600 },
+        overnight_crawl: { botRatio: 0.8, profile: 'nocturnal', peakRate: 240 }
+    }
+};
+
+const model = __ENV.TRAFFIC_MODEL ? JSON.parse(open(__ENV.TRAFFIC_MODEL)) : DEFAULT_MODEL;
+const hourDuration = __ENV.HOUR_DURATION || model.hourDuration || '15s';
+
+// Browsing patterns for when the export holds no humans - gateway logs only record bots
+const BROWSING_PATTERNS = [
+    { path: '/', userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+    { path: '/products', userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_2) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15' },
+    { path: '/products', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1' },
+    { path: '/api/data', userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0' }
+].map(p => Object.assign({ method: 'GET', referer: true, threatType: 'Human', botName: null, score: 0, bot: false }, p));
+
+const patterns = loadPatterns(__ENV.SIGNATURES ||
+    'test-signatures/signatures-sample.jsonl,test-signatures/signature-store-sample.json');
+const botPatterns = patterns.filter(p => p.bot);
+const exportedHumans = patterns.filter(p => !p.bot);
+const humanPatterns = exportedHumans.length > 0 ? exportedHumans : BROWSING_PATTERNS;
+
+// Helper: 24 hourly load factors for a profile name or a custom array
+function hourlyFactors(name, profile) {
+    const factors = Array.isArray(profile) ? profile : PROFILES[profile || 'flat'];
+    if (!factors || factors.length !== 24 || factors.some(f => typeof f !== 'number' || f < 0)) {
+        throw new Error(`Scenario ${name}: profile must be one of ${Object.keys(PROFILES).join(', ')} ` +
+            'or an array of 24 non-negative numbers');
+    }
+    return factors;
+}
+
+// Helper: ramping-arrival-rate scenario replaying one day of a model scenario, an hour per stage
+function toScenario(name, spec) {
+    const botRatio = spec.botRatio === undefined ? DEFAULT_BOT_RATIO : Number(spec.botRatio);
+    if (!(botRatio >= 0 && botRatio <= 1)) {
+        throw new Error(`Scenario ${name}: botRatio must be between 0 and 1`);
+    }
+    if (!(spec.peakRate > 0)) {
+        throw new Error(`Scenario ${name}: peakRate must be a positive number of requests per timeUnit`);
+    }
+
+    const rate = factor => Math.round(spec.peakRate * factor);
+    const factors = hourlyFactors(name, spec.profile);
+
+    return {
+        executor: 'ramping-arrival-rate',
+        exec: 'traffic',
+        env: { BOT_RATIO: String(botRatio) },
+        timeUnit: spec.timeUnit || '1m',
+        startRate: rate(factors[0]),
+        stages: factors.map((f, hour) => ({ duration: hourDuration, target: rate(factors[(hour + 1) % 24]) })),
+        preAllocatedVUs: spec.preAllocatedVUs || 20,
+        maxVUs: spec.maxVUs || 100
+    };
+}
+
+// Helper: k6 scenarios for every scenario in the traffic model
+function buildScenarios() {
+    const scenarios = {};
+    for (const name of Object.keys(model.scenarios || {})) {
+        scenarios[name] = toScenario(name, model.scenarios[name]);
+    }
+    if (Object.keys(scenarios).length === 0) {
+        throw new Error('Traffic model has no scenarios');
+    }
+    return scenarios;
+}
+
+// Load test configuration - --vus/--duration on the command line replace the scenarios
 export const options = {
-    stages: [
-        { duration: '30s', target: 10 },  // Ramp up to 10 VUs
-        { duration: '1m', target: 10 },   // Stay at 10 VUs
-        { duration: '10s', target: 0 },   // Ramp down
-    ],
-    thresholds: {
+    scenarios: buildScenarios(),
+    thresholds: Object.assign({
         http_req_duration: ['p(95)<500'], // 95% of requests should be below 500ms
         http_req_failed: ['rate<0.1'],    // Less than 10% requests should fail
-    },
+    }, actionThresholds()),               // Action breakdown in the summary
 };
 
-// Gateway URL (bot detection proxy)
-const GATEWAY_URL = 'http://localhost:5000';
-
-// Bot patterns from signatures
-const botPatterns = [
-    {
-        path: '/',
-        method: 'HEAD',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.73
-    },
-    {
-        path: '/',
-        method: 'HEAD',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.73
-    },
-    {
-        path: '/',
-        method: 'HEAD',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.73
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.80
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.80
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.70
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.70
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.78
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.78
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.78
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.78
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.70
-    },
-    {
-        path: '/',
-        method: 'HEAD',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.73
-    },
-    {
-        path: '/',
-        method: 'GET',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        threatType: 'Unknown',
-        expectedDetection: true,
-        confidenceScore: 0.80
-    },
-];
-
-// Human patterns from signatures
-const humanPatterns = [
-];
-
-// Main test function - called for each VU iteration
-export default function() {
-    // Choose between bot and human pattern
-    // If we have both: 70% human, 30% bot (realistic traffic mix)
-    // If we only have bots: 100% bot
-    let isBot, patterns;
-    if (humanPatterns.length > 0 && botPatterns.length > 0) {
-        isBot = Math.random() < 0.3;
-        patterns = isBot ? botPatterns : humanPatterns;
-    } else if (humanPatterns.length > 0) {
-        isBot = false;
-        patterns = humanPatterns;
-    } else {
-        isBot = true;
-        patterns = botPatterns;
-    }
+// Helper: Pick a random element
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
 
-    const pattern = patterns[Math.floor(Math.random() * patterns.length)];
+// Send one request drawn from the traffic mix - the executor paces the scenarios
+export function traffic() {
+    const botRatio = parseFloat(__ENV.BOT_RATIO || DEFAULT_BOT_RATIO);
+    const isBot = botPatterns.length > 0 && Math.random() < botRatio;
+    const pattern = pick(isBot ? botPatterns : humanPatterns);
+    const patternType = isBot ? 'bot' : 'human';
 
     // Build request
     const url = `${GATEWAY_URL}${pattern.path}`;
+    const headers = {
+        'User-Agent': pattern.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate',
+        'Connection': 'keep-alive',
+    };
+    if (pattern.referer) headers['Referer'] = `${GATEWAY_URL}/`;
+
     const params = {
-        headers: {
-            'User-Agent': pattern.userAgent,
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Accept-Encoding': 'gzip, deflate',
-            'Connection': 'keep-alive',
-        },
+        headers: headers,
         tags: {
-            pattern_type: isBot ? 'bot' : 'human',
+            pattern_type: patternType,
             threat_type: pattern.threatType,
-            expected_score: pattern.confidenceScore
+            expected_score: pattern.score
         }
     };
 
     // Make request
-    const res = http.get(url, params);
+    const res = http.request(pattern.method, url, null, params);
+    const verdict = readVerdict(res, url);
 
     // Check response
-    const success = check(res, {
-        'status is 200 or 403': (r) => r.status === 200 || r.status === 403,
-        'response has bot detection header': (r) => r.headers['X-Bot-Detection'] !== undefined,
+    check(res, {
+        'status is 200 or a detection response': (r) => r.status === 200 || verdict.detected,
+        'response has bot detection headers': () => verdict.present,
     });
 
     // Track metrics
@@ -195,19 +170,25 @@ export default function() {
         humanRequests.add(1);
     }
 
-    // Check if bot was detected
-    const detectedAsBot = res.headers['X-Bot-Detection'] === 'True' || res.status === 403;
+    // Check if bot was detected (blocked, challenged, throttled, redirected or scored as a bot)
+    const detectedAsBot = verdict.detected;
     detectionRate.add(detectedAsBot ? 1 : 0);
+    recordVerdict(verdict, { pattern_type: patternType, threat_type: pattern.threatType });
 
     // Log interesting cases
-    if (pattern.expectedDetection && !detectedAsBot) {
-        console.log(`False negative: ${pattern.threatType} not detected (score: ${pattern.confidenceScore})`);
+    if (isBot && !detectedAsBot) {
+        console.log(`False negative: ${pattern.threatType} not detected (score: ${pattern.score}, server: ${verdict.score}, action: ${verdict.action})`);
     }
-    if (!pattern.expectedDetection && detectedAsBot) {
-        console.log(`False positive: Human detected as bot`);
+    if (!isBot && detectedAsBot) {
+        console.log(`False positive: Human detected as bot (server: ${verdict.score}, action: ${verdict.action})`);
     }
 
-    // Realistic pacing - humans are slower, bots are faster
+    return isBot;
+}
+
+// Plain --vus/--duration runs - VUs loop, so pace them: humans are slower, bots are faster
+export default function() {
+    const isBot = traffic();
     sleep(isBot ? Math.random() * 0.5 : Math.random() * 2 + 1);
 }
 
@@ -216,7 +197,15 @@ export function setup() {
     console.log('Starting load test against bot detection gateway');
     console.log(`Gateway URL: ${GATEWAY_URL}`);
     console.log(`Bot patterns: ${botPatterns.length}`);
-    console.log(`Human patterns: ${humanPatterns.length}`);
+    console.log(`Human patterns: ${humanPatterns.length}${exportedHumans.length === 0 ? ' (built-in browsing)' : ''}`);
+    if (botPatterns.length === 0) {
+        console.warn('⚠️  No bot signatures in SIGNATURES - sending human traffic only');
+    }
+    for (const name of Object.keys(model.scenarios || {})) {
+        const spec = model.scenarios[name];
+        console.log(`Scenario ${name}: ${spec.profile || 'flat'} profile, peak ${spec.peakRate}/${spec.timeUnit || '1m'}, ` +
+            `bot ratio ${spec.botRatio === undefined ? DEFAULT_BOT_RATIO : spec.botRatio}, ${hourDuration} per hour`);
+    }
     return {};
 }
 
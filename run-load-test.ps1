@@ -7,18 +7,21 @@
     This script:
     1. Starts the test site (localhost:7240)
     2. Starts the gateway (localhost:5000)
-    3. Converts signatures to k6 script
-    4. Runs the load test
-    5. Cleans up when done
+    3. Runs load-test.js with requests drawn from the signature file
+    4. Cleans up when done
 
 .PARAMETER SignatureFile
-    Path to the signature JSONL file (default: most recent signatures-*.jsonl)
+    Signature export to replay: a signatures-*.jsonl log or a SignatureStore API result
+    (default: most recent signatures-*.jsonl, else the samples in test-signatures/)
+
+.PARAMETER TrafficModel
+    Traffic model JSON file (default: the model built into load-test.js)
 
 .PARAMETER VUs
-    Number of virtual users (default: 10)
+    Number of virtual users - with -Duration, replaces the traffic model with a fixed load
 
 .PARAMETER Duration
-    Test duration (default: 30s)
+    Test duration for -VUs (e.g. 30s)
 
 .PARAMETER Mode
     Gateway mode: demo or production (default: production)
@@ -28,12 +31,16 @@
 
 .EXAMPLE
     .\run-load-test.ps1 -SignatureFile signatures-2025-12-12.jsonl -VUs 20 -Duration 60s
+
+.EXAMPLE
+    .\run-load-test.ps1 -TrafficModel my-traffic-model.json
 #>
 
 param(
     [string]$SignatureFile = "",
-    [int]$VUs = 10,
-    [string]$Duration = "30s",
+    [string]$TrafficModel = "",
+    [int]$VUs = 0,
+    [string]$Duration = "",
     [string]$Mode = "production"
 )
 
@@ -41,19 +48,29 @@ $ErrorActionPreference = "Stop"
 
 # Find most recent signature file if not specified
 if ([string]::IsNullOrEmpty($SignatureFile)) {
-    $SignatureFile = Get-ChildItem "signatures-*.jsonl" | Sort-Object LastWriteTime -Descending | Select-Object -First 1 -ExpandProperty Name
+    $SignatureFile = Get-ChildItem "signatures-*.jsonl" -ErrorAction SilentlyContinue | Sort-Object LastWriteTime -Descending | Select-Object -First 1 -ExpandProperty Name
     if ([string]::IsNullOrEmpty($SignatureFile)) {
-        Write-Error "No signature files found. Please specify -SignatureFile or create signatures first."
-        exit 1
+        Write-Host "No signatures-*.jsonl found - using the samples in test-signatures/" -ForegroundColor Yellow
+    } else {
+        Write-Host "Using most recent signature file: $SignatureFile" -ForegroundColor Green
     }
-    Write-Host "Using most recent signature file: $SignatureFile" -ForegroundColor Green
 }
 
-if (-not (Test-Path $SignatureFile)) {
+if (-not [string]::IsNullOrEmpty($SignatureFile) -and -not (Test-Path $SignatureFile)) {
     Write-Error "Signature file not found: $SignatureFile"
     exit 1
 }
 
+if (-not [string]::IsNullOrEmpty($TrafficModel) -and -not (Test-Path $TrafficModel)) {
+    Write-Error "Traffic model not found: $TrafficModel"
+    exit 1
+}
+
+if (($VUs -gt 0) -ne (-not [string]::IsNullOrEmpty($Duration))) {
+    Write-Error "Pass -VUs and -Duration together, or neither to run the traffic model"
+    exit 1
+}
+
 # Check if k6 is installed
 if (-not (Get-Command "k6" -ErrorAction SilentlyContinue)) {
     Write-Error "k6 is not installed. Install from: https://k6.io/docs/get-started/installation/"
@@ -62,23 +79,20 @@ if (-not (Get-Command "k6" -ErrorAction SilentlyContinue)) {
     exit 1
 }
 
-# Check if dotnet-script is installed
-if (-not (Get-Command "dotnet-script" -ErrorAction SilentlyContinue)) {
-    Write-Error "dotnet-script is not installed."
-    Write-Host "Install with: dotnet tool install -g dotnet-script" -ForegroundColor Yellow
-    exit 1
-}
-
 Write-Host "`n=== Bot Detection Load Test ===" -ForegroundColor Cyan
-Write-Host "Signature file: $SignatureFile" -ForegroundColor White
-Write-Host "VUs: $VUs, Duration: $Duration, Mode: $Mode`n" -ForegroundColor White
+Write-Host "Signature file: $(if ($SignatureFile) { $SignatureFile } else { 'test-signatures/ samples' })" -ForegroundColor White
+if ($VUs -gt 0) {
+    Write-Host "VUs: $VUs, Duration: $Duration, Mode: $Mode`n" -ForegroundColor White
+} else {
+    Write-Host "Traffic model: $(if ($TrafficModel) { $TrafficModel } else { 'built-in' }), Mode: $Mode`n" -ForegroundColor White
+}
 
 # Job tracking
 $jobs = @()
 
 try {
     # Step 1: Start test site
-    Write-Host "[1/5] Starting test site on http://localhost:7240..." -ForegroundColor Yellow
+    Write-Host "[1/4] Starting test site on http://localhost:7240..." -ForegroundColor Yellow
     $testSiteJob = Start-Job -ScriptBlock {
         Set-Location $using:PWD
         Set-Location TestSite
@@ -97,7 +111,7 @@ try {
     }
 
     # Step 2: Start gateway
-    Write-Host "[2/5] Starting gateway on http://localhost:5000..." -ForegroundColor Yellow
+    Write-Host "[2/4] Starting gateway on http://localhost:5000..." -ForegroundColor Yellow
     $gatewayJob = Start-Job -ScriptBlock {
         Set-Location $using:PWD
         Set-Location Mostlylucid.BotDetection.Console
@@ -115,19 +129,13 @@ try {
         throw
     }
 
-    # Step 3: Convert signatures to k6 script
-    Write-Host "[3/5] Converting signatures to k6 script..." -ForegroundColor Yellow
-    $k6Script = "load-test-$(Get-Date -Format 'yyyy-MM-dd-HHmmss').js"
-    dotnet script convert-signatures-to-k6.csx -- $SignatureFile $k6Script
-    if ($LASTEXITCODE -ne 0) {
-        Write-Error "Failed to convert signatures"
-        exit 1
-    }
-    Write-Host "  ✓ Generated $k6Script" -ForegroundColor Green
-
-    # Step 4: Run k6 load test
-    Write-Host "`n[4/5] Running k6 load test...`n" -ForegroundColor Yellow
-    k6 run --vus $VUs --duration $Duration $k6Script
+    # Step 3: Run k6 load test
+    Write-Host "`n[3/4] Running k6 load test...`n" -ForegroundColor Yellow
+    $k6Args = @("run", "-e", "GATEWAY_URL=http://localhost:5000")
+    if ($SignatureFile) { $k6Args += @("-e", "SIGNATURES=$SignatureFile") }
+    if ($TrafficModel) { $k6Args += @("-e", "TRAFFIC_MODEL=$TrafficModel") }
+    if ($VUs -gt 0) { $k6Args += @("--vus", $VUs, "--duration", $Duration) }
+    k6 @k6Args load-test.js
 
     if ($LASTEXITCODE -ne 0) {
         Write-Warning "k6 test completed with errors (exit code: $LASTEXITCODE)"
@@ -135,9 +143,8 @@ try {
         Write-Host "`n  ✓ Load test completed successfully" -ForegroundColor Green
     }
 
-    # Step 5: Show results location
-    Write-Host "`n[5/5] Results:" -ForegroundColor Yellow
-    Write-Host "  - k6 script: $k6Script" -ForegroundColor White
+    # Step 4: Show results location
+    Write-Host "`n[4/4] Results:" -ForegroundColor Yellow
     Write-Host "  - Gateway logs: Check console output or logs folder" -ForegroundColor White
     Write-Host "  - Signature files: signatures-*.jsonl" -ForegroundColor White
 
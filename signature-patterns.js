@@ -0,0 +1,155 @@
+import { SharedArray } from 'k6/data';
+
+/*
+ * Loads request patterns for load-test.js from exported signature data
+ *
+ * SIGNATURES takes one or more JSON or JSONL files separated by commas or whitespace (k6 can't
+ * list directories - let the shell expand globs: -e SIGNATURES="$(echo signatures-*.jsonl)").
+ * Each record may be:
+ *   - a gateway signature log line (signatures-YYYY-MM-DD.jsonl, JSON-LD SecurityAction): the
+ *     request is result.requestContext, the verdict result.threatType/confidenceScore
+ *   - a SignatureStore API row (/api/signatures/recent, /top, /filter): requestPath and
+ *     botProbability, with method, user agent and bot type from its signatureJson
+ *   - a stored signature itself (YarpBotSignature: path, method, userAgent, detection)
+ * A .json file holds an array of records (or one record); a .jsonl file one record per line.
+ *
+ * Every record becomes { path, method, userAgent, referer, threatType, botName, score, bot }.
+ * User agents are hashed out of gateway logs, so those get a stand-in for their threat type.
+ *
+ * Paths are relative to this file (the repository root) unless absolute.
+ */
+
+// Score at or above which a signature without an explicit isBot counts as a bot
+const BOT_SCORE = 0.5;
+
+// Stand-in user agents by threat type, for records whose user agent was hashed
+const THREAT_USER_AGENTS = {
+    Scraper: 'python-requests/2.31.0',
+    MaliciousBot: 'Mozilla/5.0 (compatible; BadBot/1.0; +http://badbot.com/bot.html)',
+    SearchEngine: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    SocialMediaBot: 'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+    MonitoringBot: 'Mozilla/5.0 (compatible; UptimeRobot/2.0; http://www.uptimerobot.com/)',
+    AiBot: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)',
+    GoodBot: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    VerifiedBot: 'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)'
+};
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Helper: Stand-in user agent for a threat type and bot name
+function standInUserAgent(threatType, botName) {
+    const name = (botName || '').toLowerCase();
+    if (name.includes('curl')) return 'curl/8.4.0';
+    if (name.includes('wget')) return 'Wget/1.21.4';
+    if (name.includes('scrapy')) return 'Scrapy/2.11.0 (+https://scrapy.org)';
+    if (name.includes('headless') || name.includes('selenium') || name.includes('puppeteer')) {
+        return 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.0.0 Safari/537.36';
+    }
+    return THREAT_USER_AGENTS[threatType] || BROWSER_USER_AGENT;
+}
+
+// Helper: Parse a JSON string field, or return it if it is already an object
+function parseEmbedded(value) {
+    if (typeof value !== 'string') return value || null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Helper: Normalise one exported record to a pattern, or null if it isn't a signature
+function toPattern(record) {
+    if (!record || typeof record !== 'object') return null;
+
+    // Gateway signature log (JSON-LD)
+    if (record.result && record.result.requestContext) {
+        const result = record.result;
+        const request = result.requestContext;
+        const score = Number(result.confidenceScore) || 0;
+        return {
+            path: request.path || '/',
+            method: request.method || 'GET',
+            userAgent: standInUserAgent(result.threatType, result.threatName),
+            referer: !!request.hasReferer,
+            threatType: result.threatType || 'Unknown',
+            botName: result.threatName || null,
+            score: score,
+            bot: score >= BOT_SCORE
+        };
+    }
+
+    // SignatureStore API row - the stored signature is in signatureJson
+    const stored = record.signatureJson !== undefined ? parseEmbedded(record.signatureJson) || {} : record;
+    const detection = stored.detection || {};
+    const path = record.requestPath || stored.path;
+    if (!path) return null;
+
+    const score = Number(record.botProbability !== undefined ? record.botProbability : detection.confidence) || 0;
+    const bot = typeof detection.isBot === 'boolean' ? detection.isBot : score >= BOT_SCORE;
+    const threatType = detection.botType || (bot ? 'Unknown' : 'Human');
+    const botName = record.botName || detection.botName || null;
+
+    return {
+        path: path,
+        method: stored.method || 'GET',
+        userAgent: stored.userAgent || record.userAgent || standInUserAgent(threatType, botName),
+        referer: !!(stored.headers && (stored.headers.Referer || stored.headers.referer)),
+        threatType: threatType,
+        botName: botName,
+        score: score,
+        bot: bot
+    };
+}
+
+// Helper: Records in one file - a JSON array/object, or JSON lines
+function readRecords(file) {
+    const text = open(file);
+    if (!file.endsWith('.jsonl')) {
+        const parsed = JSON.parse(text);
+        return { records: Array.isArray(parsed) ? parsed : [parsed], unreadable: 0 };
+    }
+
+    const records = [];
+    let unreadable = 0;
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch (e) {
+            unreadable++;
+        }
+    }
+    return { records: records, unreadable: unreadable };
+}
+
+/**
+ * Read the files named by spec (see above) into a SharedArray of patterns. Call from the init
+ * context. Throws if a file can't be opened or a .json file parsed; records that aren't
+ * signatures (or JSONL lines that aren't JSON) are skipped with a warning per file.
+ */
+export function loadPatterns(spec) {
+    return new SharedArray('signature-patterns', function () {
+        const patterns = [];
+
+        for (const file of String(spec).split(/[\s,]+/).filter(Boolean)) {
+            const { records, unreadable } = readRecords(file);
+            let skipped = unreadable;
+
+            for (const record of records) {
+                const pattern = toPattern(record);
+                if (pattern) {
+                    patterns.push(pattern);
+                } else {
+                    skipped++;
+                }
+            }
+
+            if (skipped > 0) {
+                console.warn(`⚠️  ${file}: skipped ${skipped} record(s) that aren't signatures`);
+            }
+        }
+
+        return patterns;
+    });
+}
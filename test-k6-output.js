@@ -1,6 +1,9 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadSignatures, validateSignatures, isBotSignature } from './bdf-loader.js';
+import { computeSignals, evaluateEvidence, evaluateGoal, isSensitivePath, parseSuccessCondition } from './bdf-evidence.js';
+import { readVerdict, recordVerdict, actionThresholds } from './detection-headers.js';
 
 // Custom metrics for evidence tracking
 const totalRequests = new Counter('total_requests');
@@ -12,6 +15,13 @@ const intervalTrend = new Trend('interval_ms');
 const sensitivePaths = new Rate('sensitive_path_rate');
 const burstRate = new Rate('burst_detected');
 
+// Evidence rules and goals - see bdf-evidence.js
+const evidenceScore = new Trend('evidence_score');             // weighted share of evidence rules that held, per run
+const evidenceRule = new Rate('evidence_rule_held');           // each rule, tagged with its signal
+const requestSuccess = new Rate('request_success');            // successCondition met, tagged with expectedOutcome
+const goalAchieved = new Rate('goal_achieved');                // bot runs that got what they came for
+const goalDespiteDetection = new Rate('goal_achieved_despite_detection'); // of those bot runs detected
+
 // Load test configuration - multiple VUs provide natural interleaving
 export const options = {
     stages: [
@@ -19,11 +29,11 @@ export const options = {
         { duration: '2m', target: 10 },   // Stay at 10 VUs
         { duration: '30s', target: 0 },   // Ramp down
     ],
-    thresholds: {
+    thresholds: Object.assign({
         http_req_duration: ['p(95)<1000'],
         http_req_failed: ['rate<0.1'],
         'detection_rate': ['rate>0.3'],
-    },
+    }, actionThresholds()),
 };
 
 // Target URL (TestSite runs on 7777)
@@ -77,79 +87,22 @@ function buildHeaders(baseHeaders, clientProfile) {
 }
 
 
-// Embedded BDF v2 signatures
-const signatures = [
-  {
-    scenarioName: 'test-aggressive-scraper',
-    scenario: 'Aggressive web scraper hitting multiple API endpoints rapidly',
-    confidence: 0.92,
-    isBot: true,
-    clientProfile: {
-      userAgent: 'python-requests/2.31.0',
-      cookieMode: 'none',
-      headerCompleteness: 'minimal',
-      clientHintsPresent: false,
-      robotsConsulted: false
-    },
-    timingProfile: {
-      burstRequests: 10,
-      delayAfterMs: { min: 20, max: 150 },
-      pauseAfterBurstMs: { min: 500, max: 2000 }
-    },
-    requests: [
-      {
-        method: 'GET',
-        path: '/api/users',
-        headers: {'User-Agent': 'python-requests/2.31.0'},
-        expectedStatusAny: [200, 403, 429],
-        expectedOutcome: 'data_exfil',
-        successCondition: 'any 2xx with payload > 1KB'
-      },
-      {
-        method: 'GET',
-        path: '/api/products?limit=100',
-        headers: {'User-Agent': 'python-requests/2.31.0'},
-        expectedStatusAny: [200, 403, 429],
-        expectedOutcome: 'data_exfil',
-        successCondition: 'any 2xx with payload > 10KB'
-      },
-      {
-        method: 'HEAD',
-        path: '/admin/dashboard',
-        headers: {'User-Agent': 'python-requests/2.31.0'},
-        expectedStatusAny: [200, 403, 404],
-        expectedOutcome: 'probing',
-        successCondition: 'any response'
-      },
-      {
-        method: 'GET',
-        path: '/admin/dashboard',
-        headers: {'User-Agent': 'python-requests/2.31.0'},
-        expectedStatusAny: [200, 403, 404],
-        expectedOutcome: 'data_exfil',
-        successCondition: 'any 2xx'
-      },
-    ],
-    labels: ['Scraper', 'RobotsIgnore', 'SensitiveProbing'],
-    evidence: [
-      { signal: 'interval_ms_p95', op: '<', value: 200, weight: 0.35 },
-      { signal: 'sensitive_path_rate', op: '>', value: 0.5, weight: 0.30 },
-    ]
-  },
-];
+// BDF v1/v2 signature files to replay (files, directories or a glob - see bdf-loader.js)
+const signatures = loadSignatures(__ENV.BDF_SIGNATURES || 'test-bdf-v2/test-bdf-v2-signature.json');
 
 
 // Main test function - each VU picks random scenario and replays with burst/jitter
 // Multiple VUs running concurrently provide natural request interleaving
-export default function() {
+export default function(data) {
     const scenarioStart = Date.now();
     let lastRequestTime = Date.now();
 
-    // Pick a random signature
-    const sig = signatures[Math.floor(Math.random() * signatures.length)];
+    // Pick a random signature among those that passed validation
+    const sig = signatures[data.accepted[Math.floor(Math.random() * data.accepted.length)]].signature;
+    const isBot = isBotSignature(sig);
 
     // Track bot vs human scenarios
-    if (sig.isBot) {
+    if (isBot) {
         botScenarios.add(1);
     } else {
         humanScenarios.add(1);
@@ -170,6 +123,8 @@ export default function() {
 
     let detectedAsBot = false;
     let requestCount = 0;
+    const samples = [];
+    const responses = [];
 
     // Replay all requests with burst/jitter timing
     for (let i = 0; i < sig.requests.length; i++) {
@@ -182,9 +137,11 @@ export default function() {
         // Prepare request params
         const params = {
             headers: headers,
+            // Binary, so payload sizes in success conditions are bytes rather than UTF-16 characters
+            responseType: 'binary',
             tags: {
                 scenario: sig.scenarioName,
-                scenario_type: sig.isBot ? 'bot' : 'human',
+                scenario_type: isBot ? 'bot' : 'human',
                 request_index: i,
                 expected_confidence: sig.confidence
             }
@@ -198,9 +155,34 @@ export default function() {
         }
 
         // Make request
+        const startedAt = Date.now();
         const res = http.request(req.method, url, null, params);
+        const verdict = readVerdict(res, url);
         totalRequests.add(1);
         requestCount++;
+        recordVerdict(verdict, { signature: sig.scenarioName });
+
+        // Record the sample the evidence signals and success conditions are computed from
+        // Decompressed body bytes; responses without a body (HEAD) report the size they would have had
+        const bytes = res.body && res.body.byteLength > 0
+            ? res.body.byteLength
+            : parseInt(res.headers['Content-Length'] || '0', 10);
+        responses[i] = { status: res.status, bytes: bytes };
+        samples.push({
+            path: req.path,
+            status: res.status,
+            bytes: bytes,
+            startedAt: startedAt,
+            headerCount: Object.keys(headers).length,
+            cookieCount: res.request && res.request.cookies ? Object.keys(res.request.cookies).length : 0
+        });
+
+        if (typeof req.successCondition === 'string') {
+            const predicate = parseSuccessCondition(req.successCondition);
+            if (predicate) {
+                requestSuccess.add(predicate(responses[i]), { outcome: req.expectedOutcome || 'unspecified' });
+            }
+        }
 
         // Track interval evidence
         const now = Date.now();
@@ -208,7 +190,7 @@ export default function() {
         lastRequestTime = now;
 
         // Track sensitive path evidence
-        if (req.path.includes('/admin') || req.path.includes('/api') || req.path.includes('/.')) {
+        if (isSensitivePath(req.path)) {
             sensitivePaths.add(1);
         } else {
             sensitivePaths.add(0);
@@ -221,8 +203,8 @@ export default function() {
             });
         }
 
-        // Track bot detection
-        if (res.headers['X-Bot-Detection'] === 'True' || res.status === 403) {
+        // Track bot detection (blocked, challenged, throttled, redirected or scored as a bot)
+        if (verdict.detected) {
             detectedAsBot = true;
         }
 
@@ -251,11 +233,34 @@ export default function() {
     // Record detection accuracy
     detectionRate.add(detectedAsBot ? 1 : 0);
 
+    // Evaluate the signature's evidence rules against this run's signals
+    const evidence = evaluateEvidence(sig.evidence, computeSignals(samples));
+    if (evidence.score !== null) {
+        evidenceScore.add(evidence.score, { signature: sig.scenarioName });
+        for (const rule of evidence.rules) {
+            evidenceRule.add(rule.held, { signal: rule.signal });
+        }
+        console.log(`[VU ${__VU}] Evidence ${sig.scenarioName}: ${(evidence.score * 100).toFixed(0)}% - ` +
+            evidence.rules.map(r => `${r.signal} ${r.op} ${r.value} ${r.held ? '✓' : '✗'} (${r.actual === null ? 'n/a' : Math.round(r.actual * 100) / 100})`).join(', '));
+    }
+
+    // Did the bot get what it came for, detected or not?
+    const goal = isBot ? evaluateGoal(sig.requests, responses) : null;
+    if (goal) {
+        goalAchieved.add(goal.achieved, { signature: sig.scenarioName });
+        if (detectedAsBot) {
+            goalDespiteDetection.add(goal.achieved, { signature: sig.scenarioName });
+        }
+        if (goal.achieved && detectedAsBot) {
+            console.log(`🎯 Goal achieved despite detection: ${sig.scenarioName} (requests ${goal.met.join(', ')})`);
+        }
+    }
+
     // Log interesting cases
-    if (sig.isBot && !detectedAsBot) {
+    if (isBot && !detectedAsBot) {
         console.log(`❌ False negative: ${sig.scenarioName} not detected (confidence: ${sig.confidence})`);
     }
-    if (!sig.isBot && detectedAsBot) {
+    if (!isBot && detectedAsBot) {
         console.log(`⚠️  False positive: ${sig.scenarioName} detected as bot (confidence: ${sig.confidence})`);
     }
 
@@ -270,9 +275,23 @@ export function setup() {
     console.log('BDF v2 Signature Replay - k6 Load Test');
     console.log('================================================================================');
     console.log(`Target URL: ${TARGET_URL}`);
-    console.log(`Loaded signatures: ${signatures.length}`);
-    console.log(`  - Bot scenarios: ${signatures.filter(s => s.isBot).length}`);
-    console.log(`  - Human scenarios: ${signatures.filter(s => !s.isBot).length}`);
+
+    const { accepted, rejected } = validateSignatures(signatures);
+    const bots = accepted.filter(i => isBotSignature(signatures[i].signature)).length;
+
+    console.log(`Loaded signatures: ${accepted.length} of ${signatures.length} file(s) (${rejected.length} rejected)`);
+    console.log(`  - Bot scenarios: ${bots}`);
+    console.log(`  - Human scenarios: ${accepted.length - bots}`);
+
+    // Success conditions the interpreter can't read never count as met - say so up front
+    for (const i of accepted) {
+        const sig = signatures[i].signature;
+        for (const req of sig.requests) {
+            if (typeof req.successCondition === 'string' && !parseSuccessCondition(req.successCondition)) {
+                console.warn(`⚠️  ${sig.scenarioName}: unparsed successCondition "${req.successCondition}" ${req.method} ${req.path}`);
+            }
+        }
+    }
     console.log('');
     console.log('Features:');
     console.log('  ✓ Burst/jitter timing from timingProfile');
@@ -282,9 +301,10 @@ export function setup() {
     console.log('  ✓ Robots.txt consultation tracking');
     console.log('  ✓ Request interleaving via concurrent VUs');
     console.log('  ✓ Evidence signal tracking');
+    console.log('  ✓ Evidence rules and success conditions (goal achieved despite detection)');
     console.log('================================================================================');
     console.log('');
-    return {};
+    return { accepted: accepted };
 }
 
 // Teardown